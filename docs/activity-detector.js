@@ -0,0 +1,167 @@
+/**
+ * Activity Detector
+ * Tells dancing from walking and standing still, so counting can pause
+ * between songs. Standing still has almost no motion energy. Walking is
+ * strongly periodic at a step cadence, mostly vertical (heel strikes) but
+ * with a forward surge at every step that bouncing in place does not have.
+ * Dancing is everything else: it moves sideways, turns and changes rhythm,
+ * or bounces on the spot at a walking pace. A new activity has to hold for a while before it is
+ * reported, and dancing is taken back up faster than it is left.
+ */
+import { INTERNAL_SAMPLE_INTERVAL_MS } from './sample-timing.js';
+// Features are computed over this much motion, refreshed this often (ms)
+const WINDOW_MS = 4000;
+const UPDATE_INTERVAL_MS = 500;
+// Below this energy the dancer is standing still (a phone at rest reads ~0.05)
+const IDLE_MAX_ENERGY = 0.35;
+// Walking: a step every 0.4-0.67 s, repeating this reliably, mostly vertical
+// but carried forward too. A bounce on the spot is as regular and more vertical,
+// so the forward part is what tells them apart.
+const WALK_MIN_CADENCE_HZ = 1.5;
+const WALK_MAX_CADENCE_HZ = 2.5;
+const WALK_MIN_REGULARITY = 0.6;
+const WALK_MIN_VERTICAL_SHARE = 0.5;
+const WALK_MIN_HORIZONTAL_SHARE = 0.3;
+// Rhythms searched for cadence (Hz)
+const CADENCE_SEARCH_MIN_HZ = 1;
+const CADENCE_SEARCH_MAX_HZ = 3.5;
+// A steady rhythm repeats at every multiple of its period, each about as well;
+// the shortest period this close to the best one is the cadence
+const CADENCE_PEAK_TOLERANCE = 0.1;
+// How long a classification must hold before it is reported (ms)
+const HOLD_MS = {
+    dancing: 1000,
+    walking: 3000,
+    idle: 2000
+};
+const WINDOW_SAMPLES = Math.round(WINDOW_MS / INTERNAL_SAMPLE_INTERVAL_MS);
+function rms(values) {
+    return values.length > 0 ? Math.sqrt(values.reduce((sum, v) => sum + v * v, 0) / values.length) : 0;
+}
+/**
+ * Strongest repeating period in the signal within the cadence search range.
+ * Twice the period correlates almost as well as the period itself, so the
+ * shortest peak close to the best wins rather than the best alone.
+ */
+export function findCadence(values) {
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const x = values.map((v) => v - mean);
+    const minLag = Math.round(1000 / CADENCE_SEARCH_MAX_HZ / INTERNAL_SAMPLE_INTERVAL_MS);
+    const maxLag = Math.round(1000 / CADENCE_SEARCH_MIN_HZ / INTERNAL_SAMPLE_INTERVAL_MS);
+    // Correlation at each lag, one either side of the search range so its ends can be peaks
+    const correlation = [];
+    for (let lag = minLag - 1; lag <= maxLag + 1 && lag < x.length / 2; lag++) {
+        let dot = 0;
+        let energyA = 0;
+        let energyB = 0;
+        for (let i = 0; i + lag < x.length; i++) {
+            dot += x[i] * x[i + lag];
+            energyA += x[i] * x[i];
+            energyB += x[i + lag] * x[i + lag];
+        }
+        correlation.push(energyA > 0 && energyB > 0 ? dot / Math.sqrt(energyA * energyB) : 0);
+    }
+    const peaks = [];
+    for (let i = 1; i < correlation.length - 1; i++) {
+        if (correlation[i] > 0 && correlation[i] >= correlation[i - 1] && correlation[i] > correlation[i + 1]) {
+            peaks.push(i);
+        }
+    }
+    if (peaks.length === 0) {
+        return { cadenceHz: null, regularity: 0 };
+    }
+    const best = Math.max(...peaks.map((i) => correlation[i]));
+    const chosen = peaks.find((i) => correlation[i] >= best - CADENCE_PEAK_TOLERANCE);
+    return {
+        cadenceHz: 1000 / ((minLag - 1 + chosen) * INTERNAL_SAMPLE_INTERVAL_MS),
+        regularity: correlation[chosen]
+    };
+}
+/** Classify one window of motion features. */
+export function classifyActivity(reading) {
+    if (reading.energy < IDLE_MAX_ENERGY)
+        return 'idle';
+    if (reading.cadenceHz !== null &&
+        reading.cadenceHz >= WALK_MIN_CADENCE_HZ && reading.cadenceHz <= WALK_MAX_CADENCE_HZ &&
+        reading.regularity >= WALK_MIN_REGULARITY &&
+        reading.verticalShare >= WALK_MIN_VERTICAL_SHARE &&
+        reading.horizontalShare >= WALK_MIN_HORIZONTAL_SHARE) {
+        return 'walking';
+    }
+    return 'dancing';
+}
+export class ActivityDetector {
+    constructor() {
+        this.vertical = [];
+        this.horizontal = [];
+        this.dynamic = [];
+        this.current = 'dancing';
+        this.candidate = 'dancing';
+        this.candidateSince = 0;
+        this.lastUpdate = -Infinity;
+        this.lastReading = null;
+    }
+    /** Activity currently reported. Starts as dancing so counting begins straight away. */
+    get activity() {
+        return this.current;
+    }
+    /** Features from the latest update, or null before the first full window. */
+    get reading() {
+        return this.lastReading;
+    }
+    /** When the activity now being reported began (the start of its hold period). */
+    get since() {
+        return this.candidateSince;
+    }
+    /**
+     * Feed one resampled reading: vertical acceleration around the baseline,
+     * the size of the horizontal part of the non-gravity acceleration and the
+     * size of all of it (m/s^2). Returns the new activity when it changes,
+     * otherwise null.
+     */
+    process(vertical, horizontal, dynamic, timestamp) {
+        this.vertical.push(vertical);
+        this.horizontal.push(horizontal);
+        this.dynamic.push(dynamic);
+        if (this.vertical.length > WINDOW_SAMPLES) {
+            this.vertical.shift();
+            this.horizontal.shift();
+            this.dynamic.shift();
+        }
+        if (this.vertical.length < WINDOW_SAMPLES || timestamp - this.lastUpdate < UPDATE_INTERVAL_MS) {
+            return null;
+        }
+        this.lastUpdate = timestamp;
+        const energy = rms(this.dynamic);
+        const { cadenceHz, regularity } = findCadence(this.vertical);
+        this.lastReading = {
+            energy,
+            verticalShare: energy > 0 ? Math.min(1, rms(this.vertical) / energy) : 0,
+            horizontalShare: energy > 0 ? Math.min(1, rms(this.horizontal) / energy) : 0,
+            cadenceHz,
+            regularity
+        };
+        const classified = classifyActivity(this.lastReading);
+        if (classified !== this.candidate) {
+            this.candidate = classified;
+            // The window already holds this much of the new activity
+            this.candidateSince = timestamp - UPDATE_INTERVAL_MS;
+        }
+        if (this.candidate !== this.current && timestamp - this.candidateSince >= HOLD_MS[this.candidate]) {
+            this.current = this.candidate;
+            return this.current;
+        }
+        return null;
+    }
+    reset() {
+        this.vertical = [];
+        this.horizontal = [];
+        this.dynamic = [];
+        this.current = 'dancing';
+        this.candidate = 'dancing';
+        this.candidateSince = 0;
+        this.lastUpdate = -Infinity;
+        this.lastReading = null;
+    }
+}
+//# sourceMappingURL=activity-detector.js.map
\ No newline at end of file
@@ -0,0 +1,142 @@
+/**
+ * Beat Analysis
+ * Offline tempo and beat-grid estimation from a mono audio signal, and
+ * tagging of bounce times against that grid. DOM-free; the Web Audio side
+ * (decoding and pre-filtering) lives in music-track.ts.
+ */
+const HOP_SEC = 0.01; // Onset envelope resolution
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const PREFERRED_BPM = 120; // Centre of the tempo prior; resolves half/double tempo ambiguity
+const TEMPO_PRIOR_WIDTH = 1.0; // Width of the prior in octaves
+// Fraction of a beat either side of a beat (or half-beat) that still counts as on it
+const PHASE_TOLERANCE = 0.15;
+/** Onset strength: positive change in log energy per hop. */
+function onsetEnvelope(signal, sampleRate) {
+    const hop = Math.max(1, Math.round(sampleRate * HOP_SEC));
+    const frameCount = Math.floor(signal.length / hop);
+    const envelope = new Float32Array(frameCount);
+    let previous = 0;
+    for (let frame = 0; frame < frameCount; frame++) {
+        let energy = 0;
+        const start = frame * hop;
+        for (let i = start; i < start + hop; i++) {
+            energy += signal[i] * signal[i];
+        }
+        const logEnergy = Math.log(1e-9 + energy / hop);
+        envelope[frame] = frame > 0 ? Math.max(0, logEnergy - previous) : 0;
+        previous = logEnergy;
+    }
+    return envelope;
+}
+function tempoPrior(bpm) {
+    const octaves = Math.log2(bpm / PREFERRED_BPM);
+    return Math.exp(-0.5 * (octaves / TEMPO_PRIOR_WIDTH) ** 2);
+}
+/**
+ * Estimate tempo and beat positions. `signal` should already be low-passed
+ * so kick and bass dominate the onset envelope.
+ */
+export function detectBeatGrid(signal, sampleRate, beatsPerBar = 4, beatsPerPhrase = 8) {
+    const envelope = onsetEnvelope(signal, sampleRate);
+    const framesPerSec = 1 / HOP_SEC;
+    const durationSec = signal.length / sampleRate;
+    const minLag = Math.floor(framesPerSec * 60 / MAX_BPM);
+    const maxLag = Math.ceil(framesPerSec * 60 / MIN_BPM);
+    if (envelope.length < maxLag * 2)
+        return null;
+    const correlation = (lag) => {
+        let sum = 0;
+        for (let i = lag; i < envelope.length; i++) {
+            sum += envelope[i] * envelope[i - lag];
+        }
+        return sum / (envelope.length - lag);
+    };
+    // Tempo: autocorrelation of the onset envelope, weighted toward typical dance tempos
+    let bestLag = 0;
+    let bestScore = 0;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+        const score = correlation(lag) * tempoPrior(60 * framesPerSec / lag);
+        if (score > bestScore) {
+            bestScore = score;
+            bestLag = lag;
+        }
+    }
+    if (bestLag === 0)
+        return null;
+    // Refine the period to a fraction of a frame with a parabola through the peak
+    const left = correlation(bestLag - 1);
+    const centre = correlation(bestLag);
+    const right = correlation(bestLag + 1);
+    const denominator = left - 2 * centre + right;
+    const offset = denominator !== 0 ? 0.5 * (left - right) / denominator : 0;
+    const periodFrames = bestLag + Math.max(-0.5, Math.min(0.5, offset));
+    // Phase: the offset whose comb of beats collects the most onset energy
+    let bestPhase = 0;
+    let bestPhaseScore = -1;
+    for (let phase = 0; phase < Math.ceil(periodFrames); phase++) {
+        let sum = 0;
+        for (let position = phase; position < envelope.length; position += periodFrames) {
+            sum += envelope[Math.round(position)] ?? 0;
+        }
+        if (sum > bestPhaseScore) {
+            bestPhaseScore = sum;
+            bestPhase = phase;
+        }
+    }
+    const beatPeriodSec = periodFrames / framesPerSec;
+    return {
+        bpm: 60 / beatPeriodSec,
+        beatPeriodSec,
+        firstBeatSec: bestPhase / framesPerSec,
+        durationSec,
+        beatsPerBar,
+        beatsPerPhrase
+    };
+}
+/** Tag a moment in the track (seconds) with its position on the beat grid. */
+export function tagBeat(timeSec, grid) {
+    const beats = (timeSec - grid.firstBeatSec) / grid.beatPeriodSec;
+    const fraction = beats - Math.floor(beats);
+    let phase;
+    if (fraction < PHASE_TOLERANCE || fraction > 1 - PHASE_TOLERANCE) {
+        phase = 'on-beat';
+    }
+    else if (Math.abs(fraction - 0.5) < PHASE_TOLERANCE) {
+        phase = 'upbeat';
+    }
+    else {
+        phase = 'between';
+    }
+    const beatIndex = Math.round(beats);
+    const phrasePosition = ((beatIndex % grid.beatsPerPhrase) + grid.beatsPerPhrase) % grid.beatsPerPhrase;
+    return {
+        phase,
+        beatIndex,
+        bar: Math.floor(beatIndex / grid.beatsPerBar),
+        count: phrasePosition + 1
+    };
+}
+/** Summarise tagged bounces over the part of the track that was played. */
+export function summarizeMusicSession(tags, grid, playedSec) {
+    const phaseCounts = { 'on-beat': 0, upbeat: 0, between: 0 };
+    const countHistogram = new Array(grid.beatsPerPhrase).fill(0);
+    const barSec = grid.beatPeriodSec * grid.beatsPerBar;
+    const barCount = Math.max(1, Math.ceil((playedSec - grid.firstBeatSec) / barSec));
+    const bouncesPerBar = new Array(barCount).fill(0);
+    tags.forEach((tag) => {
+        phaseCounts[tag.phase]++;
+        countHistogram[tag.count - 1]++;
+        if (tag.bar >= 0 && tag.bar < barCount) {
+            bouncesPerBar[tag.bar]++;
+        }
+    });
+    return {
+        bpm: grid.bpm,
+        phaseCounts,
+        countHistogram,
+        bouncesPerBar,
+        averageBouncesPerBar: tags.length / barCount
+    };
+}
+//# sourceMappingURL=beat-analysis.js.map
\ No newline at end of file
@@ -3,174 +3,624 @@
  * Detects vertical bouncing using the smartphone accelerometer
  * and provides haptic feedback to help dancers avoid habitual bouncing.
  */
+import { BounceEngine, CALIBRATION_MAX_STD_DEV, CALIBRATION_MIN_SAMPLES, CALIBRATION_TIMEOUT_MS, DEFAULT_ENGINE_CONFIG } from './detector-engine.js';
+import { INTERNAL_SAMPLE_INTERVAL_MS } from './sample-timing.js';
+import { DEFAULT_SENSOR_FREQUENCY_HZ, MotionInput } from './motion-input.js';
+import { ScreenWakeLock } from './wake-lock.js';
+import { registerServiceWorker } from './service-worker-client.js';
+import { ProfileStore } from './profiles.js';
+import { DEFAULT_HAPTIC_VOCABULARY, HapticCoach, formatPattern, parsePattern, sanitizeVocabulary, scaleBouncePattern } from './haptics.js';
+import { VoiceCoach } from './voice-coach.js';
+import { DEFAULT_SONIFICATION, Sonifier, sanitizeSonification } from './sonification.js';
+import { DRILL_LIBRARY, DrillRunner, DrillStore, drillDurationSec, formatDuration, formatPhases, newDrillId, parsePhases } from './drills.js';
+import { renderDrillResults } from './drill-results-view.js';
+import { FAULT_KINDS } from './fault-detectors.js';
+import { PLACEMENT_PRESETS, isPhonePlacement } from './placement.js';
+import { MotionRecorder, parseRecording, replayRecording, serializeRecording } from './motion-recording.js';
+import { SessionHistoryStore, bouncesPerMinute } from './session-history.js';
+import { LabelStore, SessionLabeller, autoTune } from './bounce-labels.js';
+import { renderLabelReview } from './label-review-view.js';
+import { LiveStreamPublisher, loadStreamSettings, saveStreamSettings } from './live-stream.js';
+import { relayUrl } from './live-stream-protocol.js';
+import { HistoryView } from './history-view.js';
+import { WaveformView } from './waveform-view.js';
+import { FullScreenFeedback, VISUAL_ELEMENTS, sanitizeVisualFeedback } from './visual-feedback.js';
+import { summarizeMusicSession, tagBeat } from './beat-analysis.js';
+import { MusicTrack } from './music-track.js';
+import { renderMusicSummary } from './music-summary-view.js';
+import { Metronome } from './metronome.js';
+import { TapTempo, bouncesPerStep, clampTempo, debounceForTempo } from './tempo.js';
+// Sessions shorter than this are treated as accidental taps and not saved to history
+const MIN_SESSION_DURATION_MS = 5000;
+function vibrate(pattern) {
+    if ('vibrate' in navigator) {
+        navigator.vibrate(pattern);
+    }
+}
+/** "2 minutes", "90 seconds": whole minutes when they are exact. */
+function spokenDuration(seconds) {
+    if (seconds >= 60 && seconds % 60 === 0) {
+        return seconds === 60 ? '1 minute' : `${seconds / 60} minutes`;
+    }
+    return `${seconds} seconds`;
+}
+/** Offer a JSON document to the user as a file download. */
+function downloadJson(json, filename) {
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+/**
+ * Describe a calibrated gravity direction: the unit vector in device axes
+ * and how the phone was being held (readings point away from the ground).
+ */
+function describeGravity(gravity) {
+    const length = Math.sqrt(gravity.x ** 2 + gravity.y ** 2 + gravity.z ** 2) || 1;
+    const unit = { x: gravity.x / length, y: gravity.y / length, z: gravity.z / length };
+    const [ax, ay, az] = [Math.abs(unit.x), Math.abs(unit.y), Math.abs(unit.z)];
+    let pose;
+    if (az >= ax && az >= ay) {
+        pose = unit.z > 0 ? 'flat, screen up' : 'flat, screen down';
+    }
+    else if (ay >= ax) {
+        pose = unit.y > 0 ? 'upright' : 'upside down';
+    }
+    else {
+        pose = 'on its side';
+    }
+    return `(${unit.x.toFixed(2)}, ${unit.y.toFixed(2)}, ${unit.z.toFixed(2)}) ${pose}`;
+}
+/**
+ * Browser UI adapter around BounceEngine: wires the engine to devicemotion
+ * events, the page controls, localStorage, vibration and Web Audio.
+ */
 class BounceDetector {
     constructor(config = {}) {
         this.isRunning = false;
-        this.lastBounceTime = 0;
-        this.samples = [];
-        this.baselineMagnitude = 9.81; // Earth's gravity magnitude (orientation-independent)
-        this.calibrationSamples = [];
         this.isCalibrating = false;
-        // Gravity direction - continuously tracked with very slow filter
-        // Slow enough to ignore quick movements, fast enough to track orientation changes
-        this.gravityX = 0;
-        this.gravityY = 0;
-        this.gravityZ = 9.81; // Default to pointing down (phone flat)
-        // At 60Hz, alpha=0.005 gives ~3 second time constant - slow enough to filter
-        // quick movements but tracks orientation changes (e.g., phone going into pocket)
-        this.gravityAlpha = 0.005;
+        this.calibrationTimeout = null;
         // Audio properties
         this.audioContext = null;
         this.oscillator = null;
         this.gainNode = null;
         this.oscillatorGainNode = null; // Separate gain for oscillator volume fadeout
         this.isAudioInitialized = false;
+        this.sonifier = null; // Musical mode; created with the audio context
         // UI Elements
         this.statusEl = null;
         this.indicatorEl = null;
         this.sensitivitySlider = null;
         this.sensitivityValue = null;
+        this.toleranceSlider = null;
+        this.toleranceValue = null;
+        this.severityCountEls = { minor: null, moderate: null, major: null };
         this.startBtn = null;
         this.calibrateBtn = null;
+        this.calibrationProgressEl = null;
+        this.calibrationProgressBar = null;
+        this.sensorRateEl = null;
         this.bounceCountEl = null;
         this.currentAccelEl = null;
         this.audioModeSelect = null;
         this.audioVolumeSlider = null;
         this.audioVolumeValue = null;
+        this.sonifyKeySelect = null;
+        this.sonifyScaleSelect = null;
+        this.sonifyTimbreSelect = null;
+        this.sonifyBrightnessSlider = null;
+        this.sonifyBrightnessValue = null;
+        this.sonifyAttackSlider = null;
+        this.sonifyAttackValue = null;
+        this.sonifyReleaseSlider = null;
+        this.sonifyReleaseValue = null;
+        this.sonifySampleInput = null;
+        this.sonifySampleInfo = null;
+        this.sonifyClearSampleBtn = null;
+        this.sonifyPreviewBtn = null;
+        this.voiceVerbositySelect = null;
+        this.voiceVolumeSlider = null;
+        this.voiceVolumeValue = null;
         this.gravityModeSelect = null;
         this.gravityModeHint = null;
+        this.placementSelect = null;
+        this.inputBackendSelect = null;
+        this.sensorFrequencySelect = null;
+        this.inputBackendHint = null;
+        this.algorithmSelect = null;
+        this.algorithmHint = null;
+        this.lastBounceEl = null;
+        this.turnTolerantToggle = null;
+        this.suppressedCountEl = null;
+        this.activeTimeEl = null;
+        this.activityStateEl = null;
+        this.autoPauseToggle = null;
+        this.faultToggles = { sway: null, rotation: null };
+        this.faultSliders = { sway: null, rotation: null };
+        this.faultSliderValues = { sway: null, rotation: null };
+        this.faultCountEls = { sway: null, rotation: null };
+        this.faultCountsCard = null;
+        this.indicatorTextEl = null;
+        this.waveform = null;
+        this.fullScreen = null;
+        this.fullScreenBtn = null;
+        this.fullScreenStartBtn = null;
+        this.fullScreenExitBtn = null;
+        this.visualToggles = {};
+        this.visualColors = {};
+        this.visualBrightness = {};
+        this.musicFileInput = null;
+        this.musicInfoEl = null;
+        this.removeMusicBtn = null;
+        this.musicSummaryEl = null;
+        // Music-aware mode
+        this.musicTrack = null;
+        this.beatTags = [];
+        this.sessionTrack = null; // Started this session and not yet summarised
+        this.lastMusicSummary = null;
+        this.lastMusicTrackName = '';
+        // Tempo and metronome
+        this.tempoInput = null;
+        this.tapTempoBtn = null;
+        this.metronomeBtn = null;
+        this.followTempoToggle = null;
+        this.tempoHint = null;
+        this.perStepEl = null;
+        this.tapTempo = new TapTempo();
+        this.metronome = null;
+        this.perStepTimer = null;
+        this.recordToggle = null;
+        this.downloadRecordingBtn = null;
+        this.replayFileInput = null;
+        this.replayResultsEl = null;
+        // Raw motion recording for offline replay
+        this.recorder = new MotionRecorder();
+        this.lastRecording = null;
+        // False/missed bounce labels and auto-tune
+        this.labelStore = new LabelStore(localStorage);
+        this.labeller = null; // The live session, while detecting
+        this.reviewLabeller = null; // A replayed recording under review
+        this.tuneProposal = null;
+        this.markFalseBtn = null;
+        this.markMissedBtn = null;
+        this.labelInfoEl = null;
+        this.reviewFileInput = null;
+        this.reviewListEl = null;
+        this.saveReviewBtn = null;
+        this.autoTuneBtn = null;
+        this.tuneResultEl = null;
+        this.applyTuneBtn = null;
+        this.clearLabelsBtn = null;
+        // Live stream to an instructor's relay
+        this.stream = new LiveStreamPublisher((state) => this.handleStreamState(state));
+        this.streamSettings = loadStreamSettings(localStorage);
+        this.streamToggle = null;
+        this.streamRelayInput = null;
+        this.streamNameInput = null;
+        this.streamStatusEl = null;
+        // Practice history
+        this.historyStore = SessionHistoryStore.isSupported() ? new SessionHistoryStore() : null;
+        this.historyView = null;
+        this.sessionStartTime = 0;
+        // Time spent dancing: wall-clock time minus auto-paused stretches
+        this.activeMs = 0;
+        this.activeSince = null; // Start of the current dancing stretch, null while paused
+        this.sessionActiveMs = 0; // Active time of the session that just ended
         this.bounceCount = 0;
+        this.severityCounts = { minor: 0, moderate: 0, major: 0 };
+        this.totalDisplacementCm = 0;
+        this.suppressedCount = 0;
+        this.faultCounts = { sway: 0, rotation: 0 };
         this.permissionGranted = false;
-        this.gravitySensorSupported = false; // Whether device provides linear acceleration
-        this.handleMotion = (event) => {
-            const accWithGravity = event.accelerationIncludingGravity;
-            const linearAcc = event.acceleration; // Linear acceleration without gravity (if available)
-            if (!accWithGravity || accWithGravity.x === null || accWithGravity.y === null || accWithGravity.z === null) {
+        this.patternInputs = {};
+        this.vibrationToggle = null;
+        this.resetPatternsBtn = null;
+        // Keeps the screen (and with it the motion sensors) on while detecting
+        this.wakeLock = new ScreenWakeLock();
+        this.updateBtn = null;
+        // Named settings profiles
+        this.profileStore = new ProfileStore(localStorage);
+        this.profileSelect = null;
+        this.duplicateProfileBtn = null;
+        this.deleteProfileBtn = null;
+        this.exportProfileBtn = null;
+        this.importProfileInput = null;
+        this.debounceSlider = null;
+        this.debounceValue = null;
+        // Guided drills
+        this.drillStore = new DrillStore(localStorage);
+        this.drillRunner = null;
+        this.drillTimer = null;
+        this.drillSelect = null;
+        this.drillInfo = null;
+        this.startDrillBtn = null;
+        this.drillNameInput = null;
+        this.drillCountdownInput = null;
+        this.drillWarmUpInput = null;
+        this.drillPhasesInput = null;
+        this.saveDrillBtn = null;
+        this.saveDrillAsNewBtn = null;
+        this.deleteDrillBtn = null;
+        this.drillStatusEl = null;
+        this.drillResultsEl = null;
+        this.drillResultsBody = null;
+        this.closeDrillResultsBtn = null;
+        this.inputFallbackReason = null;
+        this.handleSample = (sample) => {
+            this.recorder.add(sample);
+            this.engine.processSample(sample);
+        };
+        this.handleSampleRate = (event) => {
+            if (!this.sensorRateEl)
                 return;
+            const reported = event.reportedIntervalMs !== null
+                ? ` (browser reports ${Math.round(1000 / event.reportedIntervalMs)} Hz)`
+                : '';
+            this.sensorRateEl.textContent =
+                `Sensor: ${Math.round(event.rateHz)} Hz${reported} · jitter ±${event.jitterMs.toFixed(1)} ms · ` +
+                    `processed at ${Math.round(1000 / INTERNAL_SAMPLE_INTERVAL_MS)} Hz`;
+        };
+        this.handleDeviation = (event) => {
+            // Update current acceleration display
+            if (this.currentAccelEl) {
+                this.currentAccelEl.textContent = event.magnitude.toFixed(2);
             }
-            const now = Date.now();
-            const gx = accWithGravity.x;
-            const gy = accWithGravity.y;
-            const gz = accWithGravity.z;
-            // Check if device supports linear acceleration sensor
-            const hasLinearAcc = linearAcc && linearAcc.x !== null && linearAcc.y !== null && linearAcc.z !== null;
-            // Update gravity sensor support flag and UI on first detection
-            if (!this.gravitySensorSupported && hasLinearAcc) {
-                this.gravitySensorSupported = true;
-                this.updateGravityModeUI();
-            }
-            // Determine which gravity estimation method to use based on config
-            const useSensor = this.config.gravityMode === 'sensor' && hasLinearAcc;
-            if (useSensor) {
-                // Compute gravity directly from device sensor: gravity = accWithGravity - linearAcc
-                // This uses the device's built-in sensor fusion which is much more accurate
-                this.gravityX = gx - linearAcc.x;
-                this.gravityY = gy - linearAcc.y;
-                this.gravityZ = gz - linearAcc.z;
+            const threshold = this.engine.detectionThreshold;
+            if (this.waveform) {
+                this.waveform.setBand(this.engine.baselineMagnitude, threshold);
+                this.waveform.addSample(event.timestamp, event.magnitude);
             }
-            else {
-                // Use low-pass filter to estimate gravity
-                // During calibration: use faster alpha (0.1) since phone is held still
-                // During detection: use very slow alpha (0.005) to track orientation changes
-                const alpha = this.isCalibrating ? 0.1 : this.gravityAlpha;
-                this.gravityX = alpha * gx + (1 - alpha) * this.gravityX;
-                this.gravityY = alpha * gy + (1 - alpha) * this.gravityY;
-                this.gravityZ = alpha * gz + (1 - alpha) * this.gravityZ;
-            }
-            // Calculate gravity magnitude (should be ~9.81)
-            const gravityMagnitude = Math.sqrt(this.gravityX * this.gravityX +
-                this.gravityY * this.gravityY +
-                this.gravityZ * this.gravityZ);
-            let magnitude;
-            // Use linear acceleration for magnitude if using sensor mode and it's available
-            if (useSensor) {
-                const lx = linearAcc.x;
-                const ly = linearAcc.y;
-                const lz = linearAcc.z;
-                if (gravityMagnitude > 0.1) {
-                    // Project linear acceleration onto gravity direction (unit vector)
-                    // This gives us the vertical component of motion only
-                    const verticalLinearAcc = (lx * this.gravityX + ly * this.gravityY + lz * this.gravityZ) / gravityMagnitude;
-                    // Add baseline (gravity magnitude) so it's compatible with existing calibration
-                    magnitude = this.baselineMagnitude + verticalLinearAcc;
-                }
-                else {
-                    magnitude = this.baselineMagnitude;
+            this.stream.addSample(event.timestamp, event.magnitude, this.engine.baselineMagnitude, threshold);
+            if (event.calibrating)
+                return;
+            // While auto-paused, continuous feedback rests as if the dancer were still
+            if (this.isPaused()) {
+                event = { ...event, deviation: 0 };
+            }
+            else if (this.isRunning) {
+                this.haptics.onDeviation(event.timestamp, event.deviation, threshold);
+            }
+            this.fullScreen?.onDeviation(event.timestamp, event.deviation, threshold);
+            // Update frequency audio feedback (continuous)
+            if (this.config.audioMode === 'frequency') {
+                this.updateFrequencyFromDeviation(event.deviation);
+            }
+            else if (this.config.audioMode === 'frequency-fadeout') {
+                this.updateFrequencyFadeoutFromDeviation(event.deviation);
+            }
+            else if (this.config.audioMode === 'musical') {
+                this.sonifier?.update(event.deviation);
+            }
+        };
+        this.handleFault = (event) => {
+            if (!this.isRunning)
+                return;
+            this.faultCounts[event.kind]++;
+            this.updateBounceCount();
+            this.haptics.onFault(event.kind);
+            this.voice.onFault(event.kind, event.timestamp);
+            this.showFaultIndicator(event.kind);
+        };
+        this.handleActivity = (event) => {
+            if (!this.isRunning)
+                return;
+            // The change is reported once it has held for a while; book the time from when it began
+            if (event.activity === 'dancing') {
+                if (this.activeSince === null) {
+                    this.activeSince = event.since;
                 }
             }
-            else {
-                // Use accelerationIncludingGravity with projection (filter mode or no sensor)
-                if (gravityMagnitude > 0.1) {
-                    const dotProduct = (gx * this.gravityX + gy * this.gravityY + gz * this.gravityZ) / gravityMagnitude;
-                    magnitude = Math.abs(dotProduct);
+            else if (this.activeSince !== null) {
+                this.activeMs += Math.max(0, event.since - this.activeSince);
+                this.activeSince = null;
+            }
+            if (this.engine.getConfig().autoPause) {
+                if (!this.engine.isTurning) {
+                    this.setIndicatorText(this.indicatorLabel());
+                }
+                if (event.activity === 'dancing') {
+                    this.updateStatus('Detecting bounces...', 'active');
+                    this.voice.announce('Resumed');
                 }
                 else {
-                    magnitude = Math.sqrt(gx * gx + gy * gy + gz * gz);
+                    this.updateStatus(`Paused - ${event.activity === 'walking' ? 'walking' : 'standing still'}`, 'warning');
+                    this.voice.announce('Paused');
                 }
             }
-            // Update current acceleration display
-            if (this.currentAccelEl) {
-                this.currentAccelEl.textContent = magnitude.toFixed(2);
+            this.updateActivityDisplay();
+            this.publishStatus();
+        };
+        /** The phone was moved: say so, rather than leaving the dancer wondering why nothing counts. */
+        this.handleReorient = (event) => {
+            if (!this.isRunning)
+                return;
+            if (!this.engine.isTurning) {
+                this.setIndicatorText(this.indicatorLabel());
             }
-            // Handle calibration mode
-            if (this.isCalibrating) {
-                this.calibrationSamples.push(magnitude);
-                if (this.calibrationSamples.length >= 50) {
-                    this.finishCalibration();
-                }
+            if (event.settling) {
+                this.updateStatus('Phone moved - counting resumes once it settles', 'warning');
+                this.voice.announce('Phone moved');
+            }
+            else {
+                this.updateStatus(`Phone settled, ${Math.round(event.angleDeg)}° from before - detecting bounces...`, 'active');
+                this.voice.announce('Settled');
+            }
+        };
+        /** Speech synthesis plays alongside the Web Audio feedback rather than through it. */
+        this.speak = (text, mode) => {
+            if (!('speechSynthesis' in window))
                 return;
+            if (mode === 'if-idle' && (speechSynthesis.speaking || speechSynthesis.pending))
+                return;
+            if (mode === 'interrupt') {
+                speechSynthesis.cancel();
             }
-            // Calculate deviation for frequency feedback
-            const deviation = Math.abs(magnitude - this.baselineMagnitude);
-            // Update frequency audio feedback (continuous)
-            if (this.config.audioMode === 'frequency') {
-                this.updateFrequencyFromDeviation(deviation);
+            const utterance = new SpeechSynthesisUtterance(text);
+            utterance.volume = this.config.voiceVolume;
+            speechSynthesis.speak(utterance);
+        };
+        this.handleCalibrationProgress = (event) => {
+            this.setCalibrationProgress(event.progress);
+            this.calibrationProgressEl?.classList.toggle('moving', !event.still);
+            const percent = Math.round(event.progress * 100);
+            if (event.still) {
+                this.updateStatus(`Calibrating... ${percent}% - hold phone still`, 'calibrating');
             }
-            else if (this.config.audioMode === 'frequency-fadeout') {
-                this.updateFrequencyFadeoutFromDeviation(deviation);
+            else {
+                this.updateStatus(`Calibrating... ${percent}% - movement detected, keep still`, 'warning');
+                this.voice.onCalibrationMovement();
             }
-            // Add sample to buffer
-            this.samples.push({ timestamp: now, magnitude });
-            // Keep only recent samples
-            while (this.samples.length > this.config.sampleWindow) {
-                this.samples.shift();
+        };
+        this.handleCalibration = (event) => {
+            this.clearCalibrationTimeout();
+            this.motionInput.stop();
+            this.updateInputBackendHint();
+            this.isCalibrating = false;
+            this.setCalibrationProgress(null);
+            this.voice.onCalibrationDone(event.accepted, event.quality);
+            if (event.accepted) {
+                this.updateStatus(`Calibrated! Baseline ${event.baselineMagnitude.toFixed(2)} m/s² · quality ${event.quality}% · gravity ${describeGravity(event.gravity)}`, 'ready');
+                this.saveSettings();
             }
-            // Detect bounce
-            if (this.detectBounce(magnitude, now)) {
-                this.onBounceDetected();
+            else {
+                // Either check can fail alone: a stalled sensor delivers few readings without any movement
+                let reason;
+                if (event.stdDev > CALIBRATION_MAX_STD_DEV) {
+                    reason = `phone moved (±${event.stdDev.toFixed(2)} m/s²)`;
+                }
+                else if (event.sampleCount === 0) {
+                    reason = 'no sensor readings';
+                }
+                else {
+                    reason = `too few sensor readings (${event.sampleCount} of at least ${CALIBRATION_MIN_SAMPLES})`;
+                }
+                this.updateStatus(`Calibration rejected: ${reason}. Previous calibration kept - hold still and try again`, 'error');
+            }
+            if (this.calibrateBtn) {
+                this.calibrateBtn.disabled = false;
             }
         };
         this.config = {
-            sensitivity: 3.0, // Default threshold in m/s^2 above/below gravity
-            debounceTime: 300, // 300ms between detections
-            vibrationDuration: 100, // 100ms vibration
-            sampleWindow: 10, // Analyze last 10 samples
+            ...DEFAULT_ENGINE_CONFIG,
+            vibration: true,
+            hapticPatterns: { ...DEFAULT_HAPTIC_VOCABULARY },
+            visualFeedback: sanitizeVisualFeedback(null),
             audioMode: 'off', // Audio feedback off by default
             audioVolume: 0.5, // 50% volume by default
-            gravityMode: 'sensor', // Use device sensor by default (falls back to filter if unavailable)
+            sonification: { ...DEFAULT_SONIFICATION },
+            voiceVerbosity: 'off', // No speech by default
+            voiceVolume: 1,
+            tempoBpm: 0, // No tempo until the user sets one
+            followTempo: false, // Fixed debounce by default
+            fixedDebounceTime: DEFAULT_ENGINE_CONFIG.debounceTime,
+            inputBackend: 'devicemotion', // Browser-paced devicemotion events
+            sensorFrequency: DEFAULT_SENSOR_FREQUENCY_HZ,
+            autoPause: true, // Stop counting while standing still or walking off
             ...config
         };
+        this.defaultSettings = this.settingsFromConfig(this.config);
+        this.haptics = new HapticCoach((pattern) => {
+            if (this.config.vibration)
+                vibrate(pattern);
+        }, this.config.hapticPatterns);
+        this.voice = new VoiceCoach(this.speak, this.config.voiceVerbosity);
+        this.motionInput = new MotionInput({
+            onSample: this.handleSample,
+            onFallback: (reason) => {
+                console.warn('Generic Sensor input unavailable, using devicemotion:', reason);
+                this.inputFallbackReason = reason;
+                this.updateInputBackendHint();
+            }
+        });
+        this.engine = new BounceEngine(this.config);
+        this.engine.on('deviation', this.handleDeviation);
+        this.engine.on('bounce', (event) => this.onBounceDetected(event));
+        this.engine.on('candidate', (event) => this.labeller?.addCandidate(event));
+        this.engine.on('calibration', this.handleCalibration);
+        this.engine.on('calibrationProgress', this.handleCalibrationProgress);
+        this.engine.on('sampleRate', this.handleSampleRate);
+        this.engine.on('gravitySensorAvailable', () => this.updateGravityModeUI());
+        this.engine.on('suppressed', (event) => {
+            // Steps taken while auto-paused are not near-bounces, so only turns are counted
+            if (event.reason === 'turn') {
+                this.suppressedCount++;
+                this.updateBounceCount();
+            }
+        });
+        this.engine.on('turn', (event) => {
+            this.setIndicatorText(event.turning ? 'Turn' : this.indicatorLabel());
+        });
+        this.engine.on('reorient', this.handleReorient);
+        this.engine.on('activity', this.handleActivity);
+        this.engine.on('fault', this.handleFault);
     }
     init() {
         this.bindUIElements();
         this.setupEventListeners();
         this.checkDeviceSupport();
         this.loadSettings();
+        this.applyTempo();
+        this.applyHapticPatterns();
+        this.applySonification();
+        this.applyVisualFeedback();
+        this.updateInputBackendUI();
+        this.drillStore.load();
+        this.renderDrills();
+        this.labelStore.load();
+        this.updateLabelInfo();
+        this.reportUnsavedStores();
+        this.applyStreamSettings();
+        registerServiceWorker((apply) => this.showUpdateAvailable(apply));
+        if (this.historyStore) {
+            this.historyView = new HistoryView(this.historyStore, (message) => this.updateStatus(message, 'error'));
+            this.historyView.init();
+        }
     }
     bindUIElements() {
         this.statusEl = document.getElementById('status');
+        this.updateBtn = document.getElementById('update-btn');
+        this.profileSelect = document.getElementById('profile-select');
+        this.drillSelect = document.getElementById('drill-select');
+        this.drillInfo = document.getElementById('drill-info');
+        this.startDrillBtn = document.getElementById('start-drill-btn');
+        this.drillNameInput = document.getElementById('drill-name');
+        this.drillCountdownInput = document.getElementById('drill-countdown');
+        this.drillWarmUpInput = document.getElementById('drill-warm-up');
+        this.drillPhasesInput = document.getElementById('drill-phases');
+        this.saveDrillBtn = document.getElementById('save-drill-btn');
+        this.saveDrillAsNewBtn = document.getElementById('save-drill-as-new-btn');
+        this.deleteDrillBtn = document.getElementById('delete-drill-btn');
+        this.drillStatusEl = document.getElementById('drill-status');
+        this.drillResultsEl = document.getElementById('drill-results');
+        this.drillResultsBody = document.getElementById('drill-results-body');
+        this.closeDrillResultsBtn = document.getElementById('close-drill-results-btn');
+        this.duplicateProfileBtn = document.getElementById('duplicate-profile-btn');
+        this.deleteProfileBtn = document.getElementById('delete-profile-btn');
+        this.exportProfileBtn = document.getElementById('export-profile-btn');
+        this.importProfileInput = document.getElementById('import-profile-file');
+        this.debounceSlider = document.getElementById('debounce-time');
+        this.debounceValue = document.getElementById('debounce-value');
+        Object.keys(DEFAULT_HAPTIC_VOCABULARY).forEach((cue) => {
+            const input = document.getElementById(`pattern-${cue}`);
+            if (input) {
+                this.patternInputs[cue] = input;
+            }
+        });
+        this.resetPatternsBtn = document.getElementById('reset-patterns-btn');
+        this.vibrationToggle = document.getElementById('vibration-toggle');
         this.indicatorEl = document.getElementById('bounce-indicator');
         this.sensitivitySlider = document.getElementById('sensitivity');
         this.sensitivityValue = document.getElementById('sensitivity-value');
+        this.toleranceSlider = document.getElementById('displacement-tolerance');
+        this.toleranceValue = document.getElementById('displacement-tolerance-value');
+        this.severityCountEls = {
+            minor: document.getElementById('severity-minor'),
+            moderate: document.getElementById('severity-moderate'),
+            major: document.getElementById('severity-major')
+        };
         this.startBtn = document.getElementById('start-btn');
         this.calibrateBtn = document.getElementById('calibrate-btn');
+        this.calibrationProgressEl = document.getElementById('calibration-progress');
+        this.calibrationProgressBar = document.getElementById('calibration-progress-bar');
+        this.sensorRateEl = document.getElementById('sensor-rate');
         this.bounceCountEl = document.getElementById('bounce-count');
         this.currentAccelEl = document.getElementById('current-accel');
         this.audioModeSelect = document.getElementById('audio-mode');
         this.audioVolumeSlider = document.getElementById('audio-volume');
         this.audioVolumeValue = document.getElementById('audio-volume-value');
+        this.sonifyKeySelect = document.getElementById('sonify-key');
+        this.sonifyScaleSelect = document.getElementById('sonify-scale');
+        this.sonifyTimbreSelect = document.getElementById('sonify-timbre');
+        this.sonifyBrightnessSlider = document.getElementById('sonify-brightness');
+        this.sonifyBrightnessValue = document.getElementById('sonify-brightness-value');
+        this.sonifyAttackSlider = document.getElementById('sonify-attack');
+        this.sonifyAttackValue = document.getElementById('sonify-attack-value');
+        this.sonifyReleaseSlider = document.getElementById('sonify-release');
+        this.sonifyReleaseValue = document.getElementById('sonify-release-value');
+        this.sonifySampleInput = document.getElementById('sonify-sample-file');
+        this.sonifySampleInfo = document.getElementById('sonify-sample-info');
+        this.sonifyClearSampleBtn = document.getElementById('sonify-clear-sample-btn');
+        this.sonifyPreviewBtn = document.getElementById('sonify-preview-btn');
+        this.voiceVerbositySelect = document.getElementById('voice-verbosity');
+        this.voiceVolumeSlider = document.getElementById('voice-volume');
+        this.voiceVolumeValue = document.getElementById('voice-volume-value');
         this.gravityModeSelect = document.getElementById('gravity-mode');
         this.gravityModeHint = document.getElementById('gravity-mode-hint');
+        this.placementSelect = document.getElementById('phone-placement');
+        this.inputBackendSelect = document.getElementById('input-backend');
+        this.sensorFrequencySelect = document.getElementById('sensor-frequency');
+        this.inputBackendHint = document.getElementById('input-backend-hint');
+        this.algorithmSelect = document.getElementById('detection-algorithm');
+        this.algorithmHint = document.getElementById('detection-algorithm-hint');
+        this.lastBounceEl = document.getElementById('last-bounce');
+        this.turnTolerantToggle = document.getElementById('turn-tolerant');
+        this.suppressedCountEl = document.getElementById('suppressed-count');
+        this.activeTimeEl = document.getElementById('active-time');
+        this.activityStateEl = document.getElementById('activity-state');
+        this.autoPauseToggle = document.getElementById('auto-pause');
+        FAULT_KINDS.forEach((kind) => {
+            this.faultToggles[kind] = document.getElementById(`${kind}-detection`);
+            this.faultSliders[kind] = document.getElementById(`${kind}-sensitivity`);
+            this.faultSliderValues[kind] = document.getElementById(`${kind}-sensitivity-value`);
+            this.faultCountEls[kind] = document.getElementById(`${kind}-count`);
+        });
+        this.faultCountsCard = document.getElementById('fault-counts');
+        this.indicatorTextEl = this.indicatorEl?.querySelector('.indicator-text') ?? null;
+        this.musicFileInput = document.getElementById('music-file');
+        this.musicInfoEl = document.getElementById('music-info');
+        this.removeMusicBtn = document.getElementById('remove-music-btn');
+        this.musicSummaryEl = document.getElementById('music-summary');
+        this.tempoInput = document.getElementById('tempo-bpm');
+        this.tapTempoBtn = document.getElementById('tap-tempo-btn');
+        this.metronomeBtn = document.getElementById('metronome-btn');
+        this.followTempoToggle = document.getElementById('follow-tempo');
+        this.tempoHint = document.getElementById('tempo-hint');
+        this.perStepEl = document.getElementById('bounces-per-step');
+        const waveformCanvas = document.getElementById('waveform');
+        if (waveformCanvas) {
+            this.waveform = new WaveformView(waveformCanvas);
+        }
+        const fullScreenEl = document.getElementById('fullscreen-feedback');
+        if (fullScreenEl) {
+            this.fullScreen = new FullScreenFeedback(fullScreenEl, this.config.visualFeedback);
+        }
+        this.fullScreenBtn = document.getElementById('fullscreen-btn');
+        this.fullScreenStartBtn = document.getElementById('fullscreen-start-btn');
+        this.fullScreenExitBtn = document.getElementById('fullscreen-exit-btn');
+        VISUAL_ELEMENTS.forEach((element) => {
+            const toggle = document.getElementById(`visual-${element}`);
+            const color = document.getElementById(`visual-${element}-color`);
+            const brightness = document.getElementById(`visual-${element}-brightness`);
+            if (toggle)
+                this.visualToggles[element] = toggle;
+            if (color)
+                this.visualColors[element] = color;
+            if (brightness)
+                this.visualBrightness[element] = brightness;
+        });
+        this.recordToggle = document.getElementById('record-toggle');
+        this.downloadRecordingBtn = document.getElementById('download-recording-btn');
+        this.replayFileInput = document.getElementById('replay-file');
+        this.replayResultsEl = document.getElementById('replay-results');
+        this.markFalseBtn = document.getElementById('mark-false-btn');
+        this.markMissedBtn = document.getElementById('mark-missed-btn');
+        this.labelInfoEl = document.getElementById('label-info');
+        this.reviewFileInput = document.getElementById('review-file');
+        this.reviewListEl = document.getElementById('review-list');
+        this.saveReviewBtn = document.getElementById('save-review-btn');
+        this.autoTuneBtn = document.getElementById('auto-tune-btn');
+        this.tuneResultEl = document.getElementById('tune-result');
+        this.applyTuneBtn = document.getElementById('apply-tune-btn');
+        this.clearLabelsBtn = document.getElementById('clear-labels-btn');
+        this.streamToggle = document.getElementById('stream-toggle');
+        this.streamRelayInput = document.getElementById('stream-relay');
+        this.streamNameInput = document.getElementById('stream-name');
+        this.streamStatusEl = document.getElementById('stream-status');
     }
     setupEventListeners() {
         this.startBtn?.addEventListener('click', () => this.toggleDetection());
@@ -178,11 +628,98 @@ class BounceDetector {
         this.sensitivitySlider?.addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
             this.config.sensitivity = value;
+            this.engine.updateConfig({ sensitivity: value });
             if (this.sensitivityValue) {
                 this.sensitivityValue.textContent = value.toFixed(1);
             }
             this.saveSettings();
         });
+        this.debounceSlider?.addEventListener('input', (e) => {
+            this.config.fixedDebounceTime = parseInt(e.target.value, 10);
+            this.applyTempo();
+            this.saveSettings();
+        });
+        Object.entries(this.patternInputs).forEach(([cue, input]) => {
+            input.addEventListener('change', () => {
+                try {
+                    this.config.hapticPatterns = { ...this.config.hapticPatterns, [cue]: parsePattern(input.value) };
+                }
+                catch (e) {
+                    this.updateStatus(`Invalid ${cue} pattern: ${e.message}`, 'error');
+                }
+                this.applyHapticPatterns();
+                this.saveSettings();
+            });
+        });
+        document.querySelectorAll('[data-preview]').forEach((button) => {
+            button.addEventListener('click', () => {
+                const preview = button.dataset.preview;
+                if (preview === 'bounce-hop') {
+                    vibrate(scaleBouncePattern(this.config.hapticPatterns.bounce, 2));
+                }
+                else if (preview && preview in this.config.hapticPatterns) {
+                    this.haptics.play(preview);
+                }
+            });
+        });
+        this.resetPatternsBtn?.addEventListener('click', () => {
+            this.config.hapticPatterns = { ...DEFAULT_HAPTIC_VOCABULARY };
+            this.applyHapticPatterns();
+            this.saveSettings();
+        });
+        this.vibrationToggle?.addEventListener('change', (e) => {
+            this.config.vibration = e.target.checked;
+            if (!this.config.vibration) {
+                // An empty pattern cancels a vibration already playing
+                vibrate([]);
+            }
+            this.saveSettings();
+        });
+        this.fullScreenBtn?.addEventListener('click', () => this.openFullScreen());
+        this.fullScreenExitBtn?.addEventListener('click', () => this.fullScreen?.close());
+        this.fullScreenStartBtn?.addEventListener('click', () => this.toggleDetection());
+        // Leaving browser full screen (back gesture, Esc) leaves the mode too
+        document.addEventListener('fullscreenchange', () => {
+            if (!document.fullscreenElement && this.fullScreen?.isOpen) {
+                this.fullScreen.close();
+            }
+        });
+        [this.visualToggles, this.visualColors, this.visualBrightness].forEach((inputs) => {
+            Object.values(inputs).forEach((input) => {
+                input.addEventListener('input', () => this.handleVisualFeedbackChange());
+            });
+        });
+        this.drillSelect?.addEventListener('change', () => this.showSelectedDrill());
+        this.startDrillBtn?.addEventListener('click', () => this.startDrill());
+        this.saveDrillBtn?.addEventListener('click', () => this.saveDrill(false));
+        this.saveDrillAsNewBtn?.addEventListener('click', () => this.saveDrill(true));
+        this.deleteDrillBtn?.addEventListener('click', () => this.deleteDrill());
+        this.closeDrillResultsBtn?.addEventListener('click', () => {
+            if (this.drillResultsEl) {
+                this.drillResultsEl.hidden = true;
+            }
+        });
+        this.profileSelect?.addEventListener('change', (e) => {
+            this.switchProfile(e.target.value);
+        });
+        this.duplicateProfileBtn?.addEventListener('click', () => this.duplicateProfile());
+        this.deleteProfileBtn?.addEventListener('click', () => this.deleteProfile());
+        this.exportProfileBtn?.addEventListener('click', () => this.exportProfile());
+        this.importProfileInput?.addEventListener('change', async (e) => {
+            const input = e.target;
+            const file = input.files?.[0];
+            if (file) {
+                await this.importProfile(file);
+            }
+            input.value = '';
+        });
+        this.toleranceSlider?.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.config.displacementTolerance = value;
+            this.engine.updateConfig({ displacementTolerance: value });
+            this.updateToleranceValue();
+            this.saveSettings();
+        });
         this.audioModeSelect?.addEventListener('change', (e) => {
             const mode = e.target.value;
             this.config.audioMode = mode;
@@ -200,18 +737,211 @@ class BounceDetector {
             }
             this.saveSettings();
         });
+        [this.sonifyKeySelect, this.sonifyScaleSelect, this.sonifyTimbreSelect].forEach((select) => {
+            select?.addEventListener('change', () => this.handleSonificationChange());
+        });
+        [this.sonifyBrightnessSlider, this.sonifyAttackSlider, this.sonifyReleaseSlider].forEach((slider) => {
+            slider?.addEventListener('input', () => this.handleSonificationChange());
+        });
+        this.sonifySampleInput?.addEventListener('change', async (e) => {
+            const input = e.target;
+            const file = input.files?.[0];
+            if (file) {
+                await this.loadBounceSample(file);
+            }
+            input.value = '';
+        });
+        this.sonifyClearSampleBtn?.addEventListener('click', () => {
+            this.sonifier?.clearSample();
+            this.updateSampleInfo();
+        });
+        this.sonifyPreviewBtn?.addEventListener('click', async () => {
+            this.initAudio();
+            if (this.audioContext?.state === 'suspended') {
+                await this.audioContext.resume();
+            }
+            this.sonifier?.playBounce('moderate');
+        });
+        this.voiceVerbositySelect?.addEventListener('change', (e) => {
+            this.config.voiceVerbosity = e.target.value;
+            this.voice.setVerbosity(this.config.voiceVerbosity);
+            if (this.config.voiceVerbosity === 'off' && 'speechSynthesis' in window) {
+                speechSynthesis.cancel();
+            }
+            this.saveSettings();
+        });
+        this.voiceVolumeSlider?.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            this.config.voiceVolume = value;
+            if (this.voiceVolumeValue) {
+                this.voiceVolumeValue.textContent = Math.round(value * 100).toString();
+            }
+            this.saveSettings();
+        });
         this.gravityModeSelect?.addEventListener('change', (e) => {
             const mode = e.target.value;
             this.config.gravityMode = mode;
+            this.engine.updateConfig({ gravityMode: mode });
             this.updateGravityModeHint();
             this.saveSettings();
         });
+        this.placementSelect?.addEventListener('change', (e) => {
+            const placement = e.target.value;
+            this.setPlacement(placement);
+            // Choosing a placement is a fresh start: take its thresholds too, which can then be fine-tuned
+            const preset = PLACEMENT_PRESETS[placement];
+            this.applySettings({
+                sensitivity: preset.sensitivity,
+                swaySensitivity: preset.swaySensitivity,
+                rotationSensitivity: preset.rotationSensitivity
+            });
+            this.saveSettings();
+            this.updateStatus(`${preset.label}: sensitivity set to ${preset.sensitivity.toFixed(1)} m/s²`, 'ready');
+        });
+        this.inputBackendSelect?.addEventListener('change', (e) => {
+            this.config.inputBackend = e.target.value;
+            this.inputFallbackReason = null;
+            this.updateInputBackendUI();
+            this.restartInput();
+            this.saveSettings();
+        });
+        this.sensorFrequencySelect?.addEventListener('change', (e) => {
+            this.config.sensorFrequency = parseInt(e.target.value, 10);
+            this.updateInputBackendHint();
+            this.restartInput();
+            this.saveSettings();
+        });
+        this.autoPauseToggle?.addEventListener('change', (e) => {
+            const autoPause = e.target.checked;
+            this.config.autoPause = autoPause;
+            this.syncAutoPause();
+            this.updateActivityDisplay();
+            this.saveSettings();
+        });
+        FAULT_KINDS.forEach((kind) => {
+            this.faultToggles[kind]?.addEventListener('change', (e) => {
+                this.setFaultDetection(kind, e.target.checked);
+                this.saveSettings();
+            });
+            this.faultSliders[kind]?.addEventListener('input', (e) => {
+                this.setFaultSensitivity(kind, parseFloat(e.target.value));
+                this.saveSettings();
+            });
+        });
+        this.turnTolerantToggle?.addEventListener('change', (e) => {
+            const turnTolerant = e.target.checked;
+            this.config.turnTolerant = turnTolerant;
+            this.engine.updateConfig({ turnTolerant });
+            this.saveSettings();
+        });
+        this.algorithmSelect?.addEventListener('change', (e) => {
+            const algorithm = e.target.value;
+            this.config.algorithm = algorithm;
+            this.engine.updateConfig({ algorithm });
+            this.updateAlgorithmHint();
+            this.saveSettings();
+        });
+        this.musicFileInput?.addEventListener('change', async (e) => {
+            const input = e.target;
+            const file = input.files?.[0];
+            if (file) {
+                await this.loadMusic(file);
+            }
+            input.value = '';
+        });
+        this.tempoInput?.addEventListener('change', (e) => {
+            const value = parseFloat(e.target.value);
+            this.setTempo(Number.isFinite(value) && value > 0 ? clampTempo(value) : 0);
+        });
+        this.tapTempoBtn?.addEventListener('click', () => {
+            const bpm = this.tapTempo.tap(Date.now());
+            if (bpm !== null) {
+                this.setTempo(Math.round(bpm));
+            }
+        });
+        this.metronomeBtn?.addEventListener('click', () => this.toggleMetronome());
+        this.followTempoToggle?.addEventListener('change', (e) => {
+            this.config.followTempo = e.target.checked;
+            this.applyTempo();
+            this.saveSettings();
+        });
+        this.removeMusicBtn?.addEventListener('click', () => {
+            this.finishMusicSession();
+            this.musicTrack?.stop();
+            this.musicTrack = null;
+            this.updateMusicInfo();
+        });
+        this.downloadRecordingBtn?.addEventListener('click', () => this.downloadRecording());
+        this.replayFileInput?.addEventListener('change', async (e) => {
+            const input = e.target;
+            const file = input.files?.[0];
+            if (file) {
+                await this.replayFile(file);
+            }
+            // Allow picking the same file again after changing settings
+            input.value = '';
+        });
+        this.markFalseBtn?.addEventListener('click', () => {
+            const marked = this.labeller?.markFalse(Date.now()) ?? false;
+            this.updateStatus(marked ? 'Marked the last detection as not a bounce' : 'No detection in the last 3 seconds to mark', marked ? 'active' : 'warning');
+        });
+        this.markMissedBtn?.addEventListener('click', () => {
+            const marked = this.labeller?.markMissed(Date.now()) ?? false;
+            this.updateStatus(marked ? 'Marked a missed bounce' : 'No uncounted movement in the last 3 seconds to mark', marked ? 'active' : 'warning');
+        });
+        this.reviewFileInput?.addEventListener('change', async (e) => {
+            const input = e.target;
+            const file = input.files?.[0];
+            if (file) {
+                await this.reviewFile(file);
+            }
+            input.value = '';
+        });
+        this.saveReviewBtn?.addEventListener('click', () => {
+            if (!this.reviewLabeller)
+                return;
+            this.labelStore.add(this.reviewLabeller.toSession('recording'));
+            this.reviewLabeller = null;
+            this.reviewListEl?.replaceChildren();
+            this.saveReviewBtn.hidden = true;
+            this.updateLabelInfo();
+        });
+        this.autoTuneBtn?.addEventListener('click', () => this.proposeTune());
+        this.applyTuneBtn?.addEventListener('click', () => this.applyTune());
+        this.clearLabelsBtn?.addEventListener('click', () => {
+            if (!confirm('Delete all bounce labels?'))
+                return;
+            this.labelStore.clear();
+            this.updateLabelInfo();
+        });
+        this.streamToggle?.addEventListener('change', () => {
+            if (this.streamToggle.checked) {
+                this.startStream();
+            }
+            else {
+                this.stream.stop();
+            }
+        });
+        // Address and name are kept per device; a change while streaming reconnects with it
+        const streamFieldChanged = () => {
+            this.streamSettings = {
+                ...this.streamSettings,
+                relay: this.streamRelayInput?.value.trim() ?? '',
+                name: this.streamNameInput?.value.trim() ?? ''
+            };
+            saveStreamSettings(localStorage, this.streamSettings);
+            if (this.stream.state !== 'off') {
+                this.startStream();
+            }
+        };
+        this.streamRelayInput?.addEventListener('change', streamFieldChanged);
+        this.streamNameInput?.addEventListener('change', streamFieldChanged);
     }
     updateGravityModeHint() {
         if (!this.gravityModeHint)
             return;
         if (this.config.gravityMode === 'sensor') {
-            if (this.gravitySensorSupported) {
+            if (this.engine.gravitySensorSupported) {
                 this.gravityModeHint.textContent = "Uses device's built-in sensor fusion for accurate gravity tracking";
             }
             else {
@@ -222,13 +952,161 @@ class BounceDetector {
             this.gravityModeHint.textContent = "Uses software low-pass filter to estimate gravity direction";
         }
     }
+    setPlacement(placement) {
+        this.config.placement = placement;
+        this.engine.updateConfig({ placement });
+        if (this.placementSelect) {
+            this.placementSelect.value = placement;
+        }
+    }
+    updateInputBackendUI() {
+        const genericOption = this.inputBackendSelect?.querySelector('option[value="generic-sensor"]');
+        if (genericOption && !MotionInput.isGenericSensorSupported()) {
+            genericOption.disabled = true;
+            genericOption.textContent = 'Generic Sensor API (not available)';
+        }
+        if (this.sensorFrequencySelect) {
+            this.sensorFrequencySelect.hidden = this.config.inputBackend !== 'generic-sensor';
+        }
+        this.updateInputBackendHint();
+    }
+    updateInputBackendHint() {
+        if (!this.inputBackendHint)
+            return;
+        const active = this.motionInput.activeBackend;
+        if (this.config.inputBackend === 'generic-sensor' && this.inputFallbackReason) {
+            this.inputBackendHint.textContent = `Input: devicemotion (Generic Sensor API failed: ${this.inputFallbackReason})`;
+        }
+        else if (this.config.inputBackend === 'generic-sensor' && active !== 'devicemotion') {
+            this.inputBackendHint.textContent = `Input: Generic Sensor API at ${this.config.sensorFrequency} Hz`;
+        }
+        else {
+            this.inputBackendHint.textContent = 'Input: devicemotion (rate chosen by the browser)';
+        }
+    }
+    /** Start the motion source for detection or calibration. */
+    async startInput() {
+        await this.motionInput.start(this.config.inputBackend, this.config.sensorFrequency);
+        this.updateInputBackendHint();
+    }
+    /** Apply a changed input setting to a source that is already running. */
+    async restartInput() {
+        if (this.motionInput.activeBackend === null)
+            return;
+        this.engine.reset();
+        try {
+            await this.startInput();
+        }
+        catch (e) {
+            this.handleInputError(e);
+        }
+    }
+    /** The sensors could not be started: end whatever was using them and say why. */
+    handleInputError(error) {
+        console.error('Could not start motion input:', error);
+        if (this.isRunning) {
+            this.stopDetection();
+        }
+        else if (this.isCalibrating) {
+            this.cancelCalibration();
+        }
+        else {
+            this.motionInput.stop();
+            this.updateInputBackendHint();
+        }
+        this.updateStatus(`Could not start the motion sensor: ${error instanceof Error ? error.message : String(error)}`, 'error');
+    }
+    updateToleranceValue() {
+        if (this.toleranceValue) {
+            const tolerance = this.config.displacementTolerance;
+            this.toleranceValue.textContent = tolerance > 0 ? `${tolerance.toFixed(1)} cm` : 'Off';
+        }
+    }
+    setTempo(bpm) {
+        this.config.tempoBpm = bpm;
+        if (this.tempoInput) {
+            this.tempoInput.value = bpm > 0 ? bpm.toString() : '';
+        }
+        this.applyTempo();
+        this.saveSettings();
+    }
+    /** Push the tempo into the debounce window, metronome and hint. */
+    applyTempo() {
+        const bpm = this.config.tempoBpm;
+        const followingTempo = this.config.followTempo && bpm > 0;
+        const debounceTime = followingTempo ? debounceForTempo(bpm) : this.config.fixedDebounceTime;
+        this.config.debounceTime = debounceTime;
+        this.engine.updateConfig({ debounceTime });
+        if (this.debounceSlider) {
+            this.debounceSlider.value = this.config.fixedDebounceTime.toString();
+            this.debounceSlider.disabled = followingTempo;
+        }
+        if (this.debounceValue) {
+            this.debounceValue.textContent = debounceTime.toString();
+        }
+        if (bpm > 0) {
+            this.metronome?.setTempo(bpm);
+        }
+        else if (this.metronome?.isRunning) {
+            this.toggleMetronome();
+        }
+        if (this.metronomeBtn) {
+            this.metronomeBtn.disabled = bpm <= 0;
+        }
+        if (this.tempoHint) {
+            this.tempoHint.textContent = this.config.followTempo && bpm > 0
+                ? `Debounce follows tempo: ${debounceTime} ms between bounces`
+                : `Fixed debounce: ${debounceTime} ms between bounces`;
+        }
+        this.updatePerStep();
+    }
+    async toggleMetronome() {
+        if (this.metronome?.isRunning) {
+            this.metronome.stop();
+        }
+        else if (this.config.tempoBpm > 0) {
+            this.initAudio();
+            if (!this.audioContext || !this.gainNode)
+                return;
+            if (this.audioContext.state === 'suspended') {
+                await this.audioContext.resume();
+            }
+            this.metronome ?? (this.metronome = new Metronome(this.audioContext, this.gainNode));
+            this.metronome.start(this.config.tempoBpm);
+        }
+        if (this.metronomeBtn) {
+            this.metronomeBtn.textContent = this.metronome?.isRunning ? 'Stop Click' : 'Start Click';
+            this.metronomeBtn.classList.toggle('active', this.metronome?.isRunning ?? false);
+        }
+    }
+    updatePerStep() {
+        if (!this.perStepEl)
+            return;
+        if (this.config.tempoBpm > 0 && this.isRunning) {
+            const elapsed = this.activeDuration(Date.now());
+            this.perStepEl.textContent = bouncesPerStep(this.bounceCount, elapsed, this.config.tempoBpm).toFixed(2);
+        }
+        else {
+            this.perStepEl.textContent = '--';
+        }
+    }
+    updateAlgorithmHint() {
+        if (!this.algorithmHint)
+            return;
+        if (this.config.algorithm === 'peak-valley') {
+            this.algorithmHint.textContent = 'Counts a matched rise and fall; sensitivity is the minimum peak-to-peak swing';
+        }
+        else {
+            this.algorithmHint.textContent = 'Counts any single reading further than the sensitivity from baseline';
+        }
+    }
     updateGravityModeUI() {
         if (!this.gravityModeSelect)
             return;
         // Enable/disable the sensor option based on device support
         const sensorOption = this.gravityModeSelect.querySelector('option[value="sensor"]');
         if (sensorOption) {
-            if (this.gravitySensorSupported) {
+            if (this.engine.gravitySensorSupported) {
                 sensorOption.disabled = false;
                 sensorOption.textContent = "Device Sensor (recommended)";
             }
@@ -238,14 +1116,27 @@ class BounceDetector {
                 // Force filter mode if sensor was selected but not available
                 if (this.config.gravityMode === 'sensor') {
                     this.config.gravityMode = 'filter';
+                    this.engine.updateConfig({ gravityMode: 'filter' });
                     this.gravityModeSelect.value = 'filter';
                 }
             }
         }
         this.updateGravityModeHint();
     }
+    /** A new version of the app is cached; let the user switch when it suits them. */
+    showUpdateAvailable(apply) {
+        if (!this.updateBtn)
+            return;
+        this.updateBtn.hidden = false;
+        this.updateBtn.onclick = () => {
+            if (this.isRunning) {
+                this.stopDetection();
+            }
+            apply();
+        };
+    }
     checkDeviceSupport() {
-        const hasAccelerometer = 'DeviceMotionEvent' in window;
+        const hasAccelerometer = 'DeviceMotionEvent' in window || MotionInput.isGenericSensorSupported();
         const hasVibration = 'vibrate' in navigator;
         if (!hasAccelerometer) {
             this.updateStatus('Accelerometer not supported on this device', 'error');
@@ -298,70 +1189,279 @@ class BounceDetector {
         }
         // Initialize and resume audio context during user gesture
         // This is critical for browser autoplay policies
-        if (this.config.audioMode !== 'off') {
+        if (this.config.audioMode !== 'off' || this.musicTrack) {
             this.initAudio();
             if (this.audioContext && this.audioContext.state === 'suspended') {
                 await this.audioContext.resume();
             }
         }
         this.isRunning = true;
+        this.sessionStartTime = Date.now();
+        this.activeMs = 0;
+        this.activeSince = this.sessionStartTime;
+        this.perStepTimer = setInterval(() => {
+            this.updatePerStep();
+            this.updateActivityDisplay();
+            this.publishStatus();
+            this.haptics.onElapsed(Date.now() - this.sessionStartTime);
+            this.voice.onElapsed(Date.now() - this.sessionStartTime);
+        }, 1000);
+        this.haptics.reset();
         this.bounceCount = 0;
+        this.severityCounts = { minor: 0, moderate: 0, major: 0 };
+        this.totalDisplacementCm = 0;
+        this.suppressedCount = 0;
+        this.faultCounts = { sway: 0, rotation: 0 };
         this.updateBounceCount();
-        window.addEventListener('devicemotion', this.handleMotion);
+        this.engine.reset();
+        this.waveform?.clear();
+        this.fullScreen?.clear();
+        this.labeller = new SessionLabeller();
+        this.setMarkButtonsEnabled(true);
+        if (this.recordToggle?.checked) {
+            this.recorder.start(this.engine.getConfig(), {
+                baselineMagnitude: this.engine.baselineMagnitude,
+                gravity: this.engine.gravity
+            });
+        }
+        try {
+            await this.startInput();
+        }
+        catch (e) {
+            this.handleInputError(e);
+            return;
+        }
         // Start frequency audio if in a frequency mode
         if (this.config.audioMode === 'frequency' || this.config.audioMode === 'frequency-fadeout') {
             this.startFrequencyAudio();
         }
+        else if (this.config.audioMode === 'musical') {
+            this.sonifier?.start();
+        }
+        this.beatTags = [];
+        this.lastMusicSummary = null;
+        this.sessionTrack = null;
+        if (this.musicTrack && this.gainNode) {
+            this.musicTrack.play(this.gainNode);
+            this.sessionTrack = this.musicTrack;
+        }
         if (this.startBtn) {
             this.startBtn.textContent = 'Stop Detection';
             this.startBtn.classList.add('active');
         }
-        this.updateStatus('Detecting bounces...', 'active');
+        if (this.fullScreenStartBtn) {
+            this.fullScreenStartBtn.textContent = 'Stop';
+        }
+        this.setIndicatorText(this.indicatorLabel());
+        // Screen sleep suspends the page and its sensors, ending detection mid-practice
+        const screenKeptOn = await this.wakeLock.acquire();
+        this.voice.onStart();
+        this.updateStatus(screenKeptOn ? 'Detecting bounces...' : 'Detecting bounces... (screen may sleep - keep it awake)', 'active');
     }
     stopDetection() {
+        this.sessionActiveMs = this.activeDuration(Date.now());
         this.isRunning = false;
-        window.removeEventListener('devicemotion', this.handleMotion);
+        if (this.perStepTimer !== null) {
+            clearInterval(this.perStepTimer);
+            this.perStepTimer = null;
+        }
+        this.motionInput.stop();
+        this.updateInputBackendHint();
+        this.wakeLock.release();
+        this.updateActivityDisplay();
+        const unmatchedMarks = this.labeller?.unmatchedMarks ?? 0;
+        if (this.labeller?.hasMarks) {
+            this.labelStore.add(this.labeller.toSession('live'));
+            this.updateLabelInfo();
+        }
+        this.labeller = null;
+        this.setMarkButtonsEnabled(false);
         // Stop frequency audio
         this.stopFrequencyAudio();
+        this.sonifier?.stop();
+        this.finishMusicSession();
+        if (this.recorder.isRecording) {
+            this.lastRecording = this.recorder.stop(navigator.userAgent);
+            if (this.downloadRecordingBtn) {
+                this.downloadRecordingBtn.disabled = !this.lastRecording || this.lastRecording.samples.length === 0;
+            }
+        }
         if (this.startBtn) {
             this.startBtn.textContent = 'Start Detection';
             this.startBtn.classList.remove('active');
         }
-        this.updateStatus('Stopped', 'ready');
+        if (this.fullScreenStartBtn) {
+            this.fullScreenStartBtn.textContent = 'Start';
+        }
+        this.setIndicatorText(this.indicatorLabel());
+        this.publishStatus();
+        if (unmatchedMarks > 0) {
+            // Threshold detections are not always movements the labels can hold
+            this.updateStatus(`Stopped - ${unmatchedMarks} "not a bounce" mark${unmatchedMarks === 1 ? '' : 's'} matched no movement and could not be kept`, 'warning');
+        }
+        else {
+            this.updateStatus('Stopped', 'ready');
+        }
+        this.voice.onStop(this.sessionActiveMs);
+        if (this.drillRunner) {
+            this.finishDrill();
+        }
         this.clearBounceIndicator();
+        this.saveSession();
     }
-    detectBounce(currentMagnitude, now) {
-        // Check debounce time
-        if (now - this.lastBounceTime < this.config.debounceTime) {
-            return false;
+    async saveSession() {
+        const durationMs = Date.now() - this.sessionStartTime;
+        if (!this.historyStore || durationMs < MIN_SESSION_DURATION_MS)
+            return;
+        try {
+            await this.historyStore.addSession({
+                startTime: this.sessionStartTime,
+                durationMs,
+                bounceCount: this.bounceCount,
+                activeMs: this.sessionActiveMs,
+                bouncesPerMinute: bouncesPerMinute(this.bounceCount, this.sessionActiveMs),
+                severityCounts: { ...this.severityCounts },
+                averageDisplacementCm: this.bounceCount > 0 ? this.totalDisplacementCm / this.bounceCount : 0,
+                suppressedCount: this.suppressedCount,
+                faultCounts: this.config.swayDetection || this.config.rotationDetection ? { ...this.faultCounts } : undefined,
+                music: this.lastMusicSummary ? {
+                    trackName: this.lastMusicTrackName,
+                    bpm: this.lastMusicSummary.bpm,
+                    phaseCounts: this.lastMusicSummary.phaseCounts,
+                    countHistogram: this.lastMusicSummary.countHistogram,
+                    averageBouncesPerBar: this.lastMusicSummary.averageBouncesPerBar
+                } : undefined,
+                tempoBpm: this.config.tempoBpm > 0 ? this.config.tempoBpm : undefined,
+                bouncesPerStep: this.config.tempoBpm > 0 ? bouncesPerStep(this.bounceCount, this.sessionActiveMs, this.config.tempoBpm) : undefined,
+                settings: {
+                    sensitivity: this.config.sensitivity,
+                    debounceTime: this.config.debounceTime,
+                    gravityMode: this.config.gravityMode,
+                    placement: this.config.placement,
+                    algorithm: this.config.algorithm,
+                    displacementTolerance: this.config.displacementTolerance,
+                    turnTolerant: this.config.turnTolerant,
+                    autoPause: this.config.autoPause,
+                    swayDetection: this.config.swayDetection,
+                    rotationDetection: this.config.rotationDetection,
+                    audioMode: this.config.audioMode
+                },
+                baselineMagnitude: this.engine.baselineMagnitude
+            });
+            await this.historyView?.refresh();
         }
-        // Calculate deviation from baseline gravity magnitude
-        const deviation = Math.abs(currentMagnitude - this.baselineMagnitude);
-        // A bounce creates acceleration significantly different from gravity
-        // When moving up: magnitude < gravity (feeling lighter)
-        // When moving down: magnitude > gravity (feeling heavier)
-        // Using magnitude makes this orientation-independent
-        if (deviation > this.config.sensitivity) {
-            this.lastBounceTime = now;
-            return true;
+        catch (e) {
+            console.warn('Could not save practice session:', e);
+            this.updateStatus(`Could not save practice session: ${e.message}`, 'error');
         }
-        return false;
     }
-    onBounceDetected() {
+    onBounceDetected(event) {
+        let beatTag = null;
+        if (this.musicTrack?.isPlaying) {
+            // Windowed detections are placed at the middle of the rise and fall
+            const bounceTime = event.startTimestamp + event.durationMs / 2;
+            beatTag = tagBeat(this.musicTrack.positionAt(bounceTime), this.musicTrack.grid);
+            this.beatTags.push(beatTag);
+        }
+        if (this.lastBounceEl) {
+            const detail = event.durationMs > 0
+                ? `${event.amplitude.toFixed(1)} m/s² over ${Math.round(event.durationMs)} ms`
+                : `${event.amplitude.toFixed(1)} m/s²`;
+            const beat = beatTag ? ` · ${beatTag.phase} (count ${beatTag.count})` : '';
+            this.lastBounceEl.textContent = `Last bounce: rose ${event.displacementCm.toFixed(1)} cm (${event.severity}) · ${detail}${beat}`;
+        }
+        this.waveform?.markBounce(event.timestamp, event.severity);
+        this.labeller?.addBounce(event.timestamp);
+        this.fullScreen?.onBounce(event.timestamp, event.severity);
+        this.drillRunner?.onBounce(event.timestamp);
         this.bounceCount++;
+        this.severityCounts[event.severity]++;
+        this.totalDisplacementCm += event.displacementCm;
+        this.stream.sendBounce({
+            timestamp: event.timestamp,
+            severity: event.severity,
+            displacementCm: event.displacementCm,
+            count: this.bounceCount
+        });
         this.updateBounceCount();
-        this.triggerFeedback();
-        this.showBounceIndicator();
+        this.updatePerStep();
+        this.triggerFeedback(event);
+        this.showBounceIndicator(event.severity);
     }
-    triggerFeedback() {
-        // Vibration feedback
-        if ('vibrate' in navigator) {
-            navigator.vibrate(this.config.vibrationDuration);
+    setFaultDetection(kind, enabled) {
+        const update = kind === 'sway' ? { swayDetection: enabled } : { rotationDetection: enabled };
+        Object.assign(this.config, update);
+        this.engine.updateConfig(update);
+        if (this.faultToggles[kind]) {
+            this.faultToggles[kind].checked = enabled;
         }
+        if (this.faultCountsCard) {
+            this.faultCountsCard.hidden = !this.config.swayDetection && !this.config.rotationDetection;
+        }
+    }
+    setFaultSensitivity(kind, value) {
+        const update = kind === 'sway' ? { swaySensitivity: value } : { rotationSensitivity: value };
+        Object.assign(this.config, update);
+        this.engine.updateConfig(update);
+        if (this.faultSliders[kind]) {
+            this.faultSliders[kind].value = value.toString();
+        }
+        if (this.faultSliderValues[kind]) {
+            this.faultSliderValues[kind].textContent = kind === 'sway' ? value.toFixed(1) : value.toFixed(0);
+        }
+    }
+    /** Drills are already timed, and some are walking practice, so they never auto-pause. */
+    syncAutoPause() {
+        this.engine.updateConfig({ autoPause: this.config.autoPause && this.drillRunner === null });
+    }
+    isPaused() {
+        return this.isRunning && this.engine.getConfig().autoPause && this.engine.activity !== 'dancing';
+    }
+    indicatorLabel() {
+        if (!this.isRunning)
+            return 'Ready';
+        if (this.engine.isSettling)
+            return 'Settling';
+        return this.isPaused() ? 'Paused' : 'Active';
+    }
+    /** The label in the bounce indicator, mirrored under the full-screen counter. */
+    setIndicatorText(text) {
+        if (this.indicatorTextEl) {
+            this.indicatorTextEl.textContent = text;
+        }
+        this.fullScreen?.setLabel(text);
+    }
+    /** Time spent dancing so far this session; all of it when auto-pause is off. */
+    activeDuration(now) {
+        if (!this.engine.getConfig().autoPause) {
+            return now - this.sessionStartTime;
+        }
+        return this.activeMs + (this.activeSince !== null ? Math.max(0, now - this.activeSince) : 0);
+    }
+    updateActivityDisplay() {
+        if (this.activeTimeEl) {
+            this.activeTimeEl.textContent = this.isRunning || this.sessionStartTime > 0
+                ? formatDuration(Math.round((this.isRunning ? this.activeDuration(Date.now()) : this.sessionActiveMs) / 1000))
+                : '--';
+        }
+        if (this.activityStateEl) {
+            const labels = { dancing: 'Dancing', walking: 'Walking', idle: 'Still' };
+            this.activityStateEl.textContent = !this.isRunning
+                ? (this.config.autoPause ? 'Auto-pause on' : 'Auto-pause off')
+                : `${labels[this.engine.activity]}${this.isPaused() ? ' · paused' : ''}`;
+        }
+    }
+    triggerFeedback(event) {
+        // Vibration scaled by how far past the threshold the bounce went (or the streak cue)
+        this.haptics.onBounce(event.timestamp, event.amplitude, this.config.sensitivity);
+        this.voice.onBounce(event.timestamp);
         // Discrete audio feedback (buzz on bounce detection)
         if (this.config.audioMode === 'discrete') {
             this.playDiscreteBuzz();
         }
+        else if (this.config.audioMode === 'musical') {
+            this.sonifier?.playBounce(event.severity);
+        }
     }
     initAudio() {
         if (this.isAudioInitialized)
@@ -371,6 +1471,7 @@ class BounceDetector {
             this.gainNode = this.audioContext.createGain();
             this.gainNode.connect(this.audioContext.destination);
             this.gainNode.gain.value = this.config.audioVolume;
+            this.sonifier = new Sonifier(this.audioContext, this.gainNode, this.config.sonification);
             this.isAudioInitialized = true;
         }
         catch (e) {
@@ -393,6 +1494,108 @@ class BounceDetector {
         if ((this.config.audioMode === 'frequency' || this.config.audioMode === 'frequency-fadeout') && this.isRunning) {
             this.startFrequencyAudio();
         }
+        if (this.config.audioMode !== 'musical') {
+            this.sonifier?.stop();
+        }
+        else if (this.isRunning && !this.sonifier?.isRunning) {
+            this.sonifier?.start();
+        }
+    }
+    handleSonificationChange() {
+        this.config.sonification = sanitizeSonification({
+            key: Number(this.sonifyKeySelect?.value),
+            scale: this.sonifyScaleSelect?.value,
+            timbre: this.sonifyTimbreSelect?.value,
+            brightness: Number(this.sonifyBrightnessSlider?.value),
+            attackMs: Number(this.sonifyAttackSlider?.value),
+            releaseMs: Number(this.sonifyReleaseSlider?.value)
+        });
+        this.applySonification();
+        this.saveSettings();
+    }
+    /** Show the musical mode settings in the controls and hand them to the sonifier. */
+    applySonification() {
+        const settings = this.config.sonification;
+        this.sonifier?.setSettings(settings);
+        if (this.sonifyKeySelect)
+            this.sonifyKeySelect.value = settings.key.toString();
+        if (this.sonifyScaleSelect)
+            this.sonifyScaleSelect.value = settings.scale;
+        if (this.sonifyTimbreSelect)
+            this.sonifyTimbreSelect.value = settings.timbre;
+        if (this.sonifyBrightnessSlider)
+            this.sonifyBrightnessSlider.value = settings.brightness.toString();
+        if (this.sonifyBrightnessValue)
+            this.sonifyBrightnessValue.textContent = settings.brightness.toString();
+        if (this.sonifyAttackSlider)
+            this.sonifyAttackSlider.value = settings.attackMs.toString();
+        if (this.sonifyAttackValue)
+            this.sonifyAttackValue.textContent = settings.attackMs.toString();
+        if (this.sonifyReleaseSlider)
+            this.sonifyReleaseSlider.value = settings.releaseMs.toString();
+        if (this.sonifyReleaseValue)
+            this.sonifyReleaseValue.textContent = settings.releaseMs.toString();
+    }
+    openFullScreen() {
+        if (!this.fullScreen)
+            return;
+        this.fullScreen.setCount(this.bounceCount);
+        this.fullScreen.setLabel(this.indicatorLabel());
+        this.fullScreen.open();
+    }
+    handleVisualFeedbackChange() {
+        const settings = { ...this.config.visualFeedback };
+        VISUAL_ELEMENTS.forEach((element) => {
+            settings[element] = {
+                enabled: this.visualToggles[element]?.checked ?? settings[element].enabled,
+                color: this.visualColors[element]?.value ?? settings[element].color,
+                brightness: Number(this.visualBrightness[element]?.value ?? settings[element].brightness)
+            };
+        });
+        this.config.visualFeedback = sanitizeVisualFeedback(settings);
+        this.applyVisualFeedback();
+        this.saveSettings();
+    }
+    /** Show the full-screen settings in the controls and hand them to the view. */
+    applyVisualFeedback() {
+        const settings = this.config.visualFeedback;
+        this.fullScreen?.setSettings(settings);
+        VISUAL_ELEMENTS.forEach((element) => {
+            const toggle = this.visualToggles[element];
+            const color = this.visualColors[element];
+            const brightness = this.visualBrightness[element];
+            if (toggle)
+                toggle.checked = settings[element].enabled;
+            if (color)
+                color.value = settings[element].color;
+            if (brightness)
+                brightness.value = settings[element].brightness.toString();
+        });
+    }
+    async loadBounceSample(file) {
+        // Loading happens in a user gesture, so the audio context can be created here
+        this.initAudio();
+        if (!this.sonifier) {
+            this.updateStatus('Web Audio not supported - cannot play samples', 'error');
+            return;
+        }
+        try {
+            await this.sonifier.loadSample(file);
+            this.updateStatus(`Bounce sample ${file.name} loaded`, 'ready');
+        }
+        catch (e) {
+            this.updateStatus(`Could not load sample: ${e.message}`, 'error');
+        }
+        this.updateSampleInfo();
+    }
+    updateSampleInfo() {
+        const name = this.sonifier?.loadedSampleName ?? null;
+        if (this.sonifySampleInfo) {
+            this.sonifySampleInfo.textContent = name ? `Bounce sample: ${name}` : 'Bounces play a synthesized note';
+        }
+        if (this.sonifyClearSampleBtn) {
+            this.sonifyClearSampleBtn.disabled = name === null;
+        }
     }
     async startFrequencyAudio() {
         if (!this.audioContext || !this.gainNode) {
@@ -506,50 +1709,578 @@ class BounceDetector {
         buzzOscillator.start();
         buzzOscillator.stop(this.audioContext.currentTime + 0.15);
     }
-    showBounceIndicator() {
+    showBounceIndicator(severity) {
         if (this.indicatorEl) {
-            this.indicatorEl.classList.add('bounce');
+            this.clearBounceIndicator();
+            this.indicatorEl.classList.add('bounce', `severity-${severity}`);
             setTimeout(() => this.clearBounceIndicator(), 200);
         }
     }
     clearBounceIndicator() {
         if (this.indicatorEl) {
-            this.indicatorEl.classList.remove('bounce');
+            this.indicatorEl.classList.remove('bounce', 'severity-minor', 'severity-moderate', 'severity-major', 'fault', 'fault-sway', 'fault-rotation');
         }
     }
-    startCalibration() {
+    showFaultIndicator(kind) {
+        if (this.indicatorEl) {
+            this.clearBounceIndicator();
+            this.indicatorEl.classList.add('fault', `fault-${kind}`);
+            setTimeout(() => this.clearBounceIndicator(), 200);
+        }
+    }
+    async startCalibration() {
         if (this.isRunning) {
             this.updateStatus('Stop detection before calibrating', 'warning');
             return;
         }
         this.isCalibrating = true;
-        this.calibrationSamples = [];
-        // Reset gravity to allow fast convergence during calibration
-        this.gravityX = 0;
-        this.gravityY = 0;
-        this.gravityZ = 9.81;
-        window.addEventListener('devicemotion', this.handleMotion);
+        this.engine.startCalibration();
+        this.waveform?.clear();
         this.updateStatus('Calibrating... Hold phone still', 'calibrating');
+        this.voice.onCalibrationStart();
         if (this.calibrateBtn) {
             this.calibrateBtn.disabled = true;
         }
+        this.setCalibrationProgress(0);
+        // Without readings the engine never reaches the end of its window
+        this.calibrationTimeout = setTimeout(() => this.engine.endCalibration(), CALIBRATION_TIMEOUT_MS);
+        try {
+            await this.startInput();
+        }
+        catch (e) {
+            this.handleInputError(e);
+        }
     }
-    finishCalibration() {
-        window.removeEventListener('devicemotion', this.handleMotion);
+    /** Stop a calibration that never got its readings, keeping the previous one. */
+    cancelCalibration() {
+        this.clearCalibrationTimeout();
+        this.engine.cancelCalibration();
+        this.motionInput.stop();
+        this.updateInputBackendHint();
         this.isCalibrating = false;
-        // Gravity direction has already converged during calibration via fast filter
-        // It will continue to be tracked slowly during detection
-        if (this.calibrationSamples.length > 0) {
-            // Calculate average magnitude as baseline
-            const sum = this.calibrationSamples.reduce((a, b) => a + b, 0);
-            this.baselineMagnitude = sum / this.calibrationSamples.length;
-            this.updateStatus(`Calibrated! Baseline: ${this.baselineMagnitude.toFixed(2)} m/s²`, 'ready');
-            this.saveSettings();
-        }
+        this.setCalibrationProgress(null);
         if (this.calibrateBtn) {
             this.calibrateBtn.disabled = false;
         }
     }
+    setCalibrationProgress(progress) {
+        if (this.calibrationProgressEl) {
+            this.calibrationProgressEl.hidden = progress === null;
+        }
+        if (this.calibrationProgressBar && progress !== null) {
+            this.calibrationProgressBar.style.width = `${Math.round(progress * 100)}%`;
+        }
+    }
+    clearCalibrationTimeout() {
+        if (this.calibrationTimeout !== null) {
+            clearTimeout(this.calibrationTimeout);
+            this.calibrationTimeout = null;
+        }
+    }
+    async loadMusic(file) {
+        // Loading happens in a user gesture, so the audio context can be created and resumed here
+        this.initAudio();
+        if (!this.audioContext) {
+            this.updateStatus('Web Audio not supported - cannot play music', 'error');
+            return;
+        }
+        if (this.audioContext.state === 'suspended') {
+            await this.audioContext.resume();
+        }
+        this.finishMusicSession();
+        this.musicTrack?.stop();
+        this.updateStatus('Analysing track...', 'calibrating');
+        try {
+            this.musicTrack = await MusicTrack.load(file, this.audioContext);
+            this.updateStatus(`Loaded ${file.name} at ${Math.round(this.musicTrack.grid.bpm)} BPM`, 'ready');
+            // The track's tempo is the dance tempo until the user sets another
+            this.setTempo(Math.round(this.musicTrack.grid.bpm));
+        }
+        catch (e) {
+            this.musicTrack = null;
+            this.updateStatus(`Could not load track: ${e.message}`, 'error');
+        }
+        this.updateMusicInfo();
+    }
+    /**
+     * Summarise where the bounces fell in the track played this session: at
+     * Stop, or earlier if the track is removed or replaced. The track may have
+     * ended by itself before then.
+     */
+    finishMusicSession() {
+        const track = this.sessionTrack;
+        if (!track)
+            return;
+        this.sessionTrack = null;
+        // Never past the end of the track, however long ago it finished
+        const playedSec = track.positionAt(Date.now());
+        track.stop();
+        if (this.beatTags.length === 0)
+            return;
+        this.lastMusicSummary = summarizeMusicSession(this.beatTags, track.grid, playedSec);
+        this.lastMusicTrackName = track.name;
+        if (this.musicSummaryEl) {
+            renderMusicSummary(this.musicSummaryEl, track.name, this.lastMusicSummary);
+        }
+    }
+    updateMusicInfo() {
+        if (this.musicInfoEl) {
+            this.musicInfoEl.textContent = this.musicTrack
+                ? `${this.musicTrack.name} · ${Math.round(this.musicTrack.grid.bpm)} BPM · plays when detection starts`
+                : 'No track loaded';
+        }
+        if (this.removeMusicBtn) {
+            this.removeMusicBtn.disabled = !this.musicTrack;
+        }
+    }
+    setMarkButtonsEnabled(enabled) {
+        if (this.markFalseBtn)
+            this.markFalseBtn.disabled = !enabled;
+        if (this.markMissedBtn)
+            this.markMissedBtn.disabled = !enabled;
+    }
+    updateLabelInfo() {
+        if (this.labelInfoEl) {
+            const sessions = this.labelStore.sessions.length;
+            this.labelInfoEl.textContent = sessions > 0
+                ? `${this.labelStore.movementCount} labelled movements from ${sessions} session${sessions === 1 ? '' : 's'}`
+                : 'No labels yet';
+            if (!this.labelStore.writable) {
+                this.labelInfoEl.textContent += ' (not saved)';
+            }
+        }
+        if (this.clearLabelsBtn) {
+            this.clearLabelsBtn.disabled = this.labelStore.sessions.length === 0;
+        }
+    }
+    applyStreamSettings() {
+        saveStreamSettings(localStorage, this.streamSettings); // Keeps a newly generated device id
+        if (this.streamRelayInput) {
+            this.streamRelayInput.value = this.streamSettings.relay;
+        }
+        if (this.streamNameInput) {
+            this.streamNameInput.value = this.streamSettings.name;
+        }
+    }
+    startStream() {
+        const url = relayUrl(this.streamSettings.relay, location.protocol === 'https:');
+        if (!url) {
+            if (this.streamToggle) {
+                this.streamToggle.checked = false;
+            }
+            this.stream.stop();
+            this.updateStatus('Enter the relay address your instructor\'s laptop shows, e.g. 192.168.1.20:8787', 'warning');
+            return;
+        }
+        this.stream.start(url, this.streamSettings.id, this.streamSettings.name || 'Dancer');
+    }
+    handleStreamState(state) {
+        if (state === 'off' && this.streamToggle?.checked) {
+            // The browser refused the address outright, e.g. ws:// from a secure page
+            this.streamToggle.checked = false;
+            this.updateStatus('Could not open the relay address - this page needs a wss:// relay', 'error');
+        }
+        if (state === 'connected') {
+            this.publishStatus();
+        }
+        if (this.streamStatusEl) {
+            const relay = this.streamSettings.relay;
+            this.streamStatusEl.textContent = {
+                off: 'Not streaming',
+                connecting: `Connecting to ${relay}...`,
+                connected: `Streaming to ${relay}`,
+                reconnecting: `Relay ${relay} unreachable - retrying`
+            }[state];
+        }
+    }
+    /** Send the count and state to the relay, when streaming. */
+    publishStatus() {
+        if (this.stream.state !== 'connected')
+            return;
+        this.stream.sendStatus({
+            running: this.isRunning,
+            paused: this.isPaused(),
+            count: this.bounceCount,
+            severityCounts: { ...this.severityCounts },
+            faultCounts: { ...this.faultCounts },
+            activeMs: this.isRunning ? this.activeDuration(Date.now()) : this.sessionActiveMs,
+            sensitivity: this.config.sensitivity,
+            algorithm: this.config.algorithm
+        });
+    }
+    /** Replay a recording with the current settings and list its movements for labelling. */
+    async reviewFile(file) {
+        let recording;
+        try {
+            recording = parseRecording(await file.text());
+        }
+        catch (e) {
+            this.updateStatus(`Could not load recording: ${e.message}`, 'error');
+            return;
+        }
+        const result = replayRecording(recording, this.engine.getConfig());
+        const labeller = new SessionLabeller(result.candidates, result.bounces.map((bounce) => bounce.timestamp));
+        this.reviewLabeller = labeller;
+        // Counted movements, and uncounted ones big enough to be a missed bounce
+        const { algorithm, sensitivity } = this.config;
+        const rows = labeller.review()
+            .map((movement, index) => [index, movement])
+            .filter(([, m]) => m.detected || (algorithm === 'peak-valley' ? m.swing : m.peakDeviation) >= sensitivity / 2);
+        if (this.reviewListEl) {
+            // Recording timestamps count from the first sample
+            renderLabelReview(this.reviewListEl, rows, 0, (index, bounce) => labeller.setVerdict(index, bounce));
+        }
+        if (this.saveReviewBtn) {
+            this.saveReviewBtn.hidden = false;
+        }
+        this.updateStatus(`Reviewing ${file.name}: ${result.bounceCount} counted - untick false detections, tick missed bounces, then save`, 'ready');
+    }
+    proposeTune() {
+        this.tuneProposal = null;
+        if (this.applyTuneBtn) {
+            this.applyTuneBtn.hidden = true;
+        }
+        let proposal;
+        try {
+            proposal = autoTune(this.labelStore.sessions, this.config.algorithm, {
+                sensitivity: this.config.sensitivity,
+                debounceTime: this.config.debounceTime
+            });
+        }
+        catch (e) {
+            if (this.tuneResultEl) {
+                this.tuneResultEl.textContent = e.message;
+            }
+            return;
+        }
+        const percent = (x) => `${Math.round(x * 100)}%`;
+        if (this.tuneResultEl) {
+            this.tuneResultEl.textContent =
+                `Sensitivity ${proposal.sensitivity.toFixed(1)} m/s², debounce ${proposal.debounceTime} ms: ` +
+                    `precision ${percent(proposal.expected.precision)}, recall ${percent(proposal.expected.recall)} ` +
+                    `(now ${percent(proposal.current.precision)} and ${percent(proposal.current.recall)}) · ` +
+                    `from ${proposal.bounces} bounces and ${proposal.nonBounces} other movements`;
+        }
+        this.tuneProposal = proposal;
+        if (this.applyTuneBtn) {
+            this.applyTuneBtn.hidden = false;
+        }
+    }
+    applyTune() {
+        if (!this.tuneProposal)
+            return;
+        const { sensitivity, debounceTime } = this.tuneProposal;
+        this.applySettings({ sensitivity, debounceTime });
+        // Debounce is the fixed one; following the tempo would override it
+        this.config.followTempo = false;
+        if (this.followTempoToggle) {
+            this.followTempoToggle.checked = false;
+        }
+        this.applyTempo();
+        this.saveSettings();
+        this.tuneProposal = null;
+        if (this.applyTuneBtn) {
+            this.applyTuneBtn.hidden = true;
+        }
+        this.updateStatus(`Applied sensitivity ${sensitivity.toFixed(1)} m/s² and debounce ${debounceTime} ms`, 'ready');
+    }
+    downloadRecording() {
+        if (!this.lastRecording)
+            return;
+        downloadJson(serializeRecording(this.lastRecording), `bounce-recording-${this.lastRecording.recordedAt.replace(/[:.]/g, '-')}.json`);
+    }
+    /** Show the current patterns in the editor and hand them to the haptic coach. */
+    applyHapticPatterns() {
+        this.haptics.setVocabulary(this.config.hapticPatterns);
+        Object.entries(this.patternInputs).forEach(([cue, input]) => {
+            input.value = formatPattern(this.config.hapticPatterns[cue]);
+        });
+    }
+    renderDrills(selectedId = this.drillSelect?.value ?? null) {
+        if (!this.drillSelect)
+            return;
+        const groups = [['Library', DRILL_LIBRARY], ['Custom', this.drillStore.custom]];
+        this.drillSelect.replaceChildren(...groups
+            .filter(([, drills]) => drills.length > 0)
+            .map(([label, drills]) => {
+            const group = document.createElement('optgroup');
+            group.label = label;
+            group.append(...drills.map((drill) => {
+                const option = document.createElement('option');
+                option.value = drill.id;
+                option.textContent = drill.name;
+                option.selected = drill.id === selectedId;
+                return option;
+            }));
+            return group;
+        }));
+        this.showSelectedDrill();
+    }
+    /** Describe the selected drill and load it into the editor as a starting point. */
+    showSelectedDrill() {
+        const drill = this.drillSelect ? this.drillStore.find(this.drillSelect.value) : undefined;
+        if (!drill)
+            return;
+        const custom = this.drillStore.isCustom(drill.id);
+        if (this.drillInfo) {
+            const targets = drill.phases
+                .filter((phase) => phase.targetBouncesPerMinute !== null)
+                .map((phase) => `${phase.name}: under ${phase.targetBouncesPerMinute}/min`);
+            this.drillInfo.textContent = `${formatDuration(drillDurationSec(drill))} including ${drill.countdownSec} s countdown and ${drill.warmUpSec} s warm-up · ${targets.join(' · ') || 'not scored'}`;
+        }
+        if (this.drillNameInput)
+            this.drillNameInput.value = custom ? drill.name : `${drill.name} (custom)`;
+        if (this.drillCountdownInput)
+            this.drillCountdownInput.value = drill.countdownSec.toString();
+        if (this.drillWarmUpInput)
+            this.drillWarmUpInput.value = drill.warmUpSec.toString();
+        if (this.drillPhasesInput)
+            this.drillPhasesInput.value = formatPhases(drill.phases);
+        if (this.saveDrillBtn)
+            this.saveDrillBtn.disabled = !custom;
+        if (this.deleteDrillBtn)
+            this.deleteDrillBtn.disabled = !custom;
+    }
+    /** Save the editor as a custom drill: over the selected custom drill, or as a new one. */
+    saveDrill(asNew) {
+        const name = this.drillNameInput?.value.trim() ?? '';
+        const countdownSec = Number(this.drillCountdownInput?.value);
+        const warmUpSec = Number(this.drillWarmUpInput?.value);
+        if (!name) {
+            this.updateStatus('Give the drill a name', 'error');
+            return;
+        }
+        if (!Number.isInteger(countdownSec) || countdownSec < 0 || !Number.isInteger(warmUpSec) || warmUpSec < 0) {
+            this.updateStatus('Countdown and warm-up must be whole seconds', 'error');
+            return;
+        }
+        let phases;
+        try {
+            phases = parsePhases(this.drillPhasesInput?.value ?? '');
+        }
+        catch (e) {
+            this.updateStatus(`Invalid drill: ${e.message}`, 'error');
+            return;
+        }
+        const selectedId = this.drillSelect?.value ?? '';
+        const id = !asNew && this.drillStore.isCustom(selectedId) ? selectedId : newDrillId();
+        this.drillStore.put({ id, name, countdownSec, warmUpSec, phases });
+        this.renderDrills(id);
+        if (this.drillStore.writable) {
+            this.updateStatus(`Drill "${name}" saved`, 'ready');
+        }
+        else {
+            this.updateStatus(`Drill "${name}" kept until the app closes - stored drills could not be read, so they are not overwritten`, 'warning');
+        }
+    }
+    deleteDrill() {
+        const drill = this.drillSelect ? this.drillStore.find(this.drillSelect.value) : undefined;
+        if (!drill || !this.drillStore.isCustom(drill.id))
+            return;
+        if (!confirm(`Delete the drill "${drill.name}"?`))
+            return;
+        this.drillStore.delete(drill.id);
+        this.renderDrills(null);
+    }
+    async startDrill() {
+        if (this.isRunning || this.isCalibrating) {
+            this.updateStatus('Stop detection before starting a drill', 'warning');
+            return;
+        }
+        const drill = this.drillSelect ? this.drillStore.find(this.drillSelect.value) : undefined;
+        if (!drill)
+            return;
+        if (this.drillResultsEl) {
+            this.drillResultsEl.hidden = true;
+        }
+        await this.startDetection();
+        if (!this.isRunning)
+            return;
+        // The countdown starts once detection is running, so it covers pocketing the phone
+        this.drillRunner = new DrillRunner(drill);
+        this.drillRunner.start(Date.now());
+        this.syncAutoPause();
+        this.drillTimer = setInterval(() => this.updateDrill(), 250);
+        this.updateDrill();
+    }
+    updateDrill() {
+        if (!this.drillRunner)
+            return;
+        const status = this.drillRunner.tick(Date.now());
+        if (status.stage === 'done') {
+            this.stopDetection();
+            return;
+        }
+        if (status.changed) {
+            this.voice.announce(this.describeDrillStage(status));
+        }
+        if (this.drillStatusEl) {
+            const seconds = Math.ceil(status.remainingMs / 1000);
+            const bounces = status.stage === 'phase' ? ` · ${status.stageBounces} bounces` : '';
+            this.drillStatusEl.textContent = status.stage === 'countdown'
+                ? `${status.label}... ${seconds}`
+                : `${status.label} · ${formatDuration(seconds)}${bounces}`;
+            this.drillStatusEl.hidden = false;
+        }
+    }
+    describeDrillStage(status) {
+        if (status.stage !== 'phase' || !this.drillRunner) {
+            return `${status.label}, ${spokenDuration(Math.round(status.remainingMs / 1000))}`;
+        }
+        const phase = this.drillRunner.drill.phases[status.phaseIndex];
+        const target = phase.targetBouncesPerMinute !== null ? `. Under ${phase.targetBouncesPerMinute} bounces a minute` : '';
+        return `${phase.name}, ${spokenDuration(phase.durationSec)}${target}`;
+    }
+    /** End the drill (finished or stopped early) and show its results. */
+    finishDrill() {
+        if (!this.drillRunner)
+            return;
+        if (this.drillTimer !== null) {
+            clearInterval(this.drillTimer);
+            this.drillTimer = null;
+        }
+        const result = this.drillRunner.result(Date.now());
+        this.drillRunner = null;
+        this.syncAutoPause();
+        if (this.drillStatusEl) {
+            this.drillStatusEl.hidden = true;
+        }
+        if (this.drillResultsEl && this.drillResultsBody) {
+            renderDrillResults(this.drillResultsBody, result);
+            this.drillResultsEl.hidden = false;
+        }
+        const verdict = result.passed ? 'Drill passed' : (result.completed ? 'Drill not passed' : 'Drill stopped early');
+        this.updateStatus(`${verdict} - score ${result.score}%`, result.passed ? 'ready' : 'warning');
+        this.voice.announce(`${verdict}. Score ${result.score} percent.`);
+    }
+    renderProfiles() {
+        if (this.profileSelect) {
+            const active = this.profileStore.active;
+            this.profileSelect.replaceChildren(...this.profileStore.profiles.map((profile) => {
+                const option = document.createElement('option');
+                option.value = profile.id;
+                option.textContent = profile.name;
+                option.selected = profile.id === active.id;
+                return option;
+            }));
+        }
+        if (this.deleteProfileBtn) {
+            this.deleteProfileBtn.disabled = this.profileStore.profiles.length <= 1;
+        }
+    }
+    /** Profiles change detection and audio settings wholesale, so only while idle. */
+    canChangeProfile() {
+        if (this.isRunning || this.isCalibrating) {
+            this.updateStatus('Stop detection before changing profiles', 'warning');
+            this.renderProfiles();
+            return false;
+        }
+        return true;
+    }
+    /** Make the store's active profile take effect. */
+    activateProfile() {
+        const profile = this.profileStore.active;
+        this.applySettings({ ...this.defaultSettings, ...profile.settings });
+        this.applyTempo();
+        this.applyHapticPatterns();
+        this.applySonification();
+        this.applyVisualFeedback();
+        this.updateGravityModeUI();
+        this.updateInputBackendUI();
+        if (this.gainNode) {
+            this.gainNode.gain.value = this.config.audioVolume;
+        }
+        this.renderProfiles();
+        this.updateStatus(`Profile: ${profile.name}${this.profileStore.writable ? '' : ' (not saved)'}`, 'ready');
+    }
+    switchProfile(id) {
+        if (!this.canChangeProfile())
+            return;
+        this.profileStore.switchTo(id);
+        this.activateProfile();
+    }
+    duplicateProfile() {
+        if (!this.canChangeProfile())
+            return;
+        const source = this.profileStore.active;
+        const name = prompt('Name for the new profile', `${source.name} copy`)?.trim();
+        if (!name)
+            return;
+        this.profileStore.duplicate(source.id, name);
+        this.activateProfile();
+    }
+    deleteProfile() {
+        if (!this.canChangeProfile())
+            return;
+        const profile = this.profileStore.active;
+        if (!confirm(`Delete the profile "${profile.name}"?`))
+            return;
+        try {
+            this.profileStore.delete(profile.id);
+        }
+        catch (e) {
+            this.updateStatus(e.message, 'error');
+            return;
+        }
+        this.activateProfile();
+    }
+    exportProfile() {
+        const profile = this.profileStore.active;
+        const slug = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+        downloadJson(this.profileStore.exportProfile(profile.id), `bounce-profile-${slug}.json`);
+    }
+    async importProfile(file) {
+        if (!this.canChangeProfile())
+            return;
+        try {
+            this.profileStore.importProfile(await file.text());
+        }
+        catch (e) {
+            this.updateStatus(`Could not import profile: ${e.message}`, 'error');
+            return;
+        }
+        this.activateProfile();
+    }
+    async replayFile(file) {
+        let recording;
+        try {
+            recording = parseRecording(await file.text());
+        }
+        catch (e) {
+            this.updateStatus(`Could not load recording: ${e.message}`, 'error');
+            return;
+        }
+        // Replay once with the settings it was recorded with and once with the current ones
+        const { sensitivity, gravityMode, algorithm } = this.config;
+        const original = replayRecording(recording);
+        const current = replayRecording(recording, this.engine.getConfig());
+        if (this.replayResultsEl) {
+            const item = document.createElement('li');
+            item.textContent =
+                `${file.name} (${(current.durationMs / 1000).toFixed(0)}s): ` +
+                    `${current.bounceCount} bounces at ${sensitivity.toFixed(1)} m/s², ${gravityMode}, ${algorithm} ` +
+                    `(recorded settings: ${original.bounceCount} at ${original.settings.sensitivity.toFixed(1)} m/s², ` +
+                    `${original.settings.gravityMode}, ${original.settings.algorithm})`;
+            this.replayResultsEl.prepend(item);
+        }
+        this.updateStatus(`Replayed ${current.sampleCount} samples: ${current.bounceCount} bounces`, 'ready');
+    }
+    /**
+     * Stored profiles, drills or labels that could not be read (written by a
+     * newer version of the app, say) are never overwritten, so changes to
+     * them are lost when the page closes. Say so rather than lose them quietly.
+     */
+    reportUnsavedStores() {
+        const unsaved = [
+            this.profileStore.writable ? null : 'profiles',
+            this.drillStore.writable ? null : 'custom drills',
+            this.labelStore.writable ? null : 'bounce labels'
+        ].filter((name) => name !== null);
+        // A device that can't detect at all is the bigger problem
+        if (unsaved.length === 0 || this.statusEl?.classList.contains('error'))
+            return;
+        this.updateStatus(`Saved ${unsaved.join(', ')} could not be read and are left untouched - changes to them will not be kept`, 'warning');
+    }
     updateStatus(message, type) {
         if (this.statusEl) {
             this.statusEl.textContent = message;
@@ -560,70 +2291,226 @@ class BounceDetector {
         if (this.bounceCountEl) {
             this.bounceCountEl.textContent = this.bounceCount.toString();
         }
+        this.fullScreen?.setCount(this.bounceCount);
+        if (this.suppressedCountEl) {
+            this.suppressedCountEl.textContent = this.suppressedCount.toString();
+        }
+        FAULT_KINDS.forEach((kind) => {
+            const el = this.faultCountEls[kind];
+            if (el) {
+                el.textContent = this.faultCounts[kind].toString();
+            }
+        });
+        Object.keys(this.severityCountEls).forEach((severity) => {
+            const el = this.severityCountEls[severity];
+            if (el) {
+                el.textContent = this.severityCounts[severity].toString();
+            }
+        });
+        this.publishStatus();
     }
-    saveSettings() {
-        const settings = {
-            sensitivity: this.config.sensitivity,
-            baselineMagnitude: this.baselineMagnitude,
-            audioMode: this.config.audioMode,
-            audioVolume: this.config.audioVolume,
-            gravityMode: this.config.gravityMode,
+    /** Settings as stored in a profile, including calibration. */
+    currentSettings() {
+        const gravity = this.engine.gravity;
+        return {
+            ...this.settingsFromConfig(this.config),
+            baselineMagnitude: this.engine.baselineMagnitude,
             // Save calibrated gravity direction
-            gravityX: this.gravityX,
-            gravityY: this.gravityY,
-            gravityZ: this.gravityZ
+            gravityX: gravity.x,
+            gravityY: gravity.y,
+            gravityZ: gravity.z
+        };
+    }
+    settingsFromConfig(config) {
+        return {
+            sensitivity: config.sensitivity,
+            debounceTime: config.fixedDebounceTime,
+            audioMode: config.audioMode,
+            audioVolume: config.audioVolume,
+            sonification: config.sonification,
+            voiceVerbosity: config.voiceVerbosity,
+            voiceVolume: config.voiceVolume,
+            gravityMode: config.gravityMode,
+            placement: config.placement,
+            algorithm: config.algorithm,
+            displacementTolerance: config.displacementTolerance,
+            tempoBpm: config.tempoBpm,
+            followTempo: config.followTempo,
+            turnTolerant: config.turnTolerant,
+            autoPause: config.autoPause,
+            swayDetection: config.swayDetection,
+            swaySensitivity: config.swaySensitivity,
+            rotationDetection: config.rotationDetection,
+            rotationSensitivity: config.rotationSensitivity,
+            inputBackend: config.inputBackend,
+            sensorFrequency: config.sensorFrequency,
+            vibration: config.vibration,
+            hapticPatterns: config.hapticPatterns,
+            visualFeedback: config.visualFeedback
         };
-        localStorage.setItem('bounceDetectorSettings', JSON.stringify(settings));
+    }
+    saveSettings() {
+        this.profileStore.updateActive(this.currentSettings());
     }
     loadSettings() {
+        this.profileStore.load();
         try {
-            const saved = localStorage.getItem('bounceDetectorSettings');
-            if (saved) {
-                const settings = JSON.parse(saved);
-                if (settings.sensitivity !== undefined) {
-                    this.config.sensitivity = settings.sensitivity;
-                    if (this.sensitivitySlider) {
-                        this.sensitivitySlider.value = settings.sensitivity.toString();
-                    }
-                    if (this.sensitivityValue) {
-                        this.sensitivityValue.textContent = settings.sensitivity.toFixed(1);
-                    }
-                }
-                // Load baselineMagnitude (ignore old baselineZ since it was orientation-dependent)
-                if (settings.baselineMagnitude !== undefined) {
-                    this.baselineMagnitude = settings.baselineMagnitude;
-                }
-                if (settings.audioMode !== undefined) {
-                    this.config.audioMode = settings.audioMode;
-                    if (this.audioModeSelect) {
-                        this.audioModeSelect.value = settings.audioMode;
-                    }
-                }
-                if (settings.audioVolume !== undefined) {
-                    this.config.audioVolume = settings.audioVolume;
-                    if (this.audioVolumeSlider) {
-                        this.audioVolumeSlider.value = settings.audioVolume.toString();
-                    }
-                    if (this.audioVolumeValue) {
-                        this.audioVolumeValue.textContent = Math.round(settings.audioVolume * 100).toString();
-                    }
-                }
-                if (settings.gravityMode !== undefined) {
-                    this.config.gravityMode = settings.gravityMode;
-                    if (this.gravityModeSelect) {
-                        this.gravityModeSelect.value = settings.gravityMode;
-                    }
-                }
-                // Load calibrated gravity direction
-                if (settings.gravityX !== undefined && settings.gravityY !== undefined && settings.gravityZ !== undefined) {
-                    this.gravityX = settings.gravityX;
-                    this.gravityY = settings.gravityY;
-                    this.gravityZ = settings.gravityZ;
-                }
-            }
+            this.applySettings(this.profileStore.active.settings);
         }
         catch (e) {
-            console.warn('Could not load settings:', e);
+            // Stored settings are checked as they are read, but the app must start whatever is in storage
+            console.warn('Failed to apply saved settings, using defaults:', e);
+            this.applySettings(this.defaultSettings);
+        }
+        this.renderProfiles();
+    }
+    /** Apply stored settings; fields that are missing keep their current value. */
+    applySettings(settings) {
+        if (settings.sensitivity !== undefined) {
+            this.config.sensitivity = settings.sensitivity;
+            this.engine.updateConfig({ sensitivity: settings.sensitivity });
+            if (this.sensitivitySlider) {
+                this.sensitivitySlider.value = settings.sensitivity.toString();
+            }
+            if (this.sensitivityValue) {
+                this.sensitivityValue.textContent = settings.sensitivity.toFixed(1);
+            }
+        }
+        // Load baselineMagnitude (ignore old baselineZ since it was orientation-dependent)
+        if (settings.baselineMagnitude !== undefined) {
+            this.engine.restoreCalibration({ baselineMagnitude: settings.baselineMagnitude });
+        }
+        if (settings.audioMode !== undefined) {
+            this.config.audioMode = settings.audioMode;
+            if (this.audioModeSelect) {
+                this.audioModeSelect.value = settings.audioMode;
+            }
+        }
+        if (settings.audioVolume !== undefined) {
+            this.config.audioVolume = settings.audioVolume;
+            if (this.audioVolumeSlider) {
+                this.audioVolumeSlider.value = settings.audioVolume.toString();
+            }
+            if (this.audioVolumeValue) {
+                this.audioVolumeValue.textContent = Math.round(settings.audioVolume * 100).toString();
+            }
+        }
+        if (settings.sonification !== undefined) {
+            this.config.sonification = sanitizeSonification(settings.sonification);
+        }
+        if (settings.voiceVerbosity !== undefined) {
+            this.config.voiceVerbosity = settings.voiceVerbosity;
+            this.voice.setVerbosity(settings.voiceVerbosity);
+            if (this.voiceVerbositySelect) {
+                this.voiceVerbositySelect.value = settings.voiceVerbosity;
+            }
+        }
+        if (settings.voiceVolume !== undefined) {
+            this.config.voiceVolume = settings.voiceVolume;
+            if (this.voiceVolumeSlider) {
+                this.voiceVolumeSlider.value = settings.voiceVolume.toString();
+            }
+            if (this.voiceVolumeValue) {
+                this.voiceVolumeValue.textContent = Math.round(settings.voiceVolume * 100).toString();
+            }
+        }
+        if (settings.gravityMode !== undefined) {
+            this.config.gravityMode = settings.gravityMode;
+            this.engine.updateConfig({ gravityMode: this.config.gravityMode });
+            if (this.gravityModeSelect) {
+                this.gravityModeSelect.value = settings.gravityMode;
+            }
+        }
+        if (settings.placement !== undefined && isPhonePlacement(settings.placement)) {
+            this.setPlacement(settings.placement);
+        }
+        if (settings.algorithm !== undefined) {
+            this.config.algorithm = settings.algorithm;
+            this.engine.updateConfig({ algorithm: this.config.algorithm });
+            if (this.algorithmSelect) {
+                this.algorithmSelect.value = settings.algorithm;
+            }
+            this.updateAlgorithmHint();
+        }
+        if (settings.displacementTolerance !== undefined) {
+            this.config.displacementTolerance = settings.displacementTolerance;
+            this.engine.updateConfig({ displacementTolerance: settings.displacementTolerance });
+            if (this.toleranceSlider) {
+                this.toleranceSlider.value = settings.displacementTolerance.toString();
+            }
+            this.updateToleranceValue();
+        }
+        if (settings.tempoBpm !== undefined) {
+            this.config.tempoBpm = settings.tempoBpm;
+            if (this.tempoInput) {
+                this.tempoInput.value = settings.tempoBpm > 0 ? settings.tempoBpm.toString() : '';
+            }
+        }
+        if (settings.followTempo !== undefined) {
+            this.config.followTempo = settings.followTempo;
+            if (this.followTempoToggle) {
+                this.followTempoToggle.checked = settings.followTempo;
+            }
+        }
+        if (settings.hapticPatterns !== undefined) {
+            this.config.hapticPatterns = sanitizeVocabulary(settings.hapticPatterns);
+        }
+        if (settings.vibration !== undefined) {
+            this.config.vibration = settings.vibration;
+            if (this.vibrationToggle) {
+                this.vibrationToggle.checked = settings.vibration;
+            }
+        }
+        if (settings.visualFeedback !== undefined) {
+            this.config.visualFeedback = sanitizeVisualFeedback(settings.visualFeedback);
+        }
+        if (settings.debounceTime !== undefined) {
+            this.config.fixedDebounceTime = settings.debounceTime;
+        }
+        if (settings.autoPause !== undefined) {
+            this.config.autoPause = settings.autoPause;
+            this.syncAutoPause();
+            if (this.autoPauseToggle) {
+                this.autoPauseToggle.checked = settings.autoPause;
+            }
+            this.updateActivityDisplay();
+        }
+        if (settings.turnTolerant !== undefined) {
+            this.config.turnTolerant = settings.turnTolerant;
+            this.engine.updateConfig({ turnTolerant: settings.turnTolerant });
+            if (this.turnTolerantToggle) {
+                this.turnTolerantToggle.checked = settings.turnTolerant;
+            }
+        }
+        if (settings.swayDetection !== undefined) {
+            this.setFaultDetection('sway', settings.swayDetection);
+        }
+        if (settings.swaySensitivity !== undefined) {
+            this.setFaultSensitivity('sway', settings.swaySensitivity);
+        }
+        if (settings.rotationDetection !== undefined) {
+            this.setFaultDetection('rotation', settings.rotationDetection);
+        }
+        if (settings.rotationSensitivity !== undefined) {
+            this.setFaultSensitivity('rotation', settings.rotationSensitivity);
+        }
+        if (settings.inputBackend !== undefined) {
+            this.config.inputBackend = settings.inputBackend;
+            if (this.inputBackendSelect) {
+                this.inputBackendSelect.value = settings.inputBackend;
+            }
+        }
+        if (settings.sensorFrequency !== undefined) {
+            this.config.sensorFrequency = settings.sensorFrequency;
+            if (this.sensorFrequencySelect) {
+                this.sensorFrequencySelect.value = settings.sensorFrequency.toString();
+            }
+        }
+        // Load calibrated gravity direction
+        if (settings.gravityX !== undefined && settings.gravityY !== undefined && settings.gravityZ !== undefined) {
+            this.engine.restoreCalibration({
+                gravity: { x: settings.gravityX, y: settings.gravityY, z: settings.gravityZ }
+            });
         }
     }
 }
@@ -633,4 +2520,5 @@ document.addEventListener('DOMContentLoaded', () => {
     detector.init();
 });
 export { BounceDetector };
+export { BounceEngine } from './detector-engine.js';
 //# sourceMappingURL=bounce-detector.js.map
\ No newline at end of file
@@ -0,0 +1,24 @@
+/**
+ * Canvas Utilities
+ * Shared helpers for the chart canvases.
+ */
+/** Size the canvas backing store for the device pixel ratio and return a 2D context in CSS pixels. */
+export function prepareCanvas(canvas) {
+    const ctx = canvas.getContext('2d');
+    if (!ctx)
+        return null;
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    const pixelWidth = Math.round(width * ratio);
+    const pixelHeight = Math.round(height * ratio);
+    // Only reallocate the backing store when the size changes; live charts redraw every frame
+    if (canvas.width !== pixelWidth || canvas.height !== pixelHeight) {
+        canvas.width = pixelWidth;
+        canvas.height = pixelHeight;
+    }
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    return { ctx, width, height };
+}
+//# sourceMappingURL=canvas-utils.js.map
\ No newline at end of file
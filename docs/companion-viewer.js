@@ -0,0 +1,168 @@
+/**
+ * Companion Viewer
+ * The instructor's side of a live lesson: one card per dancer streaming
+ * through the relay, with the bounce count, state, breakdown and a live
+ * waveform. Served by the relay alongside the app; `?relay=host:port`
+ * points it at a different relay.
+ */
+import { formatDuration } from './history-view.js';
+import { STREAM_PATH, STREAM_PROTOCOL_VERSION, relayUrl } from './live-stream-protocol.js';
+import { bouncesPerMinute } from './session-history.js';
+import { WaveformView } from './waveform-view.js';
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 10000;
+// The card glows in the bounce's colour for this long (ms)
+const BOUNCE_HIGHLIGHT_MS = 300;
+/** The relay to use: the one in the query string, else the server this page came from. */
+function streamUrl() {
+    const secure = location.protocol === 'https:';
+    const relay = new URLSearchParams(location.search).get('relay');
+    if (relay)
+        return relayUrl(relay, secure);
+    return `${secure ? 'wss' : 'ws'}://${location.host}${STREAM_PATH}`;
+}
+function describeStatus(status) {
+    const state = !status.running ? 'Stopped' : status.paused ? 'Paused' : 'Dancing';
+    const rate = bouncesPerMinute(status.count, status.activeMs).toFixed(1);
+    const severities = ['minor', 'moderate', 'major']
+        .map((severity) => `${status.severityCounts[severity]} ${severity}`)
+        .join(' · ');
+    const faults = status.faultCounts.sway + status.faultCounts.rotation > 0
+        ? ` · sway ${status.faultCounts.sway} · rotation ${status.faultCounts.rotation}`
+        : '';
+    const algorithm = status.algorithm === 'peak-valley' ? 'Peak/Valley' : 'Threshold';
+    return {
+        state,
+        detail: `${formatDuration(status.activeMs)} active · ${rate}/min · ${severities}${faults} · ` +
+            `${algorithm} ${status.sensitivity.toFixed(1)} m/s²`
+    };
+}
+class CompanionViewer {
+    constructor() {
+        this.socket = null;
+        this.cards = new Map();
+        this.reconnectDelay = RECONNECT_MIN_MS;
+        this.url = streamUrl();
+        this.listEl = document.getElementById('dancers');
+        this.connectionEl = document.getElementById('connection');
+        this.emptyEl = document.getElementById('no-dancers');
+    }
+    init() {
+        if (!this.url) {
+            this.setConnection('Invalid relay address', 'error');
+            return;
+        }
+        this.connect();
+    }
+    connect() {
+        this.setConnection(`Connecting to ${this.url}...`, 'warning');
+        const socket = new WebSocket(this.url);
+        this.socket = socket;
+        socket.addEventListener('open', () => {
+            this.reconnectDelay = RECONNECT_MIN_MS;
+            socket.send(JSON.stringify({ type: 'hello', role: 'viewer', version: STREAM_PROTOCOL_VERSION }));
+            this.setConnection('Connected', 'ready');
+        });
+        socket.addEventListener('message', (event) => {
+            let message;
+            try {
+                message = JSON.parse(event.data);
+            }
+            catch {
+                return;
+            }
+            this.handleMessage(message);
+        });
+        socket.addEventListener('close', () => {
+            if (this.socket !== socket)
+                return;
+            this.socket = null;
+            // The relay sends every dancer again on reconnect; until then, none are known to be live
+            this.cards.forEach((card) => card.root.classList.add('offline'));
+            this.setConnection(`Relay unreachable - retrying in ${Math.round(this.reconnectDelay / 1000)} s`, 'error');
+            setTimeout(() => this.connect(), this.reconnectDelay);
+            this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_MAX_MS);
+        });
+    }
+    handleMessage(message) {
+        if (message.type === 'joined') {
+            const card = this.cards.get(message.dancer) ?? this.addCard(message.dancer);
+            card.nameEl.textContent = message.name || 'Dancer';
+            card.root.classList.remove('offline');
+            return;
+        }
+        const card = this.cards.get(message.dancer);
+        if (!card)
+            return;
+        switch (message.type) {
+            case 'left':
+                card.root.classList.add('offline');
+                card.stateEl.textContent = 'Disconnected';
+                break;
+            case 'status': {
+                const { state, detail } = describeStatus(message);
+                card.countEl.textContent = message.count.toString();
+                card.stateEl.textContent = state;
+                card.detailEl.textContent = detail;
+                card.root.classList.toggle('paused', message.running && message.paused);
+                break;
+            }
+            case 'bounce':
+                card.countEl.textContent = message.count.toString();
+                card.waveform.markBounce(message.timestamp, message.severity);
+                this.highlight(card, message.severity);
+                break;
+            case 'signal':
+                card.waveform.setBand(message.baseline, message.threshold);
+                message.samples.forEach(([timestamp, magnitude]) => card.waveform.addSample(timestamp, magnitude));
+                break;
+        }
+    }
+    addCard(id) {
+        const root = document.createElement('li');
+        root.className = 'dancer-card';
+        const header = document.createElement('div');
+        header.className = 'dancer-header';
+        const nameEl = document.createElement('span');
+        nameEl.className = 'dancer-name';
+        const stateEl = document.createElement('span');
+        stateEl.className = 'dancer-state';
+        stateEl.textContent = 'Waiting';
+        header.append(nameEl, stateEl);
+        const countEl = document.createElement('div');
+        countEl.className = 'dancer-count';
+        countEl.textContent = '0';
+        const canvas = document.createElement('canvas');
+        canvas.className = 'dancer-waveform';
+        const detailEl = document.createElement('div');
+        detailEl.className = 'dancer-detail';
+        root.append(header, countEl, canvas, detailEl);
+        this.listEl.appendChild(root);
+        if (this.emptyEl) {
+            this.emptyEl.hidden = true;
+        }
+        const card = { root, nameEl, countEl, stateEl, detailEl, waveform: new WaveformView(canvas), highlightTimer: null };
+        this.cards.set(id, card);
+        return card;
+    }
+    highlight(card, severity) {
+        card.root.dataset.bounce = severity;
+        if (card.highlightTimer !== null) {
+            clearTimeout(card.highlightTimer);
+        }
+        card.highlightTimer = setTimeout(() => {
+            delete card.root.dataset.bounce;
+            card.highlightTimer = null;
+        }, BOUNCE_HIGHLIGHT_MS);
+    }
+    setConnection(message, type) {
+        if (this.connectionEl) {
+            this.connectionEl.textContent = message;
+            this.connectionEl.className = `status ${type}`;
+        }
+    }
+}
+document.addEventListener('DOMContentLoaded', () => {
+    new CompanionViewer().init();
+});
+//# sourceMappingURL=companion-viewer.js.map
\ No newline at end of file
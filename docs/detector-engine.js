@@ -0,0 +1,518 @@
+/**
+ * Bounce Detection Engine
+ * Headless, DOM-free core of the bounce detector. Feed it timestamped
+ * acceleration samples and it emits typed events for bounces, deviation
+ * updates and calibration results. Runs in any browser page or under Node.
+ */
+import { BandPassFilter, DEFAULT_SAMPLE_INTERVAL_MS, clampInterval } from './signal-filters.js';
+import { Resampler, SampleRateMeter } from './sample-timing.js';
+import { PeakValleyDetector } from './peak-valley-detector.js';
+import { estimateDisplacementCm, gradeSeverity } from './displacement.js';
+import { TurnDetector } from './turn-detector.js';
+import { ActivityDetector } from './activity-detector.js';
+import { RotationFaultDetector, SwayDetector } from './fault-detectors.js';
+import { DEFAULT_PLACEMENT, ReorientationDetector, placementPreset } from './placement.js';
+const STANDARD_GRAVITY = 9.81;
+// Low-pass gravity filter time constant while calibrating (filter mode): fast,
+// since the phone is held still. In detection it comes from the placement
+// preset, slow enough to ignore quick movements (ms)
+const CALIBRATION_GRAVITY_TIME_CONSTANT_MS = 160;
+// About three calibration time constants: long enough for the filter to swing round from its reset direction (ms)
+const CALIBRATION_FILTER_SETTLE_MS = 500;
+// Calibration samples for a fixed time, so slow and fast sensors get the same window (ms)
+const CALIBRATION_DURATION_MS = 2000;
+// Fewer samples than this over the window means the sensor stalled
+export const CALIBRATION_MIN_SAMPLES = 10;
+// Calibration ends when a reading arrives after its window, so a sensor that
+// delivers nothing would leave it running; the app ends it after this long (ms)
+export const CALIBRATION_TIMEOUT_MS = 5000;
+// A phone resting in a hand jitters by ~0.05 m/s^2; above this it was moving
+export const CALIBRATION_MAX_STD_DEV = 0.3;
+// Band-pass corners for peak/valley detection: below 0.5 Hz is posture drift,
+// above 5 Hz is foot-strike ringing; bounces sit at 1-3 Hz
+const BOUNCE_BAND_LOW_HZ = 0.5;
+const BOUNCE_BAND_HIGH_HZ = 5;
+// Vertical acceleration kept for displacement estimation (ms)
+const VERTICAL_HISTORY_MS = 2000;
+// A threshold detection is a single sample, so displacement is integrated
+// over the lead-up to it: roughly half of a bounce at typical dance tempos (ms)
+const THRESHOLD_DISPLACEMENT_WINDOW_MS = 500;
+// During a turn a detection must be this many times the sensitivity to count
+const TURN_THRESHOLD_MULTIPLIER = 2;
+// Gravity filter time constant while turning: fast enough to follow the phone
+// swinging round, instead of the ~3 second everyday filter (ms)
+const TURN_GRAVITY_TIME_CONSTANT_MS = 250;
+// Gravity filter time constant after the phone has been moved: find the new
+// direction within a second or so, rather than counting on a wrong one (ms)
+const SETTLING_GRAVITY_TIME_CONSTANT_MS = 200;
+// Movements smaller than the lowest sensitivity offered are never candidates (m/s^2)
+const CANDIDATE_MIN_SWING = 1;
+export const DEFAULT_ENGINE_CONFIG = {
+    sensitivity: 3.0, // Default threshold in m/s^2 above/below gravity
+    debounceTime: 300, // 300ms between detections
+    sampleWindow: 10, // Analyze last 10 samples
+    gravityMode: 'sensor', // Use device sensor by default (falls back to filter if unavailable)
+    algorithm: 'threshold', // Original single-sample threshold detection
+    displacementTolerance: 0, // Count every detected bounce
+    moderateDisplacement: 3, // 3cm and up is a visible bounce
+    majorDisplacement: 6, // 6cm and up is a hop
+    turnTolerant: false, // Turns are treated like any other movement
+    autoPause: false, // Count whenever detection runs
+    swayDetection: false, // Bounce only unless asked
+    swaySensitivity: 3.0, // A clear weight shift, well above hip movement in a level walk
+    rotationDetection: false,
+    rotationSensitivity: 90, // About a 15° tilt and back within a second
+    placement: DEFAULT_PLACEMENT
+};
+/** Root-mean-square distance of the readings from their mean vector. */
+function vectorStdDev(readings) {
+    const n = readings.length;
+    if (n === 0)
+        return 0;
+    const mean = readings.reduce((sum, r) => ({ x: sum.x + r.x / n, y: sum.y + r.y / n, z: sum.z + r.z / n }), { x: 0, y: 0, z: 0 });
+    const variance = readings.reduce((sum, r) => sum + (r.x - mean.x) ** 2 + (r.y - mean.y) ** 2 + (r.z - mean.z) ** 2, 0) / n;
+    return Math.sqrt(variance);
+}
+export class BounceEngine {
+    constructor(config = {}) {
+        this.lastBounceTime = -Infinity;
+        this.samples = [];
+        this.baseline = STANDARD_GRAVITY; // Earth's gravity magnitude (orientation-independent)
+        this.calibrationSamples = [];
+        this.calibrationRaw = [];
+        this.calibrationStart = null;
+        this.calibrationElapsed = 0;
+        this.calibrationFallback = null; // Restored if calibration is rejected
+        this.calibrating = false;
+        this.sensorSupported = false; // Whether samples carry linear acceleration
+        // Gravity direction - continuously tracked with very slow filter
+        // Slow enough to ignore quick movements, fast enough to track orientation changes
+        this.gravityX = 0;
+        this.gravityY = 0;
+        this.gravityZ = STANDARD_GRAVITY; // Default to pointing down (phone flat)
+        // Raw readings are resampled to a fixed internal rate before processing
+        this.resampler = new Resampler();
+        this.rateMeter = new SampleRateMeter();
+        // Peak/valley detection state
+        this.bandPass = new BandPassFilter(BOUNCE_BAND_LOW_HZ, BOUNCE_BAND_HIGH_HZ);
+        this.peakValley = new PeakValleyDetector();
+        this.candidates = new PeakValleyDetector();
+        this.lastSampleTime = null;
+        // Recent vertical acceleration for displacement estimation
+        this.verticalHistory = [];
+        // Gyroscope turn tracking
+        this.turnDetector = new TurnDetector();
+        this.turning = false;
+        // The phone being moved mid-session (e.g. pushed deeper into a pocket)
+        this.reorientation = new ReorientationDetector();
+        // Dancing / walking / idle classification for auto-pause
+        this.activityDetector = new ActivityDetector();
+        // Sway and rotation faults
+        this.swayDetector = new SwayDetector();
+        this.rotationFaultDetector = new RotationFaultDetector();
+        this.listeners = {
+            deviation: new Set(),
+            bounce: new Set(),
+            candidate: new Set(),
+            calibration: new Set(),
+            calibrationProgress: new Set(),
+            suppressed: new Set(),
+            turn: new Set(),
+            reorient: new Set(),
+            fault: new Set(),
+            activity: new Set(),
+            sampleRate: new Set(),
+            gravitySensorAvailable: new Set()
+        };
+        this.config = { ...DEFAULT_ENGINE_CONFIG, ...config };
+    }
+    /** Subscribe to an engine event. Returns a function that unsubscribes. */
+    on(type, listener) {
+        this.listeners[type].add(listener);
+        return () => this.off(type, listener);
+    }
+    off(type, listener) {
+        this.listeners[type].delete(listener);
+    }
+    emit(type, event) {
+        this.listeners[type].forEach((listener) => listener(event));
+    }
+    getConfig() {
+        return this.config;
+    }
+    updateConfig(config) {
+        this.config = { ...this.config, ...config };
+    }
+    get isCalibrating() {
+        return this.calibrating;
+    }
+    get gravitySensorSupported() {
+        return this.sensorSupported;
+    }
+    get baselineMagnitude() {
+        return this.baseline;
+    }
+    /** How far the vertical reading must move from the baseline to count, for the active algorithm (m/s^2). */
+    get detectionThreshold() {
+        // Peak/valley needs each half of the swing to pass half the sensitivity
+        return this.config.algorithm === 'peak-valley' ? this.config.sensitivity / 2 : this.config.sensitivity;
+    }
+    get isTurning() {
+        return this.turning;
+    }
+    /** True from the phone being moved until gravity has settled again. */
+    get isSettling() {
+        return this.reorientation.isSettling;
+    }
+    get activity() {
+        return this.activityDetector.activity;
+    }
+    get gravity() {
+        return { x: this.gravityX, y: this.gravityY, z: this.gravityZ };
+    }
+    /** Restore a previously saved baseline and gravity direction. */
+    restoreCalibration(state) {
+        if (state.baselineMagnitude !== undefined) {
+            this.baseline = state.baselineMagnitude;
+        }
+        if (state.gravity) {
+            this.gravityX = state.gravity.x;
+            this.gravityY = state.gravity.y;
+            this.gravityZ = state.gravity.z;
+        }
+    }
+    /** Clear per-session detection state (debounce timer and sample buffer). */
+    reset() {
+        this.lastBounceTime = -Infinity;
+        this.samples = [];
+        this.bandPass.reset();
+        this.peakValley.reset();
+        this.candidates.reset();
+        this.lastSampleTime = null;
+        this.verticalHistory = [];
+        this.turnDetector.reset();
+        this.turning = false;
+        this.reorientation.reset();
+        this.activityDetector.reset();
+        this.swayDetector.reset();
+        this.rotationFaultDetector.reset();
+        this.resampler.reset();
+        this.rateMeter.reset();
+    }
+    startCalibration() {
+        this.calibrating = true;
+        this.calibrationSamples = [];
+        this.calibrationRaw = [];
+        this.calibrationStart = null;
+        this.calibrationElapsed = 0;
+        this.calibrationFallback = { baselineMagnitude: this.baseline, gravity: this.gravity };
+        // Reset gravity to allow fast convergence during calibration
+        this.gravityX = 0;
+        this.gravityY = 0;
+        this.gravityZ = STANDARD_GRAVITY;
+    }
+    /**
+     * Finish a calibration in progress with the readings it has so far, for
+     * when they stop arriving. Too few readings reject it as usual.
+     */
+    endCalibration() {
+        if (!this.calibrating)
+            return;
+        this.finishCalibration(this.calibrationElapsed, vectorStdDev(this.calibrationRaw));
+    }
+    /** Abandon a calibration in progress, keeping the calibration from before it. */
+    cancelCalibration() {
+        if (!this.calibrating)
+            return;
+        this.calibrating = false;
+        if (this.calibrationFallback) {
+            this.restoreCalibration(this.calibrationFallback);
+        }
+    }
+    /**
+     * Feed one raw sensor reading. Readings may arrive at any rate and with
+     * jitter; they are resampled to a fixed internal rate before detection.
+     */
+    processSample(sample) {
+        const rate = this.rateMeter.add(sample.timestamp, sample.interval ?? null);
+        if (rate) {
+            this.emit('sampleRate', rate);
+        }
+        this.resampler.push(sample).forEach((resampled) => this.processResampled(resampled));
+    }
+    processResampled(sample) {
+        const now = sample.timestamp;
+        const gx = sample.accelerationIncludingGravity.x;
+        const gy = sample.accelerationIncludingGravity.y;
+        const gz = sample.accelerationIncludingGravity.z;
+        const linearAcc = sample.acceleration;
+        const dt = this.lastSampleTime === null ? DEFAULT_SAMPLE_INTERVAL_MS : now - this.lastSampleTime;
+        this.lastSampleTime = now;
+        const turning = this.turnDetector.process(sample.rotationRate ?? null, now, dt);
+        if (turning !== this.turning) {
+            this.turning = turning;
+            this.emit('turn', { timestamp: now, turning });
+        }
+        // Update gravity sensor support flag on first detection
+        if (!this.sensorSupported && linearAcc) {
+            this.sensorSupported = true;
+            this.emit('gravitySensorAvailable', {});
+        }
+        // Determine which gravity estimation method to use based on config
+        const useSensor = this.config.gravityMode === 'sensor' && linearAcc !== null;
+        if (useSensor) {
+            // Compute gravity directly from device sensor: gravity = accWithGravity - linearAcc
+            // This uses the device's built-in sensor fusion which is much more accurate
+            this.gravityX = gx - linearAcc.x;
+            this.gravityY = gy - linearAcc.y;
+            this.gravityZ = gz - linearAcc.z;
+        }
+        else {
+            // Use low-pass filter to estimate gravity, with the coefficient taken from
+            // the time step so the time constant is the same at any rate
+            // During calibration: converge fast since phone is held still
+            // After the phone has been moved: re-track quickly to find the new direction
+            // During a turn (turn-tolerant): re-track quickly as the phone swings round
+            // During detection: slow, to track gradual orientation changes only
+            let timeConstant = this.calibrating ? CALIBRATION_GRAVITY_TIME_CONSTANT_MS : placementPreset(this.config.placement).gravityTimeConstantMs;
+            if (!this.calibrating && this.reorientation.isSettling) {
+                timeConstant = SETTLING_GRAVITY_TIME_CONSTANT_MS;
+            }
+            else if (!this.calibrating && turning && this.config.turnTolerant) {
+                timeConstant = TURN_GRAVITY_TIME_CONSTANT_MS;
+            }
+            const alpha = 1 - Math.exp(-clampInterval(dt) / timeConstant);
+            this.gravityX = alpha * gx + (1 - alpha) * this.gravityX;
+            this.gravityY = alpha * gy + (1 - alpha) * this.gravityY;
+            this.gravityZ = alpha * gz + (1 - alpha) * this.gravityZ;
+        }
+        // Calculate gravity magnitude (should be ~9.81)
+        const gravityMagnitude = Math.sqrt(this.gravityX * this.gravityX +
+            this.gravityY * this.gravityY +
+            this.gravityZ * this.gravityZ);
+        let magnitude;
+        // Use linear acceleration for magnitude if using sensor mode and it's available
+        if (useSensor) {
+            const lx = linearAcc.x;
+            const ly = linearAcc.y;
+            const lz = linearAcc.z;
+            if (gravityMagnitude > 0.1) {
+                // Project linear acceleration onto gravity direction (unit vector)
+                // This gives us the vertical component of motion only
+                const verticalLinearAcc = (lx * this.gravityX + ly * this.gravityY + lz * this.gravityZ) / gravityMagnitude;
+                // Add baseline (gravity magnitude) so it's compatible with existing calibration
+                magnitude = this.baseline + verticalLinearAcc;
+            }
+            else {
+                magnitude = this.baseline;
+            }
+        }
+        else {
+            // Use accelerationIncludingGravity with projection (filter mode or no sensor)
+            if (gravityMagnitude > 0.1) {
+                const dotProduct = (gx * this.gravityX + gy * this.gravityY + gz * this.gravityZ) / gravityMagnitude;
+                magnitude = Math.abs(dotProduct);
+            }
+            else {
+                magnitude = Math.sqrt(gx * gx + gy * gy + gz * gz);
+            }
+        }
+        // Handle calibration mode
+        if (this.calibrating) {
+            this.emit('deviation', { timestamp: now, magnitude, deviation: Math.abs(magnitude - this.baseline), calibrating: true });
+            if (this.calibrationStart === null) {
+                this.calibrationStart = now;
+            }
+            const elapsed = now - this.calibrationStart;
+            this.calibrationElapsed = elapsed;
+            // Until the filter has converged, magnitude is projected onto the wrong axis and would drag the baseline down
+            if (useSensor || elapsed >= CALIBRATION_FILTER_SETTLE_MS) {
+                this.calibrationSamples.push(magnitude);
+            }
+            this.calibrationRaw.push({ x: gx, y: gy, z: gz });
+            const stdDev = vectorStdDev(this.calibrationRaw);
+            this.emit('calibrationProgress', {
+                timestamp: now,
+                progress: Math.min(1, elapsed / CALIBRATION_DURATION_MS),
+                stdDev,
+                still: stdDev <= CALIBRATION_MAX_STD_DEV
+            });
+            if (elapsed >= CALIBRATION_DURATION_MS) {
+                this.finishCalibration(elapsed, stdDev);
+            }
+            return;
+        }
+        const deviation = Math.abs(magnitude - this.baseline);
+        this.emit('deviation', { timestamp: now, magnitude, deviation, calibrating: false });
+        const reorient = this.reorientation.process({ x: gx, y: gy, z: gz }, this.gravity, turning, now, dt, placementPreset(this.config.placement));
+        if (reorient) {
+            if (!reorient.settling) {
+                // Filter state built up while gravity was wrong would ring on into the next bounces
+                this.bandPass.reset();
+                this.peakValley.reset();
+                this.candidates.reset();
+                this.swayDetector.reset();
+                this.verticalHistory = [];
+            }
+            this.emit('reorient', { timestamp: now, ...reorient });
+        }
+        const unsettled = this.reorientation.isUnsettled;
+        // Everything but gravity, in any direction: what the dancer's whole body is doing
+        const dynamicX = useSensor ? linearAcc.x : gx - this.gravityX;
+        const dynamicY = useSensor ? linearAcc.y : gy - this.gravityY;
+        const dynamicZ = useSensor ? linearAcc.z : gz - this.gravityZ;
+        const dynamic = Math.sqrt(dynamicX ** 2 + dynamicY ** 2 + dynamicZ ** 2);
+        // Remove the vertical part, leaving movement in the horizontal plane
+        let horizontal = { x: 0, y: 0, z: 0 };
+        if (gravityMagnitude > 0.1) {
+            const vertical = (dynamicX * this.gravityX + dynamicY * this.gravityY + dynamicZ * this.gravityZ) / (gravityMagnitude * gravityMagnitude);
+            horizontal = {
+                x: dynamicX - vertical * this.gravityX,
+                y: dynamicY - vertical * this.gravityY,
+                z: dynamicZ - vertical * this.gravityZ
+            };
+        }
+        const horizontalMagnitude = Math.sqrt(horizontal.x ** 2 + horizontal.y ** 2 + horizontal.z ** 2);
+        const activity = this.activityDetector.process(magnitude - this.baseline, horizontalMagnitude, dynamic, now);
+        if (activity) {
+            this.emit('activity', { timestamp: now, activity, since: this.activityDetector.since, reading: this.activityDetector.reading });
+        }
+        const paused = this.config.autoPause && this.activityDetector.activity !== 'dancing';
+        if (this.config.swayDetection && gravityMagnitude > 0.1) {
+            const sway = this.swayDetector.process(horizontal, now, dt, this.config.swaySensitivity);
+            // A turn swings the phone round, which reads as sideways acceleration
+            if (sway && !turning && !paused && !unsettled) {
+                this.emit('fault', { timestamp: now, kind: 'sway', ...sway });
+            }
+        }
+        if (this.config.rotationDetection) {
+            const rotation = this.rotationFaultDetector.process(sample.rotationRate ?? null, this.gravity, now, dt, this.config.rotationSensitivity);
+            if (rotation && !turning && !paused && !unsettled) {
+                this.emit('fault', { timestamp: now, kind: 'rotation', ...rotation });
+            }
+        }
+        const filtered = this.bandPass.process(magnitude - this.baseline, dt);
+        // Add sample to buffer
+        this.samples.push({ timestamp: now, magnitude, filtered });
+        // Keep only recent samples
+        while (this.samples.length > this.config.sampleWindow) {
+            this.samples.shift();
+        }
+        this.verticalHistory.push({ timestamp: now, acceleration: magnitude - this.baseline });
+        while (this.verticalHistory.length > 0 && now - this.verticalHistory[0].timestamp > VERTICAL_HISTORY_MS) {
+            this.verticalHistory.shift();
+        }
+        const candidate = this.candidates.process(filtered, now, CANDIDATE_MIN_SWING);
+        if (candidate && !paused && !unsettled) {
+            const peakDeviation = this.verticalHistory
+                .filter((s) => s.timestamp >= candidate.startTimestamp)
+                .reduce((max, s) => Math.max(max, Math.abs(s.acceleration)), 0);
+            this.emit('candidate', { timestamp: now, startTimestamp: candidate.startTimestamp, swing: candidate.amplitude, peakDeviation });
+        }
+        // Detect bounce
+        const detected = this.config.algorithm === 'peak-valley'
+            ? this.detectPeakValleyBounce(filtered, magnitude, deviation, now)
+            : this.detectBounce(magnitude, now)
+                ? { timestamp: now, startTimestamp: now, magnitude, deviation, amplitude: deviation, durationMs: 0 }
+                : null;
+        if (detected && unsettled) {
+            // The phone is being moved or has not settled: the reading is the move, not a bounce
+            this.emit('suppressed', { timestamp: now, reason: 'reorient', amplitude: detected.amplitude });
+        }
+        else if (detected && turning && this.config.turnTolerant &&
+            detected.amplitude < this.config.sensitivity * TURN_THRESHOLD_MULTIPLIER) {
+            this.emit('suppressed', { timestamp: now, reason: 'turn', amplitude: detected.amplitude });
+        }
+        else if (detected && this.config.autoPause && this.activityDetector.activity !== 'dancing') {
+            // Steps while walking off or fidgeting between songs are not dance bounces
+            this.emit('suppressed', { timestamp: now, reason: this.activityDetector.activity, amplitude: detected.amplitude });
+        }
+        else if (detected) {
+            const bounce = this.gradeBounce(detected);
+            if (bounce) {
+                this.emit('bounce', bounce);
+            }
+        }
+    }
+    /** Attach displacement and severity; returns null if the bounce is within tolerance. */
+    gradeBounce(detected) {
+        const windowStart = detected.durationMs > 0
+            ? detected.startTimestamp
+            : detected.timestamp - THRESHOLD_DISPLACEMENT_WINDOW_MS;
+        const window = this.verticalHistory.filter((s) => s.timestamp >= windowStart && s.timestamp <= detected.timestamp);
+        const displacementCm = estimateDisplacementCm(window);
+        if (displacementCm < this.config.displacementTolerance) {
+            return null;
+        }
+        return {
+            ...detected,
+            displacementCm,
+            severity: gradeSeverity(displacementCm, {
+                moderate: this.config.moderateDisplacement,
+                major: this.config.majorDisplacement
+            })
+        };
+    }
+    detectPeakValleyBounce(filtered, magnitude, deviation, now) {
+        // The pair detector always runs so its state stays consistent through the debounce window
+        const pair = this.peakValley.process(filtered, now, this.config.sensitivity);
+        if (!pair || now - this.lastBounceTime < this.config.debounceTime) {
+            return null;
+        }
+        this.lastBounceTime = now;
+        return {
+            timestamp: now,
+            startTimestamp: pair.startTimestamp,
+            magnitude,
+            deviation,
+            amplitude: pair.amplitude,
+            durationMs: pair.durationMs
+        };
+    }
+    detectBounce(currentMagnitude, now) {
+        // Check debounce time
+        if (now - this.lastBounceTime < this.config.debounceTime) {
+            return false;
+        }
+        // Calculate deviation from baseline gravity magnitude
+        const deviation = Math.abs(currentMagnitude - this.baseline);
+        // A bounce creates acceleration significantly different from gravity
+        // When moving up: magnitude < gravity (feeling lighter)
+        // When moving down: magnitude > gravity (feeling heavier)
+        // Using magnitude makes this orientation-independent
+        if (deviation > this.config.sensitivity) {
+            this.lastBounceTime = now;
+            return true;
+        }
+        return false;
+    }
+    finishCalibration(durationMs, stdDev) {
+        this.calibrating = false;
+        // Compare later readings with the calibrated direction, not whatever came before
+        this.reorientation.reset();
+        // Gravity direction has already converged during calibration via fast filter
+        // It will continue to be tracked slowly during detection
+        const sampleCount = this.calibrationSamples.length;
+        const accepted = sampleCount >= CALIBRATION_MIN_SAMPLES && stdDev <= CALIBRATION_MAX_STD_DEV;
+        const quality = accepted ? Math.round(100 * (1 - stdDev / CALIBRATION_MAX_STD_DEV)) : 0;
+        if (accepted) {
+            // Calculate average magnitude as baseline
+            const sum = this.calibrationSamples.reduce((a, b) => a + b, 0);
+            this.baseline = sum / sampleCount;
+        }
+        else if (this.calibrationFallback) {
+            // The phone moved: a baseline averaged over motion would skew every detection
+            this.restoreCalibration(this.calibrationFallback);
+        }
+        this.emit('calibration', {
+            baselineMagnitude: this.baseline,
+            gravity: this.gravity,
+            sampleCount,
+            durationMs,
+            stdDev,
+            quality,
+            accepted
+        });
+    }
+}
+//# sourceMappingURL=detector-engine.js.map
\ No newline at end of file
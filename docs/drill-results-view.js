@@ -0,0 +1,38 @@
+/**
+ * Drill Results View
+ * Renders the end-of-drill score: overall pass/fail, then each phase's
+ * bounce rate against its target.
+ */
+import { formatDuration } from './drills.js';
+function phaseVerdict(phase) {
+    if (phase.targetBouncesPerMinute === null)
+        return 'not scored';
+    if (phase.passed === null)
+        return 'not finished';
+    return phase.passed ? 'pass' : 'fail';
+}
+export function renderDrillResults(container, result) {
+    container.innerHTML = '';
+    const heading = document.createElement('div');
+    heading.className = `drill-verdict ${result.passed ? 'passed' : 'failed'}`;
+    heading.textContent = result.passed ? 'Passed' : (result.completed ? 'Not passed' : 'Stopped early');
+    container.appendChild(heading);
+    const summary = document.createElement('div');
+    summary.className = 'hint-text';
+    summary.textContent = `${result.drillName} · score ${result.score}%`;
+    container.appendChild(summary);
+    const phases = document.createElement('dl');
+    result.phases.forEach((phase) => {
+        const dt = document.createElement('dt');
+        dt.textContent = `${phase.name} (${formatDuration(Math.round(phase.durationMs / 1000))})`;
+        const dd = document.createElement('dd');
+        const target = phase.targetBouncesPerMinute !== null ? ` / under ${phase.targetBouncesPerMinute}` : '';
+        dd.textContent = `${phase.bounces} · ${phase.bouncesPerMinute.toFixed(1)}/min${target} · ${phaseVerdict(phase)}`;
+        if (phase.passed !== null) {
+            dd.className = phase.passed ? 'passed' : 'failed';
+        }
+        phases.append(dt, dd);
+    });
+    container.appendChild(phases);
+}
+//# sourceMappingURL=drill-results-view.js.map
\ No newline at end of file
@@ -0,0 +1,127 @@
+/**
+ * Fault Detectors
+ * Habits that never show up as vertical bounce. Sway (side-to-side hips,
+ * shoulder rocking) is horizontal acceleration swinging one way and then
+ * back. Rotation faults (hip drops, rocking) are the body tilting about a
+ * horizontal axis, seen by the gyroscope; spinning about the vertical axis
+ * is a turn, not a fault, and is left out.
+ */
+import { BandPassFilter, LowPassFilter } from './signal-filters.js';
+import { PeakValleyDetector } from './peak-valley-detector.js';
+export const FAULT_KINDS = ['sway', 'rotation'];
+// Sway is slower than a bounce: a weight shift takes up to a second each way
+const SWAY_BAND_LOW_HZ = 0.3;
+const SWAY_BAND_HIGH_HZ = 3;
+// A swing more than 60° off the current sway axis starts a new axis (the dancer has turned)
+const SWAY_AXIS_MIN_ALIGNMENT = 0.5;
+// Smooths single gyro spikes, as for turns
+const TILT_SMOOTHING_HZ = 4;
+// A tilt ends once its rate falls below this fraction of the threshold
+const TILT_END_RATIO = 0.5;
+// One fault of each kind at most this often, so a sway held for a whole song buzzes once a second (ms)
+const FAULT_MIN_INTERVAL_MS = 1000;
+function dot(a, b) {
+    return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+function norm(a) {
+    return Math.sqrt(dot(a, a));
+}
+/** Finds a swing one way and back in horizontal acceleration, whichever way the dancer faces. */
+export class SwayDetector {
+    constructor() {
+        this.filters = [
+            new BandPassFilter(SWAY_BAND_LOW_HZ, SWAY_BAND_HIGH_HZ),
+            new BandPassFilter(SWAY_BAND_LOW_HZ, SWAY_BAND_HIGH_HZ),
+            new BandPassFilter(SWAY_BAND_LOW_HZ, SWAY_BAND_HIGH_HZ)
+        ];
+        this.pairs = new PeakValleyDetector();
+        this.axis = null;
+        this.lastDetection = -Infinity;
+    }
+    /**
+     * Feed the horizontal part of the non-gravity acceleration (device axes,
+     * m/s^2). `threshold` is the minimum peak-to-peak swing.
+     */
+    process(horizontal, timestamp, dtMs, threshold) {
+        const h = {
+            x: this.filters[0].process(horizontal.x, dtMs),
+            y: this.filters[1].process(horizontal.y, dtMs),
+            z: this.filters[2].process(horizontal.z, dtMs)
+        };
+        const size = norm(h);
+        // Swings are measured along one axis, so a swing back reads as the opposite sign
+        if (size > threshold / 2 && (!this.axis || Math.abs(dot(h, this.axis)) < size * SWAY_AXIS_MIN_ALIGNMENT)) {
+            this.axis = { x: h.x / size, y: h.y / size, z: h.z / size };
+            this.pairs.reset();
+        }
+        // The pair detector always runs so its state stays consistent through the quiet interval
+        const pair = this.axis ? this.pairs.process(dot(h, this.axis), timestamp, threshold) : null;
+        if (!pair || timestamp - this.lastDetection < FAULT_MIN_INTERVAL_MS) {
+            return null;
+        }
+        this.lastDetection = timestamp;
+        return { amplitude: pair.amplitude, durationMs: pair.durationMs };
+    }
+    reset() {
+        this.filters.forEach((filter) => filter.reset());
+        this.pairs.reset();
+        this.axis = null;
+        this.lastDetection = -Infinity;
+    }
+}
+/** Rotation speed about axes perpendicular to gravity (deg/s): tilting, not turning. */
+export function tiltRate(rate, gravity) {
+    // rotationRate is alpha about z, beta about x, gamma about y
+    const w = { x: rate.beta, y: rate.gamma, z: rate.alpha };
+    const g = norm(gravity);
+    if (g < 0.1)
+        return norm(w);
+    const aboutVertical = dot(w, gravity) / g;
+    return Math.sqrt(Math.max(0, dot(w, w) - aboutVertical * aboutVertical));
+}
+/** Finds bursts of tilting: a hip drop or a rock of the shoulders. */
+export class RotationFaultDetector {
+    constructor() {
+        this.smoothing = new LowPassFilter(TILT_SMOOTHING_HZ);
+        this.tilting = false;
+        this.start = 0;
+        this.peak = 0;
+        this.lastDetection = -Infinity;
+    }
+    /**
+     * Feed one gyro reading with the current gravity vector (device axes).
+     * `threshold` is the tilt rate that counts (deg/s). A fault is reported
+     * when the tilt settles, with the peak rate reached.
+     */
+    process(rate, gravity, timestamp, dtMs, threshold) {
+        if (!rate)
+            return null;
+        const speed = this.smoothing.process(tiltRate(rate, gravity), dtMs);
+        if (!this.tilting) {
+            if (speed > threshold) {
+                this.tilting = true;
+                this.start = timestamp;
+                this.peak = speed;
+            }
+            return null;
+        }
+        this.peak = Math.max(this.peak, speed);
+        if (speed >= threshold * TILT_END_RATIO) {
+            return null;
+        }
+        this.tilting = false;
+        if (timestamp - this.lastDetection < FAULT_MIN_INTERVAL_MS) {
+            return null;
+        }
+        this.lastDetection = timestamp;
+        return { amplitude: this.peak, durationMs: timestamp - this.start };
+    }
+    reset() {
+        this.smoothing.reset();
+        this.tilting = false;
+        this.start = 0;
+        this.peak = 0;
+        this.lastDetection = -Infinity;
+    }
+}
+//# sourceMappingURL=fault-detectors.js.map
\ No newline at end of file
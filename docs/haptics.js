@@ -0,0 +1,153 @@
+/**
+ * Haptic Vocabulary
+ * Distinct vibration patterns for each kind of feedback, so a dancer with
+ * the phone in a pocket can tell them apart by feel: bounces (scaled by how
+ * far past the threshold they went), near-miss warnings, bounce streaks,
+ * session milestones, and sway and rotation faults. DOM-free; the caller
+ * supplies the vibrate function.
+ */
+export const DEFAULT_HAPTIC_VOCABULARY = {
+    bounce: [100], // One pulse, stretched and repeated for bigger bounces
+    warning: [15, 60, 15], // Two faint ticks
+    streak: [250, 100, 250, 100, 250], // Three long buzzes
+    milestone: [40, 40, 40, 40, 40, 40, 400], // Rapid trill then a long hold
+    sway: [50, 150, 50], // Two short taps, far apart: side, side
+    rotation: [300, 60, 50] // Long buzz with a short tail
+};
+// A deviation this fraction of the threshold or more (without crossing it) is a near miss
+const WARNING_FRACTION = 0.75;
+const WARNING_COOLDOWN_MS = 1500;
+// No warning straight after a bounce: the tail of the same movement is still settling
+const WARNING_AFTER_BOUNCE_MS = 500;
+// This many bounces, each within the window of the one before, make a streak
+const STREAK_LENGTH = 3;
+const STREAK_WINDOW_MS = 3000;
+const MILESTONE_INTERVAL_MS = 5 * 60 * 1000;
+// Bounce scaling: pulses stretch up to this factor, and every whole threshold
+// of excess adds a repeat, up to this many pulses
+const MAX_PULSE_STRETCH = 3;
+const MAX_BOUNCE_REPEATS = 3;
+const REPEAT_GAP_MS = 80;
+const MAX_PATTERN_MS = 5000;
+/**
+ * Scale the bounce pattern by how far the bounce exceeded the threshold.
+ * `excess` is (amplitude - threshold) / threshold: 0 just over the line,
+ * 1 at twice the threshold. Vibrations stretch with the excess and the
+ * whole pattern repeats once per whole threshold of excess.
+ */
+export function scaleBouncePattern(base, excess) {
+    const clamped = Math.max(0, excess);
+    const stretch = Math.min(MAX_PULSE_STRETCH, 1 + clamped);
+    const repeats = Math.min(MAX_BOUNCE_REPEATS, 1 + Math.floor(clamped));
+    const stretched = base.map((ms, i) => (i % 2 === 0 ? Math.round(ms * stretch) : ms));
+    const pattern = [];
+    for (let r = 0; r < repeats; r++) {
+        if (r > 0) {
+            // Join repeats with a pause; a pattern ending in a pause just lengthens it
+            if (pattern.length % 2 === 1) {
+                pattern.push(REPEAT_GAP_MS);
+            }
+            else {
+                pattern[pattern.length - 1] += REPEAT_GAP_MS;
+            }
+        }
+        pattern.push(...stretched);
+    }
+    return pattern;
+}
+/** Parse "100 50 100" (or comma separated) into a pattern. Throws an Error describing the problem. */
+export function parsePattern(text) {
+    const parts = text.split(/[\s,]+/).filter((part) => part.length > 0);
+    if (parts.length === 0) {
+        throw new Error('Pattern is empty');
+    }
+    const pattern = parts.map((part) => Number(part));
+    if (pattern.some((ms) => !Number.isInteger(ms) || ms < 0)) {
+        throw new Error('Use whole milliseconds, e.g. "100 50 100"');
+    }
+    if (pattern.reduce((a, b) => a + b, 0) > MAX_PATTERN_MS) {
+        throw new Error(`Pattern is longer than ${MAX_PATTERN_MS / 1000} seconds`);
+    }
+    return pattern;
+}
+export function formatPattern(pattern) {
+    return pattern.join(' ');
+}
+/**
+ * Decides which cue (if any) to play as a session unfolds and hands its
+ * pattern to `vibrate`.
+ */
+export class HapticCoach {
+    constructor(vibrate, vocabulary = DEFAULT_HAPTIC_VOCABULARY) {
+        this.lastWarning = -Infinity;
+        this.lastBounce = -Infinity;
+        this.streak = 0;
+        this.milestonesReached = 0;
+        this.vibrate = vibrate;
+        this.vocabulary = vocabulary;
+    }
+    setVocabulary(vocabulary) {
+        this.vocabulary = vocabulary;
+    }
+    reset() {
+        this.lastWarning = -Infinity;
+        this.lastBounce = -Infinity;
+        this.streak = 0;
+        this.milestonesReached = 0;
+    }
+    /** Play a cue as-is (for previews). */
+    play(cue) {
+        this.vibrate(this.vocabulary[cue]);
+    }
+    /** A sample's deviation and the deviation that would count as a bounce. */
+    onDeviation(timestamp, deviation, threshold) {
+        if (deviation < threshold * WARNING_FRACTION || deviation >= threshold)
+            return;
+        if (timestamp - this.lastWarning < WARNING_COOLDOWN_MS || timestamp - this.lastBounce < WARNING_AFTER_BOUNCE_MS)
+            return;
+        this.lastWarning = timestamp;
+        this.vibrate(this.vocabulary.warning);
+    }
+    /** A counted bounce. A streak cue replaces the bounce cue when it completes a streak. */
+    onBounce(timestamp, amplitude, threshold) {
+        this.streak = timestamp - this.lastBounce <= STREAK_WINDOW_MS ? this.streak + 1 : 1;
+        this.lastBounce = timestamp;
+        if (this.streak >= STREAK_LENGTH) {
+            this.streak = 0;
+            this.vibrate(this.vocabulary.streak);
+            return;
+        }
+        const excess = threshold > 0 ? (amplitude - threshold) / threshold : 0;
+        this.vibrate(scaleBouncePattern(this.vocabulary.bounce, excess));
+    }
+    /** A sway or rotation fault; each has its own cue so it is not mistaken for a bounce. */
+    onFault(kind) {
+        this.vibrate(this.vocabulary[kind]);
+    }
+    /** Time practised so far; plays the milestone cue at each interval. */
+    onElapsed(elapsedMs) {
+        const reached = Math.floor(elapsedMs / MILESTONE_INTERVAL_MS);
+        if (reached > this.milestonesReached) {
+            this.milestonesReached = reached;
+            this.vibrate(this.vocabulary.milestone);
+        }
+    }
+}
+function isPattern(value) {
+    return Array.isArray(value) && value.length > 0 &&
+        value.every((ms) => typeof ms === 'number' && Number.isInteger(ms) && ms >= 0);
+}
+/** Stored or imported patterns, with anything missing or malformed replaced by the default. */
+export function sanitizeVocabulary(value) {
+    const vocabulary = { ...DEFAULT_HAPTIC_VOCABULARY };
+    if (value && typeof value === 'object') {
+        Object.keys(vocabulary).forEach((cue) => {
+            const pattern = value[cue];
+            if (isPattern(pattern)) {
+                vocabulary[cue] = pattern;
+            }
+        });
+    }
+    return vocabulary;
+}
+//# sourceMappingURL=haptics.js.map
\ No newline at end of file
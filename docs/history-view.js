@@ -0,0 +1,244 @@
+/**
+ * Practice History View
+ * Renders saved sessions as trend charts, a session list and a detail panel.
+ */
+import { weeklyTrends } from './session-history.js';
+import { prepareCanvas } from './canvas-utils.js';
+const RECENT_SESSION_LIMIT = 20;
+const BAR_COLOR = '#e94560';
+const LINE_COLOR = '#70a1ff';
+const AXIS_COLOR = 'rgba(255, 255, 255, 0.15)';
+const LABEL_COLOR = '#888';
+export function formatDuration(durationMs) {
+    const totalSeconds = Math.round(durationMs / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+}
+function formatDate(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, {
+        month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+}
+function drawEmpty(ctx, width, height) {
+    ctx.fillStyle = LABEL_COLOR;
+    ctx.font = '12px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText('No sessions yet', width / 2, height / 2);
+}
+function drawAxis(ctx, width, height, maxValue) {
+    ctx.strokeStyle = AXIS_COLOR;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(30, 10);
+    ctx.lineTo(30, height - 20);
+    ctx.lineTo(width - 5, height - 20);
+    ctx.stroke();
+    ctx.fillStyle = LABEL_COLOR;
+    ctx.font = '10px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText(maxValue.toFixed(0), 26, 14);
+    ctx.fillText('0', 26, height - 20);
+}
+export class HistoryView {
+    /** `onError` reports a failed change to the store, e.g. in the page's status line. */
+    constructor(store, onError) {
+        this.sessions = [];
+        this.sessionChart = null;
+        this.weeklyChart = null;
+        this.listEl = null;
+        this.detailEl = null;
+        this.clearBtn = null;
+        this.store = store;
+        this.onError = onError;
+    }
+    init() {
+        this.sessionChart = document.getElementById('history-session-chart');
+        this.weeklyChart = document.getElementById('history-weekly-chart');
+        this.listEl = document.getElementById('history-list');
+        this.detailEl = document.getElementById('history-detail');
+        this.clearBtn = document.getElementById('clear-history-btn');
+        this.clearBtn?.addEventListener('click', async () => {
+            if (!confirm('Delete all saved practice sessions?'))
+                return;
+            try {
+                await this.store.clear();
+            }
+            catch (e) {
+                console.warn('Could not clear practice history:', e);
+                this.onError(`Could not clear practice history: ${e.message}`);
+            }
+            await this.refresh();
+        });
+        window.addEventListener('resize', () => this.render());
+        this.refresh();
+    }
+    async refresh() {
+        try {
+            this.sessions = await this.store.getSessions();
+        }
+        catch (e) {
+            console.warn('Could not load practice history:', e);
+            this.sessions = [];
+        }
+        this.render();
+    }
+    render() {
+        this.drawSessionChart();
+        this.drawWeeklyChart(weeklyTrends(this.sessions));
+        this.renderList();
+        if (this.detailEl) {
+            this.detailEl.hidden = true;
+        }
+    }
+    drawSessionChart() {
+        if (!this.sessionChart)
+            return;
+        const prepared = prepareCanvas(this.sessionChart);
+        if (!prepared)
+            return;
+        const { ctx, width, height } = prepared;
+        const recent = this.sessions.slice(-RECENT_SESSION_LIMIT);
+        if (recent.length === 0) {
+            drawEmpty(ctx, width, height);
+            return;
+        }
+        const maxRate = Math.max(1, ...recent.map((s) => s.bouncesPerMinute));
+        drawAxis(ctx, width, height, maxRate);
+        const plotWidth = width - 40;
+        const plotHeight = height - 30;
+        const slot = plotWidth / RECENT_SESSION_LIMIT;
+        ctx.fillStyle = BAR_COLOR;
+        recent.forEach((session, i) => {
+            const barHeight = (session.bouncesPerMinute / maxRate) * plotHeight;
+            ctx.fillRect(35 + i * slot, height - 20 - barHeight, Math.max(2, slot - 3), barHeight);
+        });
+    }
+    drawWeeklyChart(weeks) {
+        if (!this.weeklyChart)
+            return;
+        const prepared = prepareCanvas(this.weeklyChart);
+        if (!prepared)
+            return;
+        const { ctx, width, height } = prepared;
+        if (weeks.length === 0) {
+            drawEmpty(ctx, width, height);
+            return;
+        }
+        const maxRate = Math.max(1, ...weeks.map((w) => w.bouncesPerMinute));
+        drawAxis(ctx, width, height, maxRate);
+        const plotWidth = width - 50;
+        const plotHeight = height - 30;
+        const step = weeks.length > 1 ? plotWidth / (weeks.length - 1) : 0;
+        const pointX = (i) => 40 + i * step;
+        const pointY = (rate) => height - 20 - (rate / maxRate) * plotHeight;
+        ctx.strokeStyle = LINE_COLOR;
+        ctx.fillStyle = LINE_COLOR;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        weeks.forEach((week, i) => {
+            if (i === 0)
+                ctx.moveTo(pointX(i), pointY(week.bouncesPerMinute));
+            else
+                ctx.lineTo(pointX(i), pointY(week.bouncesPerMinute));
+        });
+        ctx.stroke();
+        weeks.forEach((week, i) => {
+            ctx.beginPath();
+            ctx.arc(pointX(i), pointY(week.bouncesPerMinute), 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        ctx.fillStyle = LABEL_COLOR;
+        ctx.font = '10px sans-serif';
+        const first = new Date(weeks[0].weekStart).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+        ctx.textAlign = 'left';
+        ctx.fillText(first, 35, height - 6);
+    }
+    renderList() {
+        if (!this.listEl)
+            return;
+        this.listEl.innerHTML = '';
+        // Newest first
+        [...this.sessions].reverse().forEach((session) => {
+            const item = document.createElement('li');
+            item.className = 'history-item';
+            item.textContent =
+                `${formatDate(session.startTime)} · ${formatDuration(session.durationMs)} · ` +
+                    `${session.bounceCount} bounces (${session.bouncesPerMinute.toFixed(1)}/min)`;
+            item.addEventListener('click', () => this.showDetail(session));
+            this.listEl.appendChild(item);
+        });
+    }
+    showDetail(session) {
+        if (!this.detailEl)
+            return;
+        const rows = [
+            ['Started', new Date(session.startTime).toLocaleString()],
+            ['Duration', formatDuration(session.durationMs)],
+            ...(session.activeMs !== undefined ? [['Active time', formatDuration(session.activeMs)]] : []),
+            ['Bounces', session.bounceCount.toString()],
+            ['Bounces per minute', session.bouncesPerMinute.toFixed(1)],
+            ['Sensitivity', `${session.settings.sensitivity.toFixed(1)} m/s²`],
+            ['Debounce', `${session.settings.debounceTime} ms`],
+            ['Gravity mode', session.settings.gravityMode],
+            ['Algorithm', session.settings.algorithm ?? 'threshold'],
+            ['Audio mode', session.settings.audioMode],
+            ['Baseline', `${session.baselineMagnitude.toFixed(2)} m/s²`]
+        ];
+        if (session.severityCounts) {
+            const { minor, moderate, major } = session.severityCounts;
+            // After the bounce count and rate, wherever the optional rows above put them
+            rows.splice(rows.findIndex(([label]) => label === 'Bounces') + 2, 0, ['Minor / moderate / major', `${minor} / ${moderate} / ${major}`], ['Average rise', `${(session.averageDisplacementCm ?? 0).toFixed(1)} cm`]);
+        }
+        if (session.tempoBpm && session.bouncesPerStep !== undefined) {
+            rows.push(['Bounces per step', `${session.bouncesPerStep.toFixed(2)} at ${Math.round(session.tempoBpm)} BPM`]);
+        }
+        if (session.music) {
+            const { trackName, bpm, phaseCounts, countHistogram, averageBouncesPerBar } = session.music;
+            const topCount = countHistogram.reduce((best, bounces, i) => (bounces > countHistogram[best] ? i : best), 0);
+            rows.push(['Track', `${trackName} (${Math.round(bpm)} BPM)`], ['On beat / "and" / between', `${phaseCounts['on-beat']} / ${phaseCounts.upbeat} / ${phaseCounts.between}`], ['Bounces per bar', averageBouncesPerBar.toFixed(1)], ['Most bounces on count', (topCount + 1).toString()]);
+        }
+        if (session.settings.turnTolerant) {
+            rows.push(['Suppressed in turns', (session.suppressedCount ?? 0).toString()]);
+        }
+        if (session.faultCounts) {
+            if (session.settings.swayDetection) {
+                rows.push(['Sway', session.faultCounts.sway.toString()]);
+            }
+            if (session.settings.rotationDetection) {
+                rows.push(['Rotation faults', session.faultCounts.rotation.toString()]);
+            }
+        }
+        if (session.settings.displacementTolerance) {
+            rows.push(['Tolerance', `${session.settings.displacementTolerance.toFixed(1)} cm`]);
+        }
+        this.detailEl.innerHTML = '';
+        const table = document.createElement('dl');
+        rows.forEach(([label, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            table.append(dt, dd);
+        });
+        this.detailEl.appendChild(table);
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'secondary-btn';
+        deleteBtn.textContent = 'Delete Session';
+        deleteBtn.addEventListener('click', async () => {
+            if (session.id === undefined)
+                return;
+            try {
+                await this.store.deleteSession(session.id);
+            }
+            catch (e) {
+                console.warn('Could not delete practice session:', e);
+                this.onError(`Could not delete practice session: ${e.message}`);
+            }
+            await this.refresh();
+        });
+        this.detailEl.appendChild(deleteBtn);
+        this.detailEl.hidden = false;
+    }
+}
+//# sourceMappingURL=history-view.js.map
\ No newline at end of file
@@ -0,0 +1,32 @@
+/**
+ * Label Review View
+ * Lists the movements of a replayed recording, each with the detector's call
+ * and a checkbox for the dancer's verdict, so detections can be corrected
+ * after the fact.
+ */
+/** Minutes and seconds into the recording, to a tenth: "1:04.3". */
+function formatOffset(ms) {
+    const seconds = Math.max(0, ms) / 1000;
+    const minutes = Math.floor(seconds / 60);
+    return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+}
+/**
+ * Render one row per movement. `rows` pairs each movement with its index in
+ * the labeller, which is what `onChange` reports back.
+ */
+export function renderLabelReview(container, rows, startTimestamp, onChange) {
+    container.replaceChildren(...rows.map(([index, movement]) => {
+        const item = document.createElement('li');
+        const label = document.createElement('label');
+        label.className = 'toggle-row';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = movement.bounce;
+        checkbox.addEventListener('change', () => onChange(index, checkbox.checked));
+        const call = movement.detected ? 'counted' : 'not counted';
+        label.append(checkbox, `${formatOffset(movement.timestamp - startTimestamp)} · swing ${movement.swing.toFixed(1)} m/s² · peak ${movement.peakDeviation.toFixed(1)} m/s² · ${call}`);
+        item.appendChild(label);
+        return item;
+    }));
+}
+//# sourceMappingURL=label-review-view.js.map
\ No newline at end of file
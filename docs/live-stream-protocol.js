@@ -0,0 +1,114 @@
+/**
+ * Live Stream Protocol
+ * Messages between the detector on a dancer's phone, the relay on the
+ * instructor's laptop and the companion viewer. Dancers say hello and then
+ * send their status, bounces and the vertical signal; the relay tags each
+ * with the dancer's id and passes it on to every viewer. All messages are
+ * JSON text frames. DOM-free, so the Node relay shares it.
+ */
+export const STREAM_PROTOCOL_VERSION = 2;
+export const DEFAULT_RELAY_PORT = 8787;
+// WebSocket endpoint on the relay; everything else it serves is the app itself
+export const STREAM_PATH = '/stream';
+// Nothing the app sends comes close; the relay drops clients that go over
+export const MAX_MESSAGE_BYTES = 16 * 1024;
+export const MAX_NAME_LENGTH = 40;
+const MAX_ID_LENGTH = 64;
+export const MAX_SIGNAL_SAMPLES = 200;
+const SEVERITIES = ['minor', 'moderate', 'major'];
+const ALGORITHMS = ['threshold', 'peak-valley'];
+const isCount = (value) => typeof value === 'number' && Number.isInteger(value) && value >= 0;
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isBoolean = (value) => typeof value === 'boolean';
+function isCounts(value, keys) {
+    return value && typeof value === 'object' && keys.every((key) => isCount(value[key]));
+}
+/**
+ * Parse and check a message from a dancer or viewer. Returns null for
+ * anything malformed, so the relay never passes it on.
+ */
+export function parseClientMessage(text) {
+    let m;
+    try {
+        m = JSON.parse(text);
+    }
+    catch {
+        return null;
+    }
+    if (!m || typeof m !== 'object')
+        return null;
+    switch (m.type) {
+        case 'hello':
+            if (!isNumber(m.version))
+                return null;
+            if (m.role === 'viewer')
+                return { type: 'hello', role: 'viewer', version: m.version };
+            if (m.role !== 'dancer' || typeof m.id !== 'string' || m.id.length === 0 || m.id.length > MAX_ID_LENGTH ||
+                typeof m.name !== 'string')
+                return null;
+            return { type: 'hello', role: 'dancer', version: m.version, id: m.id, name: m.name.trim().slice(0, MAX_NAME_LENGTH) };
+        case 'status':
+            if (!isBoolean(m.running) || !isBoolean(m.paused) || !isCount(m.count) || !isNumber(m.activeMs) ||
+                !isNumber(m.sensitivity) || !ALGORITHMS.includes(m.algorithm) ||
+                !isCounts(m.severityCounts, SEVERITIES) || !isCounts(m.faultCounts, ['sway', 'rotation']))
+                return null;
+            return {
+                type: 'status',
+                running: m.running,
+                paused: m.paused,
+                count: m.count,
+                severityCounts: { minor: m.severityCounts.minor, moderate: m.severityCounts.moderate, major: m.severityCounts.major },
+                faultCounts: { sway: m.faultCounts.sway, rotation: m.faultCounts.rotation },
+                activeMs: m.activeMs,
+                sensitivity: m.sensitivity,
+                algorithm: m.algorithm
+            };
+        case 'bounce':
+            if (!isNumber(m.timestamp) || !SEVERITIES.includes(m.severity) || !isNumber(m.displacementCm) || !isCount(m.count))
+                return null;
+            return { type: 'bounce', timestamp: m.timestamp, severity: m.severity, displacementCm: m.displacementCm, count: m.count };
+        case 'signal':
+            if (!isNumber(m.baseline) || !isNumber(m.threshold) || !Array.isArray(m.samples) ||
+                m.samples.length > MAX_SIGNAL_SAMPLES ||
+                !m.samples.every((s) => Array.isArray(s) && s.length === 2 && isNumber(s[0]) && isNumber(s[1])))
+                return null;
+            return { type: 'signal', baseline: m.baseline, threshold: m.threshold, samples: m.samples.map((s) => [s[0], s[1]]) };
+        default:
+            return null;
+    }
+}
+/**
+ * The WebSocket URL for a relay address as typed by the dancer: a host with
+ * an optional port, or a URL, including the http(s):// one the relay prints.
+ * Secure pages can only open secure sockets, so a bare host gets wss://
+ * there. Returns null when the address cannot be a relay.
+ */
+export function relayUrl(address, secure) {
+    const trimmed = address.trim();
+    if (!trimmed)
+        return null;
+    const scheme = /^([a-z][a-z0-9+.-]*):\/\//i.exec(trimmed)?.[1].toLowerCase();
+    const socketScheme = scheme === undefined ? (secure ? 'wss' : 'ws')
+        : scheme === 'ws' || scheme === 'http' ? 'ws'
+            : scheme === 'wss' || scheme === 'https' ? 'wss'
+                : null;
+    if (socketScheme === null)
+        return null;
+    let url;
+    try {
+        url = new URL(`${socketScheme}://${scheme === undefined ? trimmed : trimmed.slice(scheme.length + 3)}`);
+    }
+    catch {
+        return null;
+    }
+    if (!url.hostname)
+        return null;
+    if (!url.port && scheme === undefined) {
+        url.port = DEFAULT_RELAY_PORT.toString();
+    }
+    if (url.pathname === '/' || url.pathname === '') {
+        url.pathname = STREAM_PATH;
+    }
+    return url.toString();
+}
+//# sourceMappingURL=live-stream-protocol.js.map
\ No newline at end of file
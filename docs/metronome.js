@@ -0,0 +1,62 @@
+/**
+ * Metronome
+ * Audible click track scheduled on the AudioContext clock, so clicks stay
+ * steady even when the main thread is busy with sensor events.
+ */
+// How often the scheduler wakes up, and how far ahead it schedules clicks
+const SCHEDULER_INTERVAL_MS = 25;
+const SCHEDULE_AHEAD_SEC = 0.1;
+const CLICK_DURATION_SEC = 0.03;
+const ACCENT_FREQUENCY = 1500; // First beat of the bar
+const BEAT_FREQUENCY = 1000;
+export class Metronome {
+    constructor(audioContext, destination) {
+        this.bpm = 120;
+        this.beatsPerBar = 4;
+        this.nextClickTime = 0;
+        this.beatInBar = 0;
+        this.timer = null;
+        this.audioContext = audioContext;
+        this.destination = destination;
+    }
+    get isRunning() {
+        return this.timer !== null;
+    }
+    setTempo(bpm) {
+        this.bpm = bpm;
+    }
+    start(bpm = this.bpm) {
+        this.stop();
+        this.bpm = bpm;
+        this.beatInBar = 0;
+        this.nextClickTime = this.audioContext.currentTime + 0.05;
+        this.timer = setInterval(() => this.schedule(), SCHEDULER_INTERVAL_MS);
+        this.schedule();
+    }
+    stop() {
+        if (this.timer !== null) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+    schedule() {
+        while (this.nextClickTime < this.audioContext.currentTime + SCHEDULE_AHEAD_SEC) {
+            this.click(this.nextClickTime, this.beatInBar === 0);
+            this.nextClickTime += 60 / this.bpm;
+            this.beatInBar = (this.beatInBar + 1) % this.beatsPerBar;
+        }
+    }
+    click(time, accent) {
+        const oscillator = this.audioContext.createOscillator();
+        const clickGain = this.audioContext.createGain();
+        oscillator.type = 'triangle';
+        oscillator.frequency.value = accent ? ACCENT_FREQUENCY : BEAT_FREQUENCY;
+        clickGain.gain.setValueAtTime(1, time);
+        clickGain.gain.exponentialRampToValueAtTime(0.001, time + CLICK_DURATION_SEC);
+        oscillator.connect(clickGain);
+        clickGain.connect(this.destination);
+        oscillator.start(time);
+        oscillator.stop(time + CLICK_DURATION_SEC);
+    }
+}
+//# sourceMappingURL=metronome.js.map
\ No newline at end of file
@@ -0,0 +1,258 @@
+/**
+ * Motion Input
+ * Sources of raw motion samples for the engine: the window `devicemotion`
+ * event, or the Generic Sensor API (Chromium) at a chosen frequency. A
+ * Generic Sensor source that is unsupported, denied or fails falls back to
+ * `devicemotion` on its own.
+ */
+export const DEFAULT_SENSOR_FREQUENCY_HZ = 60;
+// A sensor that has not produced a reading by then is treated as failed (ms)
+const SENSOR_ACTIVATION_TIMEOUT_MS = 3000;
+const RAD_TO_DEG = 180 / Math.PI;
+/**
+ * Convert a DeviceMotionEvent into an engine sample.
+ * Returns null when the event carries no usable accelerometer reading.
+ */
+export function toMotionSample(event, timestamp) {
+    const accWithGravity = event.accelerationIncludingGravity;
+    const linearAcc = event.acceleration; // Linear acceleration without gravity (if available)
+    if (!accWithGravity || accWithGravity.x === null || accWithGravity.y === null || accWithGravity.z === null) {
+        return null;
+    }
+    // Check if device supports linear acceleration sensor
+    const hasLinearAcc = linearAcc && linearAcc.x !== null && linearAcc.y !== null && linearAcc.z !== null;
+    const rotation = event.rotationRate;
+    const hasRotation = rotation && rotation.alpha !== null && rotation.beta !== null && rotation.gamma !== null;
+    // The spec says milliseconds, but some browsers report seconds
+    const interval = event.interval > 0 ? (event.interval < 1 ? event.interval * 1000 : event.interval) : undefined;
+    return {
+        timestamp,
+        accelerationIncludingGravity: { x: accWithGravity.x, y: accWithGravity.y, z: accWithGravity.z },
+        acceleration: hasLinearAcc ? { x: linearAcc.x, y: linearAcc.y, z: linearAcc.z } : null,
+        rotationRate: hasRotation ? { alpha: rotation.alpha, beta: rotation.beta, gamma: rotation.gamma } : null,
+        interval
+    };
+}
+/**
+ * When the sensor produced an event, on the Date.now() clock. Uses the
+ * event's high-resolution timestamp so handler scheduling delays do not
+ * show up as sensor jitter.
+ */
+export function eventTimestamp(event) {
+    if (event.timeStamp <= 0)
+        return Date.now();
+    // Older browsers stamp events with epoch milliseconds rather than time since page load
+    return event.timeStamp > 1e12 ? event.timeStamp : performance.timeOrigin + event.timeStamp;
+}
+function readVector(sensor) {
+    if (!sensor || sensor.x === null || sensor.y === null || sensor.z === null)
+        return null;
+    return { x: sensor.x, y: sensor.y, z: sensor.z };
+}
+function sensorGlobals() {
+    return globalThis;
+}
+/** Ask the Permissions API about a sensor; browsers that cannot answer are treated as 'prompt'. */
+async function sensorPermission(name) {
+    try {
+        const status = await navigator.permissions.query({ name: name });
+        return status.state;
+    }
+    catch (e) {
+        return 'prompt';
+    }
+}
+export class MotionInput {
+    constructor(handlers) {
+        this.backend = null;
+        this.sensors = [];
+        this.accelerometer = null;
+        this.linearSensor = null;
+        this.gravitySensor = null;
+        this.gyroscope = null;
+        this.frequencyHz = DEFAULT_SENSOR_FREQUENCY_HZ;
+        this.generation = 0; // Bumped on every start/stop so a stale async start can tell it was cancelled
+        this.handleDeviceMotion = (event) => {
+            const sample = toMotionSample(event, eventTimestamp(event));
+            if (sample) {
+                this.handlers.onSample(sample);
+            }
+        };
+        this.handlers = handlers;
+    }
+    /** True when the browser has the sensors needed for the Generic Sensor backend. */
+    static isGenericSensorSupported() {
+        const api = sensorGlobals();
+        return typeof api.Accelerometer === 'function' ||
+            (typeof api.LinearAccelerationSensor === 'function' && typeof api.GravitySensor === 'function');
+    }
+    /** Backend currently delivering samples, or null when stopped. */
+    get activeBackend() {
+        return this.backend;
+    }
+    get sensorFrequency() {
+        return this.frequencyHz;
+    }
+    /**
+     * Start delivering samples from the preferred backend, falling back to
+     * devicemotion if the Generic Sensor API cannot be used. Resolves with the
+     * backend actually in use.
+     */
+    async start(preferred, frequencyHz = DEFAULT_SENSOR_FREQUENCY_HZ) {
+        this.stop();
+        const generation = this.generation;
+        this.frequencyHz = frequencyHz;
+        if (preferred === 'generic-sensor') {
+            // A newer start() or stop() has already cleaned up after a cancelled one
+            try {
+                await this.startGenericSensor(generation);
+                if (generation !== this.generation)
+                    return preferred;
+                this.backend = 'generic-sensor';
+                return this.backend;
+            }
+            catch (e) {
+                if (generation !== this.generation)
+                    return preferred;
+                this.stopGenericSensor();
+                this.handlers.onFallback(e instanceof Error ? e.message : String(e));
+            }
+        }
+        this.startDeviceMotion();
+        return 'devicemotion';
+    }
+    stop() {
+        this.generation++;
+        window.removeEventListener('devicemotion', this.handleDeviceMotion);
+        this.stopGenericSensor();
+        this.backend = null;
+    }
+    startDeviceMotion() {
+        window.addEventListener('devicemotion', this.handleDeviceMotion);
+        this.backend = 'devicemotion';
+    }
+    /** Start the sensors and wait for the first reading. Throws an Error explaining why it could not start. */
+    async startGenericSensor(generation) {
+        if (!MotionInput.isGenericSensorSupported()) {
+            throw new Error('Generic Sensor API not supported');
+        }
+        if (await sensorPermission('accelerometer') === 'denied') {
+            throw new Error('motion sensor permission denied');
+        }
+        const gyroscopeAllowed = await sensorPermission('gyroscope') !== 'denied';
+        if (generation !== this.generation)
+            return;
+        const api = sensorGlobals();
+        const options = { frequency: this.frequencyHz, referenceFrame: 'device' };
+        const create = (ctor) => {
+            if (!ctor)
+                return null;
+            try {
+                return new ctor(options);
+            }
+            catch (e) {
+                // SecurityError when blocked by permissions policy, NotSupportedError without the hardware
+                return null;
+            }
+        };
+        this.accelerometer = create(api.Accelerometer);
+        this.linearSensor = create(api.LinearAccelerationSensor);
+        this.gravitySensor = create(api.GravitySensor);
+        this.gyroscope = gyroscopeAllowed ? create(api.Gyroscope) : null;
+        // Without an accelerometer, linear acceleration plus gravity gives the same reading
+        const driver = this.accelerometer ?? (this.gravitySensor ? this.linearSensor : null);
+        if (!driver) {
+            throw new Error('accelerometer could not be created');
+        }
+        this.sensors = [this.accelerometer, this.linearSensor, this.gravitySensor, this.gyroscope]
+            .filter((sensor) => sensor !== null);
+        await new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error('accelerometer did not start')), SENSOR_ACTIVATION_TIMEOUT_MS);
+            this.sensors.forEach((sensor) => {
+                sensor.onerror = (event) => {
+                    const reason = `${event.error.name}: ${event.error.message}`;
+                    if (sensor !== driver) {
+                        // Optional channels are dropped; detection carries on without them
+                        sensor.stop();
+                        this.dropSensor(sensor);
+                        return;
+                    }
+                    clearTimeout(timer);
+                    if (this.backend === 'generic-sensor') {
+                        this.failOver(reason);
+                    }
+                    else {
+                        reject(new Error(reason));
+                    }
+                };
+            });
+            driver.onreading = () => {
+                clearTimeout(timer);
+                resolve();
+                driver.onreading = () => this.emitSensorSample(driver);
+                this.emitSensorSample(driver);
+            };
+            this.sensors.forEach((sensor) => sensor.start());
+        });
+    }
+    dropSensor(sensor) {
+        this.sensors = this.sensors.filter((s) => s !== sensor);
+        if (sensor === this.linearSensor)
+            this.linearSensor = null;
+        if (sensor === this.gravitySensor)
+            this.gravitySensor = null;
+        if (sensor === this.gyroscope)
+            this.gyroscope = null;
+    }
+    /** The running Generic Sensor source failed: switch to devicemotion. */
+    failOver(reason) {
+        this.stopGenericSensor();
+        this.startDeviceMotion();
+        this.handlers.onFallback(reason);
+    }
+    emitSensorSample(driver) {
+        const accelerometer = readVector(this.accelerometer);
+        const linear = readVector(this.linearSensor);
+        const gravity = readVector(this.gravitySensor);
+        if (driver.timestamp === null)
+            return;
+        const withGravity = accelerometer ?? (linear && gravity
+            ? { x: linear.x + gravity.x, y: linear.y + gravity.y, z: linear.z + gravity.z }
+            : null);
+        if (!withGravity)
+            return;
+        const acceleration = linear ?? (accelerometer && gravity
+            ? { x: accelerometer.x - gravity.x, y: accelerometer.y - gravity.y, z: accelerometer.z - gravity.z }
+            : null);
+        // Gyroscope reports rad/s about x, y, z; devicemotion's rotationRate is deg/s as alpha (z), beta (x), gamma (y)
+        const gyro = readVector(this.gyroscope);
+        const rotationRate = gyro
+            ? { alpha: gyro.z * RAD_TO_DEG, beta: gyro.x * RAD_TO_DEG, gamma: gyro.y * RAD_TO_DEG }
+            : null;
+        this.handlers.onSample({
+            timestamp: performance.timeOrigin + driver.timestamp,
+            accelerationIncludingGravity: withGravity,
+            acceleration,
+            rotationRate,
+            interval: 1000 / this.frequencyHz
+        });
+    }
+    stopGenericSensor() {
+        this.sensors.forEach((sensor) => {
+            sensor.onreading = null;
+            sensor.onerror = null;
+            try {
+                sensor.stop();
+            }
+            catch (e) {
+                // Sensor might never have started
+            }
+        });
+        this.sensors = [];
+        this.accelerometer = null;
+        this.linearSensor = null;
+        this.gravitySensor = null;
+        this.gyroscope = null;
+    }
+}
+//# sourceMappingURL=motion-input.js.map
\ No newline at end of file
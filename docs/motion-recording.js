@@ -0,0 +1,175 @@
+/**
+ * Motion Recording
+ * Captures raw accelerometer streams into a portable JSON format and replays
+ * them through BounceEngine so detection settings can be compared offline.
+ * DOM-free: works in the page and under Node.
+ */
+import { BounceEngine, DEFAULT_ENGINE_CONFIG } from './detector-engine.js';
+import { PLACEMENTS } from './placement.js';
+export const RECORDING_FORMAT = 'dance-bounce-recording';
+export const RECORDING_VERSION = 2;
+const SUPPORTED_VERSIONS = [1, 2];
+export class MotionRecorder {
+    constructor() {
+        this.rows = [];
+        this.startTimestamp = null;
+        this.startedAt = new Date();
+        this.settings = null;
+        this.calibration = null;
+        this.recording = false;
+    }
+    get isRecording() {
+        return this.recording;
+    }
+    get sampleCount() {
+        return this.rows.length;
+    }
+    /** Begin a new recording, discarding any previous one. */
+    start(settings, calibration) {
+        this.rows = [];
+        this.startTimestamp = null;
+        this.startedAt = new Date();
+        this.settings = { ...settings };
+        this.calibration = { baselineMagnitude: calibration.baselineMagnitude, gravity: { ...calibration.gravity } };
+        this.recording = true;
+    }
+    add(sample) {
+        if (!this.recording)
+            return;
+        if (this.startTimestamp === null) {
+            this.startTimestamp = sample.timestamp;
+        }
+        const g = sample.accelerationIncludingGravity;
+        const l = sample.acceleration;
+        const r = sample.rotationRate;
+        this.rows.push([
+            sample.timestamp - this.startTimestamp,
+            g.x, g.y, g.z,
+            l ? l.x : null, l ? l.y : null, l ? l.z : null,
+            r ? r.alpha : null, r ? r.beta : null, r ? r.gamma : null
+        ]);
+    }
+    /** Stop capturing and return the finished recording (null if nothing was started). */
+    stop(userAgent) {
+        this.recording = false;
+        if (!this.settings || !this.calibration)
+            return null;
+        return {
+            format: RECORDING_FORMAT,
+            version: RECORDING_VERSION,
+            recordedAt: this.startedAt.toISOString(),
+            userAgent,
+            settings: this.settings,
+            calibration: this.calibration,
+            samples: this.rows
+        };
+    }
+}
+export function serializeRecording(recording) {
+    return JSON.stringify(recording);
+}
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+// Allowed values of the engine's string settings
+const SETTING_CHOICES = {
+    gravityMode: ['sensor', 'filter'],
+    algorithm: ['threshold', 'peak-valley'],
+    placement: PLACEMENTS
+};
+/**
+ * Engine settings from a file. Fields the engine does not know are dropped,
+ * and ill-typed or out-of-range ones fall back to their defaults, so a
+ * hand-edited file cannot feed the engine a string where it does arithmetic.
+ */
+function sanitizeSettings(value) {
+    const settings = { ...DEFAULT_ENGINE_CONFIG };
+    const source = value !== null && typeof value === 'object' ? value : {};
+    Object.keys(DEFAULT_ENGINE_CONFIG).forEach((key) => {
+        const field = source[key];
+        const choices = SETTING_CHOICES[key];
+        const valid = typeof DEFAULT_ENGINE_CONFIG[key] === 'number'
+            ? isFiniteNumber(field) && field >= 0
+            : typeof field === typeof DEFAULT_ENGINE_CONFIG[key] && (!choices || choices.includes(field));
+        if (valid) {
+            settings[key] = field;
+        }
+    });
+    return settings;
+}
+/** Parse and validate a recording file. Throws an Error describing the first problem found. */
+export function parseRecording(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    }
+    catch (e) {
+        throw new Error('Recording is not valid JSON');
+    }
+    if (!data || data.format !== RECORDING_FORMAT) {
+        throw new Error('Not a dance bounce recording');
+    }
+    if (!SUPPORTED_VERSIONS.includes(data.version)) {
+        throw new Error(`Unsupported recording version: ${data.version}`);
+    }
+    if (!Array.isArray(data.samples)) {
+        throw new Error('Recording has no samples');
+    }
+    const rowLength = data.version === 1 ? 7 : 10;
+    const isOptionalTriple = (values) => values.every((v) => v === null) || values.every(isFiniteNumber);
+    data.samples.forEach((row, index) => {
+        if (!Array.isArray(row) || row.length !== rowLength ||
+            !isFiniteNumber(row[0]) || !isFiniteNumber(row[1]) || !isFiniteNumber(row[2]) || !isFiniteNumber(row[3])) {
+            throw new Error(`Malformed sample at row ${index}`);
+        }
+        if (!isOptionalTriple(row.slice(4, 7))) {
+            throw new Error(`Malformed linear acceleration at row ${index}`);
+        }
+        if (!isOptionalTriple(row.slice(7, 10))) {
+            throw new Error(`Malformed rotation rate at row ${index}`);
+        }
+    });
+    const calibration = data.calibration ?? {};
+    const gravity = calibration.gravity ?? {};
+    if (!isFiniteNumber(calibration.baselineMagnitude) ||
+        !isFiniteNumber(gravity.x) || !isFiniteNumber(gravity.y) || !isFiniteNumber(gravity.z)) {
+        throw new Error('Recording has no calibration data');
+    }
+    return { ...data, settings: sanitizeSettings(data.settings) };
+}
+export function rowToSample(row) {
+    const [t, gx, gy, gz, lx, ly, lz, ra, rb, rg] = row;
+    return {
+        timestamp: t,
+        accelerationIncludingGravity: { x: gx, y: gy, z: gz },
+        acceleration: lx !== null && ly !== null && lz !== null ? { x: lx, y: ly, z: lz } : null,
+        rotationRate: ra != null && rb != null && rg != null ? { alpha: ra, beta: rb, gamma: rg } : null
+    };
+}
+/**
+ * Feed a recording through a fresh engine, starting from the calibration that
+ * was active when it was captured. Settings default to the recorded ones;
+ * pass overrides to see how a different sensitivity or gravity mode would
+ * have behaved on the same motion.
+ */
+export function replayRecording(recording, overrides = {}) {
+    // Recordings made before a setting existed replay with that setting's default
+    const settings = { ...DEFAULT_ENGINE_CONFIG, ...recording.settings, ...overrides };
+    const engine = new BounceEngine(settings);
+    engine.restoreCalibration(recording.calibration);
+    const bounces = [];
+    const candidates = [];
+    engine.on('bounce', (event) => bounces.push(event));
+    engine.on('candidate', (event) => candidates.push(event));
+    recording.samples.forEach((row) => engine.processSample(rowToSample(row)));
+    const last = recording.samples[recording.samples.length - 1];
+    return {
+        settings,
+        sampleCount: recording.samples.length,
+        durationMs: last ? last[0] : 0,
+        bounceCount: bounces.length,
+        bounces,
+        candidates
+    };
+}
+//# sourceMappingURL=motion-recording.js.map
\ No newline at end of file
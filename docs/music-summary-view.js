@@ -0,0 +1,51 @@
+/**
+ * Music Summary View
+ * Renders how a session's bounces lined up with the beat grid.
+ */
+const PHASE_LABELS = {
+    'on-beat': 'On the beat',
+    upbeat: 'On the "and"',
+    between: 'Between beats'
+};
+export function renderMusicSummary(container, trackName, summary) {
+    container.innerHTML = '';
+    const heading = document.createElement('div');
+    heading.className = 'hint-text';
+    heading.textContent = `${trackName} · ${Math.round(summary.bpm)} BPM · ${summary.averageBouncesPerBar.toFixed(1)} bounces per bar`;
+    container.appendChild(heading);
+    const phases = document.createElement('dl');
+    Object.keys(PHASE_LABELS).forEach((phase) => {
+        const dt = document.createElement('dt');
+        dt.textContent = PHASE_LABELS[phase];
+        const dd = document.createElement('dd');
+        dd.textContent = summary.phaseCounts[phase].toString();
+        phases.append(dt, dd);
+    });
+    container.appendChild(phases);
+    // One column per count of the phrase, height proportional to bounces on that count
+    const maxCount = Math.max(1, ...summary.countHistogram);
+    const histogram = document.createElement('div');
+    histogram.className = 'count-histogram';
+    summary.countHistogram.forEach((bounces, i) => {
+        const column = document.createElement('div');
+        column.className = 'count-column';
+        const bar = document.createElement('div');
+        bar.className = 'count-bar';
+        bar.style.height = `${(bounces / maxCount) * 100}%`;
+        bar.title = `${bounces} bounces on ${i + 1}`;
+        const label = document.createElement('span');
+        label.textContent = (i + 1).toString();
+        column.append(bar, label);
+        histogram.appendChild(column);
+    });
+    container.appendChild(histogram);
+    const busiestBar = summary.bouncesPerBar.reduce((best, bounces, i, bars) => (bounces > bars[best] ? i : best), 0);
+    if (summary.bouncesPerBar[busiestBar] > 0) {
+        const note = document.createElement('div');
+        note.className = 'hint-text';
+        note.textContent = `Most bounces in bar ${busiestBar + 1} (${summary.bouncesPerBar[busiestBar]})`;
+        container.appendChild(note);
+    }
+    container.hidden = false;
+}
+//# sourceMappingURL=music-summary-view.js.map
\ No newline at end of file
@@ -0,0 +1,130 @@
+/**
+ * Phone Placement
+ * Where the phone is worn changes what it feels. A belt clip moves with the
+ * hips alone; a pocket adds some leg swing; an armband and a hand add arm
+ * swing and constant tilting. Each preset sets how quickly gravity is
+ * re-tracked and the thresholds that suit that spot. The reorientation
+ * detector notices the phone being moved mid-session (pushed deeper into a
+ * pocket, swapped to the other hand) so the engine can hold off counting
+ * until it knows which way is down again.
+ */
+import { clampInterval } from './signal-filters.js';
+export const PLACEMENTS = ['hip-pocket', 'waist', 'armband', 'hand'];
+export const DEFAULT_PLACEMENT = 'hip-pocket';
+export const PLACEMENT_PRESETS = {
+    // The original settings: slow enough to ignore quick movements but still follow the phone settling in a pocket
+    'hip-pocket': { label: 'Hip pocket', gravityTimeConstantMs: 3300, reorientAngleDeg: 30, sensitivity: 3.0, swaySensitivity: 3.0, rotationSensitivity: 90 },
+    // Clipped firmly near the centre of mass: a clean signal that barely changes direction
+    waist: { label: 'Waist belt', gravityTimeConstantMs: 5000, reorientAngleDeg: 25, sensitivity: 2.5, swaySensitivity: 2.5, rotationSensitivity: 70 },
+    // Arm swing adds sideways movement and tilt the hips never make
+    armband: { label: 'Armband', gravityTimeConstantMs: 2000, reorientAngleDeg: 35, sensitivity: 3.5, swaySensitivity: 4.0, rotationSensitivity: 150 },
+    // A hand tilts all the time, so gravity is followed quickly and only a big change counts as a move
+    hand: { label: 'In hand', gravityTimeConstantMs: 1000, reorientAngleDeg: 45, sensitivity: 4.5, swaySensitivity: 5.0, rotationSensitivity: 200 }
+};
+export function isPhonePlacement(value) {
+    return typeof value === 'string' && PLACEMENTS.includes(value);
+}
+/** The preset for a placement, or the default for an unknown one (a setting from a newer version, say). */
+export function placementPreset(placement) {
+    return isPhonePlacement(placement) ? PLACEMENT_PRESETS[placement] : PLACEMENT_PRESETS[DEFAULT_PLACEMENT];
+}
+// Smoothing of the raw reading: enough to take out foot-strike spikes, quick
+// enough to see a move before the gravity estimate is misled by it (ms)
+const FAST_DIRECTION_TIME_CONSTANT_MS = 50;
+// The new direction must hold this long, so a stumble or a jolt is not a move (ms)
+const REORIENT_HOLD_MS = 150;
+// Gravity has settled once its direction stays within this angle (deg) for this long (ms)
+const SETTLED_DRIFT_DEG = 4;
+const SETTLED_STILL_MS = 400;
+// Stop waiting after this long: a phone that never settles is counted as it is (ms)
+const MAX_SETTLING_MS = 5000;
+function smooth(value, input, dtMs, timeConstantMs) {
+    const alpha = 1 - Math.exp(-clampInterval(dtMs) / timeConstantMs);
+    return {
+        x: value.x + alpha * (input.x - value.x),
+        y: value.y + alpha * (input.y - value.y),
+        z: value.z + alpha * (input.z - value.z)
+    };
+}
+/** Angle between two directions (deg); 0 if either is too short to have one. */
+export function angleBetween(a, b) {
+    const lengths = Math.sqrt(a.x * a.x + a.y * a.y + a.z * a.z) * Math.sqrt(b.x * b.x + b.y * b.y + b.z * b.z);
+    if (lengths < 1e-6)
+        return 0;
+    const cos = (a.x * b.x + a.y * b.y + a.z * b.z) / lengths;
+    return Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+}
+/**
+ * Compares where the raw reading points now with where it pointed over the
+ * last few seconds. A large difference that holds is the phone being moved;
+ * it stays unsettled until the engine's gravity estimate stops moving.
+ */
+export class ReorientationDetector {
+    constructor() {
+        this.fast = null;
+        this.reference = null;
+        this.exceededSince = null;
+        this.settlingSince = null;
+        this.anchor = { x: 0, y: 0, z: 0 };
+        this.anchorSince = 0;
+    }
+    /** True from a recognised move until gravity has settled. */
+    get isSettling() {
+        return this.settlingSince !== null;
+    }
+    /** True while settling, and while a possible move is being confirmed: detections then can't be trusted. */
+    get isUnsettled() {
+        return this.settlingSince !== null || this.exceededSince !== null;
+    }
+    /**
+     * Feed one reading including gravity, and the engine's gravity estimate
+     * after it. A turn swings the reading round with centripetal acceleration,
+     * so a move is only confirmed once any turn is over. Returns a change when
+     * settling starts or ends.
+     */
+    process(reading, gravity, turning, timestamp, dtMs, preset) {
+        if (!this.fast || !this.reference) {
+            this.fast = { ...reading };
+            this.reference = { ...reading };
+            return null;
+        }
+        this.fast = smooth(this.fast, reading, dtMs, FAST_DIRECTION_TIME_CONSTANT_MS);
+        if (this.settlingSince === null) {
+            this.reference = smooth(this.reference, reading, dtMs, preset.gravityTimeConstantMs);
+            const angle = angleBetween(this.fast, this.reference);
+            if (angle < preset.reorientAngleDeg) {
+                this.exceededSince = null;
+                return null;
+            }
+            if (this.exceededSince === null) {
+                this.exceededSince = timestamp;
+            }
+            if (turning || timestamp - this.exceededSince < REORIENT_HOLD_MS) {
+                return null;
+            }
+            this.settlingSince = timestamp;
+            this.anchor = { ...gravity };
+            this.anchorSince = timestamp;
+            return { settling: true, angleDeg: angle };
+        }
+        if (angleBetween(gravity, this.anchor) > SETTLED_DRIFT_DEG) {
+            this.anchor = { ...gravity };
+            this.anchorSince = timestamp;
+        }
+        if (timestamp - this.anchorSince < SETTLED_STILL_MS && timestamp - this.settlingSince < MAX_SETTLING_MS) {
+            return null;
+        }
+        const angleDeg = angleBetween(gravity, this.reference);
+        this.reference = { ...gravity };
+        this.settlingSince = null;
+        this.exceededSince = null;
+        return { settling: false, angleDeg };
+    }
+    reset() {
+        this.fast = null;
+        this.reference = null;
+        this.exceededSince = null;
+        this.settlingSince = null;
+    }
+}
+//# sourceMappingURL=placement.js.map
\ No newline at end of file
@@ -0,0 +1,230 @@
+/**
+ * Settings Profiles
+ * Named sets of detector settings (one per dance style, say) kept in a
+ * versioned localStorage record, plus the JSON file format used to share a
+ * tuned profile. Migrates the single settings blob saved by older versions.
+ */
+import { PLACEMENTS } from './placement.js';
+import { MAX_TEMPO_BPM, MIN_TEMPO_BPM } from './tempo.js';
+import { VersionedRecord } from './versioned-storage.js';
+export const PROFILE_STORAGE_KEY = 'bounceDetectorProfiles';
+export const PROFILE_STORE_VERSION = 1;
+// Flat settings blob written before profiles existed
+const LEGACY_SETTINGS_KEY = 'bounceDetectorSettings';
+export const PROFILE_FILE_FORMAT = 'dance-bounce-profile';
+export const PROFILE_FILE_VERSION = 1;
+// Calibration belongs to the phone and how it is worn, not to the dance style,
+// so it stays out of exported files, as does the placement itself
+const CALIBRATION_KEYS = ['baselineMagnitude', 'gravityX', 'gravityY', 'gravityZ', 'placement'];
+const DEFAULT_PROFILE_NAME = 'Default';
+const inRange = (min, max) => (value) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+const oneOf = (choices) => (value) => choices.includes(value);
+const isBoolean = (value) => typeof value === 'boolean';
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+// Nested settings are checked field by field by their own sanitizers when applied
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+// What each stored value may be; ranges follow the controls that set them
+const FIELD_CHECKS = {
+    sensitivity: inRange(1, 8),
+    debounceTime: inRange(100, 1000),
+    audioMode: oneOf(['off', 'discrete', 'frequency', 'frequency-fadeout', 'musical']),
+    audioVolume: inRange(0, 1),
+    sonification: isObject,
+    voiceVerbosity: oneOf(['off', 'brief', 'detailed']),
+    voiceVolume: inRange(0, 1),
+    gravityMode: oneOf(['sensor', 'filter']),
+    placement: oneOf(PLACEMENTS),
+    algorithm: oneOf(['threshold', 'peak-valley']),
+    displacementTolerance: inRange(0, 5),
+    tempoBpm: (value) => value === 0 || inRange(MIN_TEMPO_BPM, MAX_TEMPO_BPM)(value),
+    followTempo: isBoolean,
+    turnTolerant: isBoolean,
+    autoPause: isBoolean,
+    swayDetection: isBoolean,
+    swaySensitivity: inRange(1, 8),
+    rotationDetection: isBoolean,
+    rotationSensitivity: inRange(30, 300),
+    inputBackend: oneOf(['devicemotion', 'generic-sensor']),
+    sensorFrequency: oneOf([30, 60, 100, 200]),
+    vibration: isBoolean,
+    hapticPatterns: isObject,
+    visualFeedback: isObject,
+    baselineMagnitude: inRange(0, Infinity),
+    gravityX: isFiniteNumber,
+    gravityY: isFiniteNumber,
+    gravityZ: isFiniteNumber
+};
+/**
+ * Settings from storage or a shared file, keeping only known fields of the
+ * right type and range. Anything else is dropped, so the app default applies.
+ */
+export function sanitizeProfileSettings(value) {
+    const source = value !== null && typeof value === 'object' ? value : {};
+    const settings = {};
+    Object.keys(FIELD_CHECKS).forEach((key) => {
+        if (source[key] !== undefined && FIELD_CHECKS[key](source[key])) {
+            settings[key] = source[key];
+        }
+    });
+    return settings;
+}
+function newProfileId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+function isProfile(value) {
+    return value && typeof value.id === 'string' && typeof value.name === 'string' &&
+        value.settings !== null && typeof value.settings === 'object';
+}
+/**
+ * Bring a stored record up to the current version. Each future version adds
+ * a step here. Throws if the record has no usable profiles.
+ */
+function migrate(data) {
+    if (!Array.isArray(data.profiles) || !data.profiles.every(isProfile) || data.profiles.length === 0) {
+        throw new Error('Profile store has no valid profiles');
+    }
+    data.profiles.forEach((profile) => {
+        profile.settings = sanitizeProfileSettings(profile.settings);
+    });
+    return data;
+}
+export class ProfileStore {
+    constructor(storage) {
+        this.storage = storage;
+        this.record = new VersionedRecord(storage, PROFILE_STORAGE_KEY, PROFILE_STORE_VERSION, 'profiles');
+        this.data = ProfileStore.freshStore({});
+    }
+    static freshStore(settings) {
+        const profile = { id: newProfileId(), name: DEFAULT_PROFILE_NAME, settings };
+        return { version: PROFILE_STORE_VERSION, activeId: profile.id, profiles: [profile] };
+    }
+    /** False when the stored profiles could not be read: changes then last only until the page closes. */
+    get writable() {
+        return this.record.writable;
+    }
+    get profiles() {
+        return this.data.profiles;
+    }
+    get active() {
+        return this.data.profiles.find((p) => p.id === this.data.activeId) ?? this.data.profiles[0];
+    }
+    /** Read the stored profiles, migrating the pre-profile settings blob on first run. */
+    load() {
+        const stored = this.record.read(migrate);
+        if (stored || !this.record.writable) {
+            this.data = stored ?? ProfileStore.freshStore({});
+            return;
+        }
+        // First run with profiles: the old settings become the Default profile.
+        // The old key is left in place for any older cached copy of the app.
+        let settings = {};
+        try {
+            const legacy = this.storage.getItem(LEGACY_SETTINGS_KEY);
+            settings = legacy ? sanitizeProfileSettings(JSON.parse(legacy)) : {};
+        }
+        catch (e) {
+            console.warn('Could not read old settings:', e);
+        }
+        this.data = ProfileStore.freshStore(settings);
+        this.save();
+    }
+    save() {
+        this.record.write(this.data);
+    }
+    /** Replace the active profile's settings. */
+    updateActive(settings) {
+        this.active.settings = { ...settings };
+        this.save();
+    }
+    switchTo(id) {
+        const profile = this.data.profiles.find((p) => p.id === id);
+        if (!profile) {
+            throw new Error('No such profile');
+        }
+        this.data.activeId = id;
+        this.save();
+        return profile;
+    }
+    /** Copy a profile under a new name and make the copy active. */
+    duplicate(id, name) {
+        const source = this.data.profiles.find((p) => p.id === id);
+        if (!source) {
+            throw new Error('No such profile');
+        }
+        return this.add(name, { ...source.settings });
+    }
+    /** Delete a profile. The last remaining profile cannot be deleted. */
+    delete(id) {
+        if (this.data.profiles.length <= 1) {
+            throw new Error('Cannot delete the only profile');
+        }
+        this.data.profiles = this.data.profiles.filter((p) => p.id !== id);
+        if (this.data.activeId === id) {
+            this.data.activeId = this.data.profiles[0].id;
+        }
+        this.save();
+    }
+    /** Serialize a profile for sharing, without its calibration. */
+    exportProfile(id) {
+        const profile = this.data.profiles.find((p) => p.id === id);
+        if (!profile) {
+            throw new Error('No such profile');
+        }
+        const settings = { ...profile.settings };
+        CALIBRATION_KEYS.forEach((key) => delete settings[key]);
+        return JSON.stringify({
+            format: PROFILE_FILE_FORMAT,
+            version: PROFILE_FILE_VERSION,
+            name: profile.name,
+            settings
+        }, null, 2);
+    }
+    /**
+     * Add a profile from an exported file and make it active. It keeps the
+     * current profile's calibration, since that belongs to this phone.
+     * Throws an Error describing the first problem found.
+     */
+    importProfile(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        }
+        catch (e) {
+            throw new Error('Profile is not valid JSON');
+        }
+        if (!data || data.format !== PROFILE_FILE_FORMAT) {
+            throw new Error('Not a dance bounce profile');
+        }
+        if (typeof data.version !== 'number' || data.version > PROFILE_FILE_VERSION) {
+            throw new Error(`Unsupported profile version: ${data.version}`);
+        }
+        if (typeof data.name !== 'string' || !data.settings || typeof data.settings !== 'object') {
+            throw new Error('Profile has no name or settings');
+        }
+        const settings = sanitizeProfileSettings(data.settings);
+        CALIBRATION_KEYS.forEach((key) => {
+            delete settings[key];
+            if (this.active.settings[key] !== undefined) {
+                settings[key] = this.active.settings[key];
+            }
+        });
+        return this.add(data.name.trim() || 'Imported', settings);
+    }
+    add(name, settings) {
+        const profile = { id: newProfileId(), name: this.uniqueName(name), settings };
+        this.data.profiles.push(profile);
+        this.data.activeId = profile.id;
+        this.save();
+        return profile;
+    }
+    uniqueName(name) {
+        const taken = new Set(this.data.profiles.map((p) => p.name));
+        if (!taken.has(name))
+            return name;
+        let n = 2;
+        while (taken.has(`${name} (${n})`))
+            n++;
+        return `${name} (${n})`;
+    }
+}
+//# sourceMappingURL=profiles.js.map
\ No newline at end of file
@@ -0,0 +1,102 @@
+/**
+ * Sample Timing
+ * Measures the real rate and jitter of the motion sensor and resamples its
+ * irregular readings onto a fixed internal clock, so detection sees the
+ * same stream whether a phone delivers 15 Hz or 200 Hz.
+ */
+/** Fixed rate the engine processes at: well above the 5 Hz bounce band (ms). */
+export const INTERNAL_SAMPLE_INTERVAL_MS = 10;
+// A longer silence is a paused sensor, not a slow one: restart the grid instead of interpolating across it
+const MAX_INTERPOLATION_GAP_MS = 250;
+// Intervals kept for the rate and jitter estimate (ms)
+const RATE_WINDOW_MS = 2000;
+// How often the rate estimate is reported (ms)
+const RATE_REPORT_INTERVAL_MS = 1000;
+function lerp(a, b, f) {
+    return a + (b - a) * f;
+}
+function lerpVector(a, b, f) {
+    return { x: lerp(a.x, b.x, f), y: lerp(a.y, b.y, f), z: lerp(a.z, b.z, f) };
+}
+function lerpRotation(a, b, f) {
+    return { alpha: lerp(a.alpha, b.alpha, f), beta: lerp(a.beta, b.beta, f), gamma: lerp(a.gamma, b.gamma, f) };
+}
+/**
+ * Linear-interpolation resampler. Each raw reading yields the internal-rate
+ * samples that fall between it and the previous reading (possibly none).
+ */
+export class Resampler {
+    constructor(intervalMs = INTERNAL_SAMPLE_INTERVAL_MS) {
+        this.previous = null;
+        this.nextTimestamp = 0;
+        this.intervalMs = intervalMs;
+    }
+    push(sample) {
+        const previous = this.previous;
+        this.previous = sample;
+        if (!previous || sample.timestamp < previous.timestamp || sample.timestamp - previous.timestamp > MAX_INTERPOLATION_GAP_MS) {
+            this.nextTimestamp = sample.timestamp + this.intervalMs;
+            return [sample];
+        }
+        const output = [];
+        const span = sample.timestamp - previous.timestamp;
+        while (this.nextTimestamp <= sample.timestamp) {
+            const f = (this.nextTimestamp - previous.timestamp) / span;
+            // Optional channels are only interpolated when both ends have them
+            const acceleration = previous.acceleration && sample.acceleration
+                ? lerpVector(previous.acceleration, sample.acceleration, f)
+                : sample.acceleration;
+            const rotationRate = previous.rotationRate && sample.rotationRate
+                ? lerpRotation(previous.rotationRate, sample.rotationRate, f)
+                : sample.rotationRate;
+            output.push({
+                timestamp: this.nextTimestamp,
+                accelerationIncludingGravity: lerpVector(previous.accelerationIncludingGravity, sample.accelerationIncludingGravity, f),
+                acceleration,
+                rotationRate
+            });
+            this.nextTimestamp += this.intervalMs;
+        }
+        return output;
+    }
+    reset() {
+        this.previous = null;
+    }
+}
+/** Rolling estimate of the raw sensor rate and how evenly readings arrive. */
+export class SampleRateMeter {
+    constructor() {
+        this.timestamps = [];
+        this.lastReport = null;
+    }
+    /** Record a raw reading. Returns a rate estimate about once per second, otherwise null. */
+    add(timestamp, reportedIntervalMs = null) {
+        this.timestamps.push(timestamp);
+        while (this.timestamps.length > 0 && timestamp - this.timestamps[0] > RATE_WINDOW_MS) {
+            this.timestamps.shift();
+        }
+        if (this.lastReport === null) {
+            this.lastReport = timestamp;
+            return null;
+        }
+        if (timestamp - this.lastReport < RATE_REPORT_INTERVAL_MS || this.timestamps.length < 3) {
+            return null;
+        }
+        this.lastReport = timestamp;
+        const intervals = this.timestamps.slice(1).map((t, i) => t - this.timestamps[i]);
+        const meanIntervalMs = intervals.reduce((a, b) => a + b, 0) / intervals.length;
+        const variance = intervals.reduce((sum, dt) => sum + (dt - meanIntervalMs) ** 2, 0) / intervals.length;
+        return {
+            timestamp,
+            rateHz: meanIntervalMs > 0 ? 1000 / meanIntervalMs : 0,
+            meanIntervalMs,
+            jitterMs: Math.sqrt(variance),
+            reportedIntervalMs
+        };
+    }
+    reset() {
+        this.timestamps = [];
+        this.lastReport = null;
+    }
+}
+//# sourceMappingURL=sample-timing.js.map
\ No newline at end of file
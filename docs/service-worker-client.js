@@ -0,0 +1,45 @@
+/**
+ * Service Worker Client
+ * Registers the offline service worker and reports when a new version has
+ * been downloaded and is waiting to take over.
+ */
+// Must match SKIP_WAITING_MESSAGE in service-worker.ts
+const SKIP_WAITING_MESSAGE = 'skip-waiting';
+/**
+ * Register service-worker.js. `onUpdateReady` is called when a new version
+ * is installed and waiting; calling the `apply` it receives activates it and
+ * reloads the page.
+ */
+export async function registerServiceWorker(onUpdateReady) {
+    if (!('serviceWorker' in navigator))
+        return;
+    let registration;
+    try {
+        registration = await navigator.serviceWorker.register('service-worker.js');
+    }
+    catch (e) {
+        console.warn('Service worker registration failed:', e);
+        return;
+    }
+    const offerUpdate = (worker) => {
+        onUpdateReady(() => {
+            navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+            worker.postMessage(SKIP_WAITING_MESSAGE);
+        });
+    };
+    // Only an update if a previous version already controls the page; the first install needs no reload
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        offerUpdate(registration.waiting);
+    }
+    registration.addEventListener('updatefound', () => {
+        const installing = registration.installing;
+        if (!installing)
+            return;
+        installing.addEventListener('statechange', () => {
+            if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+                offerUpdate(installing);
+            }
+        });
+    });
+}
+//# sourceMappingURL=service-worker-client.js.map
\ No newline at end of file
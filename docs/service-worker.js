@@ -0,0 +1,109 @@
+"use strict";
+/**
+ * Service Worker
+ * Precaches the whole app so it runs offline (studios often have poor
+ * Wi-Fi). Each release gets its own cache: bump CACHE_VERSION when the app
+ * changes and the page offers to switch over once the new cache is ready.
+ */
+const sw = self;
+const CACHE_PREFIX = 'dance-bounce-detector-';
+const CACHE_VERSION = 25;
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+// Everything the pages load. Modules added later are still cached on first
+// use, but only files listed here are guaranteed to work offline straight after install.
+const APP_SHELL = [
+    './',
+    'index.html',
+    'viewer.html',
+    'manifest.webmanifest',
+    'icons/icon-192.webp',
+    'icons/icon-512.png',
+    'activity-detector.js',
+    'beat-analysis.js',
+    'bounce-detector.js',
+    'bounce-labels.js',
+    'canvas-utils.js',
+    'companion-viewer.js',
+    'detector-engine.js',
+    'displacement.js',
+    'drill-results-view.js',
+    'drills.js',
+    'fault-detectors.js',
+    'haptics.js',
+    'history-view.js',
+    'label-review-view.js',
+    'live-stream-protocol.js',
+    'live-stream.js',
+    'metronome.js',
+    'motion-input.js',
+    'motion-recording.js',
+    'music-summary-view.js',
+    'music-track.js',
+    'peak-valley-detector.js',
+    'placement.js',
+    'profiles.js',
+    'sample-timing.js',
+    'service-worker-client.js',
+    'session-history.js',
+    'signal-filters.js',
+    'sonification.js',
+    'tempo.js',
+    'turn-detector.js',
+    'versioned-storage.js',
+    'visual-feedback.js',
+    'voice-coach.js',
+    'wake-lock.js',
+    'waveform-view.js'
+];
+// Message the page sends to activate a waiting update (see service-worker-client.ts)
+const SKIP_WAITING_MESSAGE = 'skip-waiting';
+sw.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        // Bypass the HTTP cache so a new version never precaches stale files
+        await cache.addAll(APP_SHELL.map((url) => new Request(url, { cache: 'reload' })));
+    })());
+});
+sw.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map((name) => caches.delete(name)));
+        await sw.clients.claim();
+    })());
+});
+sw.addEventListener('message', (event) => {
+    if (event.data === SKIP_WAITING_MESSAGE) {
+        sw.skipWaiting();
+    }
+});
+// Cache first: the cache holds one consistent version of the app until the next update
+sw.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== sw.location.origin)
+        return;
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached)
+            return cached;
+        try {
+            const response = await fetch(request);
+            if (response.ok) {
+                await cache.put(request, response.clone());
+            }
+            return response;
+        }
+        catch (e) {
+            // Offline and not cached: any page navigation gets the app itself
+            if (request.mode === 'navigate') {
+                const shell = await cache.match('index.html');
+                if (shell)
+                    return shell;
+            }
+            throw e;
+        }
+    })());
+});
+//# sourceMappingURL=service-worker.js.map
\ No newline at end of file
@@ -0,0 +1,91 @@
+/**
+ * Practice History
+ * Persists completed practice sessions in IndexedDB and derives the
+ * per-session and weekly statistics shown in the history view.
+ */
+const DB_NAME = 'danceBounceDetector';
+const DB_VERSION = 1;
+const SESSION_STORE = 'sessions';
+export function bouncesPerMinute(bounceCount, durationMs) {
+    return durationMs > 0 ? bounceCount / (durationMs / 60000) : 0;
+}
+function startOfWeek(timestamp) {
+    const date = new Date(timestamp);
+    const daysSinceMonday = (date.getDay() + 6) % 7;
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() - daysSinceMonday);
+    return date.getTime();
+}
+/** Group sessions by calendar week (oldest first) for the trend chart. */
+export function weeklyTrends(sessions) {
+    const weeks = new Map();
+    sessions.forEach((session) => {
+        const weekStart = startOfWeek(session.startTime);
+        let week = weeks.get(weekStart);
+        if (!week) {
+            week = { weekStart, sessionCount: 0, totalDurationMs: 0, totalBounces: 0, bouncesPerMinute: 0 };
+            weeks.set(weekStart, week);
+        }
+        week.sessionCount++;
+        week.totalDurationMs += session.activeMs ?? session.durationMs;
+        week.totalBounces += session.bounceCount;
+    });
+    return Array.from(weeks.values())
+        .map((week) => ({ ...week, bouncesPerMinute: bouncesPerMinute(week.totalBounces, week.totalDurationMs) }))
+        .sort((a, b) => a.weekStart - b.weekStart);
+}
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+export class SessionHistoryStore {
+    constructor() {
+        this.db = null;
+    }
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(SESSION_STORE)) {
+                        const store = db.createObjectStore(SESSION_STORE, { keyPath: 'id', autoIncrement: true });
+                        store.createIndex('startTime', 'startTime');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.db;
+    }
+    async store(mode) {
+        const db = await this.open();
+        return db.transaction(SESSION_STORE, mode).objectStore(SESSION_STORE);
+    }
+    /** Save a session and return its new id. */
+    async addSession(session) {
+        const store = await this.store('readwrite');
+        const { id, ...record } = session;
+        return (await promisify(store.add(record)));
+    }
+    /** All sessions, oldest first. */
+    async getSessions() {
+        const store = await this.store('readonly');
+        return promisify(store.index('startTime').getAll());
+    }
+    async deleteSession(id) {
+        const store = await this.store('readwrite');
+        await promisify(store.delete(id));
+    }
+    async clear() {
+        const store = await this.store('readwrite');
+        await promisify(store.clear());
+    }
+}
+//# sourceMappingURL=session-history.js.map
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * Signal Filters
+ * First-order IIR filters whose coefficients are computed from the actual
+ * time between samples, so they behave the same at any sensor rate.
+ */
+/** Nominal sample interval used for the first sample and to clamp bad timestamps (ms). */
+export const DEFAULT_SAMPLE_INTERVAL_MS = 1000 / 60;
+const MIN_SAMPLE_INTERVAL_MS = 1;
+const MAX_SAMPLE_INTERVAL_MS = 100;
+export function clampInterval(dtMs) {
+    if (!Number.isFinite(dtMs) || dtMs <= 0)
+        return DEFAULT_SAMPLE_INTERVAL_MS;
+    return Math.min(MAX_SAMPLE_INTERVAL_MS, Math.max(MIN_SAMPLE_INTERVAL_MS, dtMs));
+}
+function timeConstant(cutoffHz) {
+    return 1 / (2 * Math.PI * cutoffHz);
+}
+export class LowPassFilter {
+    constructor(cutoffHz) {
+        this.value = null;
+        this.rc = timeConstant(cutoffHz);
+    }
+    process(input, dtMs) {
+        if (this.value === null) {
+            this.value = input;
+            return input;
+        }
+        const dt = clampInterval(dtMs) / 1000;
+        const alpha = dt / (this.rc + dt);
+        this.value += alpha * (input - this.value);
+        return this.value;
+    }
+    reset() {
+        this.value = null;
+    }
+}
+export class HighPassFilter {
+    constructor(cutoffHz) {
+        this.lastInput = null;
+        this.value = 0;
+        this.rc = timeConstant(cutoffHz);
+    }
+    process(input, dtMs) {
+        if (this.lastInput === null) {
+            this.lastInput = input;
+            return 0;
+        }
+        const dt = clampInterval(dtMs) / 1000;
+        const alpha = this.rc / (this.rc + dt);
+        this.value = alpha * (this.value + input - this.lastInput);
+        this.lastInput = input;
+        return this.value;
+    }
+    reset() {
+        this.lastInput = null;
+        this.value = 0;
+    }
+}
+/** High-pass followed by low-pass: keeps the band where dance bounces live. */
+export class BandPassFilter {
+    constructor(lowCutoffHz, highCutoffHz) {
+        this.highPass = new HighPassFilter(lowCutoffHz);
+        this.lowPass = new LowPassFilter(highCutoffHz);
+    }
+    process(input, dtMs) {
+        return this.lowPass.process(this.highPass.process(input, dtMs), dtMs);
+    }
+    reset() {
+        this.highPass.reset();
+        this.lowPass.reset();
+    }
+}
+//# sourceMappingURL=signal-filters.js.map
\ No newline at end of file
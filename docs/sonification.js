@@ -0,0 +1,232 @@
+/**
+ * Musical Sonification
+ * Feedback that sits in with music: movement plays a continuous voice whose
+ * pitch is snapped to a chosen key and scale, and each bounce plays a note
+ * (or a user-loaded sample) on a scale degree that rises with severity.
+ * Timbre is an oscillator waveform through a low-pass filter; notes follow
+ * an attack/release envelope.
+ */
+/** Semitones above the key note for each scale degree. */
+export const SCALES = {
+    'major': [0, 2, 4, 5, 7, 9, 11],
+    'minor': [0, 2, 3, 5, 7, 8, 10],
+    'dorian': [0, 2, 3, 5, 7, 9, 10],
+    'pentatonic-major': [0, 2, 4, 7, 9],
+    'pentatonic-minor': [0, 3, 5, 7, 10],
+    'blues': [0, 3, 5, 6, 7, 10],
+    'chromatic': [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11]
+};
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+// Minor pentatonic fits over most popular music without clashing
+export const DEFAULT_SONIFICATION = {
+    key: 9, // A
+    scale: 'pentatonic-minor',
+    timbre: 'triangle',
+    brightness: 2000,
+    attackMs: 10,
+    releaseMs: 400
+};
+// Movement spans two octaves up from the key note in the third octave (A3 = 220 Hz for A)
+const BASE_MIDI = 48;
+const RANGE_SEMITONES = 24;
+const MAX_DEVIATION = 10; // Deviation (m/s²) at the top of the range, as in the frequency modes
+// Below this fraction of the range the continuous voice is silent
+const SILENCE_FRACTION = 0.05;
+// The continuous voice sits under the bounce notes
+const CONTINUOUS_LEVEL = 0.4;
+// Bounce notes play an octave above the range floor, on a higher scale degree for worse bounces
+const BOUNCE_DEGREES = { minor: 0, moderate: 2, major: 4 };
+const BOUNCE_LEVELS = { minor: 0.5, moderate: 0.75, major: 1 };
+export const MAX_SAMPLE_SECONDS = 2;
+export function midiToFrequency(midi) {
+    return 440 * Math.pow(2, (midi - 69) / 12);
+}
+/** Snap a (fractional) MIDI note to the nearest note of the scale in the given key. */
+export function quantizeToScale(midi, key, scale) {
+    const intervals = SCALES[scale];
+    const relative = midi - key;
+    const octave = Math.floor(relative / 12);
+    const pitchClass = relative - octave * 12;
+    let best = intervals[0];
+    // The next octave's key note is a candidate too, so notes near the top of an octave round up
+    [...intervals, 12].forEach((interval) => {
+        if (Math.abs(interval - pitchClass) < Math.abs(best - pitchClass)) {
+            best = interval;
+        }
+    });
+    return key + octave * 12 + best;
+}
+/** MIDI note of a scale degree counted up from the key note at `rootMidi` (degrees past the octave wrap up). */
+export function scaleDegreeToMidi(rootMidi, scale, degree) {
+    const intervals = SCALES[scale];
+    return rootMidi + 12 * Math.floor(degree / intervals.length) + intervals[degree % intervals.length];
+}
+/** Quantized note for a deviation, or null when the movement is too small to sound. */
+export function deviationToMidi(deviation, settings) {
+    const normalized = Math.min(Math.max(deviation, 0) / MAX_DEVIATION, 1);
+    if (normalized < SILENCE_FRACTION)
+        return null;
+    return quantizeToScale(BASE_MIDI + settings.key + normalized * RANGE_SEMITONES, settings.key, settings.scale);
+}
+/** Stored or imported settings, with anything missing or out of range replaced by the default. */
+export function sanitizeSonification(value) {
+    const settings = { ...DEFAULT_SONIFICATION };
+    if (!value || typeof value !== 'object')
+        return settings;
+    const v = value;
+    const inRange = (x, min, max) => typeof x === 'number' && Number.isFinite(x) && x >= min && x <= max;
+    if (inRange(v.key, 0, 11) && Number.isInteger(v.key))
+        settings.key = v.key;
+    if (typeof v.scale === 'string' && v.scale in SCALES)
+        settings.scale = v.scale;
+    if (v.timbre === 'sine' || v.timbre === 'triangle' || v.timbre === 'square' || v.timbre === 'sawtooth')
+        settings.timbre = v.timbre;
+    if (inRange(v.brightness, 100, 20000))
+        settings.brightness = v.brightness;
+    if (inRange(v.attackMs, 0, 2000))
+        settings.attackMs = v.attackMs;
+    if (inRange(v.releaseMs, 0, 5000))
+        settings.releaseMs = v.releaseMs;
+    return settings;
+}
+export class Sonifier {
+    constructor(audioContext, destination, settings = DEFAULT_SONIFICATION) {
+        this.voice = null;
+        this.voiceFilter = null;
+        this.voiceGain = null;
+        this.currentNote = null;
+        this.sample = null;
+        this.sampleName = null;
+        this.audioContext = audioContext;
+        this.destination = destination;
+        this.settings = settings;
+    }
+    get isRunning() {
+        return this.voice !== null;
+    }
+    /** Name of the loaded bounce sample, or null when bounces use the synthesized note. */
+    get loadedSampleName() {
+        return this.sampleName;
+    }
+    setSettings(settings) {
+        this.settings = settings;
+        if (this.voice && this.voiceFilter) {
+            this.voice.type = settings.timbre;
+            this.voiceFilter.frequency.value = settings.brightness;
+        }
+    }
+    /** Decode a short sound to play on each bounce. Throws if it cannot be decoded or is too long. */
+    async loadSample(file) {
+        const buffer = await this.audioContext.decodeAudioData(await file.arrayBuffer());
+        if (buffer.duration > MAX_SAMPLE_SECONDS) {
+            throw new Error(`Sample is longer than ${MAX_SAMPLE_SECONDS} seconds`);
+        }
+        this.sample = buffer;
+        this.sampleName = file.name;
+    }
+    clearSample() {
+        this.sample = null;
+        this.sampleName = null;
+    }
+    /** Start the continuous voice, silent until there is movement. */
+    start() {
+        this.stop();
+        this.voice = this.audioContext.createOscillator();
+        this.voice.type = this.settings.timbre;
+        this.voiceFilter = this.createFilter();
+        this.voiceGain = this.audioContext.createGain();
+        this.voiceGain.gain.value = 0;
+        this.voice.connect(this.voiceFilter);
+        this.voiceFilter.connect(this.voiceGain);
+        this.voiceGain.connect(this.destination);
+        this.voice.start();
+        this.currentNote = null;
+    }
+    stop() {
+        if (this.voice) {
+            try {
+                this.voice.stop();
+                this.voice.disconnect();
+            }
+            catch (e) {
+                // Oscillator might already be stopped
+            }
+            this.voice = null;
+        }
+        this.voiceFilter?.disconnect();
+        this.voiceFilter = null;
+        this.voiceGain?.disconnect();
+        this.voiceGain = null;
+        this.currentNote = null;
+    }
+    /** Follow the current deviation: step to its scale note, or release when still. */
+    update(deviation) {
+        if (!this.voice || !this.voiceGain)
+            return;
+        const now = this.audioContext.currentTime;
+        const note = deviationToMidi(deviation, this.settings);
+        if (note === null) {
+            if (this.currentNote !== null) {
+                this.voiceGain.gain.setTargetAtTime(0, now, timeConstant(this.settings.releaseMs));
+                this.currentNote = null;
+            }
+            return;
+        }
+        if (note === this.currentNote)
+            return;
+        // Notes step rather than glide; the very short glide only avoids clicks
+        this.voice.frequency.setTargetAtTime(midiToFrequency(note), now, 0.005);
+        if (this.currentNote === null) {
+            this.voiceGain.gain.setTargetAtTime(CONTINUOUS_LEVEL, now, timeConstant(this.settings.attackMs));
+        }
+        this.currentNote = note;
+    }
+    /** Play the bounce note (or sample) for a bounce of this severity. */
+    playBounce(severity) {
+        const now = this.audioContext.currentTime;
+        const rootMidi = BASE_MIDI + this.settings.key + 12;
+        const note = scaleDegreeToMidi(rootMidi, this.settings.scale, BOUNCE_DEGREES[severity]);
+        const level = BOUNCE_LEVELS[severity];
+        const attack = this.settings.attackMs / 1000;
+        const noteGain = this.audioContext.createGain();
+        noteGain.gain.setValueAtTime(0, now);
+        noteGain.gain.linearRampToValueAtTime(level, now + attack);
+        noteGain.connect(this.destination);
+        if (this.sample) {
+            // The sample's own pitch stands for the key note; higher degrees transpose it up
+            const source = this.audioContext.createBufferSource();
+            source.buffer = this.sample;
+            source.playbackRate.value = Math.pow(2, (note - rootMidi) / 12);
+            source.connect(noteGain);
+            source.onended = () => noteGain.disconnect();
+            source.start(now);
+            return;
+        }
+        const release = Math.max(this.settings.releaseMs / 1000, 0.01);
+        const oscillator = this.audioContext.createOscillator();
+        oscillator.type = this.settings.timbre;
+        oscillator.frequency.value = midiToFrequency(note);
+        const filter = this.createFilter();
+        noteGain.gain.setValueAtTime(level, now + attack);
+        noteGain.gain.exponentialRampToValueAtTime(0.001, now + attack + release);
+        oscillator.connect(filter);
+        filter.connect(noteGain);
+        oscillator.onended = () => {
+            filter.disconnect();
+            noteGain.disconnect();
+        };
+        oscillator.start(now);
+        oscillator.stop(now + attack + release);
+    }
+    createFilter() {
+        const filter = this.audioContext.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.value = this.settings.brightness;
+        return filter;
+    }
+}
+/** setTargetAtTime time constant that gets ~95% of the way in the given time. */
+function timeConstant(ms) {
+    return Math.max(ms, 1) / 1000 / 3;
+}
+//# sourceMappingURL=sonification.js.map
\ No newline at end of file
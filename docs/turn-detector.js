@@ -0,0 +1,54 @@
+/**
+ * Turn Detector
+ * Recognises spins and pivots from the gyroscope. While a turn is in
+ * progress the accelerometer picks up centripetal and tilt artefacts that
+ * look like vertical motion, so the engine treats detections with suspicion.
+ */
+import { LowPassFilter } from './signal-filters.js';
+// Smoothed rotation speed that starts a turn, and the lower speed that ends it (deg/s)
+const TURN_START_DEG_PER_SEC = 150;
+const TURN_END_DEG_PER_SEC = 80;
+// The body keeps wobbling briefly after a pivot; stay in the turn phase this long after it ends (ms)
+const TURN_SETTLE_MS = 300;
+// Smooths single gyro spikes (e.g. a foot strike jolting the phone) so they don't start a turn
+const ROTATION_SMOOTHING_HZ = 4;
+export function rotationSpeed(rate) {
+    return Math.sqrt(rate.alpha * rate.alpha + rate.beta * rate.beta + rate.gamma * rate.gamma);
+}
+export class TurnDetector {
+    constructor() {
+        this.smoothing = new LowPassFilter(ROTATION_SMOOTHING_HZ);
+        this.rotating = false;
+        this.settleUntil = -Infinity;
+        this.speed = 0;
+    }
+    /** Smoothed rotation speed (deg/s). */
+    get rotationSpeed() {
+        return this.speed;
+    }
+    /** True while rotating and for a short settle period afterwards. */
+    isTurning(timestamp) {
+        return this.rotating || timestamp < this.settleUntil;
+    }
+    /** Feed one gyro reading. Returns whether the dancer is in a turn phase. */
+    process(rate, timestamp, dtMs) {
+        if (!rate)
+            return this.isTurning(timestamp);
+        this.speed = this.smoothing.process(rotationSpeed(rate), dtMs);
+        if (!this.rotating && this.speed > TURN_START_DEG_PER_SEC) {
+            this.rotating = true;
+        }
+        else if (this.rotating && this.speed < TURN_END_DEG_PER_SEC) {
+            this.rotating = false;
+            this.settleUntil = timestamp + TURN_SETTLE_MS;
+        }
+        return this.isTurning(timestamp);
+    }
+    reset() {
+        this.smoothing.reset();
+        this.rotating = false;
+        this.settleUntil = -Infinity;
+        this.speed = 0;
+    }
+}
+//# sourceMappingURL=turn-detector.js.map
\ No newline at end of file
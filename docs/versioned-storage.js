@@ -0,0 +1,55 @@
+/**
+ * Versioned Storage
+ * One JSON record in a Storage, stamped with the version of its layout, as
+ * kept by the profile, drill and label stores. A record that is there but
+ * cannot be read (corrupt, or written by a newer app) is left untouched.
+ * DOM-free; takes a Storage.
+ */
+export class VersionedRecord {
+    /** `description` names the record in console warnings, e.g. 'custom drills'. */
+    constructor(storage, key, version, description) {
+        this.canWrite = true; // False when stored data could not be read, so it is never overwritten
+        this.storage = storage;
+        this.key = key;
+        this.version = version;
+        this.description = description;
+    }
+    /** False once a stored record turned out to be unreadable. */
+    get writable() {
+        return this.canWrite;
+    }
+    /**
+     * Read the record through `parse`, which throws if it can't use the data.
+     * Returns null when there is no record or it could not be read.
+     */
+    read(parse) {
+        let saved = null;
+        try {
+            saved = this.storage.getItem(this.key);
+            if (!saved)
+                return null;
+            const data = JSON.parse(saved);
+            if (!data || typeof data.version !== 'number' || data.version > this.version) {
+                throw new Error(`Unsupported ${this.description} version: ${data?.version}`);
+            }
+            return parse(data);
+        }
+        catch (e) {
+            console.warn(`Could not load ${this.description}:`, e);
+            this.canWrite = saved === null;
+            return null;
+        }
+    }
+    /** Store `data` under the current version, unless the stored record is one that could not be read. */
+    write(data) {
+        if (!this.canWrite)
+            return;
+        try {
+            this.storage.setItem(this.key, JSON.stringify({ ...data, version: this.version }));
+        }
+        catch (e) {
+            console.warn(`Could not save ${this.description}:`, e);
+        }
+    }
+}
+//# sourceMappingURL=versioned-storage.js.map
\ No newline at end of file
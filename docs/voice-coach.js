@@ -0,0 +1,124 @@
+/**
+ * Voice Coach
+ * Spoken feedback for when the screen is out of sight: a cue when bounces
+ * cluster or the dancer sways or rocks, a summary of each interval compared
+ * with the one before, and announcements for calibration and start/stop.
+ * DOM-free; the caller supplies the speak function.
+ */
+export const SUMMARY_INTERVAL_MS = 60 * 1000;
+// This many bounces within the window count as a cluster
+const CLUSTER_SIZE = 3;
+const CLUSTER_WINDOW_MS = 5000;
+// Quiet time after a cluster cue, so the coach does not nag through a bad patch
+const CLUSTER_COOLDOWN_MS = 15000;
+// Quiet time between cues for the same fault
+const FAULT_COOLDOWN_MS = 10000;
+const FAULT_CUES = {
+    sway: { brief: 'Sway', detailed: 'Swaying. Keep the hips level.' },
+    rotation: { brief: 'Rocking', detailed: 'Rocking. Keep the shoulders and hips square.' }
+};
+function bounces(count) {
+    if (count === 0)
+        return 'No bounces';
+    return count === 1 ? '1 bounce' : `${count} bounces`;
+}
+function minutes(ms) {
+    const count = Math.max(1, Math.round(ms / 60000));
+    return count === 1 ? '1 minute' : `${count} minutes`;
+}
+/** "6 bounces, down from 9" for an interval, compared with the one before (null for the first). */
+export function describeInterval(count, previous) {
+    if (previous === null)
+        return bounces(count);
+    if (count === previous)
+        return `${bounces(count)}, same as before`;
+    return `${bounces(count)}, ${count < previous ? 'down' : 'up'} from ${previous}`;
+}
+export class VoiceCoach {
+    constructor(speak, verbosity = 'off') {
+        this.recentBounces = [];
+        this.lastClusterCue = -Infinity;
+        this.intervalIndex = 0;
+        this.intervalCount = 0;
+        this.previousIntervalCount = null;
+        this.totalCount = 0;
+        this.warnedMovement = false;
+        this.lastFaultCue = { sway: -Infinity, rotation: -Infinity };
+        this.speak = speak;
+        this.verbosity = verbosity;
+    }
+    setVerbosity(verbosity) {
+        this.verbosity = verbosity;
+    }
+    say(brief, detailed, mode) {
+        if (this.verbosity === 'off')
+            return;
+        this.speak(this.verbosity === 'detailed' ? detailed : brief, mode);
+    }
+    onStart() {
+        this.recentBounces = [];
+        this.lastClusterCue = -Infinity;
+        this.intervalIndex = 0;
+        this.intervalCount = 0;
+        this.previousIntervalCount = null;
+        this.totalCount = 0;
+        this.lastFaultCue = { sway: -Infinity, rotation: -Infinity };
+        this.say('Started', `Detection started. Summary every ${minutes(SUMMARY_INTERVAL_MS)}.`, 'interrupt');
+    }
+    onStop(durationMs) {
+        const perMinute = durationMs > 0 ? Math.round(this.totalCount / (durationMs / 60000)) : 0;
+        this.say(`Stopped. ${bounces(this.totalCount)}`, `Stopped after ${minutes(durationMs)}. ${bounces(this.totalCount)}, about ${perMinute} a minute.`, 'interrupt');
+    }
+    onBounce(timestamp) {
+        this.totalCount++;
+        this.intervalCount++;
+        this.recentBounces = this.recentBounces.filter((t) => timestamp - t <= CLUSTER_WINDOW_MS);
+        this.recentBounces.push(timestamp);
+        if (this.recentBounces.length >= CLUSTER_SIZE && timestamp - this.lastClusterCue >= CLUSTER_COOLDOWN_MS) {
+            this.lastClusterCue = timestamp;
+            const seconds = Math.max(1, Math.round((timestamp - this.recentBounces[0]) / 1000));
+            this.say('Bouncing', `${bounces(this.recentBounces.length)} in ${seconds} seconds. Stay level.`, 'if-idle');
+        }
+    }
+    onFault(kind, timestamp) {
+        if (timestamp - this.lastFaultCue[kind] < FAULT_COOLDOWN_MS)
+            return;
+        this.lastFaultCue[kind] = timestamp;
+        this.say(FAULT_CUES[kind].brief, FAULT_CUES[kind].detailed, 'if-idle');
+    }
+    /** Time practised so far; speaks the summary as each interval ends. */
+    onElapsed(elapsedMs) {
+        const index = Math.floor(elapsedMs / SUMMARY_INTERVAL_MS);
+        if (index <= this.intervalIndex)
+            return;
+        this.intervalIndex = index;
+        const summary = describeInterval(this.intervalCount, this.previousIntervalCount);
+        this.say(summary, `Minute ${index}: ${summary}. ${this.totalCount} in total.`, 'queue');
+        this.previousIntervalCount = this.intervalCount;
+        this.intervalCount = 0;
+    }
+    /** Say something that has no brief form, such as a drill stage, cutting off anything under way. */
+    announce(text) {
+        this.say(text, text, 'interrupt');
+    }
+    onCalibrationStart() {
+        this.warnedMovement = false;
+        this.say('Calibrating', 'Calibrating. Hold the phone still for two seconds.', 'interrupt');
+    }
+    /** Movement during calibration; warned about once per calibration. */
+    onCalibrationMovement() {
+        if (this.warnedMovement)
+            return;
+        this.warnedMovement = true;
+        this.say('Keep still', 'Movement detected. Keep still.', 'if-idle');
+    }
+    onCalibrationDone(accepted, quality) {
+        if (accepted) {
+            this.say('Calibrated', `Calibrated. Quality ${quality} percent.`, 'interrupt');
+        }
+        else {
+            this.say('Calibration failed', 'Calibration rejected. Previous calibration kept. Hold still and try again.', 'interrupt');
+        }
+    }
+}
+//# sourceMappingURL=voice-coach.js.map
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * Screen Wake Lock
+ * Keeps the screen on while detection runs. Browsers drop the lock whenever
+ * the page is hidden, so it is requested again when the page becomes
+ * visible as long as it is still wanted.
+ */
+export class ScreenWakeLock {
+    constructor() {
+        this.sentinel = null;
+        this.wanted = false;
+        this.handleVisibilityChange = () => {
+            if (this.wanted && document.visibilityState === 'visible') {
+                this.request();
+            }
+        };
+    }
+    static isSupported() {
+        return 'wakeLock' in navigator;
+    }
+    get isHeld() {
+        return this.sentinel !== null;
+    }
+    /** Keep the screen on until release() is called. Resolves false if the browser refused. */
+    async acquire() {
+        this.wanted = true;
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+        return this.request();
+    }
+    async release() {
+        this.wanted = false;
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        const sentinel = this.sentinel;
+        this.sentinel = null;
+        if (sentinel) {
+            try {
+                await sentinel.release();
+            }
+            catch (e) {
+                // Already released by the browser
+            }
+        }
+    }
+    async request() {
+        if (!ScreenWakeLock.isSupported() || this.sentinel || document.visibilityState !== 'visible') {
+            return this.sentinel !== null;
+        }
+        try {
+            const sentinel = await navigator.wakeLock.request('screen');
+            if (!this.wanted) {
+                // Released while the request was pending
+                await sentinel.release();
+                return false;
+            }
+            this.sentinel = sentinel;
+            sentinel.addEventListener('release', () => {
+                if (this.sentinel === sentinel) {
+                    this.sentinel = null;
+                }
+            });
+            return true;
+        }
+        catch (e) {
+            // NotAllowedError: battery saver, or the page lost visibility mid-request
+            console.warn('Screen wake lock refused:', e);
+            return false;
+        }
+    }
+}
+//# sourceMappingURL=wake-lock.js.map
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * Live Waveform View
+ * Scrolling chart of projected vertical acceleration with the
+ * baseline ± sensitivity band and a marker for every detected bounce.
+ */
+import { prepareCanvas } from './canvas-utils.js';
+const DEFAULT_WINDOW_MS = 6000;
+const TRACE_COLOR = '#eee';
+const BAND_FILL = 'rgba(46, 213, 115, 0.08)';
+const BAND_EDGE = 'rgba(46, 213, 115, 0.5)';
+const BASELINE_COLOR = 'rgba(255, 255, 255, 0.2)';
+const MARKER_COLORS = {
+    minor: '#ffa502',
+    moderate: '#e94560',
+    major: '#ff2e4d'
+};
+export class WaveformView {
+    constructor(canvas, windowMs = DEFAULT_WINDOW_MS) {
+        this.points = [];
+        this.markers = [];
+        this.baseline = 9.81;
+        this.threshold = 3;
+        this.frameRequested = false;
+        this.canvas = canvas;
+        this.windowMs = windowMs;
+    }
+    /** The band drawn around the baseline: readings beyond `threshold` either side count. */
+    setBand(baseline, threshold) {
+        this.baseline = baseline;
+        this.threshold = threshold;
+    }
+    addSample(timestamp, magnitude) {
+        this.points.push({ timestamp, magnitude });
+        this.trim(timestamp);
+        this.requestRender();
+    }
+    markBounce(timestamp, severity) {
+        this.markers.push({ timestamp, severity });
+        this.requestRender();
+    }
+    clear() {
+        this.points = [];
+        this.markers = [];
+        this.requestRender();
+    }
+    trim(now) {
+        const cutoff = now - this.windowMs;
+        while (this.points.length > 0 && this.points[0].timestamp < cutoff) {
+            this.points.shift();
+        }
+        while (this.markers.length > 0 && this.markers[0].timestamp < cutoff) {
+            this.markers.shift();
+        }
+    }
+    // Samples arrive faster than the display refreshes, so draw at most once per frame
+    requestRender() {
+        if (this.frameRequested)
+            return;
+        this.frameRequested = true;
+        requestAnimationFrame(() => {
+            this.frameRequested = false;
+            this.render();
+        });
+    }
+    render() {
+        const prepared = prepareCanvas(this.canvas);
+        if (!prepared)
+            return;
+        const { ctx, width, height } = prepared;
+        // Symmetric range around the baseline: at least twice the band, growing to fit big spikes
+        const maxDeviation = this.points.reduce((max, p) => Math.max(max, Math.abs(p.magnitude - this.baseline)), 0);
+        const range = Math.max(this.threshold * 2, maxDeviation * 1.1, 1);
+        const toY = (magnitude) => height / 2 - ((magnitude - this.baseline) / range) * (height / 2);
+        const end = this.points.length > 0 ? this.points[this.points.length - 1].timestamp : 0;
+        const toX = (timestamp) => width - ((end - timestamp) / this.windowMs) * width;
+        // Threshold band
+        const bandTop = toY(this.baseline + this.threshold);
+        const bandBottom = toY(this.baseline - this.threshold);
+        ctx.fillStyle = BAND_FILL;
+        ctx.fillRect(0, bandTop, width, bandBottom - bandTop);
+        ctx.strokeStyle = BAND_EDGE;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(0, bandTop);
+        ctx.lineTo(width, bandTop);
+        ctx.moveTo(0, bandBottom);
+        ctx.lineTo(width, bandBottom);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.strokeStyle = BASELINE_COLOR;
+        ctx.beginPath();
+        ctx.moveTo(0, height / 2);
+        ctx.lineTo(width, height / 2);
+        ctx.stroke();
+        // Bounce markers
+        this.markers.forEach((marker) => {
+            const x = toX(marker.timestamp);
+            ctx.strokeStyle = MARKER_COLORS[marker.severity];
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+        });
+        // Acceleration trace
+        if (this.points.length < 2)
+            return;
+        ctx.strokeStyle = TRACE_COLOR;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        this.points.forEach((point, i) => {
+            const x = toX(point.timestamp);
+            const y = toY(point.magnitude);
+            if (i === 0)
+                ctx.moveTo(x, y);
+            else
+                ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+    }
+}
+//# sourceMappingURL=waveform-view.js.map
\ No newline at end of file
@@ -0,0 +1,112 @@
+/**
+ * Relay command line: `npm run relay -- [options]`.
+ *
+ *   --port <n>       Port to listen on (default 8787)
+ *   --host <addr>    Address to listen on (default all interfaces)
+ *   --cert <file>    TLS certificate (PEM); with --key, serves HTTPS and wss://
+ *   --key <file>     TLS private key (PEM)
+ *   --static <dir>   Directory to serve (default the built app in docs/)
+ *   --no-static      Serve only the stream
+ */
+
+import { readFileSync } from 'node:fs';
+import { createServer as createHttpServer, Server } from 'node:http';
+import { createServer as createHttpsServer } from 'node:https';
+import { networkInterfaces } from 'node:os';
+import { fileURLToPath } from 'node:url';
+
+import { DEFAULT_RELAY_PORT } from '../src/live-stream-protocol.js';
+import { StreamRelay } from './stream-relay.js';
+
+interface CliOptions {
+  port: number;
+  host: string | undefined;
+  cert: string | null;
+  key: string | null;
+  staticDir: string | null;
+}
+
+// Built into build/relay/, two levels below the repository root
+const DEFAULT_STATIC_DIR = fileURLToPath(new URL('../../docs/', import.meta.url));
+
+function parseArgs(args: string[]): CliOptions {
+  const options: CliOptions = { port: DEFAULT_RELAY_PORT, host: undefined, cert: null, key: null, staticDir: DEFAULT_STATIC_DIR };
+  for (let i = 0; i < args.length; i++) {
+    const value = () => {
+      const next = args[++i];
+      if (next === undefined) throw new Error(`${args[i - 1]} needs a value`);
+      return next;
+    };
+    switch (args[i]) {
+      case '--port': {
+        const port = Number(value());
+        if (!Number.isInteger(port) || port < 0 || port > 65535) throw new Error(`Invalid port: ${args[i]}`);
+        options.port = port;
+        break;
+      }
+      case '--host': options.host = value(); break;
+      case '--cert': options.cert = value(); break;
+      case '--key': options.key = value(); break;
+      case '--static': options.staticDir = value(); break;
+      case '--no-static': options.staticDir = null; break;
+      default: throw new Error(`Unknown option: ${args[i]}`);
+    }
+  }
+  if ((options.cert === null) !== (options.key === null)) {
+    throw new Error('--cert and --key go together');
+  }
+  return options;
+}
+
+/** This machine's LAN addresses, to tell dancers where to connect. */
+function lanAddresses(): string[] {
+  return Object.values(networkInterfaces())
+    .flatMap((addresses) => addresses ?? [])
+    .filter((address) => address.family === 'IPv4' && !address.internal)
+    .map((address) => address.address);
+}
+
+function main(): void {
+  let options: CliOptions;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error((e as Error).message);
+    process.exit(2);
+  }
+
+  const secure = options.cert !== null && options.key !== null;
+  const server: Server = secure
+    ? createHttpsServer({ cert: readFileSync(options.cert!), key: readFileSync(options.key!) })
+    : createHttpServer();
+  const relay = new StreamRelay({ staticDir: options.staticDir });
+  relay.attach(server);
+
+  server.listen(options.port, options.host, () => {
+    const scheme = secure ? 'https' : 'http';
+    const address = server.address();
+    const port = typeof address === 'object' && address ? address.port : options.port;
+    const hosts = options.host ? [options.host] : ['localhost', ...lanAddresses()];
+    console.log(`Live stream relay on port ${port}`);
+    hosts.forEach((host) => {
+      console.log(`  relay address ${host}:${port}`);
+      if (options.staticDir !== null) {
+        console.log(`    app     ${scheme}://${host}:${port}/`);
+        console.log(`    viewer  ${scheme}://${host}:${port}/viewer.html`);
+      }
+    });
+    if (!secure) {
+      // Browsers only give motion sensors to secure pages, and secure pages only open wss:// sockets
+      console.log('No --cert/--key: the viewer works, but phones need HTTPS to read their sensors and stream. See the README.');
+    }
+  });
+
+  const shutdown = () => {
+    relay.closeAll();
+    server.close(() => process.exit(0));
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main();
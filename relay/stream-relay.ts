@@ -0,0 +1,253 @@
+/**
+ * Live Stream Relay
+ * Runs on the instructor's laptop. Phones connect as dancers and stream
+ * their status, bounces and signal; browsers connect as viewers and get
+ * every dancer's messages, tagged with the dancer's id. The same server
+ * serves the app and the companion viewer from docs/, so a studio needs
+ * no internet connection at all.
+ */
+
+import { readFile } from 'node:fs/promises';
+import { IncomingMessage, Server, ServerResponse } from 'node:http';
+import { extname, join, normalize, sep } from 'node:path';
+import { Duplex } from 'node:stream';
+
+import {
+  MAX_MESSAGE_BYTES,
+  RelayMessage,
+  STREAM_PATH,
+  STREAM_PROTOCOL_VERSION,
+  StatusMessage,
+  parseClientMessage
+} from '../src/live-stream-protocol.js';
+import { CLOSE_PROTOCOL_ERROR, CLOSE_UNSUPPORTED_DATA, WebSocketConnection, completeHandshake } from './websocket.js';
+
+// Phones that drop off the Wi-Fi never say goodbye; ping this often and drop those that miss a pong (ms)
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+const CONTENT_TYPES: Record<string, string> = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.map': 'application/json; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.css': 'text/css; charset=utf-8',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml'
+};
+
+interface Client {
+  role: 'dancer' | 'viewer' | null;    // Null until its hello arrives
+  dancerId: string | null;
+  alive: boolean;
+}
+
+interface Dancer {
+  connection: WebSocketConnection;
+  name: string;
+  status: StatusMessage | null;        // Latest, for viewers that join mid-lesson
+}
+
+export interface RelayOptions {
+  staticDir?: string | null;           // Served over HTTP; null serves nothing but the stream
+}
+
+export class StreamRelay {
+  private clients: Map<WebSocketConnection, Client> = new Map();
+  private dancers: Map<string, Dancer> = new Map();
+  private staticDir: string | null;
+  private heartbeat: ReturnType<typeof setInterval> | null = null;
+
+  constructor(options: RelayOptions = {}) {
+    this.staticDir = options.staticDir ?? null;
+  }
+
+  public get dancerCount(): number {
+    return this.dancers.size;
+  }
+
+  public get viewerCount(): number {
+    return [...this.clients.values()].filter((client) => client.role === 'viewer').length;
+  }
+
+  /** Serve the stream, and the app if there is a static directory, on this server. */
+  public attach(server: Server): void {
+    server.on('request', (request: IncomingMessage, response: ServerResponse) => {
+      this.serveFile(request, response).catch(() => {
+        if (!response.headersSent) response.writeHead(500);
+        response.end();
+      });
+    });
+    server.on('upgrade', (request: IncomingMessage, socket: Duplex, head: Buffer) => {
+      let pathname: string;
+      try {
+        pathname = new URL(request.url ?? '/', 'http://relay').pathname;
+      } catch {
+        socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+        return;
+      }
+      if (pathname !== STREAM_PATH) {
+        socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+        return;
+      }
+      if (!completeHandshake(request, socket)) return;
+      if (head.length > 0) socket.unshift(head);
+      this.accept(new WebSocketConnection(socket, { maxMessageBytes: MAX_MESSAGE_BYTES }));
+    });
+    server.on('close', () => this.stopHeartbeat());
+    this.startHeartbeat();
+  }
+
+  /** Take over a connection that has completed its handshake. */
+  public accept(connection: WebSocketConnection): void {
+    const client: Client = { role: null, dancerId: null, alive: true };
+    this.clients.set(connection, client);
+    connection.onPong = () => { client.alive = true; };
+    connection.onMessage = (text) => {
+      client.alive = true;
+      this.handleMessage(connection, client, text);
+    };
+    connection.onClose = () => this.remove(connection, client);
+  }
+
+  /** Close every connection, e.g. on shutdown. */
+  public closeAll(): void {
+    this.stopHeartbeat();
+    [...this.clients.keys()].forEach((connection) => connection.close());
+  }
+
+  private handleMessage(connection: WebSocketConnection, client: Client, text: string): void {
+    const message = parseClientMessage(text);
+    if (!message) {
+      connection.close(CLOSE_PROTOCOL_ERROR);
+      return;
+    }
+
+    if (message.type === 'hello') {
+      if (client.role !== null) return;
+      if (message.version !== STREAM_PROTOCOL_VERSION) {
+        connection.close(CLOSE_UNSUPPORTED_DATA);
+        return;
+      }
+      client.role = message.role;
+      if (message.role === 'viewer') {
+        this.introduce(connection);
+      } else {
+        this.join(connection, client, message.id, message.name);
+      }
+      return;
+    }
+
+    // Viewers only listen; anything before a hello is out of order
+    if (client.role !== 'dancer' || client.dancerId === null) {
+      if (client.role === null) connection.close(CLOSE_PROTOCOL_ERROR);
+      return;
+    }
+    const dancer = this.dancers.get(client.dancerId);
+    if (!dancer || dancer.connection !== connection) return;
+    if (message.type === 'status') {
+      dancer.status = message;
+    }
+    this.broadcast({ ...message, dancer: client.dancerId });
+  }
+
+  private join(connection: WebSocketConnection, client: Client, id: string, name: string): void {
+    // The same phone reconnecting: the new connection takes over the old one's card
+    const previous = this.dancers.get(id);
+    client.dancerId = id;
+    this.dancers.set(id, { connection, name, status: previous?.status ?? null });
+    if (previous && previous.connection !== connection) {
+      previous.connection.terminate();
+    }
+    this.broadcast({ type: 'joined', dancer: id, name });
+  }
+
+  /** Bring a new viewer up to date with the dancers already streaming. */
+  private introduce(connection: WebSocketConnection): void {
+    this.dancers.forEach((dancer, id) => {
+      const messages: RelayMessage[] = [{ type: 'joined', dancer: id, name: dancer.name }];
+      if (dancer.status) {
+        messages.push({ ...dancer.status, dancer: id });
+      }
+      messages.forEach((message) => connection.send(JSON.stringify(message)));
+    });
+  }
+
+  private remove(connection: WebSocketConnection, client: Client): void {
+    this.clients.delete(connection);
+    if (client.dancerId === null) return;
+    const dancer = this.dancers.get(client.dancerId);
+    if (dancer?.connection !== connection) return;   // Already replaced by a reconnect
+    this.dancers.delete(client.dancerId);
+    this.broadcast({ type: 'left', dancer: client.dancerId });
+  }
+
+  private broadcast(message: RelayMessage): void {
+    const text = JSON.stringify(message);
+    this.clients.forEach((client, connection) => {
+      if (client.role === 'viewer') connection.send(text);
+    });
+  }
+
+  private startHeartbeat(): void {
+    if (this.heartbeat !== null) return;
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach((client, connection) => {
+        if (!client.alive) {
+          connection.terminate();
+          return;
+        }
+        client.alive = false;
+        connection.ping();
+      });
+    }, HEARTBEAT_INTERVAL_MS);
+  }
+
+  private stopHeartbeat(): void {
+    if (this.heartbeat !== null) {
+      clearInterval(this.heartbeat);
+      this.heartbeat = null;
+    }
+  }
+
+  private async serveFile(request: IncomingMessage, response: ServerResponse): Promise<void> {
+    if (this.staticDir === null || (request.method !== 'GET' && request.method !== 'HEAD')) {
+      response.writeHead(this.staticDir === null ? 404 : 405);
+      response.end();
+      return;
+    }
+    let pathname: string;
+    try {
+      pathname = decodeURIComponent(new URL(request.url ?? '/', 'http://relay').pathname);
+    } catch {
+      // An unparseable URL or broken percent-encoding is the client's mistake
+      response.writeHead(400);
+      response.end();
+      return;
+    }
+    if (pathname.endsWith('/')) pathname += 'index.html';
+    const root = normalize(this.staticDir + sep);
+    const file = normalize(join(root, pathname));
+    if (!file.startsWith(root)) {
+      response.writeHead(404);
+      response.end();
+      return;
+    }
+
+    let body: Buffer;
+    try {
+      body = await readFile(file);
+    } catch {
+      response.writeHead(404);
+      response.end();
+      return;
+    }
+    response.writeHead(200, {
+      'Content-Type': CONTENT_TYPES[extname(file)] ?? 'application/octet-stream',
+      'Content-Length': body.length,
+      'Cache-Control': 'no-cache'
+    });
+    response.end(request.method === 'HEAD' ? undefined : body);
+  }
+}
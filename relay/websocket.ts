@@ -0,0 +1,236 @@
+/**
+ * Minimal WebSocket (RFC 6455)
+ * Just enough of the protocol for the relay, so it runs on a bare Node
+ * install with no packages to fetch: the upgrade handshake, text frames,
+ * fragmentation, ping/pong and close. Binary frames are refused.
+ */
+
+import { createHash, randomBytes } from 'node:crypto';
+import { IncomingMessage } from 'node:http';
+import { Duplex } from 'node:stream';
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+// Opcodes from 0x8 up are control frames: never fragmented, payload at most 125 bytes
+const CONTROL_OPCODES = 0x8;
+const MAX_CONTROL_PAYLOAD = 125;
+
+export const CLOSE_NORMAL = 1000;
+export const CLOSE_PROTOCOL_ERROR = 1002;
+export const CLOSE_UNSUPPORTED_DATA = 1003;
+export const CLOSE_TOO_BIG = 1009;
+
+/** The Sec-WebSocket-Accept value for a client's Sec-WebSocket-Key. */
+export function acceptKey(key: string): string {
+  return createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+/**
+ * Answer an HTTP upgrade request. Returns false, after replying 400, when
+ * it is not a valid WebSocket handshake.
+ */
+export function completeHandshake(request: IncomingMessage, socket: Duplex): boolean {
+  const key = request.headers['sec-websocket-key'];
+  if (request.headers.upgrade?.toLowerCase() !== 'websocket' || typeof key !== 'string' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+    return false;
+  }
+  socket.write(
+    'HTTP/1.1 101 Switching Protocols\r\n' +
+    'Upgrade: websocket\r\n' +
+    'Connection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${acceptKey(key)}\r\n\r\n`
+  );
+  return true;
+}
+
+/** One frame. Clients must mask what they send; servers must not. */
+export function encodeFrame(opcode: number, payload: Buffer, masked: boolean): Buffer {
+  const length = payload.length;
+  const lengthBytes = length < 126 ? 0 : length < 0x10000 ? 2 : 8;
+  const header = Buffer.alloc(2 + lengthBytes + (masked ? 4 : 0));
+  header[0] = 0x80 | opcode;   // FIN: never fragment what we send
+  header[1] = (masked ? 0x80 : 0) | (lengthBytes === 0 ? length : lengthBytes === 2 ? 126 : 127);
+  if (lengthBytes === 2) {
+    header.writeUInt16BE(length, 2);
+  } else if (lengthBytes === 8) {
+    header.writeBigUInt64BE(BigInt(length), 2);
+  }
+  if (!masked) {
+    return Buffer.concat([header, payload]);
+  }
+  const mask = randomBytes(4);
+  mask.copy(header, 2 + lengthBytes);
+  const body = Buffer.from(payload);
+  for (let i = 0; i < body.length; i++) {
+    body[i] ^= mask[i % 4];
+  }
+  return Buffer.concat([header, body]);
+}
+
+export interface WebSocketOptions {
+  maskOutgoing?: boolean;      // True on the client side of a connection
+  maxMessageBytes?: number;
+}
+
+/** A WebSocket over an upgraded socket, after the handshake. */
+export class WebSocketConnection {
+  public onMessage: (text: string) => void = () => {};
+  public onPong: () => void = () => {};
+  public onClose: (code: number) => void = () => {};
+
+  private socket: Duplex;
+  private maskOutgoing: boolean;
+  private maxMessageBytes: number;
+  private buffered: Buffer = Buffer.alloc(0);
+  private fragments: Buffer[] = [];
+  private fragmentBytes: number = 0;
+  private closed: boolean = false;
+
+  constructor(socket: Duplex, options: WebSocketOptions = {}) {
+    this.socket = socket;
+    this.maskOutgoing = options.maskOutgoing ?? false;
+    this.maxMessageBytes = options.maxMessageBytes ?? 1024 * 1024;
+    socket.on('data', (chunk: Buffer) => this.receive(chunk));
+    socket.on('close', () => this.finish(CLOSE_NORMAL));
+    socket.on('error', () => this.finish(CLOSE_PROTOCOL_ERROR));
+  }
+
+  public get isOpen(): boolean {
+    return !this.closed;
+  }
+
+  public send(text: string): void {
+    this.write(OPCODE_TEXT, Buffer.from(text, 'utf8'));
+  }
+
+  public ping(): void {
+    this.write(OPCODE_PING, Buffer.alloc(0));
+  }
+
+  /** Send a close frame and hang up. */
+  public close(code: number = CLOSE_NORMAL): void {
+    if (this.closed) return;
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    this.write(OPCODE_CLOSE, payload);
+    this.socket.end();
+    this.finish(code);
+  }
+
+  /** Drop the connection without a closing handshake, for peers that stopped answering. */
+  public terminate(): void {
+    this.socket.destroy();
+    this.finish(CLOSE_NORMAL);
+  }
+
+  private write(opcode: number, payload: Buffer): void {
+    if (this.closed || !this.socket.writable) return;
+    this.socket.write(encodeFrame(opcode, payload, this.maskOutgoing));
+  }
+
+  private finish(code: number): void {
+    if (this.closed) return;
+    this.closed = true;
+    this.onClose(code);
+  }
+
+  private receive(chunk: Buffer): void {
+    this.buffered = Buffer.concat([this.buffered, chunk]);
+    while (!this.closed) {
+      const frame = this.nextFrame();
+      if (!frame) return;
+      this.handleFrame(frame.fin, frame.opcode, frame.payload);
+    }
+  }
+
+  /** Take one complete frame off the buffer, or null if it has not all arrived. */
+  private nextFrame(): { fin: boolean; opcode: number; payload: Buffer } | null {
+    const data = this.buffered;
+    if (data.length < 2) return null;
+    const fin = (data[0] & 0x80) !== 0;
+    const opcode = data[0] & 0x0f;
+    const masked = (data[1] & 0x80) !== 0;
+    let length = data[1] & 0x7f;
+    // Clients mask every frame and servers none (RFC 6455 section 5.1)
+    if (masked === this.maskOutgoing) {
+      this.close(CLOSE_PROTOCOL_ERROR);
+      return null;
+    }
+    if ((opcode & CONTROL_OPCODES) !== 0 && (!fin || length > MAX_CONTROL_PAYLOAD)) {
+      this.close(CLOSE_PROTOCOL_ERROR);
+      return null;
+    }
+    let offset = 2;
+    if (length === 126) {
+      if (data.length < 4) return null;
+      length = data.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (data.length < 10) return null;
+      const long = data.readBigUInt64BE(2);
+      length = long > BigInt(this.maxMessageBytes) ? Infinity : Number(long);
+      offset = 10;
+    }
+    if (length > this.maxMessageBytes) {
+      this.close(CLOSE_TOO_BIG);
+      return null;
+    }
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (data.length < offset + length) return null;
+
+    const payload = Buffer.from(data.subarray(offset, offset + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= data[maskOffset + (i % 4)];
+      }
+    }
+    this.buffered = data.subarray(offset + length);
+    return { fin, opcode, payload };
+  }
+
+  private handleFrame(fin: boolean, opcode: number, payload: Buffer): void {
+    switch (opcode) {
+      case OPCODE_TEXT:
+      case OPCODE_CONTINUATION:
+        if ((opcode === OPCODE_TEXT) !== (this.fragments.length === 0)) {
+          this.close(CLOSE_PROTOCOL_ERROR);
+          return;
+        }
+        this.fragmentBytes += payload.length;
+        if (this.fragmentBytes > this.maxMessageBytes) {
+          this.close(CLOSE_TOO_BIG);
+          return;
+        }
+        this.fragments.push(payload);
+        if (fin) {
+          const text = Buffer.concat(this.fragments).toString('utf8');
+          this.fragments = [];
+          this.fragmentBytes = 0;
+          this.onMessage(text);
+        }
+        break;
+      case OPCODE_BINARY:
+        this.close(CLOSE_UNSUPPORTED_DATA);
+        break;
+      case OPCODE_CLOSE:
+        this.close(payload.length >= 2 ? payload.readUInt16BE(0) : CLOSE_NORMAL);
+        break;
+      case OPCODE_PING:
+        this.write(OPCODE_PONG, payload);
+        break;
+      case OPCODE_PONG:
+        this.onPong();
+        break;
+      default:
+        this.close(CLOSE_PROTOCOL_ERROR);
+    }
+  }
+}
@@ -4,41 +4,175 @@
  * and provides haptic feedback to help dancers avoid habitual bouncing.
  */
 
-type AudioFeedbackMode = 'off' | 'discrete' | 'frequency' | 'frequency-fadeout';
-type GravityMode = 'sensor' | 'filter';
-
-interface BounceDetectorConfig {
-  sensitivity: number;        // Threshold for bounce detection (m/s^2)
-  debounceTime: number;       // Minimum time between bounce detections (ms)
-  vibrationDuration: number;  // How long to vibrate (ms)
-  sampleWindow: number;       // Number of samples to analyze
+import {
+  Activity,
+  ActivityEvent,
+  BounceEngine,
+  BounceEvent,
+  CALIBRATION_MAX_STD_DEV,
+  CALIBRATION_MIN_SAMPLES,
+  CALIBRATION_TIMEOUT_MS,
+  DEFAULT_ENGINE_CONFIG,
+  DetectionAlgorithm,
+  EngineConfig,
+  FaultEvent,
+  FaultKind,
+  GravityMode,
+  MotionSample,
+  DeviationEvent,
+  ReorientEvent,
+  CalibrationEvent,
+  CalibrationProgressEvent,
+  SampleRateEvent,
+  Vector3
+} from './detector-engine.js';
+import { INTERNAL_SAMPLE_INTERVAL_MS } from './sample-timing.js';
+import { DEFAULT_SENSOR_FREQUENCY_HZ, InputBackend, MotionInput } from './motion-input.js';
+import { ScreenWakeLock } from './wake-lock.js';
+import { registerServiceWorker } from './service-worker-client.js';
+import { ProfileSettings, ProfileStore } from './profiles.js';
+import {
+  DEFAULT_HAPTIC_VOCABULARY,
+  HapticCoach,
+  HapticCue,
+  HapticVocabulary,
+  VibrationPattern,
+  formatPattern,
+  parsePattern,
+  sanitizeVocabulary,
+  scaleBouncePattern
+} from './haptics.js';
+import { SpeechMode, VoiceCoach, VoiceVerbosity } from './voice-coach.js';
+import {
+  DEFAULT_SONIFICATION,
+  ScaleName,
+  SonificationSettings,
+  Sonifier,
+  Timbre,
+  sanitizeSonification
+} from './sonification.js';
+import {
+  DRILL_LIBRARY,
+  Drill,
+  DrillRunner,
+  DrillStatus,
+  DrillStore,
+  drillDurationSec,
+  formatDuration,
+  formatPhases,
+  newDrillId,
+  parsePhases
+} from './drills.js';
+import { renderDrillResults } from './drill-results-view.js';
+import { BounceSeverity } from './displacement.js';
+import { FAULT_KINDS } from './fault-detectors.js';
+import { PLACEMENT_PRESETS, PhonePlacement, isPhonePlacement } from './placement.js';
+import {
+  MotionRecorder,
+  MotionRecording,
+  parseRecording,
+  replayRecording,
+  serializeRecording
+} from './motion-recording.js';
+import { SessionHistoryStore, bouncesPerMinute } from './session-history.js';
+import { LabelStore, SessionLabeller, TuneProposal, autoTune } from './bounce-labels.js';
+import { renderLabelReview } from './label-review-view.js';
+import { LiveStreamPublisher, StreamSettings, StreamState, loadStreamSettings, saveStreamSettings } from './live-stream.js';
+import { relayUrl } from './live-stream-protocol.js';
+import { HistoryView } from './history-view.js';
+import { WaveformView } from './waveform-view.js';
+import {
+  FullScreenFeedback,
+  VISUAL_ELEMENTS,
+  VisualElement,
+  VisualFeedbackSettings,
+  sanitizeVisualFeedback
+} from './visual-feedback.js';
+import { BeatTag, MusicSummary, summarizeMusicSession, tagBeat } from './beat-analysis.js';
+import { MusicTrack } from './music-track.js';
+import { renderMusicSummary } from './music-summary-view.js';
+import { Metronome } from './metronome.js';
+import { TapTempo, bouncesPerStep, clampTempo, debounceForTempo } from './tempo.js';
+
+type AudioFeedbackMode = 'off' | 'discrete' | 'frequency' | 'frequency-fadeout' | 'musical';
+
+// Sessions shorter than this are treated as accidental taps and not saved to history
+const MIN_SESSION_DURATION_MS = 5000;
+
+interface BounceDetectorConfig extends EngineConfig {
+  vibration: boolean;         // Vibrate on feedback (off for visual-only practice)
+  hapticPatterns: HapticVocabulary;  // Vibration pattern for each kind of feedback
+  visualFeedback: VisualFeedbackSettings;  // Full-screen mode colours and brightness
   audioMode: AudioFeedbackMode;  // Audio feedback mode
   audioVolume: number;        // Audio volume (0.0 to 1.0)
-  gravityMode: GravityMode;   // How to detect gravity direction
+  sonification: SonificationSettings;  // Key, scale, timbre and envelope for musical mode
+  voiceVerbosity: VoiceVerbosity;  // Spoken cues and summaries (independent of audio mode)
+  voiceVolume: number;        // Speech volume (0.0 to 1.0)
+  tempoBpm: number;           // Dance tempo in BPM (0 = not set)
+  followTempo: boolean;       // Derive debounce time from the tempo
+  fixedDebounceTime: number;  // Debounce when not following the tempo (ms)
+  inputBackend: InputBackend; // Preferred motion source (falls back to devicemotion)
+  sensorFrequency: number;    // Requested Generic Sensor frequency (Hz)
 }
 
-interface AccelerationSample {
-  timestamp: number;
-  magnitude: number;  // Total acceleration magnitude (orientation-independent)
+function vibrate(pattern: VibrationPattern): void {
+  if ('vibrate' in navigator) {
+    navigator.vibrate(pattern);
+  }
+}
+
+/** "2 minutes", "90 seconds": whole minutes when they are exact. */
+function spokenDuration(seconds: number): string {
+  if (seconds >= 60 && seconds % 60 === 0) {
+    return seconds === 60 ? '1 minute' : `${seconds / 60} minutes`;
+  }
+  return `${seconds} seconds`;
+}
+
+/** Offer a JSON document to the user as a file download. */
+function downloadJson(json: string, filename: string): void {
+  const blob = new Blob([json], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Describe a calibrated gravity direction: the unit vector in device axes
+ * and how the phone was being held (readings point away from the ground).
+ */
+function describeGravity(gravity: Vector3): string {
+  const length = Math.sqrt(gravity.x ** 2 + gravity.y ** 2 + gravity.z ** 2) || 1;
+  const unit = { x: gravity.x / length, y: gravity.y / length, z: gravity.z / length };
+  const [ax, ay, az] = [Math.abs(unit.x), Math.abs(unit.y), Math.abs(unit.z)];
+
+  let pose: string;
+  if (az >= ax && az >= ay) {
+    pose = unit.z > 0 ? 'flat, screen up' : 'flat, screen down';
+  } else if (ay >= ax) {
+    pose = unit.y > 0 ? 'upright' : 'upside down';
+  } else {
+    pose = 'on its side';
+  }
+
+  return `(${unit.x.toFixed(2)}, ${unit.y.toFixed(2)}, ${unit.z.toFixed(2)}) ${pose}`;
 }
 
+/**
+ * Browser UI adapter around BounceEngine: wires the engine to devicemotion
+ * events, the page controls, localStorage, vibration and Web Audio.
+ */
 class BounceDetector {
   private config: BounceDetectorConfig;
+  private engine: BounceEngine;
   private isRunning: boolean = false;
-  private lastBounceTime: number = 0;
-  private samples: AccelerationSample[] = [];
-  private baselineMagnitude: number = 9.81;  // Earth's gravity magnitude (orientation-independent)
-  private calibrationSamples: number[] = [];
   private isCalibrating: boolean = false;
-
-  // Gravity direction - continuously tracked with very slow filter
-  // Slow enough to ignore quick movements, fast enough to track orientation changes
-  private gravityX: number = 0;
-  private gravityY: number = 0;
-  private gravityZ: number = 9.81;  // Default to pointing down (phone flat)
-  // At 60Hz, alpha=0.005 gives ~3 second time constant - slow enough to filter
-  // quick movements but tracks orientation changes (e.g., phone going into pocket)
-  private gravityAlpha: number = 0.005;
+  private calibrationTimeout: ReturnType<typeof setTimeout> | null = null;
 
   // Audio properties
   private audioContext: AudioContext | null = null;
@@ -46,37 +180,244 @@ class BounceDetector {
   private gainNode: GainNode | null = null;
   private oscillatorGainNode: GainNode | null = null;  // Separate gain for oscillator volume fadeout
   private isAudioInitialized: boolean = false;
+  private sonifier: Sonifier | null = null;  // Musical mode; created with the audio context
 
   // UI Elements
   private statusEl: HTMLElement | null = null;
   private indicatorEl: HTMLElement | null = null;
   private sensitivitySlider: HTMLInputElement | null = null;
   private sensitivityValue: HTMLElement | null = null;
+  private toleranceSlider: HTMLInputElement | null = null;
+  private toleranceValue: HTMLElement | null = null;
+  private severityCountEls: Record<BounceSeverity, HTMLElement | null> = { minor: null, moderate: null, major: null };
   private startBtn: HTMLButtonElement | null = null;
   private calibrateBtn: HTMLButtonElement | null = null;
+  private calibrationProgressEl: HTMLElement | null = null;
+  private calibrationProgressBar: HTMLElement | null = null;
+  private sensorRateEl: HTMLElement | null = null;
   private bounceCountEl: HTMLElement | null = null;
   private currentAccelEl: HTMLElement | null = null;
   private audioModeSelect: HTMLSelectElement | null = null;
   private audioVolumeSlider: HTMLInputElement | null = null;
   private audioVolumeValue: HTMLElement | null = null;
+  private sonifyKeySelect: HTMLSelectElement | null = null;
+  private sonifyScaleSelect: HTMLSelectElement | null = null;
+  private sonifyTimbreSelect: HTMLSelectElement | null = null;
+  private sonifyBrightnessSlider: HTMLInputElement | null = null;
+  private sonifyBrightnessValue: HTMLElement | null = null;
+  private sonifyAttackSlider: HTMLInputElement | null = null;
+  private sonifyAttackValue: HTMLElement | null = null;
+  private sonifyReleaseSlider: HTMLInputElement | null = null;
+  private sonifyReleaseValue: HTMLElement | null = null;
+  private sonifySampleInput: HTMLInputElement | null = null;
+  private sonifySampleInfo: HTMLElement | null = null;
+  private sonifyClearSampleBtn: HTMLButtonElement | null = null;
+  private sonifyPreviewBtn: HTMLButtonElement | null = null;
+  private voiceVerbositySelect: HTMLSelectElement | null = null;
+  private voiceVolumeSlider: HTMLInputElement | null = null;
+  private voiceVolumeValue: HTMLElement | null = null;
   private gravityModeSelect: HTMLSelectElement | null = null;
   private gravityModeHint: HTMLElement | null = null;
+  private placementSelect: HTMLSelectElement | null = null;
+  private inputBackendSelect: HTMLSelectElement | null = null;
+  private sensorFrequencySelect: HTMLSelectElement | null = null;
+  private inputBackendHint: HTMLElement | null = null;
+  private algorithmSelect: HTMLSelectElement | null = null;
+  private algorithmHint: HTMLElement | null = null;
+  private lastBounceEl: HTMLElement | null = null;
+  private turnTolerantToggle: HTMLInputElement | null = null;
+  private suppressedCountEl: HTMLElement | null = null;
+  private activeTimeEl: HTMLElement | null = null;
+  private activityStateEl: HTMLElement | null = null;
+  private autoPauseToggle: HTMLInputElement | null = null;
+  private faultToggles: Record<FaultKind, HTMLInputElement | null> = { sway: null, rotation: null };
+  private faultSliders: Record<FaultKind, HTMLInputElement | null> = { sway: null, rotation: null };
+  private faultSliderValues: Record<FaultKind, HTMLElement | null> = { sway: null, rotation: null };
+  private faultCountEls: Record<FaultKind, HTMLElement | null> = { sway: null, rotation: null };
+  private faultCountsCard: HTMLElement | null = null;
+  private indicatorTextEl: HTMLElement | null = null;
+  private waveform: WaveformView | null = null;
+  private fullScreen: FullScreenFeedback | null = null;
+  private fullScreenBtn: HTMLButtonElement | null = null;
+  private fullScreenStartBtn: HTMLButtonElement | null = null;
+  private fullScreenExitBtn: HTMLButtonElement | null = null;
+  private visualToggles: Partial<Record<VisualElement, HTMLInputElement>> = {};
+  private visualColors: Partial<Record<VisualElement, HTMLInputElement>> = {};
+  private visualBrightness: Partial<Record<VisualElement, HTMLInputElement>> = {};
+  private musicFileInput: HTMLInputElement | null = null;
+  private musicInfoEl: HTMLElement | null = null;
+  private removeMusicBtn: HTMLButtonElement | null = null;
+  private musicSummaryEl: HTMLElement | null = null;
+
+  // Music-aware mode
+  private musicTrack: MusicTrack | null = null;
+  private beatTags: BeatTag[] = [];
+  private sessionTrack: MusicTrack | null = null;  // Started this session and not yet summarised
+  private lastMusicSummary: MusicSummary | null = null;
+  private lastMusicTrackName: string = '';
+
+  // Tempo and metronome
+  private tempoInput: HTMLInputElement | null = null;
+  private tapTempoBtn: HTMLButtonElement | null = null;
+  private metronomeBtn: HTMLButtonElement | null = null;
+  private followTempoToggle: HTMLInputElement | null = null;
+  private tempoHint: HTMLElement | null = null;
+  private perStepEl: HTMLElement | null = null;
+  private tapTempo: TapTempo = new TapTempo();
+  private metronome: Metronome | null = null;
+  private perStepTimer: ReturnType<typeof setInterval> | null = null;
+  private recordToggle: HTMLInputElement | null = null;
+  private downloadRecordingBtn: HTMLButtonElement | null = null;
+  private replayFileInput: HTMLInputElement | null = null;
+  private replayResultsEl: HTMLElement | null = null;
+
+  // Raw motion recording for offline replay
+  private recorder: MotionRecorder = new MotionRecorder();
+  private lastRecording: MotionRecording | null = null;
+
+  // False/missed bounce labels and auto-tune
+  private labelStore: LabelStore = new LabelStore(localStorage);
+  private labeller: SessionLabeller | null = null;        // The live session, while detecting
+  private reviewLabeller: SessionLabeller | null = null;  // A replayed recording under review
+  private tuneProposal: TuneProposal | null = null;
+  private markFalseBtn: HTMLButtonElement | null = null;
+  private markMissedBtn: HTMLButtonElement | null = null;
+  private labelInfoEl: HTMLElement | null = null;
+  private reviewFileInput: HTMLInputElement | null = null;
+  private reviewListEl: HTMLElement | null = null;
+  private saveReviewBtn: HTMLButtonElement | null = null;
+  private autoTuneBtn: HTMLButtonElement | null = null;
+  private tuneResultEl: HTMLElement | null = null;
+  private applyTuneBtn: HTMLButtonElement | null = null;
+  private clearLabelsBtn: HTMLButtonElement | null = null;
+
+  // Live stream to an instructor's relay
+  private stream: LiveStreamPublisher = new LiveStreamPublisher((state) => this.handleStreamState(state));
+  private streamSettings: StreamSettings = loadStreamSettings(localStorage);
+  private streamToggle: HTMLInputElement | null = null;
+  private streamRelayInput: HTMLInputElement | null = null;
+  private streamNameInput: HTMLInputElement | null = null;
+  private streamStatusEl: HTMLElement | null = null;
+
+  // Practice history
+  private historyStore: SessionHistoryStore | null = SessionHistoryStore.isSupported() ? new SessionHistoryStore() : null;
+  private historyView: HistoryView | null = null;
+  private sessionStartTime: number = 0;
+  // Time spent dancing: wall-clock time minus auto-paused stretches
+  private activeMs: number = 0;
+  private activeSince: number | null = null;  // Start of the current dancing stretch, null while paused
+  private sessionActiveMs: number = 0;        // Active time of the session that just ended
 
   private bounceCount: number = 0;
+  private severityCounts: Record<BounceSeverity, number> = { minor: 0, moderate: 0, major: 0 };
+  private totalDisplacementCm: number = 0;
+  private suppressedCount: number = 0;
+  private faultCounts: Record<FaultKind, number> = { sway: 0, rotation: 0 };
   private permissionGranted: boolean = false;
-  private gravitySensorSupported: boolean = false;  // Whether device provides linear acceleration
+
+  // Vibration feedback
+  private haptics: HapticCoach;
+  private patternInputs: Partial<Record<HapticCue, HTMLInputElement>> = {};
+  private vibrationToggle: HTMLInputElement | null = null;
+  private resetPatternsBtn: HTMLButtonElement | null = null;
+
+  // Spoken feedback
+  private voice: VoiceCoach;
+
+  // Keeps the screen (and with it the motion sensors) on while detecting
+  private wakeLock: ScreenWakeLock = new ScreenWakeLock();
+  private updateBtn: HTMLButtonElement | null = null;
+
+  // Named settings profiles
+  private profileStore: ProfileStore = new ProfileStore(localStorage);
+  private defaultSettings: ProfileSettings;  // Fills in whatever a profile does not set
+  private profileSelect: HTMLSelectElement | null = null;
+  private duplicateProfileBtn: HTMLButtonElement | null = null;
+  private deleteProfileBtn: HTMLButtonElement | null = null;
+  private exportProfileBtn: HTMLButtonElement | null = null;
+  private importProfileInput: HTMLInputElement | null = null;
+  private debounceSlider: HTMLInputElement | null = null;
+  private debounceValue: HTMLElement | null = null;
+
+  // Guided drills
+  private drillStore: DrillStore = new DrillStore(localStorage);
+  private drillRunner: DrillRunner | null = null;
+  private drillTimer: ReturnType<typeof setInterval> | null = null;
+  private drillSelect: HTMLSelectElement | null = null;
+  private drillInfo: HTMLElement | null = null;
+  private startDrillBtn: HTMLButtonElement | null = null;
+  private drillNameInput: HTMLInputElement | null = null;
+  private drillCountdownInput: HTMLInputElement | null = null;
+  private drillWarmUpInput: HTMLInputElement | null = null;
+  private drillPhasesInput: HTMLTextAreaElement | null = null;
+  private saveDrillBtn: HTMLButtonElement | null = null;
+  private saveDrillAsNewBtn: HTMLButtonElement | null = null;
+  private deleteDrillBtn: HTMLButtonElement | null = null;
+  private drillStatusEl: HTMLElement | null = null;
+  private drillResultsEl: HTMLElement | null = null;
+  private drillResultsBody: HTMLElement | null = null;
+  private closeDrillResultsBtn: HTMLButtonElement | null = null;
+
+  // Motion source
+  private motionInput: MotionInput;
+  private inputFallbackReason: string | null = null;
 
   constructor(config: Partial<BounceDetectorConfig> = {}) {
     this.config = {
-      sensitivity: 3.0,         // Default threshold in m/s^2 above/below gravity
-      debounceTime: 300,        // 300ms between detections
-      vibrationDuration: 100,   // 100ms vibration
-      sampleWindow: 10,         // Analyze last 10 samples
+      ...DEFAULT_ENGINE_CONFIG,
+      vibration: true,
+      hapticPatterns: { ...DEFAULT_HAPTIC_VOCABULARY },
+      visualFeedback: sanitizeVisualFeedback(null),
       audioMode: 'off',         // Audio feedback off by default
       audioVolume: 0.5,         // 50% volume by default
-      gravityMode: 'sensor',    // Use device sensor by default (falls back to filter if unavailable)
+      sonification: { ...DEFAULT_SONIFICATION },
+      voiceVerbosity: 'off',    // No speech by default
+      voiceVolume: 1,
+      tempoBpm: 0,              // No tempo until the user sets one
+      followTempo: false,       // Fixed debounce by default
+      fixedDebounceTime: DEFAULT_ENGINE_CONFIG.debounceTime,
+      inputBackend: 'devicemotion',  // Browser-paced devicemotion events
+      sensorFrequency: DEFAULT_SENSOR_FREQUENCY_HZ,
+      autoPause: true,          // Stop counting while standing still or walking off
       ...config
     };
+
+    this.defaultSettings = this.settingsFromConfig(this.config);
+    this.haptics = new HapticCoach((pattern) => {
+      if (this.config.vibration) vibrate(pattern);
+    }, this.config.hapticPatterns);
+    this.voice = new VoiceCoach(this.speak, this.config.voiceVerbosity);
+
+    this.motionInput = new MotionInput({
+      onSample: this.handleSample,
+      onFallback: (reason) => {
+        console.warn('Generic Sensor input unavailable, using devicemotion:', reason);
+        this.inputFallbackReason = reason;
+        this.updateInputBackendHint();
+      }
+    });
+
+    this.engine = new BounceEngine(this.config);
+    this.engine.on('deviation', this.handleDeviation);
+    this.engine.on('bounce', (event) => this.onBounceDetected(event));
+    this.engine.on('candidate', (event) => this.labeller?.addCandidate(event));
+    this.engine.on('calibration', this.handleCalibration);
+    this.engine.on('calibrationProgress', this.handleCalibrationProgress);
+    this.engine.on('sampleRate', this.handleSampleRate);
+    this.engine.on('gravitySensorAvailable', () => this.updateGravityModeUI());
+    this.engine.on('suppressed', (event) => {
+      // Steps taken while auto-paused are not near-bounces, so only turns are counted
+      if (event.reason === 'turn') {
+        this.suppressedCount++;
+        this.updateBounceCount();
+      }
+    });
+    this.engine.on('turn', (event) => {
+      this.setIndicatorText(event.turning ? 'Turn' : this.indicatorLabel());
+    });
+    this.engine.on('reorient', this.handleReorient);
+    this.engine.on('activity', this.handleActivity);
+    this.engine.on('fault', this.handleFault);
   }
 
   public init(): void {
@@ -84,22 +425,165 @@ class BounceDetector {
     this.setupEventListeners();
     this.checkDeviceSupport();
     this.loadSettings();
+    this.applyTempo();
+    this.applyHapticPatterns();
+    this.applySonification();
+    this.applyVisualFeedback();
+    this.updateInputBackendUI();
+    this.drillStore.load();
+    this.renderDrills();
+    this.labelStore.load();
+    this.updateLabelInfo();
+    this.reportUnsavedStores();
+    this.applyStreamSettings();
+
+    registerServiceWorker((apply) => this.showUpdateAvailable(apply));
+
+    if (this.historyStore) {
+      this.historyView = new HistoryView(this.historyStore, (message) => this.updateStatus(message, 'error'));
+      this.historyView.init();
+    }
   }
 
   private bindUIElements(): void {
     this.statusEl = document.getElementById('status');
+    this.updateBtn = document.getElementById('update-btn') as HTMLButtonElement;
+    this.profileSelect = document.getElementById('profile-select') as HTMLSelectElement;
+    this.drillSelect = document.getElementById('drill-select') as HTMLSelectElement;
+    this.drillInfo = document.getElementById('drill-info');
+    this.startDrillBtn = document.getElementById('start-drill-btn') as HTMLButtonElement;
+    this.drillNameInput = document.getElementById('drill-name') as HTMLInputElement;
+    this.drillCountdownInput = document.getElementById('drill-countdown') as HTMLInputElement;
+    this.drillWarmUpInput = document.getElementById('drill-warm-up') as HTMLInputElement;
+    this.drillPhasesInput = document.getElementById('drill-phases') as HTMLTextAreaElement;
+    this.saveDrillBtn = document.getElementById('save-drill-btn') as HTMLButtonElement;
+    this.saveDrillAsNewBtn = document.getElementById('save-drill-as-new-btn') as HTMLButtonElement;
+    this.deleteDrillBtn = document.getElementById('delete-drill-btn') as HTMLButtonElement;
+    this.drillStatusEl = document.getElementById('drill-status');
+    this.drillResultsEl = document.getElementById('drill-results');
+    this.drillResultsBody = document.getElementById('drill-results-body');
+    this.closeDrillResultsBtn = document.getElementById('close-drill-results-btn') as HTMLButtonElement;
+    this.duplicateProfileBtn = document.getElementById('duplicate-profile-btn') as HTMLButtonElement;
+    this.deleteProfileBtn = document.getElementById('delete-profile-btn') as HTMLButtonElement;
+    this.exportProfileBtn = document.getElementById('export-profile-btn') as HTMLButtonElement;
+    this.importProfileInput = document.getElementById('import-profile-file') as HTMLInputElement;
+    this.debounceSlider = document.getElementById('debounce-time') as HTMLInputElement;
+    this.debounceValue = document.getElementById('debounce-value');
+    (Object.keys(DEFAULT_HAPTIC_VOCABULARY) as HapticCue[]).forEach((cue) => {
+      const input = document.getElementById(`pattern-${cue}`) as HTMLInputElement | null;
+      if (input) {
+        this.patternInputs[cue] = input;
+      }
+    });
+    this.resetPatternsBtn = document.getElementById('reset-patterns-btn') as HTMLButtonElement;
+    this.vibrationToggle = document.getElementById('vibration-toggle') as HTMLInputElement;
     this.indicatorEl = document.getElementById('bounce-indicator');
     this.sensitivitySlider = document.getElementById('sensitivity') as HTMLInputElement;
     this.sensitivityValue = document.getElementById('sensitivity-value');
+    this.toleranceSlider = document.getElementById('displacement-tolerance') as HTMLInputElement;
+    this.toleranceValue = document.getElementById('displacement-tolerance-value');
+    this.severityCountEls = {
+      minor: document.getElementById('severity-minor'),
+      moderate: document.getElementById('severity-moderate'),
+      major: document.getElementById('severity-major')
+    };
     this.startBtn = document.getElementById('start-btn') as HTMLButtonElement;
     this.calibrateBtn = document.getElementById('calibrate-btn') as HTMLButtonElement;
+    this.calibrationProgressEl = document.getElementById('calibration-progress');
+    this.calibrationProgressBar = document.getElementById('calibration-progress-bar');
+    this.sensorRateEl = document.getElementById('sensor-rate');
     this.bounceCountEl = document.getElementById('bounce-count');
     this.currentAccelEl = document.getElementById('current-accel');
     this.audioModeSelect = document.getElementById('audio-mode') as HTMLSelectElement;
     this.audioVolumeSlider = document.getElementById('audio-volume') as HTMLInputElement;
     this.audioVolumeValue = document.getElementById('audio-volume-value');
+    this.sonifyKeySelect = document.getElementById('sonify-key') as HTMLSelectElement;
+    this.sonifyScaleSelect = document.getElementById('sonify-scale') as HTMLSelectElement;
+    this.sonifyTimbreSelect = document.getElementById('sonify-timbre') as HTMLSelectElement;
+    this.sonifyBrightnessSlider = document.getElementById('sonify-brightness') as HTMLInputElement;
+    this.sonifyBrightnessValue = document.getElementById('sonify-brightness-value');
+    this.sonifyAttackSlider = document.getElementById('sonify-attack') as HTMLInputElement;
+    this.sonifyAttackValue = document.getElementById('sonify-attack-value');
+    this.sonifyReleaseSlider = document.getElementById('sonify-release') as HTMLInputElement;
+    this.sonifyReleaseValue = document.getElementById('sonify-release-value');
+    this.sonifySampleInput = document.getElementById('sonify-sample-file') as HTMLInputElement;
+    this.sonifySampleInfo = document.getElementById('sonify-sample-info');
+    this.sonifyClearSampleBtn = document.getElementById('sonify-clear-sample-btn') as HTMLButtonElement;
+    this.sonifyPreviewBtn = document.getElementById('sonify-preview-btn') as HTMLButtonElement;
+    this.voiceVerbositySelect = document.getElementById('voice-verbosity') as HTMLSelectElement;
+    this.voiceVolumeSlider = document.getElementById('voice-volume') as HTMLInputElement;
+    this.voiceVolumeValue = document.getElementById('voice-volume-value');
     this.gravityModeSelect = document.getElementById('gravity-mode') as HTMLSelectElement;
     this.gravityModeHint = document.getElementById('gravity-mode-hint');
+    this.placementSelect = document.getElementById('phone-placement') as HTMLSelectElement;
+    this.inputBackendSelect = document.getElementById('input-backend') as HTMLSelectElement;
+    this.sensorFrequencySelect = document.getElementById('sensor-frequency') as HTMLSelectElement;
+    this.inputBackendHint = document.getElementById('input-backend-hint');
+    this.algorithmSelect = document.getElementById('detection-algorithm') as HTMLSelectElement;
+    this.algorithmHint = document.getElementById('detection-algorithm-hint');
+    this.lastBounceEl = document.getElementById('last-bounce');
+    this.turnTolerantToggle = document.getElementById('turn-tolerant') as HTMLInputElement;
+    this.suppressedCountEl = document.getElementById('suppressed-count');
+    this.activeTimeEl = document.getElementById('active-time');
+    this.activityStateEl = document.getElementById('activity-state');
+    this.autoPauseToggle = document.getElementById('auto-pause') as HTMLInputElement;
+    FAULT_KINDS.forEach((kind) => {
+      this.faultToggles[kind] = document.getElementById(`${kind}-detection`) as HTMLInputElement;
+      this.faultSliders[kind] = document.getElementById(`${kind}-sensitivity`) as HTMLInputElement;
+      this.faultSliderValues[kind] = document.getElementById(`${kind}-sensitivity-value`);
+      this.faultCountEls[kind] = document.getElementById(`${kind}-count`);
+    });
+    this.faultCountsCard = document.getElementById('fault-counts');
+    this.indicatorTextEl = this.indicatorEl?.querySelector('.indicator-text') ?? null;
+
+    this.musicFileInput = document.getElementById('music-file') as HTMLInputElement;
+    this.musicInfoEl = document.getElementById('music-info');
+    this.removeMusicBtn = document.getElementById('remove-music-btn') as HTMLButtonElement;
+    this.musicSummaryEl = document.getElementById('music-summary');
+    this.tempoInput = document.getElementById('tempo-bpm') as HTMLInputElement;
+    this.tapTempoBtn = document.getElementById('tap-tempo-btn') as HTMLButtonElement;
+    this.metronomeBtn = document.getElementById('metronome-btn') as HTMLButtonElement;
+    this.followTempoToggle = document.getElementById('follow-tempo') as HTMLInputElement;
+    this.tempoHint = document.getElementById('tempo-hint');
+    this.perStepEl = document.getElementById('bounces-per-step');
+
+    const waveformCanvas = document.getElementById('waveform') as HTMLCanvasElement | null;
+    if (waveformCanvas) {
+      this.waveform = new WaveformView(waveformCanvas);
+    }
+    const fullScreenEl = document.getElementById('fullscreen-feedback');
+    if (fullScreenEl) {
+      this.fullScreen = new FullScreenFeedback(fullScreenEl, this.config.visualFeedback);
+    }
+    this.fullScreenBtn = document.getElementById('fullscreen-btn') as HTMLButtonElement;
+    this.fullScreenStartBtn = document.getElementById('fullscreen-start-btn') as HTMLButtonElement;
+    this.fullScreenExitBtn = document.getElementById('fullscreen-exit-btn') as HTMLButtonElement;
+    VISUAL_ELEMENTS.forEach((element) => {
+      const toggle = document.getElementById(`visual-${element}`) as HTMLInputElement | null;
+      const color = document.getElementById(`visual-${element}-color`) as HTMLInputElement | null;
+      const brightness = document.getElementById(`visual-${element}-brightness`) as HTMLInputElement | null;
+      if (toggle) this.visualToggles[element] = toggle;
+      if (color) this.visualColors[element] = color;
+      if (brightness) this.visualBrightness[element] = brightness;
+    });
+    this.recordToggle = document.getElementById('record-toggle') as HTMLInputElement;
+    this.downloadRecordingBtn = document.getElementById('download-recording-btn') as HTMLButtonElement;
+    this.replayFileInput = document.getElementById('replay-file') as HTMLInputElement;
+    this.replayResultsEl = document.getElementById('replay-results');
+    this.markFalseBtn = document.getElementById('mark-false-btn') as HTMLButtonElement;
+    this.markMissedBtn = document.getElementById('mark-missed-btn') as HTMLButtonElement;
+    this.labelInfoEl = document.getElementById('label-info');
+    this.reviewFileInput = document.getElementById('review-file') as HTMLInputElement;
+    this.reviewListEl = document.getElementById('review-list');
+    this.saveReviewBtn = document.getElementById('save-review-btn') as HTMLButtonElement;
+    this.autoTuneBtn = document.getElementById('auto-tune-btn') as HTMLButtonElement;
+    this.tuneResultEl = document.getElementById('tune-result');
+    this.applyTuneBtn = document.getElementById('apply-tune-btn') as HTMLButtonElement;
+    this.clearLabelsBtn = document.getElementById('clear-labels-btn') as HTMLButtonElement;
+    this.streamToggle = document.getElementById('stream-toggle') as HTMLInputElement;
+    this.streamRelayInput = document.getElementById('stream-relay') as HTMLInputElement;
+    this.streamNameInput = document.getElementById('stream-name') as HTMLInputElement;
+    this.streamStatusEl = document.getElementById('stream-status');
   }
 
   private setupEventListeners(): void {
@@ -109,12 +593,108 @@ class BounceDetector {
     this.sensitivitySlider?.addEventListener('input', (e) => {
       const value = parseFloat((e.target as HTMLInputElement).value);
       this.config.sensitivity = value;
+      this.engine.updateConfig({ sensitivity: value });
       if (this.sensitivityValue) {
         this.sensitivityValue.textContent = value.toFixed(1);
       }
       this.saveSettings();
     });
 
+    this.debounceSlider?.addEventListener('input', (e) => {
+      this.config.fixedDebounceTime = parseInt((e.target as HTMLInputElement).value, 10);
+      this.applyTempo();
+      this.saveSettings();
+    });
+
+    (Object.entries(this.patternInputs) as [HapticCue, HTMLInputElement][]).forEach(([cue, input]) => {
+      input.addEventListener('change', () => {
+        try {
+          this.config.hapticPatterns = { ...this.config.hapticPatterns, [cue]: parsePattern(input.value) };
+        } catch (e) {
+          this.updateStatus(`Invalid ${cue} pattern: ${(e as Error).message}`, 'error');
+        }
+        this.applyHapticPatterns();
+        this.saveSettings();
+      });
+    });
+
+    document.querySelectorAll<HTMLButtonElement>('[data-preview]').forEach((button) => {
+      button.addEventListener('click', () => {
+        const preview = button.dataset.preview;
+        if (preview === 'bounce-hop') {
+          vibrate(scaleBouncePattern(this.config.hapticPatterns.bounce, 2));
+        } else if (preview && preview in this.config.hapticPatterns) {
+          this.haptics.play(preview as HapticCue);
+        }
+      });
+    });
+
+    this.resetPatternsBtn?.addEventListener('click', () => {
+      this.config.hapticPatterns = { ...DEFAULT_HAPTIC_VOCABULARY };
+      this.applyHapticPatterns();
+      this.saveSettings();
+    });
+
+    this.vibrationToggle?.addEventListener('change', (e) => {
+      this.config.vibration = (e.target as HTMLInputElement).checked;
+      if (!this.config.vibration) {
+        // An empty pattern cancels a vibration already playing
+        vibrate([]);
+      }
+      this.saveSettings();
+    });
+
+    this.fullScreenBtn?.addEventListener('click', () => this.openFullScreen());
+    this.fullScreenExitBtn?.addEventListener('click', () => this.fullScreen?.close());
+    this.fullScreenStartBtn?.addEventListener('click', () => this.toggleDetection());
+    // Leaving browser full screen (back gesture, Esc) leaves the mode too
+    document.addEventListener('fullscreenchange', () => {
+      if (!document.fullscreenElement && this.fullScreen?.isOpen) {
+        this.fullScreen.close();
+      }
+    });
+    [this.visualToggles, this.visualColors, this.visualBrightness].forEach((inputs) => {
+      Object.values(inputs).forEach((input) => {
+        input.addEventListener('input', () => this.handleVisualFeedbackChange());
+      });
+    });
+
+    this.drillSelect?.addEventListener('change', () => this.showSelectedDrill());
+    this.startDrillBtn?.addEventListener('click', () => this.startDrill());
+    this.saveDrillBtn?.addEventListener('click', () => this.saveDrill(false));
+    this.saveDrillAsNewBtn?.addEventListener('click', () => this.saveDrill(true));
+    this.deleteDrillBtn?.addEventListener('click', () => this.deleteDrill());
+    this.closeDrillResultsBtn?.addEventListener('click', () => {
+      if (this.drillResultsEl) {
+        this.drillResultsEl.hidden = true;
+      }
+    });
+
+    this.profileSelect?.addEventListener('change', (e) => {
+      this.switchProfile((e.target as HTMLSelectElement).value);
+    });
+
+    this.duplicateProfileBtn?.addEventListener('click', () => this.duplicateProfile());
+    this.deleteProfileBtn?.addEventListener('click', () => this.deleteProfile());
+    this.exportProfileBtn?.addEventListener('click', () => this.exportProfile());
+
+    this.importProfileInput?.addEventListener('change', async (e) => {
+      const input = e.target as HTMLInputElement;
+      const file = input.files?.[0];
+      if (file) {
+        await this.importProfile(file);
+      }
+      input.value = '';
+    });
+
+    this.toleranceSlider?.addEventListener('input', (e) => {
+      const value = parseFloat((e.target as HTMLInputElement).value);
+      this.config.displacementTolerance = value;
+      this.engine.updateConfig({ displacementTolerance: value });
+      this.updateToleranceValue();
+      this.saveSettings();
+    });
+
     this.audioModeSelect?.addEventListener('change', (e) => {
       const mode = (e.target as HTMLSelectElement).value as AudioFeedbackMode;
       this.config.audioMode = mode;
@@ -134,19 +714,238 @@ class BounceDetector {
       this.saveSettings();
     });
 
+    [this.sonifyKeySelect, this.sonifyScaleSelect, this.sonifyTimbreSelect].forEach((select) => {
+      select?.addEventListener('change', () => this.handleSonificationChange());
+    });
+    [this.sonifyBrightnessSlider, this.sonifyAttackSlider, this.sonifyReleaseSlider].forEach((slider) => {
+      slider?.addEventListener('input', () => this.handleSonificationChange());
+    });
+
+    this.sonifySampleInput?.addEventListener('change', async (e) => {
+      const input = e.target as HTMLInputElement;
+      const file = input.files?.[0];
+      if (file) {
+        await this.loadBounceSample(file);
+      }
+      input.value = '';
+    });
+
+    this.sonifyClearSampleBtn?.addEventListener('click', () => {
+      this.sonifier?.clearSample();
+      this.updateSampleInfo();
+    });
+
+    this.sonifyPreviewBtn?.addEventListener('click', async () => {
+      this.initAudio();
+      if (this.audioContext?.state === 'suspended') {
+        await this.audioContext.resume();
+      }
+      this.sonifier?.playBounce('moderate');
+    });
+
+    this.voiceVerbositySelect?.addEventListener('change', (e) => {
+      this.config.voiceVerbosity = (e.target as HTMLSelectElement).value as VoiceVerbosity;
+      this.voice.setVerbosity(this.config.voiceVerbosity);
+      if (this.config.voiceVerbosity === 'off' && 'speechSynthesis' in window) {
+        speechSynthesis.cancel();
+      }
+      this.saveSettings();
+    });
+
+    this.voiceVolumeSlider?.addEventListener('input', (e) => {
+      const value = parseFloat((e.target as HTMLInputElement).value);
+      this.config.voiceVolume = value;
+      if (this.voiceVolumeValue) {
+        this.voiceVolumeValue.textContent = Math.round(value * 100).toString();
+      }
+      this.saveSettings();
+    });
+
     this.gravityModeSelect?.addEventListener('change', (e) => {
       const mode = (e.target as HTMLSelectElement).value as GravityMode;
       this.config.gravityMode = mode;
+      this.engine.updateConfig({ gravityMode: mode });
       this.updateGravityModeHint();
       this.saveSettings();
     });
+
+    this.placementSelect?.addEventListener('change', (e) => {
+      const placement = (e.target as HTMLSelectElement).value as PhonePlacement;
+      this.setPlacement(placement);
+      // Choosing a placement is a fresh start: take its thresholds too, which can then be fine-tuned
+      const preset = PLACEMENT_PRESETS[placement];
+      this.applySettings({
+        sensitivity: preset.sensitivity,
+        swaySensitivity: preset.swaySensitivity,
+        rotationSensitivity: preset.rotationSensitivity
+      });
+      this.saveSettings();
+      this.updateStatus(`${preset.label}: sensitivity set to ${preset.sensitivity.toFixed(1)} m/s²`, 'ready');
+    });
+
+    this.inputBackendSelect?.addEventListener('change', (e) => {
+      this.config.inputBackend = (e.target as HTMLSelectElement).value as InputBackend;
+      this.inputFallbackReason = null;
+      this.updateInputBackendUI();
+      this.restartInput();
+      this.saveSettings();
+    });
+
+    this.sensorFrequencySelect?.addEventListener('change', (e) => {
+      this.config.sensorFrequency = parseInt((e.target as HTMLSelectElement).value, 10);
+      this.updateInputBackendHint();
+      this.restartInput();
+      this.saveSettings();
+    });
+
+    this.autoPauseToggle?.addEventListener('change', (e) => {
+      const autoPause = (e.target as HTMLInputElement).checked;
+      this.config.autoPause = autoPause;
+      this.syncAutoPause();
+      this.updateActivityDisplay();
+      this.saveSettings();
+    });
+
+    FAULT_KINDS.forEach((kind) => {
+      this.faultToggles[kind]?.addEventListener('change', (e) => {
+        this.setFaultDetection(kind, (e.target as HTMLInputElement).checked);
+        this.saveSettings();
+      });
+      this.faultSliders[kind]?.addEventListener('input', (e) => {
+        this.setFaultSensitivity(kind, parseFloat((e.target as HTMLInputElement).value));
+        this.saveSettings();
+      });
+    });
+
+    this.turnTolerantToggle?.addEventListener('change', (e) => {
+      const turnTolerant = (e.target as HTMLInputElement).checked;
+      this.config.turnTolerant = turnTolerant;
+      this.engine.updateConfig({ turnTolerant });
+      this.saveSettings();
+    });
+
+    this.algorithmSelect?.addEventListener('change', (e) => {
+      const algorithm = (e.target as HTMLSelectElement).value as DetectionAlgorithm;
+      this.config.algorithm = algorithm;
+      this.engine.updateConfig({ algorithm });
+      this.updateAlgorithmHint();
+      this.saveSettings();
+    });
+
+    this.musicFileInput?.addEventListener('change', async (e) => {
+      const input = e.target as HTMLInputElement;
+      const file = input.files?.[0];
+      if (file) {
+        await this.loadMusic(file);
+      }
+      input.value = '';
+    });
+
+    this.tempoInput?.addEventListener('change', (e) => {
+      const value = parseFloat((e.target as HTMLInputElement).value);
+      this.setTempo(Number.isFinite(value) && value > 0 ? clampTempo(value) : 0);
+    });
+
+    this.tapTempoBtn?.addEventListener('click', () => {
+      const bpm = this.tapTempo.tap(Date.now());
+      if (bpm !== null) {
+        this.setTempo(Math.round(bpm));
+      }
+    });
+
+    this.metronomeBtn?.addEventListener('click', () => this.toggleMetronome());
+
+    this.followTempoToggle?.addEventListener('change', (e) => {
+      this.config.followTempo = (e.target as HTMLInputElement).checked;
+      this.applyTempo();
+      this.saveSettings();
+    });
+
+    this.removeMusicBtn?.addEventListener('click', () => {
+      this.finishMusicSession();
+      this.musicTrack?.stop();
+      this.musicTrack = null;
+      this.updateMusicInfo();
+    });
+
+    this.downloadRecordingBtn?.addEventListener('click', () => this.downloadRecording());
+
+    this.replayFileInput?.addEventListener('change', async (e) => {
+      const input = e.target as HTMLInputElement;
+      const file = input.files?.[0];
+      if (file) {
+        await this.replayFile(file);
+      }
+      // Allow picking the same file again after changing settings
+      input.value = '';
+    });
+
+    this.markFalseBtn?.addEventListener('click', () => {
+      const marked = this.labeller?.markFalse(Date.now()) ?? false;
+      this.updateStatus(marked ? 'Marked the last detection as not a bounce' : 'No detection in the last 3 seconds to mark', marked ? 'active' : 'warning');
+    });
+
+    this.markMissedBtn?.addEventListener('click', () => {
+      const marked = this.labeller?.markMissed(Date.now()) ?? false;
+      this.updateStatus(marked ? 'Marked a missed bounce' : 'No uncounted movement in the last 3 seconds to mark', marked ? 'active' : 'warning');
+    });
+
+    this.reviewFileInput?.addEventListener('change', async (e) => {
+      const input = e.target as HTMLInputElement;
+      const file = input.files?.[0];
+      if (file) {
+        await this.reviewFile(file);
+      }
+      input.value = '';
+    });
+
+    this.saveReviewBtn?.addEventListener('click', () => {
+      if (!this.reviewLabeller) return;
+      this.labelStore.add(this.reviewLabeller.toSession('recording'));
+      this.reviewLabeller = null;
+      this.reviewListEl?.replaceChildren();
+      this.saveReviewBtn!.hidden = true;
+      this.updateLabelInfo();
+    });
+
+    this.autoTuneBtn?.addEventListener('click', () => this.proposeTune());
+    this.applyTuneBtn?.addEventListener('click', () => this.applyTune());
+
+    this.clearLabelsBtn?.addEventListener('click', () => {
+      if (!confirm('Delete all bounce labels?')) return;
+      this.labelStore.clear();
+      this.updateLabelInfo();
+    });
+
+    this.streamToggle?.addEventListener('change', () => {
+      if (this.streamToggle!.checked) {
+        this.startStream();
+      } else {
+        this.stream.stop();
+      }
+    });
+
+    // Address and name are kept per device; a change while streaming reconnects with it
+    const streamFieldChanged = () => {
+      this.streamSettings = {
+        ...this.streamSettings,
+        relay: this.streamRelayInput?.value.trim() ?? '',
+        name: this.streamNameInput?.value.trim() ?? ''
+      };
+      saveStreamSettings(localStorage, this.streamSettings);
+      if (this.stream.state !== 'off') {
+        this.startStream();
+      }
+    };
+    this.streamRelayInput?.addEventListener('change', streamFieldChanged);
+    this.streamNameInput?.addEventListener('change', streamFieldChanged);
   }
 
   private updateGravityModeHint(): void {
     if (!this.gravityModeHint) return;
 
     if (this.config.gravityMode === 'sensor') {
-      if (this.gravitySensorSupported) {
+      if (this.engine.gravitySensorSupported) {
         this.gravityModeHint.textContent = "Uses device's built-in sensor fusion for accurate gravity tracking";
       } else {
         this.gravityModeHint.textContent = "Device sensor not available - using low-pass filter instead";
@@ -156,13 +955,166 @@ class BounceDetector {
     }
   }
 
+  private setPlacement(placement: PhonePlacement): void {
+    this.config.placement = placement;
+    this.engine.updateConfig({ placement });
+    if (this.placementSelect) {
+      this.placementSelect.value = placement;
+    }
+  }
+
+  private updateInputBackendUI(): void {
+    const genericOption = this.inputBackendSelect?.querySelector('option[value="generic-sensor"]') as HTMLOptionElement | null;
+    if (genericOption && !MotionInput.isGenericSensorSupported()) {
+      genericOption.disabled = true;
+      genericOption.textContent = 'Generic Sensor API (not available)';
+    }
+    if (this.sensorFrequencySelect) {
+      this.sensorFrequencySelect.hidden = this.config.inputBackend !== 'generic-sensor';
+    }
+    this.updateInputBackendHint();
+  }
+
+  private updateInputBackendHint(): void {
+    if (!this.inputBackendHint) return;
+
+    const active = this.motionInput.activeBackend;
+    if (this.config.inputBackend === 'generic-sensor' && this.inputFallbackReason) {
+      this.inputBackendHint.textContent = `Input: devicemotion (Generic Sensor API failed: ${this.inputFallbackReason})`;
+    } else if (this.config.inputBackend === 'generic-sensor' && active !== 'devicemotion') {
+      this.inputBackendHint.textContent = `Input: Generic Sensor API at ${this.config.sensorFrequency} Hz`;
+    } else {
+      this.inputBackendHint.textContent = 'Input: devicemotion (rate chosen by the browser)';
+    }
+  }
+
+  /** Start the motion source for detection or calibration. */
+  private async startInput(): Promise<void> {
+    await this.motionInput.start(this.config.inputBackend, this.config.sensorFrequency);
+    this.updateInputBackendHint();
+  }
+
+  /** Apply a changed input setting to a source that is already running. */
+  private async restartInput(): Promise<void> {
+    if (this.motionInput.activeBackend === null) return;
+    this.engine.reset();
+    try {
+      await this.startInput();
+    } catch (e) {
+      this.handleInputError(e);
+    }
+  }
+
+  /** The sensors could not be started: end whatever was using them and say why. */
+  private handleInputError(error: unknown): void {
+    console.error('Could not start motion input:', error);
+    if (this.isRunning) {
+      this.stopDetection();
+    } else if (this.isCalibrating) {
+      this.cancelCalibration();
+    } else {
+      this.motionInput.stop();
+      this.updateInputBackendHint();
+    }
+    this.updateStatus(`Could not start the motion sensor: ${error instanceof Error ? error.message : String(error)}`, 'error');
+  }
+
+  private updateToleranceValue(): void {
+    if (this.toleranceValue) {
+      const tolerance = this.config.displacementTolerance;
+      this.toleranceValue.textContent = tolerance > 0 ? `${tolerance.toFixed(1)} cm` : 'Off';
+    }
+  }
+
+  private setTempo(bpm: number): void {
+    this.config.tempoBpm = bpm;
+    if (this.tempoInput) {
+      this.tempoInput.value = bpm > 0 ? bpm.toString() : '';
+    }
+    this.applyTempo();
+    this.saveSettings();
+  }
+
+  /** Push the tempo into the debounce window, metronome and hint. */
+  private applyTempo(): void {
+    const bpm = this.config.tempoBpm;
+    const followingTempo = this.config.followTempo && bpm > 0;
+    const debounceTime = followingTempo ? debounceForTempo(bpm) : this.config.fixedDebounceTime;
+    this.config.debounceTime = debounceTime;
+    this.engine.updateConfig({ debounceTime });
+
+    if (this.debounceSlider) {
+      this.debounceSlider.value = this.config.fixedDebounceTime.toString();
+      this.debounceSlider.disabled = followingTempo;
+    }
+    if (this.debounceValue) {
+      this.debounceValue.textContent = debounceTime.toString();
+    }
+
+    if (bpm > 0) {
+      this.metronome?.setTempo(bpm);
+    } else if (this.metronome?.isRunning) {
+      this.toggleMetronome();
+    }
+    if (this.metronomeBtn) {
+      this.metronomeBtn.disabled = bpm <= 0;
+    }
+
+    if (this.tempoHint) {
+      this.tempoHint.textContent = this.config.followTempo && bpm > 0
+        ? `Debounce follows tempo: ${debounceTime} ms between bounces`
+        : `Fixed debounce: ${debounceTime} ms between bounces`;
+    }
+    this.updatePerStep();
+  }
+
+  private async toggleMetronome(): Promise<void> {
+    if (this.metronome?.isRunning) {
+      this.metronome.stop();
+    } else if (this.config.tempoBpm > 0) {
+      this.initAudio();
+      if (!this.audioContext || !this.gainNode) return;
+      if (this.audioContext.state === 'suspended') {
+        await this.audioContext.resume();
+      }
+      this.metronome ??= new Metronome(this.audioContext, this.gainNode);
+      this.metronome.start(this.config.tempoBpm);
+    }
+
+    if (this.metronomeBtn) {
+      this.metronomeBtn.textContent = this.metronome?.isRunning ? 'Stop Click' : 'Start Click';
+      this.metronomeBtn.classList.toggle('active', this.metronome?.isRunning ?? false);
+    }
+  }
+
+  private updatePerStep(): void {
+    if (!this.perStepEl) return;
+
+    if (this.config.tempoBpm > 0 && this.isRunning) {
+      const elapsed = this.activeDuration(Date.now());
+      this.perStepEl.textContent = bouncesPerStep(this.bounceCount, elapsed, this.config.tempoBpm).toFixed(2);
+    } else {
+      this.perStepEl.textContent = '--';
+    }
+  }
+
+  private updateAlgorithmHint(): void {
+    if (!this.algorithmHint) return;
+
+    if (this.config.algorithm === 'peak-valley') {
+      this.algorithmHint.textContent = 'Counts a matched rise and fall; sensitivity is the minimum peak-to-peak swing';
+    } else {
+      this.algorithmHint.textContent = 'Counts any single reading further than the sensitivity from baseline';
+    }
+  }
+
   private updateGravityModeUI(): void {
     if (!this.gravityModeSelect) return;
 
     // Enable/disable the sensor option based on device support
     const sensorOption = this.gravityModeSelect.querySelector('option[value="sensor"]') as HTMLOptionElement;
     if (sensorOption) {
-      if (this.gravitySensorSupported) {
+      if (this.engine.gravitySensorSupported) {
         sensorOption.disabled = false;
         sensorOption.textContent = "Device Sensor (recommended)";
       } else {
@@ -171,6 +1123,7 @@ class BounceDetector {
         // Force filter mode if sensor was selected but not available
         if (this.config.gravityMode === 'sensor') {
           this.config.gravityMode = 'filter';
+          this.engine.updateConfig({ gravityMode: 'filter' });
           this.gravityModeSelect.value = 'filter';
         }
       }
@@ -179,8 +1132,20 @@ class BounceDetector {
     this.updateGravityModeHint();
   }
 
+  /** A new version of the app is cached; let the user switch when it suits them. */
+  private showUpdateAvailable(apply: () => void): void {
+    if (!this.updateBtn) return;
+    this.updateBtn.hidden = false;
+    this.updateBtn.onclick = () => {
+      if (this.isRunning) {
+        this.stopDetection();
+      }
+      apply();
+    };
+  }
+
   private checkDeviceSupport(): void {
-    const hasAccelerometer = 'DeviceMotionEvent' in window;
+    const hasAccelerometer = 'DeviceMotionEvent' in window || MotionInput.isGenericSensorSupported();
     const hasVibration = 'vibrate' in navigator;
 
     if (!hasAccelerometer) {
@@ -235,7 +1200,7 @@ class BounceDetector {
 
     // Initialize and resume audio context during user gesture
     // This is critical for browser autoplay policies
-    if (this.config.audioMode !== 'off') {
+    if (this.config.audioMode !== 'off' || this.musicTrack) {
       this.initAudio();
       if (this.audioContext && this.audioContext.state === 'suspended') {
         await this.audioContext.resume();
@@ -243,194 +1208,414 @@ class BounceDetector {
     }
 
     this.isRunning = true;
+    this.sessionStartTime = Date.now();
+    this.activeMs = 0;
+    this.activeSince = this.sessionStartTime;
+    this.perStepTimer = setInterval(() => {
+      this.updatePerStep();
+      this.updateActivityDisplay();
+      this.publishStatus();
+      this.haptics.onElapsed(Date.now() - this.sessionStartTime);
+      this.voice.onElapsed(Date.now() - this.sessionStartTime);
+    }, 1000);
+    this.haptics.reset();
     this.bounceCount = 0;
+    this.severityCounts = { minor: 0, moderate: 0, major: 0 };
+    this.totalDisplacementCm = 0;
+    this.suppressedCount = 0;
+    this.faultCounts = { sway: 0, rotation: 0 };
     this.updateBounceCount();
+    this.engine.reset();
+    this.waveform?.clear();
+    this.fullScreen?.clear();
+    this.labeller = new SessionLabeller();
+    this.setMarkButtonsEnabled(true);
+
+    if (this.recordToggle?.checked) {
+      this.recorder.start(this.engine.getConfig(), {
+        baselineMagnitude: this.engine.baselineMagnitude,
+        gravity: this.engine.gravity
+      });
+    }
 
-    window.addEventListener('devicemotion', this.handleMotion);
+    try {
+      await this.startInput();
+    } catch (e) {
+      this.handleInputError(e);
+      return;
+    }
 
     // Start frequency audio if in a frequency mode
     if (this.config.audioMode === 'frequency' || this.config.audioMode === 'frequency-fadeout') {
       this.startFrequencyAudio();
+    } else if (this.config.audioMode === 'musical') {
+      this.sonifier?.start();
+    }
+
+    this.beatTags = [];
+    this.lastMusicSummary = null;
+    this.sessionTrack = null;
+    if (this.musicTrack && this.gainNode) {
+      this.musicTrack.play(this.gainNode);
+      this.sessionTrack = this.musicTrack;
     }
 
     if (this.startBtn) {
       this.startBtn.textContent = 'Stop Detection';
       this.startBtn.classList.add('active');
     }
-
-    this.updateStatus('Detecting bounces...', 'active');
+    if (this.fullScreenStartBtn) {
+      this.fullScreenStartBtn.textContent = 'Stop';
+    }
+    this.setIndicatorText(this.indicatorLabel());
+
+    // Screen sleep suspends the page and its sensors, ending detection mid-practice
+    const screenKeptOn = await this.wakeLock.acquire();
+    this.voice.onStart();
+    this.updateStatus(
+      screenKeptOn ? 'Detecting bounces...' : 'Detecting bounces... (screen may sleep - keep it awake)',
+      'active'
+    );
   }
 
   private stopDetection(): void {
+    this.sessionActiveMs = this.activeDuration(Date.now());
     this.isRunning = false;
 
-    window.removeEventListener('devicemotion', this.handleMotion);
+    if (this.perStepTimer !== null) {
+      clearInterval(this.perStepTimer);
+      this.perStepTimer = null;
+    }
+
+    this.motionInput.stop();
+    this.updateInputBackendHint();
+    this.wakeLock.release();
+    this.updateActivityDisplay();
+
+    const unmatchedMarks = this.labeller?.unmatchedMarks ?? 0;
+    if (this.labeller?.hasMarks) {
+      this.labelStore.add(this.labeller.toSession('live'));
+      this.updateLabelInfo();
+    }
+    this.labeller = null;
+    this.setMarkButtonsEnabled(false);
 
     // Stop frequency audio
     this.stopFrequencyAudio();
+    this.sonifier?.stop();
+
+    this.finishMusicSession();
+
+    if (this.recorder.isRecording) {
+      this.lastRecording = this.recorder.stop(navigator.userAgent);
+      if (this.downloadRecordingBtn) {
+        this.downloadRecordingBtn.disabled = !this.lastRecording || this.lastRecording.samples.length === 0;
+      }
+    }
 
     if (this.startBtn) {
       this.startBtn.textContent = 'Start Detection';
       this.startBtn.classList.remove('active');
     }
+    if (this.fullScreenStartBtn) {
+      this.fullScreenStartBtn.textContent = 'Start';
+    }
+    this.setIndicatorText(this.indicatorLabel());
+    this.publishStatus();
 
-    this.updateStatus('Stopped', 'ready');
+    if (unmatchedMarks > 0) {
+      // Threshold detections are not always movements the labels can hold
+      this.updateStatus(`Stopped - ${unmatchedMarks} "not a bounce" mark${unmatchedMarks === 1 ? '' : 's'} matched no movement and could not be kept`, 'warning');
+    } else {
+      this.updateStatus('Stopped', 'ready');
+    }
+    this.voice.onStop(this.sessionActiveMs);
+    if (this.drillRunner) {
+      this.finishDrill();
+    }
     this.clearBounceIndicator();
+    this.saveSession();
   }
 
-  private handleMotion = (event: DeviceMotionEvent): void => {
-    const accWithGravity = event.accelerationIncludingGravity;
-    const linearAcc = event.acceleration;  // Linear acceleration without gravity (if available)
-
-    if (!accWithGravity || accWithGravity.x === null || accWithGravity.y === null || accWithGravity.z === null) {
-      return;
-    }
-
-    const now = Date.now();
-    const gx = accWithGravity.x;
-    const gy = accWithGravity.y;
-    const gz = accWithGravity.z;
+  private async saveSession(): Promise<void> {
+    const durationMs = Date.now() - this.sessionStartTime;
+    if (!this.historyStore || durationMs < MIN_SESSION_DURATION_MS) return;
 
-    // Check if device supports linear acceleration sensor
-    const hasLinearAcc = linearAcc && linearAcc.x !== null && linearAcc.y !== null && linearAcc.z !== null;
-
-    // Update gravity sensor support flag and UI on first detection
-    if (!this.gravitySensorSupported && hasLinearAcc) {
-      this.gravitySensorSupported = true;
-      this.updateGravityModeUI();
+    try {
+      await this.historyStore.addSession({
+        startTime: this.sessionStartTime,
+        durationMs,
+        bounceCount: this.bounceCount,
+        activeMs: this.sessionActiveMs,
+        bouncesPerMinute: bouncesPerMinute(this.bounceCount, this.sessionActiveMs),
+        severityCounts: { ...this.severityCounts },
+        averageDisplacementCm: this.bounceCount > 0 ? this.totalDisplacementCm / this.bounceCount : 0,
+        suppressedCount: this.suppressedCount,
+        faultCounts: this.config.swayDetection || this.config.rotationDetection ? { ...this.faultCounts } : undefined,
+        music: this.lastMusicSummary ? {
+          trackName: this.lastMusicTrackName,
+          bpm: this.lastMusicSummary.bpm,
+          phaseCounts: this.lastMusicSummary.phaseCounts,
+          countHistogram: this.lastMusicSummary.countHistogram,
+          averageBouncesPerBar: this.lastMusicSummary.averageBouncesPerBar
+        } : undefined,
+        tempoBpm: this.config.tempoBpm > 0 ? this.config.tempoBpm : undefined,
+        bouncesPerStep: this.config.tempoBpm > 0 ? bouncesPerStep(this.bounceCount, this.sessionActiveMs, this.config.tempoBpm) : undefined,
+        settings: {
+          sensitivity: this.config.sensitivity,
+          debounceTime: this.config.debounceTime,
+          gravityMode: this.config.gravityMode,
+          placement: this.config.placement,
+          algorithm: this.config.algorithm,
+          displacementTolerance: this.config.displacementTolerance,
+          turnTolerant: this.config.turnTolerant,
+          autoPause: this.config.autoPause,
+          swayDetection: this.config.swayDetection,
+          rotationDetection: this.config.rotationDetection,
+          audioMode: this.config.audioMode
+        },
+        baselineMagnitude: this.engine.baselineMagnitude
+      });
+      await this.historyView?.refresh();
+    } catch (e) {
+      console.warn('Could not save practice session:', e);
+      this.updateStatus(`Could not save practice session: ${(e as Error).message}`, 'error');
     }
+  }
 
-    // Determine which gravity estimation method to use based on config
-    const useSensor = this.config.gravityMode === 'sensor' && hasLinearAcc;
-
-    if (useSensor) {
-      // Compute gravity directly from device sensor: gravity = accWithGravity - linearAcc
-      // This uses the device's built-in sensor fusion which is much more accurate
-      this.gravityX = gx - linearAcc!.x!;
-      this.gravityY = gy - linearAcc!.y!;
-      this.gravityZ = gz - linearAcc!.z!;
-    } else {
-      // Use low-pass filter to estimate gravity
-      // During calibration: use faster alpha (0.1) since phone is held still
-      // During detection: use very slow alpha (0.005) to track orientation changes
-      const alpha = this.isCalibrating ? 0.1 : this.gravityAlpha;
-      this.gravityX = alpha * gx + (1 - alpha) * this.gravityX;
-      this.gravityY = alpha * gy + (1 - alpha) * this.gravityY;
-      this.gravityZ = alpha * gz + (1 - alpha) * this.gravityZ;
-    }
-
-    // Calculate gravity magnitude (should be ~9.81)
-    const gravityMagnitude = Math.sqrt(
-      this.gravityX * this.gravityX +
-      this.gravityY * this.gravityY +
-      this.gravityZ * this.gravityZ
-    );
-
-    let magnitude: number;
-
-    // Use linear acceleration for magnitude if using sensor mode and it's available
-    if (useSensor) {
-      const lx = linearAcc!.x!;
-      const ly = linearAcc!.y!;
-      const lz = linearAcc!.z!;
+  private handleSample = (sample: MotionSample): void => {
+    this.recorder.add(sample);
+    this.engine.processSample(sample);
+  };
 
-      if (gravityMagnitude > 0.1) {
-        // Project linear acceleration onto gravity direction (unit vector)
-        // This gives us the vertical component of motion only
-        const verticalLinearAcc = (lx * this.gravityX + ly * this.gravityY + lz * this.gravityZ) / gravityMagnitude;
-        // Add baseline (gravity magnitude) so it's compatible with existing calibration
-        magnitude = this.baselineMagnitude + verticalLinearAcc;
-      } else {
-        magnitude = this.baselineMagnitude;
-      }
-    } else {
-      // Use accelerationIncludingGravity with projection (filter mode or no sensor)
-      if (gravityMagnitude > 0.1) {
-        const dotProduct = (gx * this.gravityX + gy * this.gravityY + gz * this.gravityZ) / gravityMagnitude;
-        magnitude = Math.abs(dotProduct);
-      } else {
-        magnitude = Math.sqrt(gx * gx + gy * gy + gz * gz);
-      }
-    }
+  private handleSampleRate = (event: SampleRateEvent): void => {
+    if (!this.sensorRateEl) return;
+    const reported = event.reportedIntervalMs !== null
+      ? ` (browser reports ${Math.round(1000 / event.reportedIntervalMs)} Hz)`
+      : '';
+    this.sensorRateEl.textContent =
+      `Sensor: ${Math.round(event.rateHz)} Hz${reported} · jitter ±${event.jitterMs.toFixed(1)} ms · ` +
+      `processed at ${Math.round(1000 / INTERNAL_SAMPLE_INTERVAL_MS)} Hz`;
+  };
 
+  private handleDeviation = (event: DeviationEvent): void => {
     // Update current acceleration display
     if (this.currentAccelEl) {
-      this.currentAccelEl.textContent = magnitude.toFixed(2);
+      this.currentAccelEl.textContent = event.magnitude.toFixed(2);
     }
 
-    // Handle calibration mode
-    if (this.isCalibrating) {
-      this.calibrationSamples.push(magnitude);
-      if (this.calibrationSamples.length >= 50) {
-        this.finishCalibration();
-      }
-      return;
+    const threshold = this.engine.detectionThreshold;
+    if (this.waveform) {
+      this.waveform.setBand(this.engine.baselineMagnitude, threshold);
+      this.waveform.addSample(event.timestamp, event.magnitude);
     }
+    this.stream.addSample(event.timestamp, event.magnitude, this.engine.baselineMagnitude, threshold);
+
+    if (event.calibrating) return;
 
-    // Calculate deviation for frequency feedback
-    const deviation = Math.abs(magnitude - this.baselineMagnitude);
+    // While auto-paused, continuous feedback rests as if the dancer were still
+    if (this.isPaused()) {
+      event = { ...event, deviation: 0 };
+    } else if (this.isRunning) {
+      this.haptics.onDeviation(event.timestamp, event.deviation, threshold);
+    }
+    this.fullScreen?.onDeviation(event.timestamp, event.deviation, threshold);
 
     // Update frequency audio feedback (continuous)
     if (this.config.audioMode === 'frequency') {
-      this.updateFrequencyFromDeviation(deviation);
+      this.updateFrequencyFromDeviation(event.deviation);
     } else if (this.config.audioMode === 'frequency-fadeout') {
-      this.updateFrequencyFadeoutFromDeviation(deviation);
+      this.updateFrequencyFadeoutFromDeviation(event.deviation);
+    } else if (this.config.audioMode === 'musical') {
+      this.sonifier?.update(event.deviation);
     }
+  };
 
-    // Add sample to buffer
-    this.samples.push({ timestamp: now, magnitude });
-
-    // Keep only recent samples
-    while (this.samples.length > this.config.sampleWindow) {
-      this.samples.shift();
+  private onBounceDetected(event: BounceEvent): void {
+    let beatTag: BeatTag | null = null;
+    if (this.musicTrack?.isPlaying) {
+      // Windowed detections are placed at the middle of the rise and fall
+      const bounceTime = event.startTimestamp + event.durationMs / 2;
+      beatTag = tagBeat(this.musicTrack.positionAt(bounceTime), this.musicTrack.grid);
+      this.beatTags.push(beatTag);
     }
 
-    // Detect bounce
-    if (this.detectBounce(magnitude, now)) {
-      this.onBounceDetected();
+    if (this.lastBounceEl) {
+      const detail = event.durationMs > 0
+        ? `${event.amplitude.toFixed(1)} m/s² over ${Math.round(event.durationMs)} ms`
+        : `${event.amplitude.toFixed(1)} m/s²`;
+      const beat = beatTag ? ` · ${beatTag.phase} (count ${beatTag.count})` : '';
+      this.lastBounceEl.textContent = `Last bounce: rose ${event.displacementCm.toFixed(1)} cm (${event.severity}) · ${detail}${beat}`;
     }
-  };
 
-  private detectBounce(currentMagnitude: number, now: number): boolean {
-    // Check debounce time
-    if (now - this.lastBounceTime < this.config.debounceTime) {
-      return false;
-    }
+    this.waveform?.markBounce(event.timestamp, event.severity);
+    this.labeller?.addBounce(event.timestamp);
+    this.fullScreen?.onBounce(event.timestamp, event.severity);
 
-    // Calculate deviation from baseline gravity magnitude
-    const deviation = Math.abs(currentMagnitude - this.baselineMagnitude);
+    this.drillRunner?.onBounce(event.timestamp);
+    this.bounceCount++;
+    this.severityCounts[event.severity]++;
+    this.totalDisplacementCm += event.displacementCm;
+    this.stream.sendBounce({
+      timestamp: event.timestamp,
+      severity: event.severity,
+      displacementCm: event.displacementCm,
+      count: this.bounceCount
+    });
+    this.updateBounceCount();
+    this.updatePerStep();
+    this.triggerFeedback(event);
+    this.showBounceIndicator(event.severity);
+  }
 
-    // A bounce creates acceleration significantly different from gravity
-    // When moving up: magnitude < gravity (feeling lighter)
-    // When moving down: magnitude > gravity (feeling heavier)
-    // Using magnitude makes this orientation-independent
-    if (deviation > this.config.sensitivity) {
-      this.lastBounceTime = now;
-      return true;
+  private handleFault = (event: FaultEvent): void => {
+    if (!this.isRunning) return;
+    this.faultCounts[event.kind]++;
+    this.updateBounceCount();
+    this.haptics.onFault(event.kind);
+    this.voice.onFault(event.kind, event.timestamp);
+    this.showFaultIndicator(event.kind);
+  };
+
+  private setFaultDetection(kind: FaultKind, enabled: boolean): void {
+    const update = kind === 'sway' ? { swayDetection: enabled } : { rotationDetection: enabled };
+    Object.assign(this.config, update);
+    this.engine.updateConfig(update);
+    if (this.faultToggles[kind]) {
+      this.faultToggles[kind]!.checked = enabled;
     }
+    if (this.faultCountsCard) {
+      this.faultCountsCard.hidden = !this.config.swayDetection && !this.config.rotationDetection;
+    }
+  }
 
-    return false;
+  private setFaultSensitivity(kind: FaultKind, value: number): void {
+    const update = kind === 'sway' ? { swaySensitivity: value } : { rotationSensitivity: value };
+    Object.assign(this.config, update);
+    this.engine.updateConfig(update);
+    if (this.faultSliders[kind]) {
+      this.faultSliders[kind]!.value = value.toString();
+    }
+    if (this.faultSliderValues[kind]) {
+      this.faultSliderValues[kind]!.textContent = kind === 'sway' ? value.toFixed(1) : value.toFixed(0);
+    }
   }
 
-  private onBounceDetected(): void {
-    this.bounceCount++;
-    this.updateBounceCount();
-    this.triggerFeedback();
-    this.showBounceIndicator();
+  /** Drills are already timed, and some are walking practice, so they never auto-pause. */
+  private syncAutoPause(): void {
+    this.engine.updateConfig({ autoPause: this.config.autoPause && this.drillRunner === null });
+  }
+
+  private isPaused(): boolean {
+    return this.isRunning && this.engine.getConfig().autoPause && this.engine.activity !== 'dancing';
+  }
+
+  private indicatorLabel(): string {
+    if (!this.isRunning) return 'Ready';
+    if (this.engine.isSettling) return 'Settling';
+    return this.isPaused() ? 'Paused' : 'Active';
   }
 
-  private triggerFeedback(): void {
-    // Vibration feedback
-    if ('vibrate' in navigator) {
-      navigator.vibrate(this.config.vibrationDuration);
+  /** The label in the bounce indicator, mirrored under the full-screen counter. */
+  private setIndicatorText(text: string): void {
+    if (this.indicatorTextEl) {
+      this.indicatorTextEl.textContent = text;
+    }
+    this.fullScreen?.setLabel(text);
+  }
+
+  /** Time spent dancing so far this session; all of it when auto-pause is off. */
+  private activeDuration(now: number): number {
+    if (!this.engine.getConfig().autoPause) {
+      return now - this.sessionStartTime;
+    }
+    return this.activeMs + (this.activeSince !== null ? Math.max(0, now - this.activeSince) : 0);
+  }
+
+  private handleActivity = (event: ActivityEvent): void => {
+    if (!this.isRunning) return;
+
+    // The change is reported once it has held for a while; book the time from when it began
+    if (event.activity === 'dancing') {
+      if (this.activeSince === null) {
+        this.activeSince = event.since;
+      }
+    } else if (this.activeSince !== null) {
+      this.activeMs += Math.max(0, event.since - this.activeSince);
+      this.activeSince = null;
+    }
+
+    if (this.engine.getConfig().autoPause) {
+      if (!this.engine.isTurning) {
+        this.setIndicatorText(this.indicatorLabel());
+      }
+      if (event.activity === 'dancing') {
+        this.updateStatus('Detecting bounces...', 'active');
+        this.voice.announce('Resumed');
+      } else {
+        this.updateStatus(`Paused - ${event.activity === 'walking' ? 'walking' : 'standing still'}`, 'warning');
+        this.voice.announce('Paused');
+      }
+    }
+    this.updateActivityDisplay();
+    this.publishStatus();
+  };
+
+  /** The phone was moved: say so, rather than leaving the dancer wondering why nothing counts. */
+  private handleReorient = (event: ReorientEvent): void => {
+    if (!this.isRunning) return;
+
+    if (!this.engine.isTurning) {
+      this.setIndicatorText(this.indicatorLabel());
+    }
+    if (event.settling) {
+      this.updateStatus('Phone moved - counting resumes once it settles', 'warning');
+      this.voice.announce('Phone moved');
+    } else {
+      this.updateStatus(`Phone settled, ${Math.round(event.angleDeg)}° from before - detecting bounces...`, 'active');
+      this.voice.announce('Settled');
+    }
+  };
+
+  private updateActivityDisplay(): void {
+    if (this.activeTimeEl) {
+      this.activeTimeEl.textContent = this.isRunning || this.sessionStartTime > 0
+        ? formatDuration(Math.round((this.isRunning ? this.activeDuration(Date.now()) : this.sessionActiveMs) / 1000))
+        : '--';
     }
+    if (this.activityStateEl) {
+      const labels: Record<Activity, string> = { dancing: 'Dancing', walking: 'Walking', idle: 'Still' };
+      this.activityStateEl.textContent = !this.isRunning
+        ? (this.config.autoPause ? 'Auto-pause on' : 'Auto-pause off')
+        : `${labels[this.engine.activity]}${this.isPaused() ? ' · paused' : ''}`;
+    }
+  }
+
+  private triggerFeedback(event: BounceEvent): void {
+    // Vibration scaled by how far past the threshold the bounce went (or the streak cue)
+    this.haptics.onBounce(event.timestamp, event.amplitude, this.config.sensitivity);
+    this.voice.onBounce(event.timestamp);
 
     // Discrete audio feedback (buzz on bounce detection)
     if (this.config.audioMode === 'discrete') {
       this.playDiscreteBuzz();
+    } else if (this.config.audioMode === 'musical') {
+      this.sonifier?.playBounce(event.severity);
     }
   }
 
+  /** Speech synthesis plays alongside the Web Audio feedback rather than through it. */
+  private speak = (text: string, mode: SpeechMode): void => {
+    if (!('speechSynthesis' in window)) return;
+    if (mode === 'if-idle' && (speechSynthesis.speaking || speechSynthesis.pending)) return;
+    if (mode === 'interrupt') {
+      speechSynthesis.cancel();
+    }
+    const utterance = new SpeechSynthesisUtterance(text);
+    utterance.volume = this.config.voiceVolume;
+    speechSynthesis.speak(utterance);
+  };
+
   private initAudio(): void {
     if (this.isAudioInitialized) return;
 
@@ -439,6 +1624,7 @@ class BounceDetector {
       this.gainNode = this.audioContext.createGain();
       this.gainNode.connect(this.audioContext.destination);
       this.gainNode.gain.value = this.config.audioVolume;
+      this.sonifier = new Sonifier(this.audioContext, this.gainNode, this.config.sonification);
       this.isAudioInitialized = true;
     } catch (e) {
       console.warn('Web Audio API not supported:', e);
@@ -463,6 +1649,101 @@ class BounceDetector {
     if ((this.config.audioMode === 'frequency' || this.config.audioMode === 'frequency-fadeout') && this.isRunning) {
       this.startFrequencyAudio();
     }
+
+    if (this.config.audioMode !== 'musical') {
+      this.sonifier?.stop();
+    } else if (this.isRunning && !this.sonifier?.isRunning) {
+      this.sonifier?.start();
+    }
+  }
+
+  private handleSonificationChange(): void {
+    this.config.sonification = sanitizeSonification({
+      key: Number(this.sonifyKeySelect?.value),
+      scale: this.sonifyScaleSelect?.value as ScaleName,
+      timbre: this.sonifyTimbreSelect?.value as Timbre,
+      brightness: Number(this.sonifyBrightnessSlider?.value),
+      attackMs: Number(this.sonifyAttackSlider?.value),
+      releaseMs: Number(this.sonifyReleaseSlider?.value)
+    });
+    this.applySonification();
+    this.saveSettings();
+  }
+
+  /** Show the musical mode settings in the controls and hand them to the sonifier. */
+  private applySonification(): void {
+    const settings = this.config.sonification;
+    this.sonifier?.setSettings(settings);
+    if (this.sonifyKeySelect) this.sonifyKeySelect.value = settings.key.toString();
+    if (this.sonifyScaleSelect) this.sonifyScaleSelect.value = settings.scale;
+    if (this.sonifyTimbreSelect) this.sonifyTimbreSelect.value = settings.timbre;
+    if (this.sonifyBrightnessSlider) this.sonifyBrightnessSlider.value = settings.brightness.toString();
+    if (this.sonifyBrightnessValue) this.sonifyBrightnessValue.textContent = settings.brightness.toString();
+    if (this.sonifyAttackSlider) this.sonifyAttackSlider.value = settings.attackMs.toString();
+    if (this.sonifyAttackValue) this.sonifyAttackValue.textContent = settings.attackMs.toString();
+    if (this.sonifyReleaseSlider) this.sonifyReleaseSlider.value = settings.releaseMs.toString();
+    if (this.sonifyReleaseValue) this.sonifyReleaseValue.textContent = settings.releaseMs.toString();
+  }
+
+  private openFullScreen(): void {
+    if (!this.fullScreen) return;
+    this.fullScreen.setCount(this.bounceCount);
+    this.fullScreen.setLabel(this.indicatorLabel());
+    this.fullScreen.open();
+  }
+
+  private handleVisualFeedbackChange(): void {
+    const settings = { ...this.config.visualFeedback };
+    VISUAL_ELEMENTS.forEach((element) => {
+      settings[element] = {
+        enabled: this.visualToggles[element]?.checked ?? settings[element].enabled,
+        color: this.visualColors[element]?.value ?? settings[element].color,
+        brightness: Number(this.visualBrightness[element]?.value ?? settings[element].brightness)
+      };
+    });
+    this.config.visualFeedback = sanitizeVisualFeedback(settings);
+    this.applyVisualFeedback();
+    this.saveSettings();
+  }
+
+  /** Show the full-screen settings in the controls and hand them to the view. */
+  private applyVisualFeedback(): void {
+    const settings = this.config.visualFeedback;
+    this.fullScreen?.setSettings(settings);
+    VISUAL_ELEMENTS.forEach((element) => {
+      const toggle = this.visualToggles[element];
+      const color = this.visualColors[element];
+      const brightness = this.visualBrightness[element];
+      if (toggle) toggle.checked = settings[element].enabled;
+      if (color) color.value = settings[element].color;
+      if (brightness) brightness.value = settings[element].brightness.toString();
+    });
+  }
+
+  private async loadBounceSample(file: File): Promise<void> {
+    // Loading happens in a user gesture, so the audio context can be created here
+    this.initAudio();
+    if (!this.sonifier) {
+      this.updateStatus('Web Audio not supported - cannot play samples', 'error');
+      return;
+    }
+    try {
+      await this.sonifier.loadSample(file);
+      this.updateStatus(`Bounce sample ${file.name} loaded`, 'ready');
+    } catch (e) {
+      this.updateStatus(`Could not load sample: ${(e as Error).message}`, 'error');
+    }
+    this.updateSampleInfo();
+  }
+
+  private updateSampleInfo(): void {
+    const name = this.sonifier?.loadedSampleName ?? null;
+    if (this.sonifySampleInfo) {
+      this.sonifySampleInfo.textContent = name ? `Bounce sample: ${name}` : 'Bounces play a synthesized note';
+    }
+    if (this.sonifyClearSampleBtn) {
+      this.sonifyClearSampleBtn.disabled = name === null;
+    }
   }
 
   private async startFrequencyAudio(): Promise<void> {
@@ -607,60 +1888,644 @@ class BounceDetector {
     buzzOscillator.stop(this.audioContext.currentTime + 0.15);
   }
 
-  private showBounceIndicator(): void {
+  private showBounceIndicator(severity: BounceSeverity): void {
     if (this.indicatorEl) {
-      this.indicatorEl.classList.add('bounce');
+      this.clearBounceIndicator();
+      this.indicatorEl.classList.add('bounce', `severity-${severity}`);
       setTimeout(() => this.clearBounceIndicator(), 200);
     }
   }
 
   private clearBounceIndicator(): void {
     if (this.indicatorEl) {
-      this.indicatorEl.classList.remove('bounce');
+      this.indicatorEl.classList.remove('bounce', 'severity-minor', 'severity-moderate', 'severity-major',
+        'fault', 'fault-sway', 'fault-rotation');
+    }
+  }
+
+  private showFaultIndicator(kind: FaultKind): void {
+    if (this.indicatorEl) {
+      this.clearBounceIndicator();
+      this.indicatorEl.classList.add('fault', `fault-${kind}`);
+      setTimeout(() => this.clearBounceIndicator(), 200);
     }
   }
 
-  private startCalibration(): void {
+  private async startCalibration(): Promise<void> {
     if (this.isRunning) {
       this.updateStatus('Stop detection before calibrating', 'warning');
       return;
     }
 
     this.isCalibrating = true;
-    this.calibrationSamples = [];
-
-    // Reset gravity to allow fast convergence during calibration
-    this.gravityX = 0;
-    this.gravityY = 0;
-    this.gravityZ = 9.81;
-
-    window.addEventListener('devicemotion', this.handleMotion);
+    this.engine.startCalibration();
+    this.waveform?.clear();
 
     this.updateStatus('Calibrating... Hold phone still', 'calibrating');
+    this.voice.onCalibrationStart();
     if (this.calibrateBtn) {
       this.calibrateBtn.disabled = true;
     }
+    this.setCalibrationProgress(0);
+    // Without readings the engine never reaches the end of its window
+    this.calibrationTimeout = setTimeout(() => this.engine.endCalibration(), CALIBRATION_TIMEOUT_MS);
+
+    try {
+      await this.startInput();
+    } catch (e) {
+      this.handleInputError(e);
+    }
   }
 
-  private finishCalibration(): void {
-    window.removeEventListener('devicemotion', this.handleMotion);
+  /** Stop a calibration that never got its readings, keeping the previous one. */
+  private cancelCalibration(): void {
+    this.clearCalibrationTimeout();
+    this.engine.cancelCalibration();
+    this.motionInput.stop();
+    this.updateInputBackendHint();
     this.isCalibrating = false;
+    this.setCalibrationProgress(null);
+    if (this.calibrateBtn) {
+      this.calibrateBtn.disabled = false;
+    }
+  }
 
-    // Gravity direction has already converged during calibration via fast filter
-    // It will continue to be tracked slowly during detection
+  private setCalibrationProgress(progress: number | null): void {
+    if (this.calibrationProgressEl) {
+      this.calibrationProgressEl.hidden = progress === null;
+    }
+    if (this.calibrationProgressBar && progress !== null) {
+      this.calibrationProgressBar.style.width = `${Math.round(progress * 100)}%`;
+    }
+  }
 
-    if (this.calibrationSamples.length > 0) {
-      // Calculate average magnitude as baseline
-      const sum = this.calibrationSamples.reduce((a, b) => a + b, 0);
-      this.baselineMagnitude = sum / this.calibrationSamples.length;
+  private handleCalibrationProgress = (event: CalibrationProgressEvent): void => {
+    this.setCalibrationProgress(event.progress);
+    this.calibrationProgressEl?.classList.toggle('moving', !event.still);
+    const percent = Math.round(event.progress * 100);
+    if (event.still) {
+      this.updateStatus(`Calibrating... ${percent}% - hold phone still`, 'calibrating');
+    } else {
+      this.updateStatus(`Calibrating... ${percent}% - movement detected, keep still`, 'warning');
+      this.voice.onCalibrationMovement();
+    }
+  };
 
-      this.updateStatus(`Calibrated! Baseline: ${this.baselineMagnitude.toFixed(2)} m/s²`, 'ready');
+  private clearCalibrationTimeout(): void {
+    if (this.calibrationTimeout !== null) {
+      clearTimeout(this.calibrationTimeout);
+      this.calibrationTimeout = null;
+    }
+  }
+
+  private handleCalibration = (event: CalibrationEvent): void => {
+    this.clearCalibrationTimeout();
+    this.motionInput.stop();
+    this.updateInputBackendHint();
+    this.isCalibrating = false;
+    this.setCalibrationProgress(null);
+    this.voice.onCalibrationDone(event.accepted, event.quality);
+
+    if (event.accepted) {
+      this.updateStatus(
+        `Calibrated! Baseline ${event.baselineMagnitude.toFixed(2)} m/s² · quality ${event.quality}% · gravity ${describeGravity(event.gravity)}`,
+        'ready'
+      );
       this.saveSettings();
+    } else {
+      // Either check can fail alone: a stalled sensor delivers few readings without any movement
+      let reason: string;
+      if (event.stdDev > CALIBRATION_MAX_STD_DEV) {
+        reason = `phone moved (±${event.stdDev.toFixed(2)} m/s²)`;
+      } else if (event.sampleCount === 0) {
+        reason = 'no sensor readings';
+      } else {
+        reason = `too few sensor readings (${event.sampleCount} of at least ${CALIBRATION_MIN_SAMPLES})`;
+      }
+      this.updateStatus(`Calibration rejected: ${reason}. Previous calibration kept - hold still and try again`, 'error');
     }
 
     if (this.calibrateBtn) {
       this.calibrateBtn.disabled = false;
     }
+  };
+
+  private async loadMusic(file: File): Promise<void> {
+    // Loading happens in a user gesture, so the audio context can be created and resumed here
+    this.initAudio();
+    if (!this.audioContext) {
+      this.updateStatus('Web Audio not supported - cannot play music', 'error');
+      return;
+    }
+    if (this.audioContext.state === 'suspended') {
+      await this.audioContext.resume();
+    }
+
+    this.finishMusicSession();
+    this.musicTrack?.stop();
+    this.updateStatus('Analysing track...', 'calibrating');
+    try {
+      this.musicTrack = await MusicTrack.load(file, this.audioContext);
+      this.updateStatus(`Loaded ${file.name} at ${Math.round(this.musicTrack.grid.bpm)} BPM`, 'ready');
+      // The track's tempo is the dance tempo until the user sets another
+      this.setTempo(Math.round(this.musicTrack.grid.bpm));
+    } catch (e) {
+      this.musicTrack = null;
+      this.updateStatus(`Could not load track: ${(e as Error).message}`, 'error');
+    }
+    this.updateMusicInfo();
+  }
+
+  /**
+   * Summarise where the bounces fell in the track played this session: at
+   * Stop, or earlier if the track is removed or replaced. The track may have
+   * ended by itself before then.
+   */
+  private finishMusicSession(): void {
+    const track = this.sessionTrack;
+    if (!track) return;
+    this.sessionTrack = null;
+    // Never past the end of the track, however long ago it finished
+    const playedSec = track.positionAt(Date.now());
+    track.stop();
+    if (this.beatTags.length === 0) return;
+
+    this.lastMusicSummary = summarizeMusicSession(this.beatTags, track.grid, playedSec);
+    this.lastMusicTrackName = track.name;
+    if (this.musicSummaryEl) {
+      renderMusicSummary(this.musicSummaryEl, track.name, this.lastMusicSummary);
+    }
+  }
+
+  private updateMusicInfo(): void {
+    if (this.musicInfoEl) {
+      this.musicInfoEl.textContent = this.musicTrack
+        ? `${this.musicTrack.name} · ${Math.round(this.musicTrack.grid.bpm)} BPM · plays when detection starts`
+        : 'No track loaded';
+    }
+    if (this.removeMusicBtn) {
+      this.removeMusicBtn.disabled = !this.musicTrack;
+    }
+  }
+
+  private setMarkButtonsEnabled(enabled: boolean): void {
+    if (this.markFalseBtn) this.markFalseBtn.disabled = !enabled;
+    if (this.markMissedBtn) this.markMissedBtn.disabled = !enabled;
+  }
+
+  private updateLabelInfo(): void {
+    if (this.labelInfoEl) {
+      const sessions = this.labelStore.sessions.length;
+      this.labelInfoEl.textContent = sessions > 0
+        ? `${this.labelStore.movementCount} labelled movements from ${sessions} session${sessions === 1 ? '' : 's'}`
+        : 'No labels yet';
+      if (!this.labelStore.writable) {
+        this.labelInfoEl.textContent += ' (not saved)';
+      }
+    }
+    if (this.clearLabelsBtn) {
+      this.clearLabelsBtn.disabled = this.labelStore.sessions.length === 0;
+    }
+  }
+
+  private applyStreamSettings(): void {
+    saveStreamSettings(localStorage, this.streamSettings);  // Keeps a newly generated device id
+    if (this.streamRelayInput) {
+      this.streamRelayInput.value = this.streamSettings.relay;
+    }
+    if (this.streamNameInput) {
+      this.streamNameInput.value = this.streamSettings.name;
+    }
+  }
+
+  private startStream(): void {
+    const url = relayUrl(this.streamSettings.relay, location.protocol === 'https:');
+    if (!url) {
+      if (this.streamToggle) {
+        this.streamToggle.checked = false;
+      }
+      this.stream.stop();
+      this.updateStatus('Enter the relay address your instructor\'s laptop shows, e.g. 192.168.1.20:8787', 'warning');
+      return;
+    }
+    this.stream.start(url, this.streamSettings.id, this.streamSettings.name || 'Dancer');
+  }
+
+  private handleStreamState(state: StreamState): void {
+    if (state === 'off' && this.streamToggle?.checked) {
+      // The browser refused the address outright, e.g. ws:// from a secure page
+      this.streamToggle.checked = false;
+      this.updateStatus('Could not open the relay address - this page needs a wss:// relay', 'error');
+    }
+    if (state === 'connected') {
+      this.publishStatus();
+    }
+    if (this.streamStatusEl) {
+      const relay = this.streamSettings.relay;
+      this.streamStatusEl.textContent = {
+        off: 'Not streaming',
+        connecting: `Connecting to ${relay}...`,
+        connected: `Streaming to ${relay}`,
+        reconnecting: `Relay ${relay} unreachable - retrying`
+      }[state];
+    }
+  }
+
+  /** Send the count and state to the relay, when streaming. */
+  private publishStatus(): void {
+    if (this.stream.state !== 'connected') return;
+    this.stream.sendStatus({
+      running: this.isRunning,
+      paused: this.isPaused(),
+      count: this.bounceCount,
+      severityCounts: { ...this.severityCounts },
+      faultCounts: { ...this.faultCounts },
+      activeMs: this.isRunning ? this.activeDuration(Date.now()) : this.sessionActiveMs,
+      sensitivity: this.config.sensitivity,
+      algorithm: this.config.algorithm
+    });
+  }
+
+  /** Replay a recording with the current settings and list its movements for labelling. */
+  private async reviewFile(file: File): Promise<void> {
+    let recording: MotionRecording;
+    try {
+      recording = parseRecording(await file.text());
+    } catch (e) {
+      this.updateStatus(`Could not load recording: ${(e as Error).message}`, 'error');
+      return;
+    }
+
+    const result = replayRecording(recording, this.engine.getConfig());
+    const labeller = new SessionLabeller(result.candidates, result.bounces.map((bounce) => bounce.timestamp));
+    this.reviewLabeller = labeller;
+
+    // Counted movements, and uncounted ones big enough to be a missed bounce
+    const { algorithm, sensitivity } = this.config;
+    const rows = labeller.review()
+      .map((movement, index): [number, typeof movement] => [index, movement])
+      .filter(([, m]) => m.detected || (algorithm === 'peak-valley' ? m.swing : m.peakDeviation) >= sensitivity / 2);
+    if (this.reviewListEl) {
+      // Recording timestamps count from the first sample
+      renderLabelReview(this.reviewListEl, rows, 0, (index, bounce) => labeller.setVerdict(index, bounce));
+    }
+    if (this.saveReviewBtn) {
+      this.saveReviewBtn.hidden = false;
+    }
+    this.updateStatus(`Reviewing ${file.name}: ${result.bounceCount} counted - untick false detections, tick missed bounces, then save`, 'ready');
+  }
+
+  private proposeTune(): void {
+    this.tuneProposal = null;
+    if (this.applyTuneBtn) {
+      this.applyTuneBtn.hidden = true;
+    }
+    let proposal: TuneProposal;
+    try {
+      proposal = autoTune(this.labelStore.sessions, this.config.algorithm, {
+        sensitivity: this.config.sensitivity,
+        debounceTime: this.config.debounceTime
+      });
+    } catch (e) {
+      if (this.tuneResultEl) {
+        this.tuneResultEl.textContent = (e as Error).message;
+      }
+      return;
+    }
+
+    const percent = (x: number) => `${Math.round(x * 100)}%`;
+    if (this.tuneResultEl) {
+      this.tuneResultEl.textContent =
+        `Sensitivity ${proposal.sensitivity.toFixed(1)} m/s², debounce ${proposal.debounceTime} ms: ` +
+        `precision ${percent(proposal.expected.precision)}, recall ${percent(proposal.expected.recall)} ` +
+        `(now ${percent(proposal.current.precision)} and ${percent(proposal.current.recall)}) · ` +
+        `from ${proposal.bounces} bounces and ${proposal.nonBounces} other movements`;
+    }
+    this.tuneProposal = proposal;
+    if (this.applyTuneBtn) {
+      this.applyTuneBtn.hidden = false;
+    }
+  }
+
+  private applyTune(): void {
+    if (!this.tuneProposal) return;
+    const { sensitivity, debounceTime } = this.tuneProposal;
+    this.applySettings({ sensitivity, debounceTime });
+    // Debounce is the fixed one; following the tempo would override it
+    this.config.followTempo = false;
+    if (this.followTempoToggle) {
+      this.followTempoToggle.checked = false;
+    }
+    this.applyTempo();
+    this.saveSettings();
+    this.tuneProposal = null;
+    if (this.applyTuneBtn) {
+      this.applyTuneBtn.hidden = true;
+    }
+    this.updateStatus(`Applied sensitivity ${sensitivity.toFixed(1)} m/s² and debounce ${debounceTime} ms`, 'ready');
+  }
+
+  private downloadRecording(): void {
+    if (!this.lastRecording) return;
+
+    downloadJson(
+      serializeRecording(this.lastRecording),
+      `bounce-recording-${this.lastRecording.recordedAt.replace(/[:.]/g, '-')}.json`
+    );
+  }
+
+  /** Show the current patterns in the editor and hand them to the haptic coach. */
+  private applyHapticPatterns(): void {
+    this.haptics.setVocabulary(this.config.hapticPatterns);
+    (Object.entries(this.patternInputs) as [HapticCue, HTMLInputElement][]).forEach(([cue, input]) => {
+      input.value = formatPattern(this.config.hapticPatterns[cue]);
+    });
+  }
+
+  private renderDrills(selectedId: string | null = this.drillSelect?.value ?? null): void {
+    if (!this.drillSelect) return;
+    const groups: [string, readonly Drill[]][] = [['Library', DRILL_LIBRARY], ['Custom', this.drillStore.custom]];
+    this.drillSelect.replaceChildren(...groups
+      .filter(([, drills]) => drills.length > 0)
+      .map(([label, drills]) => {
+        const group = document.createElement('optgroup');
+        group.label = label;
+        group.append(...drills.map((drill) => {
+          const option = document.createElement('option');
+          option.value = drill.id;
+          option.textContent = drill.name;
+          option.selected = drill.id === selectedId;
+          return option;
+        }));
+        return group;
+      }));
+    this.showSelectedDrill();
+  }
+
+  /** Describe the selected drill and load it into the editor as a starting point. */
+  private showSelectedDrill(): void {
+    const drill = this.drillSelect ? this.drillStore.find(this.drillSelect.value) : undefined;
+    if (!drill) return;
+    const custom = this.drillStore.isCustom(drill.id);
+
+    if (this.drillInfo) {
+      const targets = drill.phases
+        .filter((phase) => phase.targetBouncesPerMinute !== null)
+        .map((phase) => `${phase.name}: under ${phase.targetBouncesPerMinute}/min`);
+      this.drillInfo.textContent = `${formatDuration(drillDurationSec(drill))} including ${drill.countdownSec} s countdown and ${drill.warmUpSec} s warm-up · ${targets.join(' · ') || 'not scored'}`;
+    }
+    if (this.drillNameInput) this.drillNameInput.value = custom ? drill.name : `${drill.name} (custom)`;
+    if (this.drillCountdownInput) this.drillCountdownInput.value = drill.countdownSec.toString();
+    if (this.drillWarmUpInput) this.drillWarmUpInput.value = drill.warmUpSec.toString();
+    if (this.drillPhasesInput) this.drillPhasesInput.value = formatPhases(drill.phases);
+    if (this.saveDrillBtn) this.saveDrillBtn.disabled = !custom;
+    if (this.deleteDrillBtn) this.deleteDrillBtn.disabled = !custom;
+  }
+
+  /** Save the editor as a custom drill: over the selected custom drill, or as a new one. */
+  private saveDrill(asNew: boolean): void {
+    const name = this.drillNameInput?.value.trim() ?? '';
+    const countdownSec = Number(this.drillCountdownInput?.value);
+    const warmUpSec = Number(this.drillWarmUpInput?.value);
+    if (!name) {
+      this.updateStatus('Give the drill a name', 'error');
+      return;
+    }
+    if (!Number.isInteger(countdownSec) || countdownSec < 0 || !Number.isInteger(warmUpSec) || warmUpSec < 0) {
+      this.updateStatus('Countdown and warm-up must be whole seconds', 'error');
+      return;
+    }
+    let phases;
+    try {
+      phases = parsePhases(this.drillPhasesInput?.value ?? '');
+    } catch (e) {
+      this.updateStatus(`Invalid drill: ${(e as Error).message}`, 'error');
+      return;
+    }
+
+    const selectedId = this.drillSelect?.value ?? '';
+    const id = !asNew && this.drillStore.isCustom(selectedId) ? selectedId : newDrillId();
+    this.drillStore.put({ id, name, countdownSec, warmUpSec, phases });
+    this.renderDrills(id);
+    if (this.drillStore.writable) {
+      this.updateStatus(`Drill "${name}" saved`, 'ready');
+    } else {
+      this.updateStatus(`Drill "${name}" kept until the app closes - stored drills could not be read, so they are not overwritten`, 'warning');
+    }
+  }
+
+  private deleteDrill(): void {
+    const drill = this.drillSelect ? this.drillStore.find(this.drillSelect.value) : undefined;
+    if (!drill || !this.drillStore.isCustom(drill.id)) return;
+    if (!confirm(`Delete the drill "${drill.name}"?`)) return;
+    this.drillStore.delete(drill.id);
+    this.renderDrills(null);
+  }
+
+  private async startDrill(): Promise<void> {
+    if (this.isRunning || this.isCalibrating) {
+      this.updateStatus('Stop detection before starting a drill', 'warning');
+      return;
+    }
+    const drill = this.drillSelect ? this.drillStore.find(this.drillSelect.value) : undefined;
+    if (!drill) return;
+
+    if (this.drillResultsEl) {
+      this.drillResultsEl.hidden = true;
+    }
+    await this.startDetection();
+    if (!this.isRunning) return;
+
+    // The countdown starts once detection is running, so it covers pocketing the phone
+    this.drillRunner = new DrillRunner(drill);
+    this.drillRunner.start(Date.now());
+    this.syncAutoPause();
+    this.drillTimer = setInterval(() => this.updateDrill(), 250);
+    this.updateDrill();
+  }
+
+  private updateDrill(): void {
+    if (!this.drillRunner) return;
+    const status = this.drillRunner.tick(Date.now());
+
+    if (status.stage === 'done') {
+      this.stopDetection();
+      return;
+    }
+    if (status.changed) {
+      this.voice.announce(this.describeDrillStage(status));
+    }
+    if (this.drillStatusEl) {
+      const seconds = Math.ceil(status.remainingMs / 1000);
+      const bounces = status.stage === 'phase' ? ` · ${status.stageBounces} bounces` : '';
+      this.drillStatusEl.textContent = status.stage === 'countdown'
+        ? `${status.label}... ${seconds}`
+        : `${status.label} · ${formatDuration(seconds)}${bounces}`;
+      this.drillStatusEl.hidden = false;
+    }
+  }
+
+  private describeDrillStage(status: DrillStatus): string {
+    if (status.stage !== 'phase' || !this.drillRunner) {
+      return `${status.label}, ${spokenDuration(Math.round(status.remainingMs / 1000))}`;
+    }
+    const phase = this.drillRunner.drill.phases[status.phaseIndex];
+    const target = phase.targetBouncesPerMinute !== null ? `. Under ${phase.targetBouncesPerMinute} bounces a minute` : '';
+    return `${phase.name}, ${spokenDuration(phase.durationSec)}${target}`;
+  }
+
+  /** End the drill (finished or stopped early) and show its results. */
+  private finishDrill(): void {
+    if (!this.drillRunner) return;
+    if (this.drillTimer !== null) {
+      clearInterval(this.drillTimer);
+      this.drillTimer = null;
+    }
+    const result = this.drillRunner.result(Date.now());
+    this.drillRunner = null;
+    this.syncAutoPause();
+
+    if (this.drillStatusEl) {
+      this.drillStatusEl.hidden = true;
+    }
+    if (this.drillResultsEl && this.drillResultsBody) {
+      renderDrillResults(this.drillResultsBody, result);
+      this.drillResultsEl.hidden = false;
+    }
+    const verdict = result.passed ? 'Drill passed' : (result.completed ? 'Drill not passed' : 'Drill stopped early');
+    this.updateStatus(`${verdict} - score ${result.score}%`, result.passed ? 'ready' : 'warning');
+    this.voice.announce(`${verdict}. Score ${result.score} percent.`);
+  }
+
+  private renderProfiles(): void {
+    if (this.profileSelect) {
+      const active = this.profileStore.active;
+      this.profileSelect.replaceChildren(...this.profileStore.profiles.map((profile) => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        option.selected = profile.id === active.id;
+        return option;
+      }));
+    }
+    if (this.deleteProfileBtn) {
+      this.deleteProfileBtn.disabled = this.profileStore.profiles.length <= 1;
+    }
+  }
+
+  /** Profiles change detection and audio settings wholesale, so only while idle. */
+  private canChangeProfile(): boolean {
+    if (this.isRunning || this.isCalibrating) {
+      this.updateStatus('Stop detection before changing profiles', 'warning');
+      this.renderProfiles();
+      return false;
+    }
+    return true;
+  }
+
+  /** Make the store's active profile take effect. */
+  private activateProfile(): void {
+    const profile = this.profileStore.active;
+    this.applySettings({ ...this.defaultSettings, ...profile.settings });
+    this.applyTempo();
+    this.applyHapticPatterns();
+    this.applySonification();
+    this.applyVisualFeedback();
+    this.updateGravityModeUI();
+    this.updateInputBackendUI();
+    if (this.gainNode) {
+      this.gainNode.gain.value = this.config.audioVolume;
+    }
+    this.renderProfiles();
+    this.updateStatus(`Profile: ${profile.name}${this.profileStore.writable ? '' : ' (not saved)'}`, 'ready');
+  }
+
+  private switchProfile(id: string): void {
+    if (!this.canChangeProfile()) return;
+    this.profileStore.switchTo(id);
+    this.activateProfile();
+  }
+
+  private duplicateProfile(): void {
+    if (!this.canChangeProfile()) return;
+    const source = this.profileStore.active;
+    const name = prompt('Name for the new profile', `${source.name} copy`)?.trim();
+    if (!name) return;
+    this.profileStore.duplicate(source.id, name);
+    this.activateProfile();
+  }
+
+  private deleteProfile(): void {
+    if (!this.canChangeProfile()) return;
+    const profile = this.profileStore.active;
+    if (!confirm(`Delete the profile "${profile.name}"?`)) return;
+    try {
+      this.profileStore.delete(profile.id);
+    } catch (e) {
+      this.updateStatus((e as Error).message, 'error');
+      return;
+    }
+    this.activateProfile();
+  }
+
+  private exportProfile(): void {
+    const profile = this.profileStore.active;
+    const slug = profile.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'profile';
+    downloadJson(this.profileStore.exportProfile(profile.id), `bounce-profile-${slug}.json`);
+  }
+
+  private async importProfile(file: File): Promise<void> {
+    if (!this.canChangeProfile()) return;
+    try {
+      this.profileStore.importProfile(await file.text());
+    } catch (e) {
+      this.updateStatus(`Could not import profile: ${(e as Error).message}`, 'error');
+      return;
+    }
+    this.activateProfile();
+  }
+
+  private async replayFile(file: File): Promise<void> {
+    let recording: MotionRecording;
+    try {
+      recording = parseRecording(await file.text());
+    } catch (e) {
+      this.updateStatus(`Could not load recording: ${(e as Error).message}`, 'error');
+      return;
+    }
+
+    // Replay once with the settings it was recorded with and once with the current ones
+    const { sensitivity, gravityMode, algorithm } = this.config;
+    const original = replayRecording(recording);
+    const current = replayRecording(recording, this.engine.getConfig());
+
+    if (this.replayResultsEl) {
+      const item = document.createElement('li');
+      item.textContent =
+        `${file.name} (${(current.durationMs / 1000).toFixed(0)}s): ` +
+        `${current.bounceCount} bounces at ${sensitivity.toFixed(1)} m/s², ${gravityMode}, ${algorithm} ` +
+        `(recorded settings: ${original.bounceCount} at ${original.settings.sensitivity.toFixed(1)} m/s², ` +
+        `${original.settings.gravityMode}, ${original.settings.algorithm})`;
+      this.replayResultsEl.prepend(item);
+    }
+
+    this.updateStatus(`Replayed ${current.sampleCount} samples: ${current.bounceCount} bounces`, 'ready');
+  }
+
+  /**
+   * Stored profiles, drills or labels that could not be read (written by a
+   * newer version of the app, say) are never overwritten, so changes to
+   * them are lost when the page closes. Say so rather than lose them quietly.
+   */
+  private reportUnsavedStores(): void {
+    const unsaved = [
+      this.profileStore.writable ? null : 'profiles',
+      this.drillStore.writable ? null : 'custom drills',
+      this.labelStore.writable ? null : 'bounce labels'
+    ].filter((name): name is string => name !== null);
+    // A device that can't detect at all is the bigger problem
+    if (unsaved.length === 0 || this.statusEl?.classList.contains('error')) return;
+    this.updateStatus(`Saved ${unsaved.join(', ')} could not be read and are left untouched - changes to them will not be kept`, 'warning');
   }
 
   private updateStatus(message: string, type: string): void {
@@ -674,71 +2539,230 @@ class BounceDetector {
     if (this.bounceCountEl) {
       this.bounceCountEl.textContent = this.bounceCount.toString();
     }
+    this.fullScreen?.setCount(this.bounceCount);
+    if (this.suppressedCountEl) {
+      this.suppressedCountEl.textContent = this.suppressedCount.toString();
+    }
+    FAULT_KINDS.forEach((kind) => {
+      const el = this.faultCountEls[kind];
+      if (el) {
+        el.textContent = this.faultCounts[kind].toString();
+      }
+    });
+    (Object.keys(this.severityCountEls) as BounceSeverity[]).forEach((severity) => {
+      const el = this.severityCountEls[severity];
+      if (el) {
+        el.textContent = this.severityCounts[severity].toString();
+      }
+    });
+    this.publishStatus();
   }
 
-  private saveSettings(): void {
-    const settings = {
-      sensitivity: this.config.sensitivity,
-      baselineMagnitude: this.baselineMagnitude,
-      audioMode: this.config.audioMode,
-      audioVolume: this.config.audioVolume,
-      gravityMode: this.config.gravityMode,
+  /** Settings as stored in a profile, including calibration. */
+  private currentSettings(): ProfileSettings {
+    const gravity = this.engine.gravity;
+    return {
+      ...this.settingsFromConfig(this.config),
+      baselineMagnitude: this.engine.baselineMagnitude,
       // Save calibrated gravity direction
-      gravityX: this.gravityX,
-      gravityY: this.gravityY,
-      gravityZ: this.gravityZ
+      gravityX: gravity.x,
+      gravityY: gravity.y,
+      gravityZ: gravity.z
     };
-    localStorage.setItem('bounceDetectorSettings', JSON.stringify(settings));
+  }
+
+  private settingsFromConfig(config: BounceDetectorConfig): ProfileSettings {
+    return {
+      sensitivity: config.sensitivity,
+      debounceTime: config.fixedDebounceTime,
+      audioMode: config.audioMode,
+      audioVolume: config.audioVolume,
+      sonification: config.sonification,
+      voiceVerbosity: config.voiceVerbosity,
+      voiceVolume: config.voiceVolume,
+      gravityMode: config.gravityMode,
+      placement: config.placement,
+      algorithm: config.algorithm,
+      displacementTolerance: config.displacementTolerance,
+      tempoBpm: config.tempoBpm,
+      followTempo: config.followTempo,
+      turnTolerant: config.turnTolerant,
+      autoPause: config.autoPause,
+      swayDetection: config.swayDetection,
+      swaySensitivity: config.swaySensitivity,
+      rotationDetection: config.rotationDetection,
+      rotationSensitivity: config.rotationSensitivity,
+      inputBackend: config.inputBackend,
+      sensorFrequency: config.sensorFrequency,
+      vibration: config.vibration,
+      hapticPatterns: config.hapticPatterns,
+      visualFeedback: config.visualFeedback
+    };
+  }
+
+  private saveSettings(): void {
+    this.profileStore.updateActive(this.currentSettings());
   }
 
   private loadSettings(): void {
+    this.profileStore.load();
     try {
-      const saved = localStorage.getItem('bounceDetectorSettings');
-      if (saved) {
-        const settings = JSON.parse(saved);
-        if (settings.sensitivity !== undefined) {
-          this.config.sensitivity = settings.sensitivity;
-          if (this.sensitivitySlider) {
-            this.sensitivitySlider.value = settings.sensitivity.toString();
-          }
-          if (this.sensitivityValue) {
-            this.sensitivityValue.textContent = settings.sensitivity.toFixed(1);
-          }
-        }
-        // Load baselineMagnitude (ignore old baselineZ since it was orientation-dependent)
-        if (settings.baselineMagnitude !== undefined) {
-          this.baselineMagnitude = settings.baselineMagnitude;
-        }
-        if (settings.audioMode !== undefined) {
-          this.config.audioMode = settings.audioMode as AudioFeedbackMode;
-          if (this.audioModeSelect) {
-            this.audioModeSelect.value = settings.audioMode;
-          }
-        }
-        if (settings.audioVolume !== undefined) {
-          this.config.audioVolume = settings.audioVolume;
-          if (this.audioVolumeSlider) {
-            this.audioVolumeSlider.value = settings.audioVolume.toString();
-          }
-          if (this.audioVolumeValue) {
-            this.audioVolumeValue.textContent = Math.round(settings.audioVolume * 100).toString();
-          }
-        }
-        if (settings.gravityMode !== undefined) {
-          this.config.gravityMode = settings.gravityMode as GravityMode;
-          if (this.gravityModeSelect) {
-            this.gravityModeSelect.value = settings.gravityMode;
-          }
-        }
-        // Load calibrated gravity direction
-        if (settings.gravityX !== undefined && settings.gravityY !== undefined && settings.gravityZ !== undefined) {
-          this.gravityX = settings.gravityX;
-          this.gravityY = settings.gravityY;
-          this.gravityZ = settings.gravityZ;
-        }
-      }
+      this.applySettings(this.profileStore.active.settings);
     } catch (e) {
-      console.warn('Could not load settings:', e);
+      // Stored settings are checked as they are read, but the app must start whatever is in storage
+      console.warn('Failed to apply saved settings, using defaults:', e);
+      this.applySettings(this.defaultSettings);
+    }
+    this.renderProfiles();
+  }
+
+  /** Apply stored settings; fields that are missing keep their current value. */
+  private applySettings(settings: ProfileSettings): void {
+    if (settings.sensitivity !== undefined) {
+      this.config.sensitivity = settings.sensitivity;
+      this.engine.updateConfig({ sensitivity: settings.sensitivity });
+      if (this.sensitivitySlider) {
+        this.sensitivitySlider.value = settings.sensitivity.toString();
+      }
+      if (this.sensitivityValue) {
+        this.sensitivityValue.textContent = settings.sensitivity.toFixed(1);
+      }
+    }
+    // Load baselineMagnitude (ignore old baselineZ since it was orientation-dependent)
+    if (settings.baselineMagnitude !== undefined) {
+      this.engine.restoreCalibration({ baselineMagnitude: settings.baselineMagnitude });
+    }
+    if (settings.audioMode !== undefined) {
+      this.config.audioMode = settings.audioMode as AudioFeedbackMode;
+      if (this.audioModeSelect) {
+        this.audioModeSelect.value = settings.audioMode;
+      }
+    }
+    if (settings.audioVolume !== undefined) {
+      this.config.audioVolume = settings.audioVolume;
+      if (this.audioVolumeSlider) {
+        this.audioVolumeSlider.value = settings.audioVolume.toString();
+      }
+      if (this.audioVolumeValue) {
+        this.audioVolumeValue.textContent = Math.round(settings.audioVolume * 100).toString();
+      }
+    }
+    if (settings.sonification !== undefined) {
+      this.config.sonification = sanitizeSonification(settings.sonification);
+    }
+    if (settings.voiceVerbosity !== undefined) {
+      this.config.voiceVerbosity = settings.voiceVerbosity;
+      this.voice.setVerbosity(settings.voiceVerbosity);
+      if (this.voiceVerbositySelect) {
+        this.voiceVerbositySelect.value = settings.voiceVerbosity;
+      }
+    }
+    if (settings.voiceVolume !== undefined) {
+      this.config.voiceVolume = settings.voiceVolume;
+      if (this.voiceVolumeSlider) {
+        this.voiceVolumeSlider.value = settings.voiceVolume.toString();
+      }
+      if (this.voiceVolumeValue) {
+        this.voiceVolumeValue.textContent = Math.round(settings.voiceVolume * 100).toString();
+      }
+    }
+    if (settings.gravityMode !== undefined) {
+      this.config.gravityMode = settings.gravityMode as GravityMode;
+      this.engine.updateConfig({ gravityMode: this.config.gravityMode });
+      if (this.gravityModeSelect) {
+        this.gravityModeSelect.value = settings.gravityMode;
+      }
+    }
+    if (settings.placement !== undefined && isPhonePlacement(settings.placement)) {
+      this.setPlacement(settings.placement);
+    }
+    if (settings.algorithm !== undefined) {
+      this.config.algorithm = settings.algorithm as DetectionAlgorithm;
+      this.engine.updateConfig({ algorithm: this.config.algorithm });
+      if (this.algorithmSelect) {
+        this.algorithmSelect.value = settings.algorithm;
+      }
+      this.updateAlgorithmHint();
+    }
+    if (settings.displacementTolerance !== undefined) {
+      this.config.displacementTolerance = settings.displacementTolerance;
+      this.engine.updateConfig({ displacementTolerance: settings.displacementTolerance });
+      if (this.toleranceSlider) {
+        this.toleranceSlider.value = settings.displacementTolerance.toString();
+      }
+      this.updateToleranceValue();
+    }
+    if (settings.tempoBpm !== undefined) {
+      this.config.tempoBpm = settings.tempoBpm;
+      if (this.tempoInput) {
+        this.tempoInput.value = settings.tempoBpm > 0 ? settings.tempoBpm.toString() : '';
+      }
+    }
+    if (settings.followTempo !== undefined) {
+      this.config.followTempo = settings.followTempo;
+      if (this.followTempoToggle) {
+        this.followTempoToggle.checked = settings.followTempo;
+      }
+    }
+    if (settings.hapticPatterns !== undefined) {
+      this.config.hapticPatterns = sanitizeVocabulary(settings.hapticPatterns);
+    }
+    if (settings.vibration !== undefined) {
+      this.config.vibration = settings.vibration;
+      if (this.vibrationToggle) {
+        this.vibrationToggle.checked = settings.vibration;
+      }
+    }
+    if (settings.visualFeedback !== undefined) {
+      this.config.visualFeedback = sanitizeVisualFeedback(settings.visualFeedback);
+    }
+    if (settings.debounceTime !== undefined) {
+      this.config.fixedDebounceTime = settings.debounceTime;
+    }
+    if (settings.autoPause !== undefined) {
+      this.config.autoPause = settings.autoPause;
+      this.syncAutoPause();
+      if (this.autoPauseToggle) {
+        this.autoPauseToggle.checked = settings.autoPause;
+      }
+      this.updateActivityDisplay();
+    }
+    if (settings.turnTolerant !== undefined) {
+      this.config.turnTolerant = settings.turnTolerant;
+      this.engine.updateConfig({ turnTolerant: settings.turnTolerant });
+      if (this.turnTolerantToggle) {
+        this.turnTolerantToggle.checked = settings.turnTolerant;
+      }
+    }
+    if (settings.swayDetection !== undefined) {
+      this.setFaultDetection('sway', settings.swayDetection);
+    }
+    if (settings.swaySensitivity !== undefined) {
+      this.setFaultSensitivity('sway', settings.swaySensitivity);
+    }
+    if (settings.rotationDetection !== undefined) {
+      this.setFaultDetection('rotation', settings.rotationDetection);
+    }
+    if (settings.rotationSensitivity !== undefined) {
+      this.setFaultSensitivity('rotation', settings.rotationSensitivity);
+    }
+    if (settings.inputBackend !== undefined) {
+      this.config.inputBackend = settings.inputBackend;
+      if (this.inputBackendSelect) {
+        this.inputBackendSelect.value = settings.inputBackend;
+      }
+    }
+    if (settings.sensorFrequency !== undefined) {
+      this.config.sensorFrequency = settings.sensorFrequency;
+      if (this.sensorFrequencySelect) {
+        this.sensorFrequencySelect.value = settings.sensorFrequency.toString();
+      }
+    }
+    // Load calibrated gravity direction
+    if (settings.gravityX !== undefined && settings.gravityY !== undefined && settings.gravityZ !== undefined) {
+      this.engine.restoreCalibration({
+        gravity: { x: settings.gravityX, y: settings.gravityY, z: settings.gravityZ }
+      });
     }
   }
 }
@@ -750,3 +2774,4 @@ document.addEventListener('DOMContentLoaded', () => {
 });
 
 export { BounceDetector, BounceDetectorConfig };
+export { BounceEngine } from './detector-engine.js';
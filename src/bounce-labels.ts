@@ -0,0 +1,327 @@
+/**
+ * Bounce Labels and Auto-Tune
+ * The dancer marks detections that were not bounces and bounces that were
+ * missed, live or while reviewing a recording. Every candidate movement of
+ * a labelled session is kept with its features and a verdict: marked ones as
+ * marked, the rest as the detector called them. Auto-tune replays those
+ * labels against every sensitivity and debounce the controls offer and
+ * proposes the pair that best separates bounces from everything else.
+ * DOM-free; the store takes a Storage.
+ */
+
+import { CandidateEvent, DetectionAlgorithm } from './detector-engine.js';
+import { VersionedRecord } from './versioned-storage.js';
+
+export interface LabelledMovement {
+  timestamp: number;
+  swing: number;            // Peak-to-peak band-passed acceleration (m/s^2)
+  peakDeviation: number;    // Furthest reading from the baseline (m/s^2)
+  bounce: boolean;
+}
+
+export interface LabelledSession {
+  labelledAt: string;       // ISO 8601
+  source: 'live' | 'recording';
+  movements: LabelledMovement[];
+}
+
+/** A candidate movement in a session being labelled. */
+export interface ReviewedMovement extends CandidateEvent {
+  detected: boolean;        // The detector counted it
+  bounce: boolean;          // Verdict: the dancer's mark, or the detector's call when unmarked
+  marked: boolean;
+}
+
+export interface DetectionScore {
+  precision: number;        // Fraction of counted movements that were bounces (0-1)
+  recall: number;           // Fraction of bounces that were counted (0-1)
+  f1: number;
+}
+
+export interface TuneProposal {
+  sensitivity: number;
+  debounceTime: number;
+  expected: DetectionScore;
+  current: DetectionScore;  // The same labels scored with the settings in use
+  bounces: number;
+  nonBounces: number;
+}
+
+export const LABEL_STORAGE_KEY = 'bounceDetectorLabels';
+export const LABEL_STORE_VERSION = 1;
+// Marks apply to movements this recent (ms)
+export const MARK_WINDOW_MS = 3000;
+// A detection belongs to a movement when it falls within it, give or take this much (ms)
+const MATCH_SLACK_MS = 150;
+// Oldest sessions are dropped beyond this many movements, to stay well inside localStorage limits
+const MAX_STORED_MOVEMENTS = 20000;
+// Auto-tune needs at least this many of each verdict to say anything useful
+const MIN_LABELS_PER_CLASS = 5;
+// The settings auto-tune chooses from: the same steps as the sliders
+const SENSITIVITY_RANGE = { min: 1, max: 8, step: 0.5 };
+const DEBOUNCE_RANGE = { min: 100, max: 1000, step: 50 };
+
+/** Whether a detection at this time belongs to the candidate movement. */
+function matches(candidate: CandidateEvent, timestamp: number): boolean {
+  return timestamp >= candidate.startTimestamp - MATCH_SLACK_MS && timestamp <= candidate.timestamp + MATCH_SLACK_MS;
+}
+
+/** Collects candidates and detections for one session and applies the dancer's marks. */
+export class SessionLabeller {
+  private candidates: CandidateEvent[] = [];
+  private bounces: number[] = [];
+  private rejected: Set<number> = new Set();         // Detections marked as not a bounce
+  private marks: Map<CandidateEvent, boolean> = new Map();
+
+  constructor(candidates: CandidateEvent[] = [], bounceTimestamps: number[] = []) {
+    this.candidates = [...candidates];
+    this.bounces = [...bounceTimestamps];
+  }
+
+  public get hasMarks(): boolean {
+    return this.rejected.size > 0 || this.marks.size > 0;
+  }
+
+  public addCandidate(candidate: CandidateEvent): void {
+    this.candidates.push(candidate);
+  }
+
+  public addBounce(timestamp: number): void {
+    this.bounces.push(timestamp);
+  }
+
+  /**
+   * Mark the latest detection within the mark window as not a bounce. It may
+   * still be mid-movement, so it is matched to its movement later. Returns
+   * false when there is no unmarked detection to mark.
+   */
+  public markFalse(now: number): boolean {
+    const latest = [...this.bounces].reverse().find((t) => now - t <= MARK_WINDOW_MS && !this.rejected.has(t));
+    if (latest === undefined) return false;
+    this.rejected.add(latest);
+    return true;
+  }
+
+  /**
+   * Detections marked as not a bounce that no candidate movement matches, so
+   * the mark has no movement to label. Threshold detection can fire on a
+   * reading that never becomes a movement, and the mark is then lost.
+   */
+  public get unmatchedMarks(): number {
+    return [...this.rejected].filter((t) => !this.candidates.some((candidate) => matches(candidate, t))).length;
+  }
+
+  /** Mark the biggest undetected movement within the mark window as a bounce. */
+  public markMissed(now: number): boolean {
+    const reviewed = this.review();
+    let index = -1;
+    reviewed.forEach((m, i) => {
+      if (now - m.timestamp <= MARK_WINDOW_MS && !m.detected && !m.marked &&
+          (index === -1 || m.swing > reviewed[index].swing)) {
+        index = i;
+      }
+    });
+    if (index === -1) return false;
+    this.setVerdict(index, true);
+    return true;
+  }
+
+  /** Set the verdict of the movement at this index of review(). */
+  public setVerdict(index: number, bounce: boolean): void {
+    const candidate = this.candidates[index];
+    if (candidate) {
+      this.marks.set(candidate, bounce);
+    }
+  }
+
+  /** Every candidate movement with the detector's call and the current verdict. */
+  public review(): ReviewedMovement[] {
+    return this.candidates.map((candidate) => {
+      const detection = this.bounces.find((t) => matches(candidate, t));
+      const detected = detection !== undefined;
+      const rejected = detected && this.rejected.has(detection);
+      const mark = this.marks.get(candidate);
+      return {
+        ...candidate,
+        detected,
+        bounce: mark ?? (detected && !rejected),
+        marked: mark !== undefined || rejected
+      };
+    });
+  }
+
+  public toSession(source: LabelledSession['source'], labelledAt: Date = new Date()): LabelledSession {
+    return {
+      labelledAt: labelledAt.toISOString(),
+      source,
+      movements: this.review().map((m) => ({
+        timestamp: m.timestamp,
+        swing: m.swing,
+        peakDeviation: m.peakDeviation,
+        bounce: m.bounce
+      }))
+    };
+  }
+}
+
+const isNonNegative = (value: unknown): value is number => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+function isLabelledMovement(value: any): value is LabelledMovement {
+  return value !== null && typeof value === 'object' &&
+    isNonNegative(value.timestamp) && isNonNegative(value.swing) && isNonNegative(value.peakDeviation) &&
+    typeof value.bounce === 'boolean';
+}
+
+/**
+ * A stored session with only its well-formed movements, or null if it is not
+ * a session at all. Labels feed auto-tune, so nothing unchecked gets through.
+ */
+export function sanitizeLabelledSession(value: any): LabelledSession | null {
+  if (!value || typeof value.labelledAt !== 'string' || !Array.isArray(value.movements) ||
+      (value.source !== 'live' && value.source !== 'recording')) {
+    return null;
+  }
+  return {
+    labelledAt: value.labelledAt,
+    source: value.source,
+    movements: value.movements.filter(isLabelledMovement).map((m: LabelledMovement) => ({
+      timestamp: m.timestamp,
+      swing: m.swing,
+      peakDeviation: m.peakDeviation,
+      bounce: m.bounce
+    }))
+  };
+}
+
+export class LabelStore {
+  private record: VersionedRecord;
+  private stored: LabelledSession[] = [];
+
+  constructor(storage: Storage) {
+    this.record = new VersionedRecord(storage, LABEL_STORAGE_KEY, LABEL_STORE_VERSION, 'bounce labels');
+  }
+
+  /** False when the stored labels could not be read: changes then last only until the page closes. */
+  public get writable(): boolean {
+    return this.record.writable;
+  }
+
+  public get sessions(): readonly LabelledSession[] {
+    return this.stored;
+  }
+
+  public get movementCount(): number {
+    return this.stored.reduce((sum, session) => sum + session.movements.length, 0);
+  }
+
+  public load(): void {
+    this.stored = this.record.read((data) => Array.isArray(data.sessions)
+      ? data.sessions.map(sanitizeLabelledSession).filter((session: LabelledSession | null) => session !== null)
+      : []) ?? [];
+  }
+
+  private save(): void {
+    this.record.write({ sessions: this.stored });
+  }
+
+  public add(session: LabelledSession): void {
+    this.stored.push(session);
+    while (this.stored.length > 1 && this.movementCount > MAX_STORED_MOVEMENTS) {
+      this.stored.shift();
+    }
+    this.save();
+  }
+
+  public clear(): void {
+    this.stored = [];
+    this.save();
+  }
+}
+
+/** The feature each algorithm compares with the sensitivity, and how. */
+function counts(movement: LabelledMovement, algorithm: DetectionAlgorithm, sensitivity: number): boolean {
+  return algorithm === 'peak-valley' ? movement.swing >= sensitivity : movement.peakDeviation > sensitivity;
+}
+
+/** Score the labels as if detection had run with these settings. */
+export function scoreSettings(
+  sessions: readonly LabelledSession[],
+  algorithm: DetectionAlgorithm,
+  sensitivity: number,
+  debounceTime: number
+): DetectionScore {
+  let truePositives = 0;
+  let falsePositives = 0;
+  let falseNegatives = 0;
+  sessions.forEach((session) => {
+    let lastCounted = -Infinity;
+    [...session.movements].sort((a, b) => a.timestamp - b.timestamp).forEach((movement) => {
+      const counted = counts(movement, algorithm, sensitivity) && movement.timestamp - lastCounted >= debounceTime;
+      if (counted) lastCounted = movement.timestamp;
+      if (counted && movement.bounce) truePositives++;
+      else if (counted) falsePositives++;
+      else if (movement.bounce) falseNegatives++;
+    });
+  });
+  const precision = truePositives + falsePositives > 0 ? truePositives / (truePositives + falsePositives) : 0;
+  const recall = truePositives + falseNegatives > 0 ? truePositives / (truePositives + falseNegatives) : 0;
+  const f1 = precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+  return { precision, recall, f1 };
+}
+
+function steps(range: { min: number; max: number; step: number }): number[] {
+  const values: number[] = [];
+  for (let v = range.min; v <= range.max + 1e-9; v += range.step) {
+    values.push(Math.round(v * 100) / 100);
+  }
+  return values;
+}
+
+/**
+ * Propose the sensitivity and debounce with the best F1 score on the labels.
+ * Ties go to the higher precision, then to the settings nearest the current
+ * ones, so a tune never moves further than the labels justify.
+ */
+export function autoTune(
+  sessions: readonly LabelledSession[],
+  algorithm: DetectionAlgorithm,
+  current: { sensitivity: number; debounceTime: number }
+): TuneProposal {
+  const movements = sessions.flatMap((session) => session.movements);
+  const bounces = movements.filter((m) => m.bounce).length;
+  const nonBounces = movements.length - bounces;
+  if (bounces < MIN_LABELS_PER_CLASS || nonBounces < MIN_LABELS_PER_CLASS) {
+    throw new Error(`Need at least ${MIN_LABELS_PER_CLASS} bounces and ${MIN_LABELS_PER_CLASS} other movements labelled (have ${bounces} and ${nonBounces})`);
+  }
+
+  const distance = (sensitivity: number, debounceTime: number) =>
+    Math.abs(sensitivity - current.sensitivity) / SENSITIVITY_RANGE.step +
+    Math.abs(debounceTime - current.debounceTime) / DEBOUNCE_RANGE.step;
+
+  let best = {
+    sensitivity: current.sensitivity,
+    debounceTime: current.debounceTime,
+    score: scoreSettings(sessions, algorithm, current.sensitivity, current.debounceTime)
+  };
+  for (const sensitivity of steps(SENSITIVITY_RANGE)) {
+    for (const debounceTime of steps(DEBOUNCE_RANGE)) {
+      const score = scoreSettings(sessions, algorithm, sensitivity, debounceTime);
+      const better = score.f1 > best.score.f1 ||
+        (score.f1 === best.score.f1 && score.precision > best.score.precision) ||
+        (score.f1 === best.score.f1 && score.precision === best.score.precision &&
+          distance(sensitivity, debounceTime) < distance(best.sensitivity, best.debounceTime));
+      if (better) {
+        best = { sensitivity, debounceTime, score };
+      }
+    }
+  }
+
+  return {
+    sensitivity: best.sensitivity,
+    debounceTime: best.debounceTime,
+    expected: best.score,
+    current: scoreSettings(sessions, algorithm, current.sensitivity, current.debounceTime),
+    bounces,
+    nonBounces
+  };
+}
@@ -0,0 +1,196 @@
+/**
+ * Companion Viewer
+ * The instructor's side of a live lesson: one card per dancer streaming
+ * through the relay, with the bounce count, state, breakdown and a live
+ * waveform. Served by the relay alongside the app; `?relay=host:port`
+ * points it at a different relay.
+ */
+
+import { BounceSeverity } from './displacement.js';
+import { formatDuration } from './history-view.js';
+import { RelayMessage, STREAM_PATH, STREAM_PROTOCOL_VERSION, StatusMessage, relayUrl } from './live-stream-protocol.js';
+import { bouncesPerMinute } from './session-history.js';
+import { WaveformView } from './waveform-view.js';
+
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 10000;
+// The card glows in the bounce's colour for this long (ms)
+const BOUNCE_HIGHLIGHT_MS = 300;
+
+interface DancerCard {
+  root: HTMLElement;
+  nameEl: HTMLElement;
+  countEl: HTMLElement;
+  stateEl: HTMLElement;
+  detailEl: HTMLElement;
+  waveform: WaveformView;
+  highlightTimer: ReturnType<typeof setTimeout> | null;
+}
+
+/** The relay to use: the one in the query string, else the server this page came from. */
+function streamUrl(): string | null {
+  const secure = location.protocol === 'https:';
+  const relay = new URLSearchParams(location.search).get('relay');
+  if (relay) return relayUrl(relay, secure);
+  return `${secure ? 'wss' : 'ws'}://${location.host}${STREAM_PATH}`;
+}
+
+function describeStatus(status: StatusMessage): { state: string; detail: string } {
+  const state = !status.running ? 'Stopped' : status.paused ? 'Paused' : 'Dancing';
+  const rate = bouncesPerMinute(status.count, status.activeMs).toFixed(1);
+  const severities = (['minor', 'moderate', 'major'] as BounceSeverity[])
+    .map((severity) => `${status.severityCounts[severity]} ${severity}`)
+    .join(' · ');
+  const faults = status.faultCounts.sway + status.faultCounts.rotation > 0
+    ? ` · sway ${status.faultCounts.sway} · rotation ${status.faultCounts.rotation}`
+    : '';
+  const algorithm = status.algorithm === 'peak-valley' ? 'Peak/Valley' : 'Threshold';
+  return {
+    state,
+    detail: `${formatDuration(status.activeMs)} active · ${rate}/min · ${severities}${faults} · ` +
+      `${algorithm} ${status.sensitivity.toFixed(1)} m/s²`
+  };
+}
+
+class CompanionViewer {
+  private url: string | null;
+  private socket: WebSocket | null = null;
+  private cards: Map<string, DancerCard> = new Map();
+  private listEl: HTMLElement;
+  private connectionEl: HTMLElement | null;
+  private emptyEl: HTMLElement | null;
+  private reconnectDelay: number = RECONNECT_MIN_MS;
+
+  constructor() {
+    this.url = streamUrl();
+    this.listEl = document.getElementById('dancers') as HTMLElement;
+    this.connectionEl = document.getElementById('connection');
+    this.emptyEl = document.getElementById('no-dancers');
+  }
+
+  public init(): void {
+    if (!this.url) {
+      this.setConnection('Invalid relay address', 'error');
+      return;
+    }
+    this.connect();
+  }
+
+  private connect(): void {
+    this.setConnection(`Connecting to ${this.url}...`, 'warning');
+    const socket = new WebSocket(this.url!);
+    this.socket = socket;
+
+    socket.addEventListener('open', () => {
+      this.reconnectDelay = RECONNECT_MIN_MS;
+      socket.send(JSON.stringify({ type: 'hello', role: 'viewer', version: STREAM_PROTOCOL_VERSION }));
+      this.setConnection('Connected', 'ready');
+    });
+
+    socket.addEventListener('message', (event) => {
+      let message: RelayMessage;
+      try {
+        message = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      this.handleMessage(message);
+    });
+
+    socket.addEventListener('close', () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      // The relay sends every dancer again on reconnect; until then, none are known to be live
+      this.cards.forEach((card) => card.root.classList.add('offline'));
+      this.setConnection(`Relay unreachable - retrying in ${Math.round(this.reconnectDelay / 1000)} s`, 'error');
+      setTimeout(() => this.connect(), this.reconnectDelay);
+      this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_MAX_MS);
+    });
+  }
+
+  private handleMessage(message: RelayMessage): void {
+    if (message.type === 'joined') {
+      const card = this.cards.get(message.dancer) ?? this.addCard(message.dancer);
+      card.nameEl.textContent = message.name || 'Dancer';
+      card.root.classList.remove('offline');
+      return;
+    }
+
+    const card = this.cards.get(message.dancer);
+    if (!card) return;
+    switch (message.type) {
+      case 'left':
+        card.root.classList.add('offline');
+        card.stateEl.textContent = 'Disconnected';
+        break;
+      case 'status': {
+        const { state, detail } = describeStatus(message);
+        card.countEl.textContent = message.count.toString();
+        card.stateEl.textContent = state;
+        card.detailEl.textContent = detail;
+        card.root.classList.toggle('paused', message.running && message.paused);
+        break;
+      }
+      case 'bounce':
+        card.countEl.textContent = message.count.toString();
+        card.waveform.markBounce(message.timestamp, message.severity);
+        this.highlight(card, message.severity);
+        break;
+      case 'signal':
+        card.waveform.setBand(message.baseline, message.threshold);
+        message.samples.forEach(([timestamp, magnitude]) => card.waveform.addSample(timestamp, magnitude));
+        break;
+    }
+  }
+
+  private addCard(id: string): DancerCard {
+    const root = document.createElement('li');
+    root.className = 'dancer-card';
+    const header = document.createElement('div');
+    header.className = 'dancer-header';
+    const nameEl = document.createElement('span');
+    nameEl.className = 'dancer-name';
+    const stateEl = document.createElement('span');
+    stateEl.className = 'dancer-state';
+    stateEl.textContent = 'Waiting';
+    header.append(nameEl, stateEl);
+    const countEl = document.createElement('div');
+    countEl.className = 'dancer-count';
+    countEl.textContent = '0';
+    const canvas = document.createElement('canvas');
+    canvas.className = 'dancer-waveform';
+    const detailEl = document.createElement('div');
+    detailEl.className = 'dancer-detail';
+    root.append(header, countEl, canvas, detailEl);
+    this.listEl.appendChild(root);
+    if (this.emptyEl) {
+      this.emptyEl.hidden = true;
+    }
+
+    const card: DancerCard = { root, nameEl, countEl, stateEl, detailEl, waveform: new WaveformView(canvas), highlightTimer: null };
+    this.cards.set(id, card);
+    return card;
+  }
+
+  private highlight(card: DancerCard, severity: BounceSeverity): void {
+    card.root.dataset.bounce = severity;
+    if (card.highlightTimer !== null) {
+      clearTimeout(card.highlightTimer);
+    }
+    card.highlightTimer = setTimeout(() => {
+      delete card.root.dataset.bounce;
+      card.highlightTimer = null;
+    }, BOUNCE_HIGHLIGHT_MS);
+  }
+
+  private setConnection(message: string, type: 'ready' | 'warning' | 'error'): void {
+    if (this.connectionEl) {
+      this.connectionEl.textContent = message;
+      this.connectionEl.className = `status ${type}`;
+    }
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  new CompanionViewer().init();
+});
@@ -0,0 +1,85 @@
+/**
+ * Bounce Displacement
+ * Estimates how far the body rose and fell during a bounce by double
+ * integrating vertical acceleration over the bounce window, and grades
+ * the result into severity levels.
+ */
+
+export type BounceSeverity = 'minor' | 'moderate' | 'major';
+
+export interface VerticalSample {
+  timestamp: number;     // ms
+  acceleration: number;  // Vertical acceleration with gravity removed (m/s^2)
+}
+
+export interface SeverityThresholds {
+  moderate: number;  // Displacement at which a bounce becomes moderate (cm)
+  major: number;     // Displacement at which a bounce becomes major (cm)
+}
+
+/**
+ * Peak-to-peak vertical displacement over the window, in centimetres.
+ *
+ * Double integration amplifies any sensor offset into a quadratic drift, so
+ * the result is corrected on the assumption that a bounce starts and ends at
+ * the same height and vertical speed: the mean acceleration over the window
+ * is removed before integrating, then the residual linear trend is removed
+ * from velocity and from position so both return to zero at the end.
+ */
+export function estimateDisplacementCm(samples: VerticalSample[]): number {
+  if (samples.length < 3) return 0;
+
+  const t0 = samples[0].timestamp;
+  const span = (samples[samples.length - 1].timestamp - t0) / 1000;
+  if (span <= 0) return 0;
+
+  // Time-weighted mean acceleration (trapezoidal)
+  let area = 0;
+  for (let i = 1; i < samples.length; i++) {
+    const dt = (samples[i].timestamp - samples[i - 1].timestamp) / 1000;
+    area += 0.5 * (samples[i].acceleration + samples[i - 1].acceleration) * dt;
+  }
+  const meanAcceleration = area / span;
+
+  // Acceleration -> velocity
+  const velocity: number[] = [0];
+  for (let i = 1; i < samples.length; i++) {
+    const dt = (samples[i].timestamp - samples[i - 1].timestamp) / 1000;
+    const a0 = samples[i - 1].acceleration - meanAcceleration;
+    const a1 = samples[i].acceleration - meanAcceleration;
+    velocity.push(velocity[i - 1] + 0.5 * (a0 + a1) * dt);
+  }
+
+  // Remove linear velocity drift so the window ends at rest
+  const endVelocity = velocity[velocity.length - 1];
+  for (let i = 0; i < velocity.length; i++) {
+    const elapsed = (samples[i].timestamp - t0) / 1000;
+    velocity[i] -= endVelocity * (elapsed / span);
+  }
+
+  // Velocity -> position
+  const position: number[] = [0];
+  for (let i = 1; i < samples.length; i++) {
+    const dt = (samples[i].timestamp - samples[i - 1].timestamp) / 1000;
+    position.push(position[i - 1] + 0.5 * (velocity[i] + velocity[i - 1]) * dt);
+  }
+
+  // Remove linear position drift so the window ends at the starting height
+  const endPosition = position[position.length - 1];
+  let min = 0;
+  let max = 0;
+  for (let i = 0; i < position.length; i++) {
+    const elapsed = (samples[i].timestamp - t0) / 1000;
+    const corrected = position[i] - endPosition * (elapsed / span);
+    min = Math.min(min, corrected);
+    max = Math.max(max, corrected);
+  }
+
+  return (max - min) * 100;
+}
+
+export function gradeSeverity(displacementCm: number, thresholds: SeverityThresholds): BounceSeverity {
+  if (displacementCm >= thresholds.major) return 'major';
+  if (displacementCm >= thresholds.moderate) return 'moderate';
+  return 'minor';
+}
@@ -0,0 +1,327 @@
+/**
+ * Guided Drills
+ * Structured practice: a countdown to get into position, an unscored
+ * warm-up, then timed phases that each pass when bounces stay under a rate.
+ * Holds the built-in drill library, the parser for custom drill phases and
+ * the localStorage record of custom drills. DOM-free.
+ */
+
+import { VersionedRecord } from './versioned-storage.js';
+
+export interface DrillPhase {
+  name: string;
+  durationSec: number;
+  targetBouncesPerMinute: number | null;  // Passes with fewer bounces per minute than this; null = not scored
+}
+
+export interface Drill {
+  id: string;
+  name: string;
+  countdownSec: number;
+  warmUpSec: number;
+  phases: DrillPhase[];
+}
+
+export const DRILL_LIBRARY: readonly Drill[] = [
+  {
+    id: 'walking-basics',
+    name: 'Walking basics',
+    countdownSec: 5,
+    warmUpSec: 30,
+    phases: [{ name: 'Walking basics', durationSec: 120, targetBouncesPerMinute: 3 }]
+  },
+  {
+    id: 'tempo-ladder',
+    name: 'Tempo ladder',
+    countdownSec: 5,
+    warmUpSec: 30,
+    phases: [
+      { name: 'Slow walk', durationSec: 60, targetBouncesPerMinute: 2 },
+      { name: 'Normal walk', durationSec: 60, targetBouncesPerMinute: 3 },
+      { name: 'Quick walk', durationSec: 60, targetBouncesPerMinute: 4 }
+    ]
+  },
+  {
+    id: 'turns',
+    name: 'Level through turns',
+    countdownSec: 5,
+    warmUpSec: 30,
+    phases: [
+      { name: 'Walk', durationSec: 60, targetBouncesPerMinute: 3 },
+      { name: 'Turns', durationSec: 60, targetBouncesPerMinute: 4 },
+      { name: 'Walk out', durationSec: 60, targetBouncesPerMinute: 3 }
+    ]
+  },
+  {
+    id: 'endurance',
+    name: 'Five-minute endurance',
+    countdownSec: 5,
+    warmUpSec: 60,
+    phases: [
+      { name: 'Steady dancing', durationSec: 300, targetBouncesPerMinute: 3 },
+      { name: 'Cool down', durationSec: 60, targetBouncesPerMinute: null }
+    ]
+  }
+];
+
+export type DrillStage = 'countdown' | 'warm-up' | 'phase' | 'done';
+
+export interface DrillStatus {
+  stage: DrillStage;
+  phaseIndex: number;          // Index into drill.phases while in 'phase'
+  label: string;               // What the dancer should be doing now
+  remainingMs: number;         // Left in the current stage or phase
+  stageBounces: number;        // Bounces so far in the current stage or phase
+  changed: boolean;            // Stage or phase changed since the previous tick
+}
+
+export interface PhaseResult {
+  name: string;
+  durationMs: number;          // Time actually spent in the phase
+  bounces: number;
+  bouncesPerMinute: number;
+  targetBouncesPerMinute: number | null;
+  passed: boolean | null;      // null when not scored or not finished
+}
+
+export interface DrillResult {
+  drillName: string;
+  completed: boolean;          // False when stopped before the last phase ended
+  phases: PhaseResult[];
+  passed: boolean;
+  score: number;               // Percentage of scored phases passed
+}
+
+interface Segment {
+  stage: DrillStage;
+  phaseIndex: number;
+  label: string;
+  startMs: number;             // Offset from the drill start
+  endMs: number;
+}
+
+export function drillDurationSec(drill: Drill): number {
+  return drill.countdownSec + drill.warmUpSec + drill.phases.reduce((total, phase) => total + phase.durationSec, 0);
+}
+
+/** Steps a drill along the wall clock and counts bounces into its phases. */
+export class DrillRunner {
+  public readonly drill: Drill;
+  private segments: Segment[] = [];
+  private segmentBounces: number[] = [];
+  private startTime: number = 0;
+  private current: number = -1;
+
+  constructor(drill: Drill) {
+    this.drill = drill;
+    let offset = 0;
+    const addSegment = (stage: DrillStage, phaseIndex: number, label: string, durationSec: number): void => {
+      if (durationSec <= 0) return;
+      this.segments.push({ stage, phaseIndex, label, startMs: offset, endMs: offset + durationSec * 1000 });
+      offset += durationSec * 1000;
+    };
+    addSegment('countdown', -1, 'Get ready', drill.countdownSec);
+    addSegment('warm-up', -1, 'Warm-up', drill.warmUpSec);
+    drill.phases.forEach((phase, i) => addSegment('phase', i, phase.name, phase.durationSec));
+    this.segmentBounces = this.segments.map(() => 0);
+  }
+
+  public start(now: number): void {
+    this.startTime = now;
+    this.current = -1;
+    this.segmentBounces = this.segments.map(() => 0);
+  }
+
+  private segmentAt(now: number): number {
+    const elapsed = now - this.startTime;
+    const index = this.segments.findIndex((segment) => elapsed < segment.endMs);
+    return index === -1 ? this.segments.length : index;
+  }
+
+  public onBounce(now: number): void {
+    const index = this.segmentAt(now);
+    if (index < this.segments.length) {
+      this.segmentBounces[index]++;
+    }
+  }
+
+  public tick(now: number): DrillStatus {
+    const index = this.segmentAt(now);
+    const changed = index !== this.current;
+    this.current = index;
+
+    const segment = this.segments[index];
+    if (!segment) {
+      return { stage: 'done', phaseIndex: -1, label: 'Done', remainingMs: 0, stageBounces: 0, changed };
+    }
+    return {
+      stage: segment.stage,
+      phaseIndex: segment.phaseIndex,
+      label: segment.label,
+      remainingMs: segment.endMs - (now - this.startTime),
+      stageBounces: this.segmentBounces[index],
+      changed
+    };
+  }
+
+  /** Score the drill as of `now`; phases not yet finished are reported but not judged. */
+  public result(now: number): DrillResult {
+    const elapsed = now - this.startTime;
+    const phases: PhaseResult[] = [];
+    this.segments.forEach((segment, i) => {
+      if (segment.stage !== 'phase') return;
+      const target = this.drill.phases[segment.phaseIndex].targetBouncesPerMinute;
+      const durationMs = Math.max(0, Math.min(elapsed, segment.endMs) - segment.startMs);
+      const finished = elapsed >= segment.endMs;
+      const bounces = this.segmentBounces[i];
+      const bouncesPerMinute = durationMs > 0 ? bounces / (durationMs / 60000) : 0;
+      phases.push({
+        name: segment.label,
+        durationMs,
+        bounces,
+        bouncesPerMinute,
+        targetBouncesPerMinute: target,
+        passed: target !== null && finished ? bouncesPerMinute < target : null
+      });
+    });
+
+    const completed = elapsed >= (this.segments.length > 0 ? this.segments[this.segments.length - 1].endMs : 0);
+    const scored = phases.filter((phase) => phase.targetBouncesPerMinute !== null);
+    const passedCount = scored.filter((phase) => phase.passed === true).length;
+    return {
+      drillName: this.drill.name,
+      completed,
+      phases,
+      passed: completed && passedCount === scored.length,
+      score: scored.length > 0 ? Math.round((passedCount / scored.length) * 100) : (completed ? 100 : 0)
+    };
+  }
+}
+
+/** "2:00" or "120" (seconds) to seconds. Throws for anything else. */
+function parseDuration(text: string): number {
+  const match = /^(?:(\d+):)?(\d+)$/.exec(text.trim());
+  if (!match) {
+    throw new Error(`"${text.trim()}" is not a duration (use 2:00 or 120)`);
+  }
+  const seconds = (match[1] ? parseInt(match[1], 10) * 60 : 0) + parseInt(match[2], 10);
+  if (seconds <= 0) {
+    throw new Error('Durations must be longer than zero');
+  }
+  return seconds;
+}
+
+/** Seconds as m:ss. */
+export function formatDuration(seconds: number): string {
+  return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+}
+
+/**
+ * Parse custom drill phases, one per line: "name, duration, target", e.g.
+ * "Walking basics, 2:00, 3" for fewer than 3 bounces per minute. Leave the
+ * target out for a phase that is not scored. Throws an Error naming the line.
+ */
+export function parsePhases(text: string): DrillPhase[] {
+  const lines = text.split('\n').map((line) => line.trim());
+  const phases: DrillPhase[] = [];
+  lines.forEach((line, i) => {
+    if (line.length === 0) return;
+    const parts = line.split(',').map((part) => part.trim());
+    try {
+      if (parts.length < 2 || parts.length > 3 || parts[0].length === 0) {
+        throw new Error('expected "name, duration, target"');
+      }
+      let target: number | null = null;
+      if (parts.length === 3 && parts[2].length > 0) {
+        target = Number(parts[2]);
+        if (!Number.isFinite(target) || target <= 0) {
+          throw new Error(`"${parts[2]}" is not a bounces-per-minute target`);
+        }
+      }
+      phases.push({ name: parts[0], durationSec: parseDuration(parts[1]), targetBouncesPerMinute: target });
+    } catch (e) {
+      throw new Error(`Line ${i + 1}: ${(e as Error).message}`);
+    }
+  });
+  if (phases.length === 0) {
+    throw new Error('A drill needs at least one phase');
+  }
+  return phases;
+}
+
+export function formatPhases(phases: DrillPhase[]): string {
+  return phases
+    .map((phase) => [phase.name, formatDuration(phase.durationSec), phase.targetBouncesPerMinute ?? ''].join(', ').replace(/, $/, ''))
+    .join('\n');
+}
+
+function isDrill(value: any): value is Drill {
+  return value && typeof value.id === 'string' && typeof value.name === 'string' &&
+    typeof value.countdownSec === 'number' && typeof value.warmUpSec === 'number' &&
+    Array.isArray(value.phases) && value.phases.length > 0 &&
+    value.phases.every((phase: any) => phase && typeof phase.name === 'string' && typeof phase.durationSec === 'number' &&
+      (phase.targetBouncesPerMinute === null || typeof phase.targetBouncesPerMinute === 'number'));
+}
+
+export const DRILL_STORAGE_KEY = 'bounceDetectorDrills';
+export const DRILL_STORE_VERSION = 1;
+
+/** Custom drills in localStorage, alongside the built-in library. */
+export class DrillStore {
+  private record: VersionedRecord;
+  private drills: Drill[] = [];
+
+  constructor(storage: Storage) {
+    this.record = new VersionedRecord(storage, DRILL_STORAGE_KEY, DRILL_STORE_VERSION, 'custom drills');
+  }
+
+  /** False when the stored drills could not be read: changes then last only until the page closes. */
+  public get writable(): boolean {
+    return this.record.writable;
+  }
+
+  public get custom(): readonly Drill[] {
+    return this.drills;
+  }
+
+  /** Built-in drills followed by custom ones. */
+  public get all(): readonly Drill[] {
+    return [...DRILL_LIBRARY, ...this.drills];
+  }
+
+  public find(id: string): Drill | undefined {
+    return this.all.find((drill) => drill.id === id);
+  }
+
+  public isCustom(id: string): boolean {
+    return this.drills.some((drill) => drill.id === id);
+  }
+
+  public load(): void {
+    this.drills = this.record.read((data) => Array.isArray(data.drills) ? data.drills.filter(isDrill) : []) ?? [];
+  }
+
+  private save(): void {
+    this.record.write({ drills: this.drills });
+  }
+
+  /** Add a custom drill, or replace the custom drill with the same id. */
+  public put(drill: Drill): void {
+    const index = this.drills.findIndex((d) => d.id === drill.id);
+    if (index === -1) {
+      this.drills.push(drill);
+    } else {
+      this.drills[index] = drill;
+    }
+    this.save();
+  }
+
+  public delete(id: string): void {
+    this.drills = this.drills.filter((drill) => drill.id !== id);
+    this.save();
+  }
+}
+
+export function newDrillId(): string {
+  return `custom-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
@@ -0,0 +1,178 @@
+/**
+ * Haptic Vocabulary
+ * Distinct vibration patterns for each kind of feedback, so a dancer with
+ * the phone in a pocket can tell them apart by feel: bounces (scaled by how
+ * far past the threshold they went), near-miss warnings, bounce streaks,
+ * session milestones, and sway and rotation faults. DOM-free; the caller
+ * supplies the vibrate function.
+ */
+
+import { FaultKind } from './fault-detectors.js';
+
+export type HapticCue = 'bounce' | 'warning' | 'streak' | 'milestone' | FaultKind;
+
+/** Alternating vibrate/pause durations in ms, starting with a vibration (as navigator.vibrate takes). */
+export type VibrationPattern = number[];
+
+export type HapticVocabulary = Record<HapticCue, VibrationPattern>;
+
+export const DEFAULT_HAPTIC_VOCABULARY: HapticVocabulary = {
+  bounce: [100],                          // One pulse, stretched and repeated for bigger bounces
+  warning: [15, 60, 15],                  // Two faint ticks
+  streak: [250, 100, 250, 100, 250],      // Three long buzzes
+  milestone: [40, 40, 40, 40, 40, 40, 400],  // Rapid trill then a long hold
+  sway: [50, 150, 50],                    // Two short taps, far apart: side, side
+  rotation: [300, 60, 50]                 // Long buzz with a short tail
+};
+
+// A deviation this fraction of the threshold or more (without crossing it) is a near miss
+const WARNING_FRACTION = 0.75;
+const WARNING_COOLDOWN_MS = 1500;
+// No warning straight after a bounce: the tail of the same movement is still settling
+const WARNING_AFTER_BOUNCE_MS = 500;
+// This many bounces, each within the window of the one before, make a streak
+const STREAK_LENGTH = 3;
+const STREAK_WINDOW_MS = 3000;
+const MILESTONE_INTERVAL_MS = 5 * 60 * 1000;
+// Bounce scaling: pulses stretch up to this factor, and every whole threshold
+// of excess adds a repeat, up to this many pulses
+const MAX_PULSE_STRETCH = 3;
+const MAX_BOUNCE_REPEATS = 3;
+const REPEAT_GAP_MS = 80;
+const MAX_PATTERN_MS = 5000;
+
+/**
+ * Scale the bounce pattern by how far the bounce exceeded the threshold.
+ * `excess` is (amplitude - threshold) / threshold: 0 just over the line,
+ * 1 at twice the threshold. Vibrations stretch with the excess and the
+ * whole pattern repeats once per whole threshold of excess.
+ */
+export function scaleBouncePattern(base: VibrationPattern, excess: number): VibrationPattern {
+  const clamped = Math.max(0, excess);
+  const stretch = Math.min(MAX_PULSE_STRETCH, 1 + clamped);
+  const repeats = Math.min(MAX_BOUNCE_REPEATS, 1 + Math.floor(clamped));
+
+  const stretched = base.map((ms, i) => (i % 2 === 0 ? Math.round(ms * stretch) : ms));
+  const pattern: VibrationPattern = [];
+  for (let r = 0; r < repeats; r++) {
+    if (r > 0) {
+      // Join repeats with a pause; a pattern ending in a pause just lengthens it
+      if (pattern.length % 2 === 1) {
+        pattern.push(REPEAT_GAP_MS);
+      } else {
+        pattern[pattern.length - 1] += REPEAT_GAP_MS;
+      }
+    }
+    pattern.push(...stretched);
+  }
+  return pattern;
+}
+
+/** Parse "100 50 100" (or comma separated) into a pattern. Throws an Error describing the problem. */
+export function parsePattern(text: string): VibrationPattern {
+  const parts = text.split(/[\s,]+/).filter((part) => part.length > 0);
+  if (parts.length === 0) {
+    throw new Error('Pattern is empty');
+  }
+  const pattern = parts.map((part) => Number(part));
+  if (pattern.some((ms) => !Number.isInteger(ms) || ms < 0)) {
+    throw new Error('Use whole milliseconds, e.g. "100 50 100"');
+  }
+  if (pattern.reduce((a, b) => a + b, 0) > MAX_PATTERN_MS) {
+    throw new Error(`Pattern is longer than ${MAX_PATTERN_MS / 1000} seconds`);
+  }
+  return pattern;
+}
+
+export function formatPattern(pattern: VibrationPattern): string {
+  return pattern.join(' ');
+}
+
+/**
+ * Decides which cue (if any) to play as a session unfolds and hands its
+ * pattern to `vibrate`.
+ */
+export class HapticCoach {
+  private vibrate: (pattern: VibrationPattern) => void;
+  private vocabulary: HapticVocabulary;
+  private lastWarning: number = -Infinity;
+  private lastBounce: number = -Infinity;
+  private streak: number = 0;
+  private milestonesReached: number = 0;
+
+  constructor(vibrate: (pattern: VibrationPattern) => void, vocabulary: HapticVocabulary = DEFAULT_HAPTIC_VOCABULARY) {
+    this.vibrate = vibrate;
+    this.vocabulary = vocabulary;
+  }
+
+  public setVocabulary(vocabulary: HapticVocabulary): void {
+    this.vocabulary = vocabulary;
+  }
+
+  public reset(): void {
+    this.lastWarning = -Infinity;
+    this.lastBounce = -Infinity;
+    this.streak = 0;
+    this.milestonesReached = 0;
+  }
+
+  /** Play a cue as-is (for previews). */
+  public play(cue: HapticCue): void {
+    this.vibrate(this.vocabulary[cue]);
+  }
+
+  /** A sample's deviation and the deviation that would count as a bounce. */
+  public onDeviation(timestamp: number, deviation: number, threshold: number): void {
+    if (deviation < threshold * WARNING_FRACTION || deviation >= threshold) return;
+    if (timestamp - this.lastWarning < WARNING_COOLDOWN_MS || timestamp - this.lastBounce < WARNING_AFTER_BOUNCE_MS) return;
+    this.lastWarning = timestamp;
+    this.vibrate(this.vocabulary.warning);
+  }
+
+  /** A counted bounce. A streak cue replaces the bounce cue when it completes a streak. */
+  public onBounce(timestamp: number, amplitude: number, threshold: number): void {
+    this.streak = timestamp - this.lastBounce <= STREAK_WINDOW_MS ? this.streak + 1 : 1;
+    this.lastBounce = timestamp;
+
+    if (this.streak >= STREAK_LENGTH) {
+      this.streak = 0;
+      this.vibrate(this.vocabulary.streak);
+      return;
+    }
+    const excess = threshold > 0 ? (amplitude - threshold) / threshold : 0;
+    this.vibrate(scaleBouncePattern(this.vocabulary.bounce, excess));
+  }
+
+  /** A sway or rotation fault; each has its own cue so it is not mistaken for a bounce. */
+  public onFault(kind: FaultKind): void {
+    this.vibrate(this.vocabulary[kind]);
+  }
+
+  /** Time practised so far; plays the milestone cue at each interval. */
+  public onElapsed(elapsedMs: number): void {
+    const reached = Math.floor(elapsedMs / MILESTONE_INTERVAL_MS);
+    if (reached > this.milestonesReached) {
+      this.milestonesReached = reached;
+      this.vibrate(this.vocabulary.milestone);
+    }
+  }
+}
+
+function isPattern(value: unknown): value is VibrationPattern {
+  return Array.isArray(value) && value.length > 0 &&
+    value.every((ms) => typeof ms === 'number' && Number.isInteger(ms) && ms >= 0);
+}
+
+/** Stored or imported patterns, with anything missing or malformed replaced by the default. */
+export function sanitizeVocabulary(value: unknown): HapticVocabulary {
+  const vocabulary = { ...DEFAULT_HAPTIC_VOCABULARY };
+  if (value && typeof value === 'object') {
+    (Object.keys(vocabulary) as HapticCue[]).forEach((cue) => {
+      const pattern = (value as Record<string, unknown>)[cue];
+      if (isPattern(pattern)) {
+        vocabulary[cue] = pattern;
+      }
+    });
+  }
+  return vocabulary;
+}
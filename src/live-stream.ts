@@ -0,0 +1,192 @@
+/**
+ * Live Stream
+ * Publishes the detector's status, bounces and vertical signal to a relay
+ * over a WebSocket, so an instructor can follow a lesson from a laptop while
+ * the phone stays in the dancer's pocket. Opt-in and best-effort: nothing is
+ * queued while disconnected, and the connection retries on its own.
+ */
+
+import {
+  BounceMessage,
+  DancerMessage,
+  MAX_SIGNAL_SAMPLES,
+  STREAM_PROTOCOL_VERSION,
+  SignalMessage,
+  StatusMessage
+} from './live-stream-protocol.js';
+
+export type StreamState = 'off' | 'connecting' | 'connected' | 'reconnecting';
+
+export interface StreamSettings {
+  relay: string;            // Address as typed: host:port or a ws(s):// URL
+  name: string;
+  id: string;               // This device, so the viewer keeps its card across reconnects
+}
+
+export const STREAM_STORAGE_KEY = 'bounceDetectorStream';
+// The signal goes out in batches this often (ms): about 10 messages a second
+const SIGNAL_INTERVAL_MS = 100;
+// Wi-Fi that cannot keep up gets gaps rather than a growing backlog
+const MAX_BUFFERED_BYTES = 64 * 1024;
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 10000;
+
+/** A new random device id. */
+export function newDancerId(): string {
+  return `dancer-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/** Relay address, name and device id, with a fresh id when none is stored. */
+export function loadStreamSettings(storage: Storage): StreamSettings {
+  let stored: any = null;
+  try {
+    stored = JSON.parse(storage.getItem(STREAM_STORAGE_KEY) ?? 'null');
+  } catch (e) {
+    console.warn('Could not load stream settings:', e);
+  }
+  return {
+    relay: typeof stored?.relay === 'string' ? stored.relay : '',
+    name: typeof stored?.name === 'string' ? stored.name : '',
+    id: typeof stored?.id === 'string' && stored.id ? stored.id : newDancerId()
+  };
+}
+
+export function saveStreamSettings(storage: Storage, settings: StreamSettings): void {
+  try {
+    storage.setItem(STREAM_STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn('Could not save stream settings:', e);
+  }
+}
+
+/** Connection to one relay. The caller starts and stops it and feeds it detector events. */
+export class LiveStreamPublisher {
+  private socket: WebSocket | null = null;
+  private url: string = '';
+  private id: string = '';
+  private name: string = '';
+  private currentState: StreamState = 'off';
+  private onStateChange: (state: StreamState) => void;
+  private lastStatus: StatusMessage | null = null;   // Resent on every (re)connect
+  private signal: [number, number][] = [];
+  private band: { baseline: number; threshold: number } = { baseline: 0, threshold: 0 };
+  private signalTimer: ReturnType<typeof setInterval> | null = null;
+  private reconnectTimer: ReturnType<typeof setTimeout> | null = null;
+  private reconnectDelay: number = RECONNECT_MIN_MS;
+
+  constructor(onStateChange: (state: StreamState) => void) {
+    this.onStateChange = onStateChange;
+  }
+
+  public get state(): StreamState {
+    return this.currentState;
+  }
+
+  /** Connect to a relay URL (see relayUrl) as this dancer. */
+  public start(url: string, id: string, name: string): void {
+    this.stop();
+    this.url = url;
+    this.id = id;
+    this.name = name;
+    this.reconnectDelay = RECONNECT_MIN_MS;
+    this.connect('connecting');
+  }
+
+  public stop(): void {
+    if (this.reconnectTimer !== null) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.signalTimer !== null) {
+      clearInterval(this.signalTimer);
+      this.signalTimer = null;
+    }
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.close();
+    }
+    this.signal = [];
+    this.setState('off');
+  }
+
+  public sendStatus(status: Omit<StatusMessage, 'type'>): void {
+    this.lastStatus = { type: 'status', ...status };
+    this.send(this.lastStatus);
+  }
+
+  public sendBounce(bounce: Omit<BounceMessage, 'type'>): void {
+    this.send({ type: 'bounce', ...bounce });
+  }
+
+  /** One processed sample of the vertical magnitude, with the active detection threshold; sent in batches. */
+  public addSample(timestamp: number, magnitude: number, baseline: number, threshold: number): void {
+    if (this.currentState !== 'connected') return;
+    // Timers are throttled in the background; keep the newest samples rather than sending an oversized batch
+    if (this.signal.length >= MAX_SIGNAL_SAMPLES) {
+      this.signal.shift();
+    }
+    this.signal.push([Math.round(timestamp), Math.round(magnitude * 100) / 100]);
+    this.band = { baseline: Math.round(baseline * 100) / 100, threshold: Math.round(threshold * 100) / 100 };
+  }
+
+  private connect(state: StreamState): void {
+    this.setState(state);
+    let socket: WebSocket;
+    try {
+      socket = new WebSocket(this.url);
+    } catch (e) {
+      // A URL the browser refuses outright (e.g. ws:// from a secure page) will not work on a retry either
+      console.warn('Could not open live stream:', e);
+      this.stop();
+      return;
+    }
+    this.socket = socket;
+
+    socket.addEventListener('open', () => {
+      if (this.socket !== socket) return;
+      this.reconnectDelay = RECONNECT_MIN_MS;
+      socket.send(JSON.stringify({ type: 'hello', role: 'dancer', version: STREAM_PROTOCOL_VERSION, id: this.id, name: this.name }));
+      if (this.lastStatus) {
+        socket.send(JSON.stringify(this.lastStatus));
+      }
+      this.signalTimer = setInterval(() => this.flushSignal(), SIGNAL_INTERVAL_MS);
+      this.setState('connected');
+    });
+
+    socket.addEventListener('close', () => {
+      if (this.socket !== socket) return;   // Closed by stop()
+      this.socket = null;
+      if (this.signalTimer !== null) {
+        clearInterval(this.signalTimer);
+        this.signalTimer = null;
+      }
+      this.signal = [];
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null;
+        this.connect('reconnecting');
+      }, this.reconnectDelay);
+      this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_MAX_MS);
+      this.setState('reconnecting');
+    });
+  }
+
+  private flushSignal(): void {
+    if (this.signal.length === 0) return;
+    const message: SignalMessage = { type: 'signal', ...this.band, samples: this.signal };
+    this.signal = [];
+    this.send(message);
+  }
+
+  private send(message: DancerMessage): void {
+    if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+    if (message.type === 'signal' && this.socket.bufferedAmount > MAX_BUFFERED_BYTES) return;
+    this.socket.send(JSON.stringify(message));
+  }
+
+  private setState(state: StreamState): void {
+    if (state === this.currentState) return;
+    this.currentState = state;
+    this.onStateChange(state);
+  }
+}
@@ -0,0 +1,75 @@
+/**
+ * Metronome
+ * Audible click track scheduled on the AudioContext clock, so clicks stay
+ * steady even when the main thread is busy with sensor events.
+ */
+
+// How often the scheduler wakes up, and how far ahead it schedules clicks
+const SCHEDULER_INTERVAL_MS = 25;
+const SCHEDULE_AHEAD_SEC = 0.1;
+const CLICK_DURATION_SEC = 0.03;
+const ACCENT_FREQUENCY = 1500;   // First beat of the bar
+const BEAT_FREQUENCY = 1000;
+
+export class Metronome {
+  private audioContext: AudioContext;
+  private destination: AudioNode;
+  private bpm: number = 120;
+  private beatsPerBar: number = 4;
+  private nextClickTime: number = 0;
+  private beatInBar: number = 0;
+  private timer: ReturnType<typeof setInterval> | null = null;
+
+  constructor(audioContext: AudioContext, destination: AudioNode) {
+    this.audioContext = audioContext;
+    this.destination = destination;
+  }
+
+  public get isRunning(): boolean {
+    return this.timer !== null;
+  }
+
+  public setTempo(bpm: number): void {
+    this.bpm = bpm;
+  }
+
+  public start(bpm: number = this.bpm): void {
+    this.stop();
+    this.bpm = bpm;
+    this.beatInBar = 0;
+    this.nextClickTime = this.audioContext.currentTime + 0.05;
+    this.timer = setInterval(() => this.schedule(), SCHEDULER_INTERVAL_MS);
+    this.schedule();
+  }
+
+  public stop(): void {
+    if (this.timer !== null) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  private schedule(): void {
+    while (this.nextClickTime < this.audioContext.currentTime + SCHEDULE_AHEAD_SEC) {
+      this.click(this.nextClickTime, this.beatInBar === 0);
+      this.nextClickTime += 60 / this.bpm;
+      this.beatInBar = (this.beatInBar + 1) % this.beatsPerBar;
+    }
+  }
+
+  private click(time: number, accent: boolean): void {
+    const oscillator = this.audioContext.createOscillator();
+    const clickGain = this.audioContext.createGain();
+
+    oscillator.type = 'triangle';
+    oscillator.frequency.value = accent ? ACCENT_FREQUENCY : BEAT_FREQUENCY;
+
+    clickGain.gain.setValueAtTime(1, time);
+    clickGain.gain.exponentialRampToValueAtTime(0.001, time + CLICK_DURATION_SEC);
+
+    oscillator.connect(clickGain);
+    clickGain.connect(this.destination);
+    oscillator.start(time);
+    oscillator.stop(time + CLICK_DURATION_SEC);
+  }
+}
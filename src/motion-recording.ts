@@ -0,0 +1,238 @@
+/**
+ * Motion Recording
+ * Captures raw accelerometer streams into a portable JSON format and replays
+ * them through BounceEngine so detection settings can be compared offline.
+ * DOM-free: works in the page and under Node.
+ */
+
+import {
+  BounceEngine,
+  BounceEvent,
+  CandidateEvent,
+  DEFAULT_ENGINE_CONFIG,
+  EngineConfig,
+  MotionSample,
+  Vector3
+} from './detector-engine.js';
+import { PLACEMENTS } from './placement.js';
+
+export const RECORDING_FORMAT = 'dance-bounce-recording';
+export const RECORDING_VERSION = 2;
+const SUPPORTED_VERSIONS = [1, 2];
+
+/**
+ * One sample per row: [t, gx, gy, gz, lx, ly, lz, ra, rb, rg]
+ * - t: milliseconds since the first sample
+ * - gx, gy, gz: accelerationIncludingGravity (m/s^2)
+ * - lx, ly, lz: linear acceleration (m/s^2), null when the device has no gravity sensor
+ * - ra, rb, rg: rotationRate alpha/beta/gamma (deg/s), null without a gyroscope.
+ *   Version 1 recordings stop after lz.
+ */
+export type RecordedSampleRow = [
+  number, number, number, number,
+  number | null, number | null, number | null,
+  (number | null)?, (number | null)?, (number | null)?
+];
+
+export interface MotionRecording {
+  format: typeof RECORDING_FORMAT;
+  version: number;
+  recordedAt: string;              // ISO 8601 start time
+  userAgent?: string;              // Device that produced the recording (informational)
+  settings: EngineConfig;          // Engine settings in effect while recording
+  calibration: {
+    baselineMagnitude: number;
+    gravity: Vector3;              // Gravity direction at the start of the recording
+  };
+  samples: RecordedSampleRow[];
+}
+
+export interface ReplayResult {
+  settings: EngineConfig;
+  sampleCount: number;
+  durationMs: number;
+  bounceCount: number;
+  bounces: BounceEvent[];
+  candidates: CandidateEvent[];    // Every movement a sensitivity setting could count, for labelling
+}
+
+export class MotionRecorder {
+  private rows: RecordedSampleRow[] = [];
+  private startTimestamp: number | null = null;
+  private startedAt: Date = new Date();
+  private settings: EngineConfig | null = null;
+  private calibration: MotionRecording['calibration'] | null = null;
+  private recording: boolean = false;
+
+  public get isRecording(): boolean {
+    return this.recording;
+  }
+
+  public get sampleCount(): number {
+    return this.rows.length;
+  }
+
+  /** Begin a new recording, discarding any previous one. */
+  public start(settings: EngineConfig, calibration: MotionRecording['calibration']): void {
+    this.rows = [];
+    this.startTimestamp = null;
+    this.startedAt = new Date();
+    this.settings = { ...settings };
+    this.calibration = { baselineMagnitude: calibration.baselineMagnitude, gravity: { ...calibration.gravity } };
+    this.recording = true;
+  }
+
+  public add(sample: MotionSample): void {
+    if (!this.recording) return;
+
+    if (this.startTimestamp === null) {
+      this.startTimestamp = sample.timestamp;
+    }
+
+    const g = sample.accelerationIncludingGravity;
+    const l = sample.acceleration;
+    const r = sample.rotationRate;
+    this.rows.push([
+      sample.timestamp - this.startTimestamp,
+      g.x, g.y, g.z,
+      l ? l.x : null, l ? l.y : null, l ? l.z : null,
+      r ? r.alpha : null, r ? r.beta : null, r ? r.gamma : null
+    ]);
+  }
+
+  /** Stop capturing and return the finished recording (null if nothing was started). */
+  public stop(userAgent?: string): MotionRecording | null {
+    this.recording = false;
+    if (!this.settings || !this.calibration) return null;
+
+    return {
+      format: RECORDING_FORMAT,
+      version: RECORDING_VERSION,
+      recordedAt: this.startedAt.toISOString(),
+      userAgent,
+      settings: this.settings,
+      calibration: this.calibration,
+      samples: this.rows
+    };
+  }
+}
+
+export function serializeRecording(recording: MotionRecording): string {
+  return JSON.stringify(recording);
+}
+
+function isFiniteNumber(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+// Allowed values of the engine's string settings
+const SETTING_CHOICES: Partial<Record<keyof EngineConfig, readonly string[]>> = {
+  gravityMode: ['sensor', 'filter'],
+  algorithm: ['threshold', 'peak-valley'],
+  placement: PLACEMENTS
+};
+
+/**
+ * Engine settings from a file. Fields the engine does not know are dropped,
+ * and ill-typed or out-of-range ones fall back to their defaults, so a
+ * hand-edited file cannot feed the engine a string where it does arithmetic.
+ */
+function sanitizeSettings(value: unknown): EngineConfig {
+  const settings: Record<string, unknown> = { ...DEFAULT_ENGINE_CONFIG };
+  const source: Record<string, unknown> = value !== null && typeof value === 'object' ? value as Record<string, unknown> : {};
+  (Object.keys(DEFAULT_ENGINE_CONFIG) as (keyof EngineConfig)[]).forEach((key) => {
+    const field = source[key];
+    const choices = SETTING_CHOICES[key];
+    const valid = typeof DEFAULT_ENGINE_CONFIG[key] === 'number'
+      ? isFiniteNumber(field) && field >= 0
+      : typeof field === typeof DEFAULT_ENGINE_CONFIG[key] && (!choices || choices.includes(field as string));
+    if (valid) {
+      settings[key] = field;
+    }
+  });
+  return settings as unknown as EngineConfig;
+}
+
+/** Parse and validate a recording file. Throws an Error describing the first problem found. */
+export function parseRecording(text: string): MotionRecording {
+  let data: any;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error('Recording is not valid JSON');
+  }
+
+  if (!data || data.format !== RECORDING_FORMAT) {
+    throw new Error('Not a dance bounce recording');
+  }
+  if (!SUPPORTED_VERSIONS.includes(data.version)) {
+    throw new Error(`Unsupported recording version: ${data.version}`);
+  }
+  if (!Array.isArray(data.samples)) {
+    throw new Error('Recording has no samples');
+  }
+
+  const rowLength = data.version === 1 ? 7 : 10;
+  const isOptionalTriple = (values: unknown[]) => values.every((v) => v === null) || values.every(isFiniteNumber);
+  data.samples.forEach((row: unknown, index: number) => {
+    if (!Array.isArray(row) || row.length !== rowLength ||
+        !isFiniteNumber(row[0]) || !isFiniteNumber(row[1]) || !isFiniteNumber(row[2]) || !isFiniteNumber(row[3])) {
+      throw new Error(`Malformed sample at row ${index}`);
+    }
+    if (!isOptionalTriple(row.slice(4, 7))) {
+      throw new Error(`Malformed linear acceleration at row ${index}`);
+    }
+    if (!isOptionalTriple(row.slice(7, 10))) {
+      throw new Error(`Malformed rotation rate at row ${index}`);
+    }
+  });
+
+  const calibration = data.calibration ?? {};
+  const gravity = calibration.gravity ?? {};
+  if (!isFiniteNumber(calibration.baselineMagnitude) ||
+      !isFiniteNumber(gravity.x) || !isFiniteNumber(gravity.y) || !isFiniteNumber(gravity.z)) {
+    throw new Error('Recording has no calibration data');
+  }
+
+  return { ...data, settings: sanitizeSettings(data.settings) } as MotionRecording;
+}
+
+export function rowToSample(row: RecordedSampleRow): MotionSample {
+  const [t, gx, gy, gz, lx, ly, lz, ra, rb, rg] = row;
+  return {
+    timestamp: t,
+    accelerationIncludingGravity: { x: gx, y: gy, z: gz },
+    acceleration: lx !== null && ly !== null && lz !== null ? { x: lx, y: ly, z: lz } : null,
+    rotationRate: ra != null && rb != null && rg != null ? { alpha: ra, beta: rb, gamma: rg } : null
+  };
+}
+
+/**
+ * Feed a recording through a fresh engine, starting from the calibration that
+ * was active when it was captured. Settings default to the recorded ones;
+ * pass overrides to see how a different sensitivity or gravity mode would
+ * have behaved on the same motion.
+ */
+export function replayRecording(recording: MotionRecording, overrides: Partial<EngineConfig> = {}): ReplayResult {
+  // Recordings made before a setting existed replay with that setting's default
+  const settings: EngineConfig = { ...DEFAULT_ENGINE_CONFIG, ...recording.settings, ...overrides };
+  const engine = new BounceEngine(settings);
+  engine.restoreCalibration(recording.calibration);
+
+  const bounces: BounceEvent[] = [];
+  const candidates: CandidateEvent[] = [];
+  engine.on('bounce', (event) => bounces.push(event));
+  engine.on('candidate', (event) => candidates.push(event));
+
+  recording.samples.forEach((row) => engine.processSample(rowToSample(row)));
+
+  const last = recording.samples[recording.samples.length - 1];
+  return {
+    settings,
+    sampleCount: recording.samples.length,
+    durationMs: last ? last[0] : 0,
+    bounceCount: bounces.length,
+    bounces,
+    candidates
+  };
+}
@@ -0,0 +1,94 @@
+/**
+ * Music Track
+ * Loads a local audio file into the app's AudioContext, analyses its beat
+ * grid offline and plays it alongside detection.
+ */
+
+import { BeatGrid, detectBeatGrid } from './beat-analysis.js';
+
+// Kick drum and bass carry the beat; everything above is mostly noise for tempo tracking
+const BEAT_LOWPASS_HZ = 150;
+// Analysis runs at a reduced rate: plenty for a 150 Hz low-passed signal and much faster
+const ANALYSIS_SAMPLE_RATE = 11025;
+
+export class MusicTrack {
+  public readonly name: string;
+  public readonly grid: BeatGrid;
+  private buffer: AudioBuffer;
+  private audioContext: AudioContext;
+  private source: AudioBufferSourceNode | null = null;
+  private startedAtWallClock: number = 0;  // Date.now() when playback started
+
+  private constructor(name: string, buffer: AudioBuffer, grid: BeatGrid, audioContext: AudioContext) {
+    this.name = name;
+    this.buffer = buffer;
+    this.grid = grid;
+    this.audioContext = audioContext;
+  }
+
+  /** Decode and analyse a file. Throws if it cannot be decoded or has no detectable beat. */
+  public static async load(file: File, audioContext: AudioContext): Promise<MusicTrack> {
+    const buffer = await audioContext.decodeAudioData(await file.arrayBuffer());
+    const signal = await MusicTrack.renderBeatSignal(buffer);
+    const grid = detectBeatGrid(signal, ANALYSIS_SAMPLE_RATE);
+    if (!grid) {
+      throw new Error('No steady beat found in this track');
+    }
+    return new MusicTrack(file.name, buffer, grid, audioContext);
+  }
+
+  /** Mix to mono, low-pass and resample offline so beat detection sees the rhythm section. */
+  private static async renderBeatSignal(buffer: AudioBuffer): Promise<Float32Array> {
+    const length = Math.ceil(buffer.duration * ANALYSIS_SAMPLE_RATE);
+    const offline = new OfflineAudioContext(1, length, ANALYSIS_SAMPLE_RATE);
+
+    const source = offline.createBufferSource();
+    source.buffer = buffer;
+    const lowpass = offline.createBiquadFilter();
+    lowpass.type = 'lowpass';
+    lowpass.frequency.value = BEAT_LOWPASS_HZ;
+    source.connect(lowpass);
+    lowpass.connect(offline.destination);
+    source.start();
+
+    const rendered = await offline.startRendering();
+    return rendered.getChannelData(0);
+  }
+
+  public get isPlaying(): boolean {
+    return this.source !== null;
+  }
+
+  public play(destination: AudioNode): void {
+    this.stop();
+    this.source = this.audioContext.createBufferSource();
+    this.source.buffer = this.buffer;
+    this.source.connect(destination);
+    this.source.onended = () => {
+      this.source = null;
+    };
+    this.source.start();
+    this.startedAtWallClock = Date.now();
+  }
+
+  public stop(): void {
+    if (this.source) {
+      try {
+        this.source.onended = null;
+        this.source.stop();
+        this.source.disconnect();
+      } catch (e) {
+        // Source might already be stopped
+      }
+      this.source = null;
+    }
+  }
+
+  /** Position in the track (seconds) the dancer was hearing at a Date.now()-based timestamp. */
+  public positionAt(timestamp: number): number {
+    // Sound reaches the speaker outputLatency after it is scheduled (not reported by every browser)
+    const latency = this.audioContext.outputLatency || 0;
+    const position = (timestamp - this.startedAtWallClock) / 1000 - latency;
+    return Math.max(0, Math.min(this.buffer.duration, position));
+  }
+}
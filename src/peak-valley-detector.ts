@@ -0,0 +1,97 @@
+/**
+ * Peak/Valley Bounce Detector
+ * Finds a rise-and-fall (or fall-and-rise) in band-pass filtered vertical
+ * acceleration. A single spike from a foot strike produces only one
+ * excursion and is ignored; a real bounce produces a matched pair.
+ */
+
+// Excursion ends once the signal falls back below this fraction of the entry threshold
+const HYSTERESIS_RATIO = 0.3;
+// Longest pause allowed between the two halves of one bounce (ms)
+const MAX_EXCURSION_GAP_MS = 250;
+// Excursions longer than this are posture changes, not bounces (ms)
+const MAX_EXCURSION_DURATION_MS = 1000;
+
+interface Excursion {
+  sign: 1 | -1;       // +1 above baseline (pushed down / landing), -1 below (lifting / airborne)
+  start: number;
+  end: number;
+  peak: number;       // Largest absolute filtered value reached (m/s^2)
+}
+
+export interface PeakValleyBounce {
+  startTimestamp: number;
+  endTimestamp: number;
+  amplitude: number;   // Peak-to-peak filtered acceleration (m/s^2)
+  durationMs: number;
+}
+
+export class PeakValleyDetector {
+  private current: Excursion | null = null;
+  private previous: Excursion | null = null;
+
+  /**
+   * Feed one filtered sample. `threshold` is the minimum peak-to-peak swing
+   * (m/s^2); each half must reach half of it to count as an excursion.
+   * Returns the bounce completed by this sample, if any.
+   */
+  public process(filtered: number, timestamp: number, threshold: number): PeakValleyBounce | null {
+    const enter = threshold / 2;
+    const exit = enter * HYSTERESIS_RATIO;
+    let bounce: PeakValleyBounce | null = null;
+
+    if (this.current) {
+      const signed = this.current.sign * filtered;
+      if (signed > this.current.peak) {
+        this.current.peak = signed;
+      }
+
+      if (timestamp - this.current.start > MAX_EXCURSION_DURATION_MS) {
+        this.current = null;
+        this.previous = null;
+      } else if (signed < exit) {
+        this.current.end = timestamp;
+        bounce = this.finishExcursion(this.current, threshold);
+        this.current = null;
+      }
+    }
+
+    // A large swing can cross straight from one side to the other within a
+    // single sample, so the sample that ended an excursion may start the next
+    if (!this.current && Math.abs(filtered) > enter) {
+      this.current = {
+        sign: filtered > 0 ? 1 : -1,
+        start: timestamp,
+        end: timestamp,
+        peak: Math.abs(filtered)
+      };
+    }
+
+    return bounce;
+  }
+
+  private finishExcursion(excursion: Excursion, threshold: number): PeakValleyBounce | null {
+    const previous = this.previous;
+
+    if (previous &&
+        previous.sign !== excursion.sign &&
+        excursion.start - previous.end <= MAX_EXCURSION_GAP_MS &&
+        previous.peak + excursion.peak >= threshold) {
+      this.previous = null;
+      return {
+        startTimestamp: previous.start,
+        endTimestamp: excursion.end,
+        amplitude: previous.peak + excursion.peak,
+        durationMs: excursion.end - previous.start
+      };
+    }
+
+    this.previous = excursion;
+    return null;
+  }
+
+  public reset(): void {
+    this.current = null;
+    this.previous = null;
+  }
+}
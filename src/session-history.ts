@@ -0,0 +1,156 @@
+/**
+ * Practice History
+ * Persists completed practice sessions in IndexedDB and derives the
+ * per-session and weekly statistics shown in the history view.
+ */
+
+import { DetectionAlgorithm, GravityMode, PhonePlacement } from './detector-engine.js';
+import { BounceSeverity } from './displacement.js';
+import { BeatPhase } from './beat-analysis.js';
+import { FaultKind } from './fault-detectors.js';
+
+export interface SessionSettings {
+  sensitivity: number;
+  debounceTime: number;
+  gravityMode: GravityMode;
+  placement?: PhonePlacement;      // Missing on sessions saved before placement presets existed
+  algorithm?: DetectionAlgorithm;  // Missing on sessions saved before algorithm selection existed
+  displacementTolerance?: number;  // cm
+  turnTolerant?: boolean;
+  autoPause?: boolean;
+  swayDetection?: boolean;
+  rotationDetection?: boolean;
+  audioMode: string;
+}
+
+export interface SessionMusic {
+  trackName: string;
+  bpm: number;
+  phaseCounts: Record<BeatPhase, number>;
+  countHistogram: number[];    // Bounces per phrase count, index 0 is count 1
+  averageBouncesPerBar: number;
+}
+
+export interface PracticeSession {
+  id?: number;                 // Assigned by IndexedDB
+  startTime: number;           // Epoch ms
+  durationMs: number;
+  activeMs?: number;            // Time spent dancing, excluding auto-paused stretches (missing on older sessions)
+  bounceCount: number;
+  bouncesPerMinute: number;     // Per active minute
+  severityCounts?: Record<BounceSeverity, number>;
+  averageDisplacementCm?: number;
+  suppressedCount?: number;     // Detections discarded by turn-tolerant filtering
+  faultCounts?: Record<FaultKind, number>;  // Present when sway or rotation detection was on
+  music?: SessionMusic;         // Present when a track was playing
+  tempoBpm?: number;            // Dance tempo, when one was set
+  bouncesPerStep?: number;      // Bounces divided by steps at tempoBpm
+  settings: SessionSettings;
+  baselineMagnitude: number;   // Calibration baseline in effect (m/s^2)
+}
+
+export interface WeeklyTrend {
+  weekStart: number;           // Epoch ms of the Monday 00:00 local time
+  sessionCount: number;
+  totalDurationMs: number;     // Active time where recorded
+  totalBounces: number;
+  bouncesPerMinute: number;    // Weighted by session duration
+}
+
+const DB_NAME = 'danceBounceDetector';
+const DB_VERSION = 1;
+const SESSION_STORE = 'sessions';
+
+export function bouncesPerMinute(bounceCount: number, durationMs: number): number {
+  return durationMs > 0 ? bounceCount / (durationMs / 60000) : 0;
+}
+
+function startOfWeek(timestamp: number): number {
+  const date = new Date(timestamp);
+  const daysSinceMonday = (date.getDay() + 6) % 7;
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() - daysSinceMonday);
+  return date.getTime();
+}
+
+/** Group sessions by calendar week (oldest first) for the trend chart. */
+export function weeklyTrends(sessions: PracticeSession[]): WeeklyTrend[] {
+  const weeks = new Map<number, WeeklyTrend>();
+
+  sessions.forEach((session) => {
+    const weekStart = startOfWeek(session.startTime);
+    let week = weeks.get(weekStart);
+    if (!week) {
+      week = { weekStart, sessionCount: 0, totalDurationMs: 0, totalBounces: 0, bouncesPerMinute: 0 };
+      weeks.set(weekStart, week);
+    }
+    week.sessionCount++;
+    week.totalDurationMs += session.activeMs ?? session.durationMs;
+    week.totalBounces += session.bounceCount;
+  });
+
+  return Array.from(weeks.values())
+    .map((week) => ({ ...week, bouncesPerMinute: bouncesPerMinute(week.totalBounces, week.totalDurationMs) }))
+    .sort((a, b) => a.weekStart - b.weekStart);
+}
+
+function promisify<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export class SessionHistoryStore {
+  private db: Promise<IDBDatabase> | null = null;
+
+  public static isSupported(): boolean {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  private open(): Promise<IDBDatabase> {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(SESSION_STORE)) {
+            const store = db.createObjectStore(SESSION_STORE, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('startTime', 'startTime');
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  private async store(mode: IDBTransactionMode): Promise<IDBObjectStore> {
+    const db = await this.open();
+    return db.transaction(SESSION_STORE, mode).objectStore(SESSION_STORE);
+  }
+
+  /** Save a session and return its new id. */
+  public async addSession(session: PracticeSession): Promise<number> {
+    const store = await this.store('readwrite');
+    const { id, ...record } = session;
+    return (await promisify(store.add(record))) as number;
+  }
+
+  /** All sessions, oldest first. */
+  public async getSessions(): Promise<PracticeSession[]> {
+    const store = await this.store('readonly');
+    return promisify(store.index('startTime').getAll()) as Promise<PracticeSession[]>;
+  }
+
+  public async deleteSession(id: number): Promise<void> {
+    const store = await this.store('readwrite');
+    await promisify(store.delete(id));
+  }
+
+  public async clear(): Promise<void> {
+    const store = await this.store('readwrite');
+    await promisify(store.clear());
+  }
+}
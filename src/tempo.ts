@@ -0,0 +1,58 @@
+/**
+ * Tempo Helpers
+ * Tap-tempo estimation and the mapping from a dance tempo to detection timing.
+ */
+
+export const MIN_TEMPO_BPM = 40;
+export const MAX_TEMPO_BPM = 260;
+
+// Taps further apart than this start a new tempo (ms)
+const TAP_RESET_MS = 2000;
+// Only the most recent taps count, so the estimate follows a changing tempo
+const MAX_TAPS = 8;
+// One bounce per step at most: the debounce window covers most of a step so a
+// single rise-and-fall can't trigger twice, but leaves room for timing drift
+const DEBOUNCE_STEP_FRACTION = 0.6;
+
+export function clampTempo(bpm: number): number {
+  return Math.min(MAX_TEMPO_BPM, Math.max(MIN_TEMPO_BPM, bpm));
+}
+
+/** Step period for a tempo where each beat is one step (ms). */
+export function stepIntervalMs(bpm: number): number {
+  return 60000 / bpm;
+}
+
+export function debounceForTempo(bpm: number): number {
+  return Math.round(stepIntervalMs(bpm) * DEBOUNCE_STEP_FRACTION);
+}
+
+export function bouncesPerStep(bounceCount: number, durationMs: number, bpm: number): number {
+  const steps = durationMs / stepIntervalMs(bpm);
+  return steps > 0 ? bounceCount / steps : 0;
+}
+
+export class TapTempo {
+  private taps: number[] = [];
+
+  /** Register a tap (ms timestamp). Returns the tempo once there are at least two taps. */
+  public tap(timestamp: number): number | null {
+    const last = this.taps[this.taps.length - 1];
+    if (last !== undefined && timestamp - last > TAP_RESET_MS) {
+      this.taps = [];
+    }
+
+    this.taps.push(timestamp);
+    if (this.taps.length > MAX_TAPS) {
+      this.taps.shift();
+    }
+    if (this.taps.length < 2) return null;
+
+    const averageInterval = (this.taps[this.taps.length - 1] - this.taps[0]) / (this.taps.length - 1);
+    return clampTempo(60000 / averageInterval);
+  }
+
+  public reset(): void {
+    this.taps = [];
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * Turn Detector
+ * Recognises spins and pivots from the gyroscope. While a turn is in
+ * progress the accelerometer picks up centripetal and tilt artefacts that
+ * look like vertical motion, so the engine treats detections with suspicion.
+ */
+
+import { LowPassFilter } from './signal-filters.js';
+
+export interface RotationRate {
+  alpha: number;  // deg/s around the z axis
+  beta: number;   // deg/s around the x axis
+  gamma: number;  // deg/s around the y axis
+}
+
+// Smoothed rotation speed that starts a turn, and the lower speed that ends it (deg/s)
+const TURN_START_DEG_PER_SEC = 150;
+const TURN_END_DEG_PER_SEC = 80;
+// The body keeps wobbling briefly after a pivot; stay in the turn phase this long after it ends (ms)
+const TURN_SETTLE_MS = 300;
+// Smooths single gyro spikes (e.g. a foot strike jolting the phone) so they don't start a turn
+const ROTATION_SMOOTHING_HZ = 4;
+
+export function rotationSpeed(rate: RotationRate): number {
+  return Math.sqrt(rate.alpha * rate.alpha + rate.beta * rate.beta + rate.gamma * rate.gamma);
+}
+
+export class TurnDetector {
+  private smoothing: LowPassFilter = new LowPassFilter(ROTATION_SMOOTHING_HZ);
+  private rotating: boolean = false;
+  private settleUntil: number = -Infinity;
+  private speed: number = 0;
+
+  /** Smoothed rotation speed (deg/s). */
+  public get rotationSpeed(): number {
+    return this.speed;
+  }
+
+  /** True while rotating and for a short settle period afterwards. */
+  public isTurning(timestamp: number): boolean {
+    return this.rotating || timestamp < this.settleUntil;
+  }
+
+  /** Feed one gyro reading. Returns whether the dancer is in a turn phase. */
+  public process(rate: RotationRate | null, timestamp: number, dtMs: number): boolean {
+    if (!rate) return this.isTurning(timestamp);
+
+    this.speed = this.smoothing.process(rotationSpeed(rate), dtMs);
+
+    if (!this.rotating && this.speed > TURN_START_DEG_PER_SEC) {
+      this.rotating = true;
+    } else if (this.rotating && this.speed < TURN_END_DEG_PER_SEC) {
+      this.rotating = false;
+      this.settleUntil = timestamp + TURN_SETTLE_MS;
+    }
+
+    return this.isTurning(timestamp);
+  }
+
+  public reset(): void {
+    this.smoothing.reset();
+    this.rotating = false;
+    this.settleUntil = -Infinity;
+    this.speed = 0;
+  }
+}
@@ -0,0 +1,231 @@
+/**
+ * Full-Screen Visual Feedback
+ * Feedback you can see from across a studio, on a phone or tablet propped
+ * up facing the dancer: the whole screen flashes on each bounce, the
+ * background glows with live deviation, a giant counter shows the count and
+ * a timeline shows recent bounces. Each element has its own colour and
+ * brightness and can be turned off, and none of it needs sound or vibration.
+ */
+
+import { prepareCanvas } from './canvas-utils.js';
+import { BounceSeverity } from './displacement.js';
+
+export type VisualElement = 'flash' | 'background' | 'counter' | 'timeline';
+
+export const VISUAL_ELEMENTS: readonly VisualElement[] = ['flash', 'background', 'counter', 'timeline'];
+
+export interface VisualElementSettings {
+  enabled: boolean;
+  color: string;        // #rrggbb
+  brightness: number;   // 0.1-1; scales the colour towards black
+}
+
+export type VisualFeedbackSettings = Record<VisualElement, VisualElementSettings>;
+
+export const DEFAULT_VISUAL_FEEDBACK: VisualFeedbackSettings = {
+  flash: { enabled: true, color: '#ffffff', brightness: 1 },
+  background: { enabled: true, color: '#e94560', brightness: 0.6 },   // Colour reached at the threshold
+  counter: { enabled: true, color: '#ffffff', brightness: 0.9 },
+  timeline: { enabled: true, color: '#ffa502', brightness: 1 }
+};
+
+export const MIN_BRIGHTNESS = 0.1;
+// At most three flashes a second, the photosensitive-safe limit for full-screen flashing
+const FLASH_MIN_INTERVAL_MS = 333;
+const FLASH_DURATION_MS = 250;
+const FLASH_LEVELS: Record<BounceSeverity, number> = { minor: 0.5, moderate: 0.75, major: 1 };
+// The background follows a rise at once and fades back over about this long (ms)
+const BACKGROUND_RELEASE_MS = 400;
+const TIMELINE_WINDOW_MS = 30000;
+const TIMELINE_HEIGHTS: Record<BounceSeverity, number> = { minor: 0.4, moderate: 0.7, major: 1 };
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/** Stored settings with anything missing or out of range replaced by the default. */
+export function sanitizeVisualFeedback(value: unknown): VisualFeedbackSettings {
+  const v = value && typeof value === 'object' ? value as Record<string, unknown> : {};
+  const settings = {} as VisualFeedbackSettings;
+  VISUAL_ELEMENTS.forEach((element) => {
+    const stored = v[element] && typeof v[element] === 'object' ? v[element] as Record<string, unknown> : {};
+    const fallback = DEFAULT_VISUAL_FEEDBACK[element];
+    settings[element] = {
+      enabled: typeof stored.enabled === 'boolean' ? stored.enabled : fallback.enabled,
+      color: typeof stored.color === 'string' && HEX_COLOR.test(stored.color) ? stored.color.toLowerCase() : fallback.color,
+      brightness: typeof stored.brightness === 'number' && stored.brightness >= MIN_BRIGHTNESS && stored.brightness <= 1
+        ? stored.brightness
+        : fallback.brightness
+    };
+  });
+  return settings;
+}
+
+/** A #rrggbb colour scaled towards black (0 is black, 1 the colour itself), as a CSS rgb(). */
+export function dimColor(color: string, level: number): string {
+  const clamped = Math.min(1, Math.max(0, level));
+  const channels = [1, 3, 5].map((i) => Math.round(parseInt(color.slice(i, i + 2), 16) * clamped));
+  return `rgb(${channels.join(', ')})`;
+}
+
+interface TimelineMark {
+  timestamp: number;
+  severity: BounceSeverity;
+}
+
+/** The full-screen view. The caller opens and closes it and feeds it detector events. */
+export class FullScreenFeedback {
+  private root: HTMLElement;
+  private flashEl: HTMLElement | null;
+  private counterEl: HTMLElement | null;
+  private labelEl: HTMLElement | null;
+  private timelineCanvas: HTMLCanvasElement | null;
+  private settings: VisualFeedbackSettings;
+  private level: number = 0;             // Background level, 0 (calm) to 1 (at the threshold)
+  private levelTime: number = 0;
+  private lastFlash: number = -Infinity;
+  private marks: TimelineMark[] = [];
+  private now: number = 0;               // Latest sensor timestamp; the timeline ends here
+  private frameRequested: boolean = false;
+
+  constructor(root: HTMLElement, settings: VisualFeedbackSettings = DEFAULT_VISUAL_FEEDBACK) {
+    this.root = root;
+    this.flashEl = root.querySelector('.fullscreen-flash');
+    this.counterEl = root.querySelector('.fullscreen-counter');
+    this.labelEl = root.querySelector('.fullscreen-label');
+    this.timelineCanvas = root.querySelector('.fullscreen-timeline');
+    this.settings = settings;
+  }
+
+  public get isOpen(): boolean {
+    return !this.root.hidden;
+  }
+
+  /** Show the view, and ask the browser for full screen where it allows it. */
+  public open(): void {
+    this.root.hidden = false;
+    this.applySettings();
+    this.root.requestFullscreen?.().catch(() => {
+      // Not allowed (iOS Safari on phones): the view still covers the page
+    });
+  }
+
+  public close(): void {
+    this.root.hidden = true;
+    if (document.fullscreenElement === this.root) {
+      document.exitFullscreen().catch(() => {});
+    }
+  }
+
+  public setSettings(settings: VisualFeedbackSettings): void {
+    this.settings = settings;
+    this.applySettings();
+  }
+
+  public setCount(count: number): void {
+    if (this.counterEl) {
+      this.counterEl.textContent = count.toString();
+    }
+  }
+
+  /** Small text under the counter: "Paused", "Turn", a drill countdown. */
+  public setLabel(text: string): void {
+    if (this.labelEl) {
+      this.labelEl.textContent = text;
+    }
+  }
+
+  /** Live deviation from baseline against the current threshold (m/s^2). */
+  public onDeviation(timestamp: number, deviation: number, threshold: number): void {
+    const target = threshold > 0 ? Math.min(1, deviation / threshold) : 0;
+    const decayed = this.level * Math.exp(-Math.max(0, timestamp - this.levelTime) / BACKGROUND_RELEASE_MS);
+    this.level = Math.max(target, decayed);
+    this.levelTime = timestamp;
+    this.now = timestamp;
+    if (this.isOpen) {
+      this.requestRender();
+    }
+  }
+
+  public onBounce(timestamp: number, severity: BounceSeverity): void {
+    this.marks.push({ timestamp, severity });
+    this.trim();
+
+    const flash = this.settings.flash;
+    if (!this.isOpen || !flash.enabled || !this.flashEl || timestamp - this.lastFlash < FLASH_MIN_INTERVAL_MS) return;
+    this.lastFlash = timestamp;
+    this.flashEl.animate(
+      [{ opacity: FLASH_LEVELS[severity] * flash.brightness }, { opacity: 0 }],
+      { duration: FLASH_DURATION_MS, easing: 'ease-out' }
+    );
+  }
+
+  /** Forget the timeline and background level, for a new session. */
+  public clear(): void {
+    this.marks = [];
+    this.level = 0;
+    this.lastFlash = -Infinity;
+    this.requestRender();
+  }
+
+  private applySettings(): void {
+    const { flash, counter, timeline } = this.settings;
+    if (this.flashEl) {
+      this.flashEl.style.backgroundColor = flash.color;
+    }
+    if (this.counterEl) {
+      this.counterEl.hidden = !counter.enabled;
+      this.counterEl.style.color = dimColor(counter.color, counter.brightness);
+    }
+    if (this.timelineCanvas) {
+      this.timelineCanvas.hidden = !timeline.enabled;
+    }
+    this.requestRender();
+  }
+
+  private trim(): void {
+    const cutoff = this.now - TIMELINE_WINDOW_MS;
+    while (this.marks.length > 0 && this.marks[0].timestamp < cutoff) {
+      this.marks.shift();
+    }
+  }
+
+  // Deviation arrives faster than the display refreshes, so draw at most once per frame
+  private requestRender(): void {
+    if (this.frameRequested) return;
+    this.frameRequested = true;
+    requestAnimationFrame(() => {
+      this.frameRequested = false;
+      this.render();
+    });
+  }
+
+  private render(): void {
+    if (!this.isOpen) return;
+    const { background, timeline } = this.settings;
+    this.root.style.backgroundColor = background.enabled
+      ? dimColor(background.color, this.level * background.brightness)
+      : '#000';
+
+    if (!timeline.enabled || !this.timelineCanvas) return;
+    const prepared = prepareCanvas(this.timelineCanvas);
+    if (!prepared) return;
+    const { ctx, width, height } = prepared;
+    this.trim();
+
+    ctx.strokeStyle = dimColor(timeline.color, timeline.brightness * 0.3);
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(0, height - 0.5);
+    ctx.lineTo(width, height - 0.5);
+    ctx.stroke();
+
+    // Newest on the right; marks fade as they scroll off to the left
+    const barWidth = Math.max(4, width / 120);
+    this.marks.forEach((mark) => {
+      const age = (this.now - mark.timestamp) / TIMELINE_WINDOW_MS;
+      const x = width - age * width;
+      const barHeight = TIMELINE_HEIGHTS[mark.severity] * height;
+      ctx.fillStyle = dimColor(timeline.color, timeline.brightness * (1 - age * 0.7));
+      ctx.fillRect(x - barWidth / 2, height - barHeight, barWidth, barHeight);
+    });
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * Voice Coach
+ * Spoken feedback for when the screen is out of sight: a cue when bounces
+ * cluster or the dancer sways or rocks, a summary of each interval compared
+ * with the one before, and announcements for calibration and start/stop.
+ * DOM-free; the caller supplies the speak function.
+ */
+
+import { FaultKind } from './fault-detectors.js';
+
+export type VoiceVerbosity = 'off' | 'brief' | 'detailed';
+
+/**
+ * How an utterance fits in with speech already under way:
+ * 'interrupt' cuts it off, 'queue' waits for it, 'if-idle' is dropped
+ * rather than arrive late.
+ */
+export type SpeechMode = 'interrupt' | 'queue' | 'if-idle';
+
+export type Speak = (text: string, mode: SpeechMode) => void;
+
+export const SUMMARY_INTERVAL_MS = 60 * 1000;
+// This many bounces within the window count as a cluster
+const CLUSTER_SIZE = 3;
+const CLUSTER_WINDOW_MS = 5000;
+// Quiet time after a cluster cue, so the coach does not nag through a bad patch
+const CLUSTER_COOLDOWN_MS = 15000;
+// Quiet time between cues for the same fault
+const FAULT_COOLDOWN_MS = 10000;
+
+const FAULT_CUES: Record<FaultKind, { brief: string; detailed: string }> = {
+  sway: { brief: 'Sway', detailed: 'Swaying. Keep the hips level.' },
+  rotation: { brief: 'Rocking', detailed: 'Rocking. Keep the shoulders and hips square.' }
+};
+
+function bounces(count: number): string {
+  if (count === 0) return 'No bounces';
+  return count === 1 ? '1 bounce' : `${count} bounces`;
+}
+
+function minutes(ms: number): string {
+  const count = Math.max(1, Math.round(ms / 60000));
+  return count === 1 ? '1 minute' : `${count} minutes`;
+}
+
+/** "6 bounces, down from 9" for an interval, compared with the one before (null for the first). */
+export function describeInterval(count: number, previous: number | null): string {
+  if (previous === null) return bounces(count);
+  if (count === previous) return `${bounces(count)}, same as before`;
+  return `${bounces(count)}, ${count < previous ? 'down' : 'up'} from ${previous}`;
+}
+
+export class VoiceCoach {
+  private speak: Speak;
+  private verbosity: VoiceVerbosity;
+  private recentBounces: number[] = [];
+  private lastClusterCue: number = -Infinity;
+  private intervalIndex: number = 0;
+  private intervalCount: number = 0;
+  private previousIntervalCount: number | null = null;
+  private totalCount: number = 0;
+  private warnedMovement: boolean = false;
+  private lastFaultCue: Record<FaultKind, number> = { sway: -Infinity, rotation: -Infinity };
+
+  constructor(speak: Speak, verbosity: VoiceVerbosity = 'off') {
+    this.speak = speak;
+    this.verbosity = verbosity;
+  }
+
+  public setVerbosity(verbosity: VoiceVerbosity): void {
+    this.verbosity = verbosity;
+  }
+
+  private say(brief: string, detailed: string, mode: SpeechMode): void {
+    if (this.verbosity === 'off') return;
+    this.speak(this.verbosity === 'detailed' ? detailed : brief, mode);
+  }
+
+  public onStart(): void {
+    this.recentBounces = [];
+    this.lastClusterCue = -Infinity;
+    this.intervalIndex = 0;
+    this.intervalCount = 0;
+    this.previousIntervalCount = null;
+    this.totalCount = 0;
+    this.lastFaultCue = { sway: -Infinity, rotation: -Infinity };
+    this.say('Started', `Detection started. Summary every ${minutes(SUMMARY_INTERVAL_MS)}.`, 'interrupt');
+  }
+
+  public onStop(durationMs: number): void {
+    const perMinute = durationMs > 0 ? Math.round(this.totalCount / (durationMs / 60000)) : 0;
+    this.say(
+      `Stopped. ${bounces(this.totalCount)}`,
+      `Stopped after ${minutes(durationMs)}. ${bounces(this.totalCount)}, about ${perMinute} a minute.`,
+      'interrupt'
+    );
+  }
+
+  public onBounce(timestamp: number): void {
+    this.totalCount++;
+    this.intervalCount++;
+    this.recentBounces = this.recentBounces.filter((t) => timestamp - t <= CLUSTER_WINDOW_MS);
+    this.recentBounces.push(timestamp);
+
+    if (this.recentBounces.length >= CLUSTER_SIZE && timestamp - this.lastClusterCue >= CLUSTER_COOLDOWN_MS) {
+      this.lastClusterCue = timestamp;
+      const seconds = Math.max(1, Math.round((timestamp - this.recentBounces[0]) / 1000));
+      this.say('Bouncing', `${bounces(this.recentBounces.length)} in ${seconds} seconds. Stay level.`, 'if-idle');
+    }
+  }
+
+  public onFault(kind: FaultKind, timestamp: number): void {
+    if (timestamp - this.lastFaultCue[kind] < FAULT_COOLDOWN_MS) return;
+    this.lastFaultCue[kind] = timestamp;
+    this.say(FAULT_CUES[kind].brief, FAULT_CUES[kind].detailed, 'if-idle');
+  }
+
+  /** Time practised so far; speaks the summary as each interval ends. */
+  public onElapsed(elapsedMs: number): void {
+    const index = Math.floor(elapsedMs / SUMMARY_INTERVAL_MS);
+    if (index <= this.intervalIndex) return;
+    this.intervalIndex = index;
+
+    const summary = describeInterval(this.intervalCount, this.previousIntervalCount);
+    this.say(summary, `Minute ${index}: ${summary}. ${this.totalCount} in total.`, 'queue');
+    this.previousIntervalCount = this.intervalCount;
+    this.intervalCount = 0;
+  }
+
+  /** Say something that has no brief form, such as a drill stage, cutting off anything under way. */
+  public announce(text: string): void {
+    this.say(text, text, 'interrupt');
+  }
+
+  public onCalibrationStart(): void {
+    this.warnedMovement = false;
+    this.say('Calibrating', 'Calibrating. Hold the phone still for two seconds.', 'interrupt');
+  }
+
+  /** Movement during calibration; warned about once per calibration. */
+  public onCalibrationMovement(): void {
+    if (this.warnedMovement) return;
+    this.warnedMovement = true;
+    this.say('Keep still', 'Movement detected. Keep still.', 'if-idle');
+  }
+
+  public onCalibrationDone(accepted: boolean, quality: number): void {
+    if (accepted) {
+      this.say('Calibrated', `Calibrated. Quality ${quality} percent.`, 'interrupt');
+    } else {
+      this.say('Calibration failed', 'Calibration rejected. Previous calibration kept. Hold still and try again.', 'interrupt');
+    }
+  }
+}
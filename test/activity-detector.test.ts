@@ -0,0 +1,105 @@
+/**
+ * Tests for telling dancing from walking and standing still, from hand-built
+ * signals and from synthetic motion run through the engine.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Activity, ActivityDetector, ActivityReading, findCadence } from '../src/activity-detector.js';
+import { GravityMode } from '../src/detector-engine.js';
+import { INTERNAL_SAMPLE_INTERVAL_MS } from '../src/sample-timing.js';
+import { POCKET, detect, walking } from './synthetic-motion.js';
+
+interface Signal {
+  vertical: (t: number) => number;
+  horizontal: (t: number) => number;
+}
+
+/** Feed `durationMs` of a signal, returning every reading and every activity reported. */
+function run(signal: Signal, durationMs: number): { readings: ActivityReading[]; activities: Activity[] } {
+  const detector = new ActivityDetector();
+  const readings: ActivityReading[] = [];
+  const activities: Activity[] = [];
+  for (let t = 0; t < durationMs; t += INTERNAL_SAMPLE_INTERVAL_MS) {
+    const vertical = signal.vertical(t / 1000);
+    const horizontal = signal.horizontal(t / 1000);
+    const activity = detector.process(vertical, horizontal, Math.hypot(vertical, horizontal), t);
+    if (activity) activities.push(activity);
+    if (detector.reading && detector.reading !== readings[readings.length - 1]) readings.push(detector.reading);
+  }
+  return { readings, activities };
+}
+
+const bounce = (cadenceHz: number, amplitude = 3): Signal => ({
+  vertical: (s) => amplitude * Math.sin(2 * Math.PI * cadenceHz * s),
+  horizontal: () => 0
+});
+
+// A forward surge at every step and a weight shift once per two steps
+const walk = (cadenceHz: number): Signal => ({
+  vertical: (s) => Math.sin(2 * Math.PI * cadenceHz * s),
+  horizontal: (s) => Math.hypot(Math.cos(2 * Math.PI * cadenceHz * s), 0.5 * Math.sin(Math.PI * cadenceHz * s))
+});
+
+describe('cadence', () => {
+  it('finds the period of a steady rhythm, not a multiple of it', () => {
+    for (const cadenceHz of [1.5, 2, 2.5]) {
+      const values = Array.from({ length: 400 }, (_, i) => Math.sin(2 * Math.PI * cadenceHz * i * INTERNAL_SAMPLE_INTERVAL_MS / 1000));
+      const { cadenceHz: found, regularity } = findCadence(values);
+      assert.ok(found !== null && Math.abs(found - cadenceHz) < 0.05, `${cadenceHz} Hz read as ${found} Hz`);
+      assert.ok(regularity > 0.9);
+    }
+  });
+
+  it('holds steady through a long session at a fixed cadence', () => {
+    const { readings } = run(bounce(2), 20000);
+    assert.ok(readings.length > 20);
+    for (const reading of readings) {
+      assert.ok(reading.cadenceHz !== null && Math.abs(reading.cadenceHz - 2) < 0.05, `read ${reading.cadenceHz} Hz`);
+    }
+  });
+
+  it('finds no cadence in a still signal', () => {
+    assert.deepEqual(findCadence(new Array(400).fill(0)), { cadenceHz: null, regularity: 0 });
+  });
+});
+
+describe('activity', () => {
+  it('never takes a steady bounce on the spot for walking', () => {
+    for (const cadenceHz of [1.5, 1.75, 2, 2.25, 2.5]) {
+      const { readings, activities } = run(bounce(cadenceHz), 20000);
+      assert.deepEqual(activities, [], `${cadenceHz} Hz`);
+      assert.ok(readings.every((reading) => reading.horizontalShare < 0.01), `${cadenceHz} Hz`);
+    }
+  });
+
+  it('recognises walking, with a forward surge at every step', () => {
+    const { activities } = run(walk(2), 10000);
+    assert.deepEqual(activities, ['walking']);
+  });
+
+  it('recognises standing still', () => {
+    const { activities } = run({ vertical: () => 0.05, horizontal: () => 0.02 }, 6000);
+    assert.deepEqual(activities, ['idle']);
+  });
+});
+
+for (const gravityMode of ['sensor', 'filter'] as GravityMode[]) {
+  describe(`auto-pause, ${gravityMode} gravity mode`, () => {
+    it('counts every bounce of a steady 2 Hz bounce', () => {
+      for (const algorithm of ['threshold', 'peak-valley'] as const) {
+        const motion = { durationMs: 20000, placement: POCKET, noise: 0.05, motions: [{ kind: 'bounce' as const, cadenceHz: 2, amplitude: 5 }] };
+        const paused = detect({ gravityMode, algorithm, autoPause: true }, motion);
+        const counting = detect({ gravityMode, algorithm, autoPause: false }, motion);
+        assert.equal(paused.bounces.length, counting.bounces.length, algorithm);
+        assert.equal(paused.suppressed.filter((event) => event.reason === 'walking').length, 0, algorithm);
+      }
+    });
+
+    it('pauses while walking', () => {
+      const run = detect({ gravityMode, autoPause: true }, { durationMs: 12000, placement: POCKET, noise: 0.05, motions: [walking] });
+      assert.deepEqual(run.activities.map((event) => event.activity), ['walking']);
+    });
+  });
+}
@@ -0,0 +1,150 @@
+/**
+ * Tests for bounce labelling and auto-tune, from hand-built labels and from
+ * candidates the engine reports for synthetic motion.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BounceEngine, CandidateEvent, MotionSample } from '../src/detector-engine.js';
+import { LabelledMovement, LabelledSession, SessionLabeller, autoTune, sanitizeLabelledSession, scoreSettings } from '../src/bounce-labels.js';
+import { generateMotion } from './synthetic-motion.js';
+
+const candidate = (timestamp: number, swing: number): CandidateEvent =>
+  ({ timestamp, startTimestamp: timestamp - 300, swing, peakDeviation: swing / 2 });
+
+const session = (movements: LabelledMovement[]): LabelledSession =>
+  ({ labelledAt: '2024-01-01T00:00:00.000Z', source: 'live', movements });
+
+/** Small steps every half second, with a run of real bounces in the middle. */
+function stepsAndBounces(): LabelledSession {
+  const movements: LabelledMovement[] = [];
+  for (let i = 0; i < 40; i++) {
+    const bounce = i >= 15 && i < 30;
+    const swing = bounce ? 4.5 + (i % 3) * 0.5 : 1.5 + (i % 4) * 0.3;
+    movements.push({ timestamp: i * 500, swing, peakDeviation: swing / 2, bounce });
+  }
+  return session(movements);
+}
+
+describe('session labeller', () => {
+  it('takes the detector\'s call for movements that are not marked', () => {
+    const labeller = new SessionLabeller([candidate(1000, 3), candidate(2000, 1.5)], [950]);
+    assert.deepEqual(labeller.review().map((m) => [m.detected, m.bounce, m.marked]), [[true, true, false], [false, false, false]]);
+    assert.equal(labeller.hasMarks, false);
+  });
+
+  it('marks the latest detection as not a bounce, even before its movement ends', () => {
+    const labeller = new SessionLabeller();
+    labeller.addCandidate(candidate(1000, 3));
+    labeller.addBounce(950);
+    labeller.addBounce(2100);
+    assert.equal(labeller.markFalse(2500), true);
+    labeller.addCandidate(candidate(2200, 3.5));
+    assert.deepEqual(labeller.review().map((m) => m.bounce), [true, false]);
+    assert.equal(labeller.hasMarks, true);
+  });
+
+  it('marks the biggest uncounted recent movement as missed', () => {
+    const labeller = new SessionLabeller([candidate(1000, 2.5), candidate(5000, 1.5), candidate(6000, 2), candidate(6500, 4)], [6450]);
+    assert.equal(labeller.markMissed(7000), true);
+    assert.deepEqual(labeller.review().map((m) => m.bounce), [false, false, true, true]);
+  });
+
+  it('has nothing to mark outside the window', () => {
+    const labeller = new SessionLabeller([candidate(1000, 2)], [1000]);
+    assert.equal(labeller.markFalse(10000), false);
+    assert.equal(labeller.markMissed(10000), false);
+  });
+
+  it('counts marks on detections that match no movement', () => {
+    const labeller = new SessionLabeller([candidate(1000, 3)], [950, 2500]);
+    assert.equal(labeller.markFalse(2600), true);
+    assert.equal(labeller.unmatchedMarks, 1);
+    assert.equal(labeller.markFalse(2600), true);
+    assert.equal(labeller.unmatchedMarks, 1);
+    assert.deepEqual(labeller.review().map((m) => m.bounce), [false]);
+  });
+});
+
+describe('stored labels', () => {
+  it('keeps only well-formed movements', () => {
+    const good = { timestamp: 500, swing: 3, peakDeviation: 1.5, bounce: true };
+    const stored = {
+      labelledAt: '2024-01-01T00:00:00.000Z',
+      source: 'live',
+      movements: [good, { ...good, timestamp: '500' }, { ...good, swing: -1 }, { ...good, peakDeviation: null }, { ...good, bounce: 1 }, null]
+    };
+    assert.deepEqual(sanitizeLabelledSession(stored), { ...stored, movements: [good] });
+  });
+
+  it('rejects what is not a session', () => {
+    assert.equal(sanitizeLabelledSession(null), null);
+    assert.equal(sanitizeLabelledSession({ labelledAt: '2024-01-01T00:00:00.000Z', source: 'live' }), null);
+    assert.equal(sanitizeLabelledSession({ labelledAt: '2024-01-01T00:00:00.000Z', source: 'dream', movements: [] }), null);
+  });
+});
+
+describe('auto-tune', () => {
+  it('scores counted movements against the labels, honouring the debounce', () => {
+    const labels = [stepsAndBounces()];
+    assert.deepEqual(scoreSettings(labels, 'peak-valley', 4, 300), { precision: 1, recall: 1, f1: 1 });
+    const low = scoreSettings(labels, 'peak-valley', 1, 300);
+    assert.equal(low.recall, 1);
+    assert.equal(low.precision, 15 / 40);
+    // Counting at most once a second halves the bounces counted
+    assert.ok(scoreSettings(labels, 'peak-valley', 4, 1000).recall <= 0.55);
+  });
+
+  it('proposes settings that separate the labels, with what to expect', () => {
+    const proposal = autoTune([stepsAndBounces()], 'peak-valley', { sensitivity: 1.5, debounceTime: 300 });
+    assert.ok(proposal.sensitivity > 2.4 && proposal.sensitivity <= 4.5, `sensitivity ${proposal.sensitivity}`);
+    assert.equal(proposal.debounceTime, 300);
+    assert.deepEqual(proposal.expected, { precision: 1, recall: 1, f1: 1 });
+    assert.ok(proposal.current.precision < 0.5);
+    assert.equal(proposal.bounces, 15);
+    assert.equal(proposal.nonBounces, 25);
+  });
+
+  it('uses the feature the algorithm compares', () => {
+    const proposal = autoTune([stepsAndBounces()], 'threshold', { sensitivity: 1, debounceTime: 300 });
+    // Threshold compares the peak deviation, half the swing here
+    assert.ok(proposal.sensitivity > 1.2 && proposal.sensitivity < 2.25, `sensitivity ${proposal.sensitivity}`);
+    assert.equal(proposal.expected.f1, 1);
+  });
+
+  it('needs labels of both kinds', () => {
+    const bouncesOnly = session(stepsAndBounces().movements.filter((m) => m.bounce));
+    assert.throws(() => autoTune([bouncesOnly], 'peak-valley', { sensitivity: 3, debounceTime: 300 }), /at least 5/);
+  });
+
+  it('learns a threshold from labelled engine candidates', () => {
+    // Stepping with heavy heel strikes, then bouncing, then stepping again
+    const samples: MotionSample[] = generateMotion({
+      durationMs: 15000,
+      noise: 0.05,
+      motions: [
+        { kind: 'walk', cadenceHz: 2, verticalAmplitude: 1.2 },
+        { kind: 'bounce', cadenceHz: 2, amplitude: 3, fromMs: 5000, toMs: 10000 }
+      ]
+    });
+    const engine = new BounceEngine({ algorithm: 'peak-valley', sensitivity: 1 });
+    const labeller = new SessionLabeller();
+    engine.on('candidate', (event) => labeller.addCandidate(event));
+    engine.on('bounce', (event) => labeller.addBounce(event.timestamp));
+    samples.forEach((sample) => engine.processSample(sample));
+
+    // Everything was counted at this sensitivity: the dancer marks the steps as not bounces
+    const reviewed = labeller.review();
+    assert.ok(reviewed.length >= 25, `${reviewed.length} candidates`);
+    reviewed.forEach((movement, index) => {
+      const bouncing = movement.timestamp > 5300 && movement.timestamp < 10000;
+      if (!bouncing) labeller.setVerdict(index, false);
+    });
+
+    const proposal = autoTune([labeller.toSession('recording')], 'peak-valley', { sensitivity: 1, debounceTime: 300 });
+    // Just above the steps' swing of about 2.4 m/s², the nearest setting that separates them
+    assert.ok(proposal.sensitivity >= 2.5, `sensitivity ${proposal.sensitivity}`);
+    assert.ok(proposal.expected.precision >= 0.9 && proposal.expected.recall >= 0.9, JSON.stringify(proposal.expected));
+  });
+});
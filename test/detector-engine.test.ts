@@ -0,0 +1,195 @@
+/**
+ * Regression tests for BounceEngine against synthetic motion, in both
+ * gravity modes and with both detection algorithms.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BounceEngine, CalibrationEvent, DEFAULT_ENGINE_CONFIG, DetectionAlgorithm, GravityMode } from '../src/detector-engine.js';
+import {
+  Motion,
+  POCKET,
+  Placement,
+  STANDARD_GRAVITY,
+  SyntheticMotionOptions,
+  UPRIGHT,
+  detect,
+  feedCalibration,
+  generateMotion,
+  walking
+} from './synthetic-motion.js';
+
+const GRAVITY_MODES: GravityMode[] = ['sensor', 'filter'];
+const ALGORITHMS: DetectionAlgorithm[] = ['threshold', 'peak-valley'];
+
+function assertBetween(actual: number, min: number, max: number, what: string): void {
+  assert.ok(actual >= min && actual <= max, `${what}: expected ${min}-${max}, got ${actual}`);
+}
+
+const bouncing: Motion = { kind: 'bounce', cadenceHz: 2, amplitude: 5 };
+
+for (const gravityMode of GRAVITY_MODES) {
+  describe(`${gravityMode} gravity mode`, () => {
+    for (const algorithm of ALGORITHMS) {
+      describe(algorithm, () => {
+        const config = { gravityMode, algorithm };
+
+        it('counts nothing on a still phone with sensor noise', () => {
+          const run = detect(config, { durationMs: 10000, noise: 0.15, placement: POCKET });
+          assert.equal(run.bounces.length, 0);
+        });
+
+        it('counts nothing for smooth walking', () => {
+          const run = detect(config, { durationMs: 10000, noise: 0.05, motions: [walking] });
+          assert.equal(run.bounces.length, 0);
+        });
+
+        it('counts every cycle once when bouncing well over the sensitivity', () => {
+          // 2 Hz for 10 seconds. Threshold fires on any reading past the sensitivity, rise and fall alike,
+          // so only a debounce just under the 500 ms cycle keeps it to one count per cycle
+          const debounceTime = algorithm === 'threshold' ? 450 : DEFAULT_ENGINE_CONFIG.debounceTime;
+          const run = detect({ ...config, debounceTime }, { durationMs: 10000, noise: 0.05, motions: [walking, bouncing] });
+          assertBetween(run.bounces.length, 18, 21, 'bounces');
+        });
+
+        it('counts nothing for bouncing under the sensitivity', () => {
+          const run = detect(config, { durationMs: 10000, motions: [{ kind: 'bounce', cadenceHz: 2, amplitude: 1 }] });
+          assert.equal(run.bounces.length, 0);
+        });
+
+        it('scales with cadence', () => {
+          const run = detect(config, { durationMs: 10000, motions: [{ kind: 'bounce', cadenceHz: 1.5, amplitude: 6 }] });
+          // Threshold counts the rise and the fall separately once they are further apart than the debounce
+          const [min, max] = algorithm === 'threshold' ? [28, 31] : [13, 16];
+          assertBetween(run.bounces.length, min, max, 'bounces');
+        });
+
+        it('ignores the phone tipping over in a pocket', () => {
+          const run = detect(config, {
+            durationMs: 10000,
+            noise: 0.05,
+            placement: POCKET,
+            motions: [walking, { kind: 'tilt', degrees: 40, fromMs: 3000, toMs: 5000 }]
+          });
+          assert.equal(run.bounces.length, 0);
+        });
+
+        it('gives the same count at any sensor rate', () => {
+          const counts = [30, 60, 100, 200].map((rateHz) =>
+            detect(config, { durationMs: 10000, rateHz, jitterMs: 3, motions: [bouncing] }).bounces.length);
+          assert.ok(Math.max(...counts) - Math.min(...counts) <= 1, `counts by rate: ${counts.join(', ')}`);
+        });
+
+        it('counts nothing for a spin without bouncing', () => {
+          const run = detect(config, {
+            durationMs: 6000,
+            motions: [walking, { kind: 'spin', degPerSec: 540, radiusM: 0.1, fromMs: 2000, toMs: 3000 }]
+          });
+          assert.equal(run.bounces.length, 0);
+        });
+      });
+    }
+
+    describe('turn-tolerant mode', () => {
+      // Bounces through a 2-second spin with a peak-to-peak swing of 5 m/s^2: between 1x and 2x the sensitivity
+      const config = { gravityMode, algorithm: 'peak-valley' as const };
+      const spinning: SyntheticMotionOptions = {
+        durationMs: 8000,
+        motions: [
+          { kind: 'bounce', cadenceHz: 2, amplitude: 2.5 },
+          { kind: 'spin', degPerSec: 360, radiusM: 0.1, fromMs: 3200, toMs: 5200 }
+        ]
+      };
+      const inSpin = (event: { timestamp: number }) => event.timestamp >= 3200 && event.timestamp < 5200;
+
+      it('suppresses small bounces during a spin', () => {
+        const run = detect({ ...config, turnTolerant: true }, spinning);
+        assert.equal(run.bounces.filter(inSpin).length, 0);
+        assert.ok(run.suppressed.filter(inSpin).length >= 3, 'suppressed during the spin');
+        assert.ok(run.suppressed.every((event) => event.reason === 'turn'));
+        assertBetween(run.bounces.length, 10, 13, 'bounces outside the spin');
+      });
+
+      it('counts them without it', () => {
+        const run = detect({ ...config, turnTolerant: false }, spinning);
+        assert.equal(run.suppressed.length, 0);
+        assertBetween(run.bounces.length, 15, 17, 'bounces');
+      });
+    });
+
+    it('accepts calibration on a still phone', () => {
+      const run = detect({ gravityMode }, { durationMs: 0, placement: UPRIGHT });
+      assert.equal(run.calibration.accepted, true);
+      assert.ok(Math.abs(run.calibration.baselineMagnitude - STANDARD_GRAVITY) < 0.05, `baseline ${run.calibration.baselineMagnitude}`);
+      assert.ok(run.calibration.gravity.y > 9.5, 'gravity points along the upright phone');
+    });
+  });
+}
+
+describe('detection threshold', () => {
+  it('is what each half of a peak/valley swing must pass, or the whole deviation for threshold', () => {
+    const engine = new BounceEngine({ sensitivity: 4, algorithm: 'threshold' });
+    assert.equal(engine.detectionThreshold, 4);
+    engine.updateConfig({ algorithm: 'peak-valley' });
+    assert.equal(engine.detectionThreshold, 2);
+    engine.updateConfig({ sensitivity: 3 });
+    assert.equal(engine.detectionThreshold, 1.5);
+  });
+});
+
+describe('calibration', () => {
+  const calibrate = (engine: BounceEngine, placement: Placement, motions: Motion[]) =>
+    feedCalibration(engine, generateMotion({ durationMs: 2500, placement, motions }));
+
+  it('rejects a moving phone and keeps the previous calibration', () => {
+    const engine = new BounceEngine({ gravityMode: 'filter' });
+    const first = calibrate(engine, UPRIGHT, []);
+    assert.equal(first.accepted, true);
+
+    const second = calibrate(engine, POCKET, [walking]);
+    assert.equal(second.accepted, false);
+    assert.equal(second.quality, 0);
+    assert.equal(engine.baselineMagnitude, first.baselineMagnitude);
+    assert.deepEqual(engine.gravity, first.gravity);
+  });
+
+  it('rejects a calibration ended before any reading arrived', () => {
+    const engine = new BounceEngine({ gravityMode: 'filter' });
+    const first = calibrate(engine, UPRIGHT, []);
+    const results: CalibrationEvent[] = [];
+    engine.on('calibration', (event) => results.push(event));
+    engine.startCalibration();
+    engine.endCalibration();
+    assert.equal(results.length, 1, 'calibration finished');
+    const [result] = results;
+    assert.equal(result.accepted, false);
+    assert.equal(result.sampleCount, 0);
+    assert.equal(result.durationMs, 0);
+    assert.equal(engine.isCalibrating, false);
+    assert.equal(engine.baselineMagnitude, first.baselineMagnitude);
+    assert.deepEqual(engine.gravity, first.gravity);
+  });
+
+  it('keeps the previous calibration when one is abandoned', () => {
+    const engine = new BounceEngine({ gravityMode: 'filter' });
+    const first = calibrate(engine, UPRIGHT, []);
+    engine.startCalibration();
+    engine.cancelCalibration();
+    assert.equal(engine.isCalibrating, false);
+    assert.equal(engine.baselineMagnitude, first.baselineMagnitude);
+    assert.deepEqual(engine.gravity, first.gravity);
+  });
+
+  it('rates a noisier phone lower', () => {
+    const quality = (noise: number) => feedCalibration(new BounceEngine(), generateMotion({ durationMs: 2500, noise })).quality;
+    assert.ok(quality(0.02) > quality(0.1));
+  });
+});
+
+describe('sensor mode without linear acceleration', () => {
+  it('falls back to the gravity filter', () => {
+    const run = detect({ gravityMode: 'sensor', algorithm: 'peak-valley' }, { durationMs: 10000, linearAcceleration: false, motions: [bouncing] });
+    assertBetween(run.bounces.length, 18, 21, 'bounces');
+  });
+});
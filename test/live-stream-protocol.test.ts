@@ -0,0 +1,74 @@
+/**
+ * Tests for the live stream message checks and relay addresses.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MAX_NAME_LENGTH, parseClientMessage, relayUrl } from '../src/live-stream-protocol.js';
+
+const status = {
+  type: 'status',
+  running: true,
+  paused: false,
+  count: 12,
+  severityCounts: { minor: 8, moderate: 3, major: 1 },
+  faultCounts: { sway: 2, rotation: 0 },
+  activeMs: 61000,
+  sensitivity: 3,
+  algorithm: 'peak-valley'
+};
+
+describe('live stream messages', () => {
+  it('accepts well-formed messages and drops unknown fields', () => {
+    assert.deepEqual(parseClientMessage(JSON.stringify({ ...status, extra: 'x' })), status);
+    assert.deepEqual(
+      parseClientMessage(JSON.stringify({ type: 'bounce', timestamp: 1000, severity: 'major', displacementCm: 6.5, count: 13 })),
+      { type: 'bounce', timestamp: 1000, severity: 'major', displacementCm: 6.5, count: 13 }
+    );
+    assert.deepEqual(
+      parseClientMessage(JSON.stringify({ type: 'signal', baseline: 9.81, threshold: 3, samples: [[1000, 9.9], [1010, 10.4]] })),
+      { type: 'signal', baseline: 9.81, threshold: 3, samples: [[1000, 9.9], [1010, 10.4]] }
+    );
+  });
+
+  it('trims and shortens dancer names', () => {
+    const hello = parseClientMessage(JSON.stringify({ type: 'hello', role: 'dancer', version: 1, id: 'a', name: `  ${'x'.repeat(60)}` }));
+    assert.equal(hello?.type === 'hello' && hello.role === 'dancer' && hello.name, 'x'.repeat(MAX_NAME_LENGTH));
+  });
+
+  it('rejects anything malformed', () => {
+    [
+      'not json',
+      'null',
+      JSON.stringify({ type: 'shout' }),
+      JSON.stringify({ type: 'hello', role: 'dancer', version: 1, id: '', name: 'A' }),
+      JSON.stringify({ type: 'hello', role: 'admin', version: 1 }),
+      JSON.stringify({ ...status, count: -1 }),
+      JSON.stringify({ ...status, algorithm: 'magic' }),
+      JSON.stringify({ ...status, severityCounts: { minor: 1 } }),
+      JSON.stringify({ type: 'bounce', timestamp: 1000, severity: 'huge', displacementCm: 1, count: 1 }),
+      JSON.stringify({ type: 'signal', baseline: 9.81, threshold: 3, samples: [[1000]] }),
+      JSON.stringify({ type: 'signal', baseline: 9.81, threshold: 3, samples: Array(500).fill([0, 9.8]) })
+    ].forEach((text) => assert.equal(parseClientMessage(text), null, text));
+  });
+});
+
+describe('relay addresses', () => {
+  it('adds the scheme, default port and stream path to a bare host', () => {
+    assert.equal(relayUrl('192.168.1.20', false), 'ws://192.168.1.20:8787/stream');
+    assert.equal(relayUrl(' laptop.local:9000 ', true), 'wss://laptop.local:9000/stream');
+  });
+
+  it('keeps a full URL as given, taking the page address the relay prints', () => {
+    assert.equal(relayUrl('wss://studio.example/live', false), 'wss://studio.example/live');
+    assert.equal(relayUrl('ws://10.0.0.2', true), 'ws://10.0.0.2/stream');
+    assert.equal(relayUrl('https://192.168.1.20:8787/', false), 'wss://192.168.1.20:8787/stream');
+  });
+
+  it('rejects an empty or unusable address', () => {
+    assert.equal(relayUrl('', false), null);
+    assert.equal(relayUrl('ws://[bad', false), null);
+    assert.equal(relayUrl('ftp://192.168.1.20', false), null);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Tests for reading recording files.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_ENGINE_CONFIG } from '../src/detector-engine.js';
+import { RECORDING_FORMAT, RECORDING_VERSION, parseRecording } from '../src/motion-recording.js';
+
+function recordingWith(settings: unknown): string {
+  return JSON.stringify({
+    format: RECORDING_FORMAT,
+    version: RECORDING_VERSION,
+    recordedAt: '2026-01-01T00:00:00.000Z',
+    settings,
+    calibration: { baselineMagnitude: 9.81, gravity: { x: 0, y: 9.81, z: 0 } },
+    samples: [[0, 0, 9.81, 0, null, null, null, null, null, null]]
+  });
+}
+
+describe('recording files', () => {
+  it('keeps well-typed settings', () => {
+    const settings = { ...DEFAULT_ENGINE_CONFIG, sensitivity: 2.5, gravityMode: 'filter', algorithm: 'peak-valley', turnTolerant: true };
+    assert.deepEqual(parseRecording(recordingWith(settings)).settings, settings);
+  });
+
+  it('drops unknown settings and falls back to defaults for ill-typed ones', () => {
+    const parsed = parseRecording(recordingWith({
+      sensitivity: '3',
+      debounceTime: -100,
+      gravityMode: 'magic',
+      turnTolerant: 'yes',
+      placement: 'hand',
+      extra: 1
+    }));
+    assert.deepEqual(parsed.settings, { ...DEFAULT_ENGINE_CONFIG, placement: 'hand' });
+  });
+
+  it('uses the defaults when a file has no settings at all', () => {
+    assert.deepEqual(parseRecording(recordingWith(null)).settings, DEFAULT_ENGINE_CONFIG);
+  });
+});
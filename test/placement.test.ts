@@ -0,0 +1,94 @@
+/**
+ * Tests for placement presets and for holding off detection while the phone
+ * re-settles after being moved mid-session.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BounceEngine, EngineConfig, GravityMode } from '../src/detector-engine.js';
+import { DEFAULT_PLACEMENT, PLACEMENT_PRESETS, angleBetween, placementPreset } from '../src/placement.js';
+import { Motion, POCKET, SyntheticMotionOptions, detect, generateMotion, walking } from './synthetic-motion.js';
+
+// A phone in a pocket with some sensor noise, as every run here uses
+const pocket = { placement: POCKET, noise: 0.05 };
+// The phone pushed deeper into the pocket: 70° in under half a second
+const moved: Motion = { kind: 'tilt', degrees: 70, fromMs: 4000, toMs: 4400 };
+
+describe('placement presets', () => {
+  it('keeps the original settings for a hip pocket, the default', () => {
+    assert.equal(DEFAULT_PLACEMENT, 'hip-pocket');
+    assert.equal(PLACEMENT_PRESETS['hip-pocket'].gravityTimeConstantMs, 3300);
+    assert.equal(PLACEMENT_PRESETS['hip-pocket'].sensitivity, 3);
+  });
+
+  it('falls back to the default for an unknown placement', () => {
+    assert.equal(placementPreset('ankle'), PLACEMENT_PRESETS[DEFAULT_PLACEMENT]);
+    assert.equal(placementPreset('hand'), PLACEMENT_PRESETS.hand);
+  });
+
+  it('measures the angle between directions', () => {
+    assert.equal(angleBetween({ x: 0, y: 0, z: 9.81 }, { x: 0, y: 0, z: 1 }), 0);
+    assert.ok(Math.abs(angleBetween({ x: 0, y: 9.81, z: 0 }, { x: 0, y: 0, z: 2 }) - 90) < 1e-9);
+    assert.equal(angleBetween({ x: 0, y: 0, z: 0 }, { x: 0, y: 0, z: 1 }), 0);
+  });
+});
+
+for (const gravityMode of ['sensor', 'filter'] as GravityMode[]) {
+  describe(`phone moved mid-session, ${gravityMode} gravity mode`, () => {
+    it('reports the move and when gravity has settled', () => {
+      const run = detect({ gravityMode }, { ...pocket, durationMs: 10000, motions: [walking, moved] });
+      assert.equal(run.reorients.length, 2, JSON.stringify(run.reorients));
+      const [start, end] = run.reorients;
+      assert.equal(start.settling, true);
+      assert.ok(start.timestamp > 4000 && start.timestamp < 5000, `move recognised at ${start.timestamp}`);
+      assert.equal(end.settling, false);
+      assert.ok(end.timestamp - start.timestamp < 3000, `settled after ${end.timestamp - start.timestamp} ms`);
+      assert.ok(Math.abs(end.angleDeg - 70) < 15, `turned ${end.angleDeg}°`);
+    });
+
+    it('counts nothing while walking through the move', () => {
+      for (const algorithm of ['threshold', 'peak-valley'] as const) {
+        const run = detect({ gravityMode, algorithm }, { ...pocket, durationMs: 10000, motions: [walking, moved] });
+        assert.equal(run.bounces.length, 0, algorithm);
+        assert.ok(run.suppressed.every((event) => event.reason === 'reorient'), algorithm);
+      }
+    });
+
+    it('counts bounces again once settled', () => {
+      const run = detect({ gravityMode, algorithm: 'peak-valley' }, {
+        ...pocket,
+        durationMs: 10000,
+        motions: [{ kind: 'bounce', cadenceHz: 2, amplitude: 5 }, moved]
+      });
+      const settled = run.reorients[1].timestamp;
+      // The bounce due at 4 s lands before the phone has tipped more than a degree or two
+      assert.equal(run.bounces.filter((event) => event.timestamp > 4100 && event.timestamp < settled).length, 0);
+      assert.ok(run.bounces.filter((event) => event.timestamp > settled).length >= 6, 'bounces after settling');
+    });
+
+    it('does not mistake a spin for a move', () => {
+      const run = detect({ gravityMode }, {
+        ...pocket,
+        durationMs: 6000,
+        motions: [walking, { kind: 'spin', degPerSec: 540, radiusM: 0.1, fromMs: 2000, toMs: 3000 }]
+      });
+      assert.equal(run.reorients.length, 0);
+    });
+  });
+}
+
+describe('placement in filter gravity mode', () => {
+  it('re-tracks gravity faster for a phone in the hand', () => {
+    // A slow tip, under the size of a move: only the everyday filter follows it
+    const tip: SyntheticMotionOptions = { durationMs: 3000, motions: [{ kind: 'tilt', degrees: 20, fromMs: 0, toMs: 500 }] };
+    const settleError = (placement: EngineConfig['placement']) => {
+      const engine = new BounceEngine({ gravityMode: 'filter', placement });
+      const samples = generateMotion({ ...tip, placement: POCKET });
+      engine.restoreCalibration({ gravity: samples[0].accelerationIncludingGravity });
+      samples.forEach((sample) => engine.processSample(sample));
+      return angleBetween(engine.gravity, samples[samples.length - 1].accelerationIncludingGravity);
+    };
+    assert.ok(settleError('hand') < settleError('hip-pocket') / 2, `hand ${settleError('hand')}°, pocket ${settleError('hip-pocket')}°`);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests for settings profiles: what is kept from storage and from a shared
+ * profile file when values are missing, of the wrong type or out of range.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PROFILE_FILE_FORMAT, PROFILE_FILE_VERSION, PROFILE_STORAGE_KEY, PROFILE_STORE_VERSION, ProfileStore, sanitizeProfileSettings } from '../src/profiles.js';
+
+/** The part of localStorage the store uses, kept in memory. */
+class MemoryStorage {
+  public items = new Map<string, string>();
+
+  getItem(key: string): string | null {
+    return this.items.get(key) ?? null;
+  }
+
+  setItem(key: string, value: string): void {
+    this.items.set(key, value);
+  }
+}
+
+const newStore = (storage: MemoryStorage) => new ProfileStore(storage as unknown as Storage);
+
+const profileFile = (settings: unknown) =>
+  JSON.stringify({ format: PROFILE_FILE_FORMAT, version: PROFILE_FILE_VERSION, name: 'Salsa', settings });
+
+describe('profile settings', () => {
+  it('keeps valid settings as they are', () => {
+    const settings = { sensitivity: 3.5, audioMode: 'musical', placement: 'hand', tempoBpm: 0, followTempo: true, sensorFrequency: 100 };
+    assert.deepEqual(sanitizeProfileSettings(settings), settings);
+  });
+
+  it('drops unknown, ill-typed and out-of-range settings', () => {
+    const settings = sanitizeProfileSettings({
+      sensitivity: '3',
+      debounceTime: 5000,
+      audioVolume: NaN,
+      voiceVerbosity: 'chatty',
+      tempoBpm: 20,
+      autoPause: 'yes',
+      sensorFrequency: 75,
+      hapticPatterns: null,
+      colour: 'red',
+      swaySensitivity: 2
+    });
+    assert.deepEqual(settings, { swaySensitivity: 2 });
+  });
+
+  it('gives no settings for something that is not an object', () => {
+    assert.deepEqual(sanitizeProfileSettings(null), {});
+    assert.deepEqual(sanitizeProfileSettings('sensitivity'), {});
+  });
+});
+
+describe('profile store', () => {
+  it('imports only the valid settings of a shared profile', () => {
+    const storage = new MemoryStorage();
+    const store = newStore(storage);
+    store.load();
+    const profile = store.importProfile(profileFile({ sensitivity: '3', debounceTime: 300 }));
+    assert.deepEqual(profile.settings, { debounceTime: 300 });
+    assert.equal(store.active.id, profile.id);
+  });
+
+  it('drops bad settings saved by an earlier version on load', () => {
+    const storage = new MemoryStorage();
+    const profiles = [{ id: 'a', name: 'Default', settings: { sensitivity: '3', audioVolume: 0.5 } }];
+    storage.setItem(PROFILE_STORAGE_KEY, JSON.stringify({ version: PROFILE_STORE_VERSION, activeId: 'a', profiles }));
+    const store = newStore(storage);
+    store.load();
+    assert.deepEqual(store.active.settings, { audioVolume: 0.5 });
+  });
+
+  it('never overwrites profiles saved by a newer version', () => {
+    const storage = new MemoryStorage();
+    const newer = JSON.stringify({ version: PROFILE_STORE_VERSION + 1, profiles: [] });
+    storage.setItem(PROFILE_STORAGE_KEY, newer);
+    const store = newStore(storage);
+    store.load();
+    store.importProfile(profileFile({ debounceTime: 300 }));
+    assert.equal(store.writable, false);
+    assert.equal(store.profiles.length, 2);
+    assert.equal(storage.getItem(PROFILE_STORAGE_KEY), newer);
+  });
+
+  it('drops bad settings from the pre-profile settings blob', () => {
+    const storage = new MemoryStorage();
+    storage.setItem('bounceDetectorSettings', JSON.stringify({ sensitivity: 4, gravityMode: 'magic' }));
+    const store = newStore(storage);
+    store.load();
+    assert.deepEqual(store.active.settings, { sensitivity: 4 });
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Tests for the live stream relay, with dancers and viewers connected over
+ * real sockets using the relay's own WebSocket framing.
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'node:crypto';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { Server, createServer, request } from 'node:http';
+import { AddressInfo, connect as connectSocket } from 'node:net';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Duplex } from 'node:stream';
+
+import { RelayMessage, STREAM_PATH, STREAM_PROTOCOL_VERSION } from '../src/live-stream-protocol.js';
+import { StreamRelay } from '../relay/stream-relay.js';
+import { CLOSE_PROTOCOL_ERROR, WebSocketConnection, acceptKey, encodeFrame } from '../relay/websocket.js';
+
+/** A test client that collects what it receives. */
+interface TestClient {
+  connection: WebSocketConnection;
+  socket: Duplex;
+  received: RelayMessage[];
+  closed: Promise<number>;
+  send(message: object): void;
+  /** Wait until a message matching the predicate has arrived. */
+  next(predicate: (message: RelayMessage) => boolean): Promise<RelayMessage>;
+}
+
+function connect(port: number): Promise<TestClient> {
+  return new Promise((resolve, reject) => {
+    const key = randomBytes(16).toString('base64');
+    const req = request({
+      port,
+      path: STREAM_PATH,
+      headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Key': key, 'Sec-WebSocket-Version': '13' }
+    });
+    req.on('error', reject);
+    req.on('upgrade', (response, socket) => {
+      assert.equal(response.headers['sec-websocket-accept'], acceptKey(key));
+      const connection = new WebSocketConnection(socket, { maskOutgoing: true });
+      const received: RelayMessage[] = [];
+      const waiters: (() => void)[] = [];
+      connection.onMessage = (text) => {
+        received.push(JSON.parse(text));
+        waiters.splice(0).forEach((wake) => wake());
+      };
+      const closed = new Promise<number>((done) => { connection.onClose = done; });
+      const next = (predicate: (message: RelayMessage) => boolean) => new Promise<RelayMessage>((found) => {
+        const check = () => {
+          const match = received.find(predicate);
+          if (match) found(match);
+          else waiters.push(check);
+        };
+        check();
+      });
+      resolve({ connection, socket, received, closed, next, send: (message) => connection.send(JSON.stringify(message)) });
+    });
+    req.end();
+  });
+}
+
+/** Status code of a plain GET. */
+function get(port: number, path: string): Promise<number> {
+  return new Promise((resolve, reject) => {
+    const req = request({ port, path }, (response) => {
+      response.resume();
+      resolve(response.statusCode ?? 0);
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+const status = {
+  type: 'status',
+  running: true,
+  paused: false,
+  count: 1,
+  severityCounts: { minor: 1, moderate: 0, major: 0 },
+  faultCounts: { sway: 0, rotation: 0 },
+  activeMs: 5000,
+  sensitivity: 3,
+  algorithm: 'threshold'
+};
+
+describe('stream relay', () => {
+  let server: Server;
+  let relay: StreamRelay;
+  let port: number;
+  const clients: TestClient[] = [];
+  const open = async () => {
+    const client = await connect(port);
+    clients.push(client);
+    return client;
+  };
+
+  before(async () => {
+    server = createServer();
+    relay = new StreamRelay({ staticDir: null });
+    relay.attach(server);
+    await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+    port = (server.address() as AddressInfo).port;
+  });
+
+  after(async () => {
+    clients.forEach((client) => client.connection.terminate());
+    relay.closeAll();
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it('passes dancer messages to viewers, tagged with the dancer', async () => {
+    const viewer = await open();
+    viewer.send({ type: 'hello', role: 'viewer', version: STREAM_PROTOCOL_VERSION });
+    const dancer = await open();
+    dancer.send({ type: 'hello', role: 'dancer', version: STREAM_PROTOCOL_VERSION, id: 'phone-a', name: 'Alex' });
+    assert.deepEqual(await viewer.next((m) => m.type === 'joined'), { type: 'joined', dancer: 'phone-a', name: 'Alex' });
+
+    dancer.send({ type: 'bounce', timestamp: 1000, severity: 'minor', displacementCm: 2.1, count: 1 });
+    assert.deepEqual(await viewer.next((m) => m.type === 'bounce'),
+      { type: 'bounce', timestamp: 1000, severity: 'minor', displacementCm: 2.1, count: 1, dancer: 'phone-a' });
+
+    dancer.send(status);
+    await viewer.next((m) => m.type === 'status');
+
+    dancer.connection.close();
+    assert.deepEqual(await viewer.next((m) => m.type === 'left'), { type: 'left', dancer: 'phone-a' });
+    viewer.connection.close();
+  });
+
+  it('brings a late viewer up to date and keeps a reconnecting phone on one card', async () => {
+    const dancer = await open();
+    dancer.send({ type: 'hello', role: 'dancer', version: STREAM_PROTOCOL_VERSION, id: 'phone-b', name: 'Sam' });
+    dancer.send(status);
+    // Wait for the relay to have the status before the viewer arrives
+    const early = await open();
+    early.send({ type: 'hello', role: 'viewer', version: STREAM_PROTOCOL_VERSION });
+    await early.next((m) => m.type === 'status' && m.dancer === 'phone-b');
+
+    const late = await open();
+    late.send({ type: 'hello', role: 'viewer', version: STREAM_PROTOCOL_VERSION });
+    await late.next((m) => m.type === 'joined' && m.dancer === 'phone-b');
+    assert.equal((await late.next((m) => m.type === 'status')).dancer, 'phone-b');
+
+    const again = await open();
+    again.send({ type: 'hello', role: 'dancer', version: STREAM_PROTOCOL_VERSION, id: 'phone-b', name: 'Sam' });
+    await dancer.closed;
+    assert.equal(relay.dancerCount, 1);
+    assert.equal(late.received.filter((m) => m.type === 'left').length, 0);
+    again.connection.close();
+  });
+
+  it('drops clients that send junk or speak another version', async () => {
+    const junk = await open();
+    junk.send({ type: 'status', count: 'lots' });
+    await junk.closed;
+
+    const future = await open();
+    future.send({ type: 'hello', role: 'viewer', version: 99 });
+    await future.closed;
+  });
+
+  it('closes with a protocol error on frames the RFC forbids', async () => {
+    const unfinishedPing = encodeFrame(0x9, Buffer.alloc(0), true);
+    unfinishedPing[0] &= 0x7f;
+    const frames = {
+      // A hello the relay would otherwise accept
+      'an unmasked frame': encodeFrame(0x1, Buffer.from(JSON.stringify({ type: 'hello', role: 'viewer', version: STREAM_PROTOCOL_VERSION })), false),
+      'a control frame over 125 bytes': encodeFrame(0x9, Buffer.alloc(126), true),
+      'a fragmented control frame': unfinishedPing
+    };
+    for (const [what, frame] of Object.entries(frames)) {
+      const client = await open();
+      client.socket.write(frame);
+      // A relay that lets the frame through keeps the connection open
+      const timeout = new Promise<null>((resolve) => setTimeout(() => resolve(null), 2000).unref());
+      assert.equal(await Promise.race([client.closed, timeout]), CLOSE_PROTOCOL_ERROR, what);
+    }
+  });
+
+  it('turns away an upgrade request with a malformed URL and keeps serving', async () => {
+    const reply = await new Promise<string>((resolve, reject) => {
+      const socket = connectSocket(port, '127.0.0.1');
+      let text = '';
+      socket.on('data', (chunk) => { text += chunk; });
+      socket.on('close', () => resolve(text));
+      socket.on('error', reject);
+      // A relay that never answers fails the test rather than holding the server open
+      socket.setTimeout(2000, () => socket.destroy());
+      socket.write('GET http://[ HTTP/1.1\r\nHost: relay\r\nConnection: Upgrade\r\nUpgrade: websocket\r\n' +
+        `Sec-WebSocket-Key: ${randomBytes(16).toString('base64')}\r\nSec-WebSocket-Version: 13\r\n\r\n`);
+    });
+    assert.match(reply, /^HTTP\/1\.1 400 /);
+
+    const viewer = await open();
+    viewer.send({ type: 'hello', role: 'viewer', version: STREAM_PROTOCOL_VERSION });
+    viewer.connection.close();
+    await viewer.closed;
+  });
+});
+
+describe('stream relay serving the app', () => {
+  let server: Server;
+  let port: number;
+  let staticDir: string;
+
+  before(async () => {
+    staticDir = await mkdtemp(join(tmpdir(), 'relay-static-'));
+    await writeFile(join(staticDir, 'index.html'), '<!doctype html>');
+    server = createServer();
+    new StreamRelay({ staticDir }).attach(server);
+    await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+    port = (server.address() as AddressInfo).port;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await rm(staticDir, { recursive: true, force: true });
+  });
+
+  it('serves files from the static directory', async () => {
+    assert.equal(await get(port, '/'), 200);
+    assert.equal(await get(port, '/missing.js'), 404);
+  });
+
+  it('answers 400 to broken percent-encoding and keeps serving', async () => {
+    assert.equal(await get(port, '/%E0%A4%A'), 400);
+    assert.equal(await get(port, '/index.html'), 200);
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Checks that the synthetic motion generator reports what a real phone would,
+ * so detector tests built on it mean something.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FLAT, STANDARD_GRAVITY, UPRIGHT, generateMotion, restingGravity } from './synthetic-motion.js';
+
+const close = (actual: number, expected: number, tolerance = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+
+describe('synthetic motion', () => {
+  it('reads gravity along the axis pointing up', () => {
+    close(restingGravity(FLAT).z, STANDARD_GRAVITY);
+    close(restingGravity(UPRIGHT).y, STANDARD_GRAVITY);
+    close(restingGravity(UPRIGHT).z, 0);
+  });
+
+  it('keeps gravity out of linear acceleration', () => {
+    const [sample] = generateMotion({ durationMs: 20, motions: [{ kind: 'bounce', cadenceHz: 2, amplitude: 5, fromMs: 0 }] });
+    const g = sample.accelerationIncludingGravity;
+    const l = sample.acceleration!;
+    close(g.y - l.y, STANDARD_GRAVITY);
+  });
+
+  it('reports a spin about the vertical axis on the gyroscope', () => {
+    const samples = generateMotion({ durationMs: 1000, placement: FLAT, motions: [{ kind: 'spin', degPerSec: 360 }] });
+    const rate = samples[30].rotationRate!;
+    close(rate.alpha, 360, 0.1);
+    close(rate.beta, 0, 0.1);
+    close(rate.gamma, 0, 0.1);
+  });
+
+  it('spaces readings at the requested rate and repeats for a seed', () => {
+    const options = { durationMs: 1000, rateHz: 100, jitterMs: 2, noise: 0.1, seed: 7 };
+    const samples = generateMotion(options);
+    assert.equal(samples.length, 100);
+    assert.ok(samples.every((sample, i) => i === 0 || sample.timestamp >= samples[i - 1].timestamp));
+    assert.deepEqual(generateMotion(options), samples);
+  });
+
+  it('leaves out channels the device does not have', () => {
+    const [sample] = generateMotion({ durationMs: 20, linearAcceleration: false, gyroscope: false });
+    assert.equal(sample.acceleration, null);
+    assert.equal(sample.rotationRate, null);
+  });
+});
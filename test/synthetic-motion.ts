@@ -0,0 +1,287 @@
+/**
+ * Synthetic Motion
+ * Generates the readings a phone would report for scripted dance motion, so
+ * the detector can be tested without dancing round the kitchen. Motion is
+ * described in the world frame (z up) and mapped into device axes through
+ * the phone's orientation, which spins and tilts can change over time.
+ * Readings follow devicemotion conventions: accelerationIncludingGravity
+ * reads +9.81 along the axis pointing up, and rotationRate is deg/s as
+ * alpha (z), beta (x), gamma (y). Also runs the engine over such readings
+ * the way the app does: calibrate on a still phone, then detect.
+ */
+
+import assert from 'node:assert/strict';
+
+import {
+  ActivityEvent,
+  BounceEngine,
+  BounceEvent,
+  CalibrationEvent,
+  EngineConfig,
+  MotionSample,
+  ReorientEvent,
+  SuppressedEvent,
+  Vector3
+} from '../src/detector-engine.js';
+import { RotationRate } from '../src/turn-detector.js';
+
+export const STANDARD_GRAVITY = 9.81;
+
+/** How the phone sits before any motion: pitch 0 is flat, screen up; pitch 90 is upright. */
+export interface Placement {
+  pitchDeg: number;          // About the device x axis
+  rollDeg: number;           // About the device y axis
+}
+
+export const FLAT: Placement = { pitchDeg: 0, rollDeg: 0 };
+export const UPRIGHT: Placement = { pitchDeg: 90, rollDeg: 0 };
+export const POCKET: Placement = { pitchDeg: 70, rollDeg: 15 };
+
+/** Motions are active from `fromMs` (default 0) until `toMs` (default the end). */
+interface Timed {
+  fromMs?: number;
+  toMs?: number;
+}
+
+export type Motion =
+  // Level walking: gentle heel-strike rise and fall, forward surge and side-to-side weight shift (m/s^2)
+  | Timed & { kind: 'walk'; cadenceHz: number; verticalAmplitude?: number; forwardAmplitude?: number; lateralAmplitude?: number }
+  // Vertical bouncing: a sinusoid of this peak acceleration (m/s^2) at this rate
+  | Timed & { kind: 'bounce'; cadenceHz: number; amplitude: number }
+  // A spin about the vertical axis, with the phone this far from the axis (m)
+  | Timed & { kind: 'spin'; degPerSec: number; radiusM?: number }
+  // The phone slowly tipping forward in a pocket by this many degrees over the motion's span
+  | Timed & { kind: 'tilt'; degrees: number };
+
+export const walking: Motion = { kind: 'walk', cadenceHz: 2 };
+
+export interface SyntheticMotionOptions {
+  durationMs: number;
+  rateHz?: number;                  // Readings per second (default 60)
+  jitterMs?: number;                // Each reading arrives up to this much early or late (default 0)
+  noise?: number;                   // Standard deviation of accelerometer noise (m/s^2, default 0)
+  seed?: number;                    // Noise and jitter are repeatable for a given seed
+  placement?: Placement;            // Default upright
+  linearAcceleration?: boolean;     // Whether the device reports gravity-free acceleration (default true)
+  gyroscope?: boolean;              // Whether the device reports rotationRate (default true)
+  motions?: Motion[];
+}
+
+type Matrix = [Vector3, Vector3, Vector3];  // Rows
+
+const DEG = Math.PI / 180;
+// Step for the numerical derivative of orientation (ms)
+const DERIVATIVE_STEP_MS = 1;
+
+function rotationX(angle: number): Matrix {
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  return [{ x: 1, y: 0, z: 0 }, { x: 0, y: c, z: -s }, { x: 0, y: s, z: c }];
+}
+
+function rotationY(angle: number): Matrix {
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  return [{ x: c, y: 0, z: s }, { x: 0, y: 1, z: 0 }, { x: -s, y: 0, z: c }];
+}
+
+function rotationZ(angle: number): Matrix {
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  return [{ x: c, y: -s, z: 0 }, { x: s, y: c, z: 0 }, { x: 0, y: 0, z: 1 }];
+}
+
+function column(m: Matrix, i: 'x' | 'y' | 'z'): Vector3 {
+  return { x: m[0][i], y: m[1][i], z: m[2][i] };
+}
+
+function dot(a: Vector3, b: Vector3): number {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function multiply(a: Matrix, b: Matrix): Matrix {
+  const cols = [column(b, 'x'), column(b, 'y'), column(b, 'z')];
+  return a.map((row) => ({ x: dot(row, cols[0]), y: dot(row, cols[1]), z: dot(row, cols[2]) })) as Matrix;
+}
+
+/** World vector into device axes (the transpose of a rotation is its inverse). */
+function toDevice(deviceToWorld: Matrix, v: Vector3): Vector3 {
+  return { x: dot(column(deviceToWorld, 'x'), v), y: dot(column(deviceToWorld, 'y'), v), z: dot(column(deviceToWorld, 'z'), v) };
+}
+
+function add(a: Vector3, b: Vector3): Vector3 {
+  return { x: a.x + b.x, y: a.y + b.y, z: a.z + b.z };
+}
+
+/** Small deterministic PRNG (mulberry32), so a failing test fails the same way every run. */
+function random(seed: number): () => number {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function gaussian(next: () => number): number {
+  // Box-Muller; 1 - next() keeps the logarithm finite
+  return Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next());
+}
+
+function isActive(motion: Motion, t: number): boolean {
+  return t >= (motion.fromMs ?? 0) && t < (motion.toMs ?? Infinity);
+}
+
+/** Time spent in the motion so far (ms), clamped to its span. */
+function elapsedIn(motion: Motion, t: number): number {
+  const from = motion.fromMs ?? 0;
+  return Math.max(0, Math.min(t, motion.toMs ?? Infinity) - from);
+}
+
+/** Spin angle about the vertical axis at time t (radians). */
+function yawAt(motions: Motion[], t: number): number {
+  return motions.reduce((yaw, m) => (m.kind === 'spin' ? yaw + m.degPerSec * DEG * elapsedIn(m, t) / 1000 : yaw), 0);
+}
+
+/** Extra forward tip at time t (radians), eased in and out over each tilt. */
+function tiltAt(motions: Motion[], t: number, durationMs: number): number {
+  return motions.reduce((tilt, m) => {
+    if (m.kind !== 'tilt') return tilt;
+    const span = (m.toMs ?? durationMs) - (m.fromMs ?? 0);
+    const f = span > 0 ? elapsedIn(m, t) / span : 1;
+    return tilt + m.degrees * DEG * (f * f * (3 - 2 * f));
+  }, 0);
+}
+
+function orientationAt(motions: Motion[], placement: Placement, t: number, durationMs: number): Matrix {
+  return multiply(
+    rotationZ(yawAt(motions, t)),
+    multiply(rotationX((placement.pitchDeg * DEG) + tiltAt(motions, t, durationMs)), rotationY(placement.rollDeg * DEG))
+  );
+}
+
+/** World-frame acceleration of the body at time t, without gravity (m/s^2). */
+function accelerationAt(motions: Motion[], t: number): Vector3 {
+  const s = t / 1000;
+  return motions.filter((m) => isActive(m, t)).reduce((sum, m) => {
+    switch (m.kind) {
+      case 'walk': {
+        const w = 2 * Math.PI * m.cadenceHz;
+        return add(sum, {
+          x: (m.lateralAmplitude ?? 0.5) * Math.sin(w * s / 2),   // Weight shifts side to side once per two steps
+          y: (m.forwardAmplitude ?? 1) * Math.sin(w * s + Math.PI / 2),
+          z: (m.verticalAmplitude ?? 1) * Math.sin(w * s)
+        });
+      }
+      case 'bounce':
+        return add(sum, { x: 0, y: 0, z: m.amplitude * Math.sin(2 * Math.PI * m.cadenceHz * s) });
+      case 'spin': {
+        // Centripetal acceleration towards the spin axis
+        const omega = m.degPerSec * DEG;
+        const yaw = m.degPerSec * DEG * elapsedIn(m, t) / 1000;
+        const r = m.radiusM ?? 0.15;
+        return add(sum, { x: -omega * omega * r * Math.cos(yaw), y: -omega * omega * r * Math.sin(yaw), z: 0 });
+      }
+      case 'tilt':
+        return sum;
+    }
+  }, { x: 0, y: 0, z: 0 });
+}
+
+/** Angular velocity in device axes, from the change in orientation (deg/s). */
+function rotationRateAt(motions: Motion[], placement: Placement, t: number, durationMs: number): RotationRate {
+  const before = orientationAt(motions, placement, t - DERIVATIVE_STEP_MS, durationMs);
+  const after = orientationAt(motions, placement, t + DERIVATIVE_STEP_MS, durationMs);
+  const now = orientationAt(motions, placement, t, durationMs);
+  // dR/dt * R^T is the skew matrix of the world angular velocity
+  const dt = (2 * DERIVATIVE_STEP_MS) / 1000;
+  const derivative = before.map((row, i) => ({
+    x: (after[i].x - row.x) / dt,
+    y: (after[i].y - row.y) / dt,
+    z: (after[i].z - row.z) / dt
+  })) as Matrix;
+  const transposed: Matrix = [column(now, 'x'), column(now, 'y'), column(now, 'z')];
+  const skew = multiply(derivative, transposed);
+  const world = { x: skew[2].y, y: skew[0].z, z: skew[1].x };
+  const device = toDevice(now, world);
+  return { alpha: device.z / DEG, beta: device.x / DEG, gamma: device.y / DEG };
+}
+
+/** Readings for the scripted motion, in arrival order. */
+export function generateMotion(options: SyntheticMotionOptions): MotionSample[] {
+  const rateHz = options.rateHz ?? 60;
+  const interval = 1000 / rateHz;
+  const jitter = options.jitterMs ?? 0;
+  const noise = options.noise ?? 0;
+  const placement = options.placement ?? UPRIGHT;
+  const motions = options.motions ?? [];
+  const next = random(options.seed ?? 1);
+
+  const samples: MotionSample[] = [];
+  for (let i = 0; i * interval < options.durationMs; i++) {
+    // Jitter never reorders readings
+    const t = Math.max(0, i * interval + (next() * 2 - 1) * Math.min(jitter, interval / 2));
+    const orientation = orientationAt(motions, placement, t, options.durationMs);
+    const linear = toDevice(orientation, accelerationAt(motions, t));
+    const withGravity = toDevice(orientation, add(accelerationAt(motions, t), { x: 0, y: 0, z: STANDARD_GRAVITY }));
+    const noisy = noise > 0
+      ? { x: withGravity.x + noise * gaussian(next), y: withGravity.y + noise * gaussian(next), z: withGravity.z + noise * gaussian(next) }
+      : withGravity;
+
+    samples.push({
+      timestamp: t,
+      accelerationIncludingGravity: noisy,
+      // The device's own sensor fusion separates gravity cleanly, but noise reaches both channels
+      acceleration: options.linearAcceleration === false ? null : add(linear, { x: noisy.x - withGravity.x, y: noisy.y - withGravity.y, z: noisy.z - withGravity.z }),
+      rotationRate: options.gyroscope === false ? null : rotationRateAt(motions, placement, t, options.durationMs),
+      interval
+    });
+  }
+  return samples;
+}
+
+/** What a still phone in this placement reads: gravity in device axes. */
+export function restingGravity(placement: Placement): Vector3 {
+  return toDevice(orientationAt([], placement, 0, 0), { x: 0, y: 0, z: STANDARD_GRAVITY });
+}
+
+/** What the engine reported over a run of synthetic motion. */
+export interface DetectionRun {
+  bounces: BounceEvent[];
+  suppressed: SuppressedEvent[];
+  reorients: ReorientEvent[];
+  activities: ActivityEvent[];
+  calibration: CalibrationEvent;
+}
+
+/** Feed readings until calibration finishes, so nothing after it moves the gravity estimate. */
+export function feedCalibration(engine: BounceEngine, samples: MotionSample[]): CalibrationEvent {
+  let result: CalibrationEvent | null = null;
+  const off = engine.on('calibration', (event) => { result = event; });
+  engine.startCalibration();
+  for (const sample of samples) {
+    engine.processSample(sample);
+    if (result) break;
+  }
+  off();
+  assert.ok(result, 'calibration finished');
+  return result;
+}
+
+/** Calibrate on a still phone placed as in the motion, as a dancer would before starting, then run the motion. */
+export function detect(config: Partial<EngineConfig>, motion: SyntheticMotionOptions): DetectionRun {
+  const engine = new BounceEngine(config);
+  const calibration = feedCalibration(engine,
+    generateMotion({ durationMs: 2500, placement: motion.placement, linearAcceleration: motion.linearAcceleration, noise: 0.02 }));
+  engine.reset();
+
+  const run: DetectionRun = { bounces: [], suppressed: [], reorients: [], activities: [], calibration };
+  engine.on('bounce', (event) => run.bounces.push(event));
+  engine.on('suppressed', (event) => run.suppressed.push(event));
+  engine.on('reorient', (event) => run.reorients.push(event));
+  engine.on('activity', (event) => run.activities.push(event));
+  generateMotion(motion).forEach((sample) => engine.processSample(sample));
+  return run;
+}
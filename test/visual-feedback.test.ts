@@ -0,0 +1,29 @@
+/**
+ * Tests for the full-screen feedback settings and colour helpers.
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_VISUAL_FEEDBACK, dimColor, sanitizeVisualFeedback } from '../src/visual-feedback.js';
+
+describe('visual feedback settings', () => {
+  it('falls back to the defaults for anything missing or invalid', () => {
+    assert.deepEqual(sanitizeVisualFeedback(undefined), DEFAULT_VISUAL_FEEDBACK);
+    const settings = sanitizeVisualFeedback({
+      flash: { enabled: false, color: '#00FF00', brightness: 0.5 },
+      counter: { color: 'red', brightness: 2 },
+      timeline: 'bright'
+    });
+    assert.deepEqual(settings.flash, { enabled: false, color: '#00ff00', brightness: 0.5 });
+    assert.deepEqual(settings.counter, DEFAULT_VISUAL_FEEDBACK.counter);
+    assert.deepEqual(settings.timeline, DEFAULT_VISUAL_FEEDBACK.timeline);
+  });
+
+  it('dims a colour towards black', () => {
+    assert.equal(dimColor('#ff8000', 1), 'rgb(255, 128, 0)');
+    assert.equal(dimColor('#ff8000', 0.5), 'rgb(128, 64, 0)');
+    assert.equal(dimColor('#ff8000', 2), 'rgb(255, 128, 0)');
+    assert.equal(dimColor('#ff8000', -1), 'rgb(0, 0, 0)');
+  });
+});